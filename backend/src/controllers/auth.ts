@@ -13,14 +13,14 @@ export const register = async (req: Request, res: Response) => {
     const query = `
       INSERT INTO users (username, email, password)
       VALUES ($1, $2, $3)
-      RETURNING id, username, email;
+      RETURNING id, username, email, role;
     `;
     
     const result = await pool.query(query, [username, email, password]);
     
     // Generate JWT token
     const token = jwt.sign(
-      { id: result.rows[0].id, username: result.rows[0].username },
+      { id: result.rows[0].id, username: result.rows[0].username, role: result.rows[0].role },
       process.env.JWT_SECRET || 'your_jwt_secret_key_here',
       { expiresIn: process.env.JWT_EXPIRE || '1d' }
     );
@@ -31,7 +31,8 @@ export const register = async (req: Request, res: Response) => {
       data: {
         id: result.rows[0].id,
         username: result.rows[0].username,
-        email: result.rows[0].email
+        email: result.rows[0].email,
+        role: result.rows[0].role
       }
     });
   } catch (error) {
@@ -50,7 +51,7 @@ export const login = async (req: Request, res: Response) => {
     const { email, password } = req.body;
     
     const query = `
-      SELECT id, username, email, password
+      SELECT id, username, email, password, role
       FROM users
       WHERE email = $1;
     `;
@@ -79,7 +80,7 @@ export const login = async (req: Request, res: Response) => {
     
     // Generate JWT token
     const token = jwt.sign(
-      { id: user.id, username: user.username },
+      { id: user.id, username: user.username, role: user.role },
       process.env.JWT_SECRET || 'your_jwt_secret_key_here',
       { expiresIn: process.env.JWT_EXPIRE || '1d' }
     );
@@ -90,7 +91,8 @@ export const login = async (req: Request, res: Response) => {
       data: {
         id: user.id,
         username: user.username,
-        email: user.email
+        email: user.email,
+        role: user.role
       }
     });
   } catch (error) {
@@ -110,7 +112,7 @@ export const getMe = async (req: Request, res: Response) => {
     const userId = (req as any).user.id;
     
     const query = `
-      SELECT id, username, email
+      SELECT id, username, email, role
       FROM users
       WHERE id = $1;
     `;
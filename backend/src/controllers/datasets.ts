@@ -1,6 +1,23 @@
 import { Request, Response } from 'express';
 import postgrestClient from '../config/postgrest';
 import pool from '../config/database';
+import {
+  AggregationError,
+  asAggregationError,
+  aggregationCacheKey,
+  parseAggregationRequest,
+  runAggregation,
+  validateAggregationRequest
+} from '../services/aggregation';
+import { getDatasetColumns, isNycdbDataset } from '../services/datasetSchema';
+import { getCacheTtl, getOrFetch } from '../services/resultCache';
+import {
+  EXPORT_FORMATS,
+  ExportFormat,
+  ExportRequestError,
+  buildExportQuery,
+  streamExport
+} from '../services/dataExport';
 
 // Get all available datasets
 export const getAllDatasets = async (req: Request, res: Response) => {
@@ -133,42 +150,138 @@ export const queryDataset = async (req: Request, res: Response) => {
   }
 };
 
-// Get aggregated data for visualizations
-export const getAggregatedData = async (req: Request, res: Response) => {
+// Stream every row of a query on a dataset as NDJSON or CSV
+export const exportDataset = async (req: Request, res: Response) => {
   try {
     const { id } = req.params;
-    const { groupBy, aggregateFunc, valueField } = req.query;
-    
-    if (!groupBy || !aggregateFunc || !valueField) {
+    const { filter, order, limit } = req.query;
+    const format = (req.query.format || 'ndjson').toString() as ExportFormat;
+
+    if (!EXPORT_FORMATS[format]) {
       return res.status(400).json({
         success: false,
         error: 'Bad Request',
-        message: 'Missing required parameters: groupBy, aggregateFunc, valueField'
+        message: `Unsupported export format '${format}'; use ndjson or csv`
       });
     }
-    
-    // Construct SQL query for aggregation
-    const query = `
-      SELECT 
-        ${groupBy} as category,
-        ${aggregateFunc}(${valueField}) as value
-      FROM 
-        ${id}
-      GROUP BY 
-        ${groupBy}
-      ORDER BY 
-        value DESC
-      LIMIT 20;
-    `;
-    
-    const result = await pool.query(query);
-    
+
+    if (!isNycdbDataset(id)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Forbidden',
+        message: `Dataset '${id}' cannot be exported`
+      });
+    }
+
+    const columns = await getDatasetColumns(id);
+
+    if (columns.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Not Found',
+        message: `Dataset '${id}' not found`
+      });
+    }
+
+    const exportQuery = buildExportQuery(id, columns, {
+      filter: filter && filter.toString(),
+      order: order && order.toString(),
+      limit: limit && limit.toString(),
+      role: (req as any).user.role
+    });
+
+    res.status(200);
+    res.setHeader('Content-Type', EXPORT_FORMATS[format].contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${id}.${EXPORT_FORMATS[format].extension}"`);
+    res.setHeader('X-Export-Row-Cap', exportQuery.rowCap.toString());
+
+    const { rowCount, cancelled } = await streamExport(res, format, exportQuery);
+
+    if (cancelled) {
+      console.log(`Export of dataset ${id} cancelled by the client after ${rowCount} rows`);
+      return;
+    }
+
+    res.end();
+  } catch (error) {
+    if (error instanceof ExportRequestError) {
+      return res.status(400).json({
+        success: false,
+        error: 'Bad Request',
+        message: error.message,
+        details: error.details
+      });
+    }
+
+    console.error(`Error exporting dataset ${req.params.id}:`, error);
+
+    // Once rows have been sent the status cannot change, so the connection is cut to show
+    // the export is incomplete
+    if (res.headersSent) {
+      res.destroy(error as Error);
+      return;
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: 'Failed to export dataset'
+    });
+  }
+};
+
+// Get aggregated data for visualizations
+export const getAggregatedData = async (req: Request, res: Response) => {
+  try {
+    const { id } = req.params;
+
+    if (!isNycdbDataset(id)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Forbidden',
+        message: `Dataset '${id}' cannot be aggregated`
+      });
+    }
+
+    const columns = await getDatasetColumns(id);
+
+    if (columns.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Not Found',
+        message: `Dataset '${id}' not found`
+      });
+    }
+
+    const request = parseAggregationRequest(req.query);
+    validateAggregationRequest(request, columns);
+
+    const { value: data, cacheHit, cachedAt } = await getOrFetch(
+      aggregationCacheKey(id, request),
+      getCacheTtl('aggregate'),
+      () => runAggregation(id, request)
+    );
+
     res.status(200).json({
       success: true,
-      count: result.rows.length,
-      data: result.rows
+      cacheHit,
+      dataAgeSeconds: Math.round((Date.now() - cachedAt) / 1000),
+      count: data.length,
+      groupBy: request.groupBy.map(group => group.alias),
+      metrics: request.metrics.map(metric => metric.alias),
+      data
     });
   } catch (error) {
+    const invalid = error instanceof AggregationError ? error : asAggregationError(error);
+    if (invalid) {
+      return res.status(400).json({
+        success: false,
+        error: 'Bad Request',
+        message: invalid.message,
+        details: invalid.details
+      });
+    }
+
     console.error(`Error getting aggregated data for dataset ${req.params.id}:`, error);
     res.status(500).json({
       success: false,
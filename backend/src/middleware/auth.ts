@@ -4,6 +4,7 @@ import jwt from 'jsonwebtoken';
 interface JwtPayload {
   id: string;
   username: string;
+  role?: string;
 }
 
 // Middleware to protect routes that require authentication
@@ -30,9 +31,11 @@ export const protect = (req: Request, res: Response, next: NextFunction) => {
     ) as JwtPayload;
     
     // Add user to request
+    // Tokens issued before roles were added belong to ordinary users
     (req as any).user = {
       id: decoded.id,
-      username: decoded.username
+      username: decoded.username,
+      role: decoded.role || 'user'
     };
     
     next();
@@ -1,5 +1,6 @@
 import { Router } from 'express';
-import { getAllDatasets, getDatasetMetadata, queryDataset, getAggregatedData } from '../controllers/datasets';
+import { getAllDatasets, getDatasetMetadata, queryDataset, exportDataset, getAggregatedData } from '../controllers/datasets';
+import { protect } from '../middleware/auth';
 
 const router = Router();
 
@@ -12,6 +13,9 @@ router.get('/:id', getDatasetMetadata);
 // Query data from a specific dataset
 router.get('/:id/data', queryDataset);
 
+// Stream all rows of a query as NDJSON or CSV, up to the row cap of the user's role
+router.get('/:id/export', protect, exportDataset);
+
 // Get aggregated data for visualizations
 router.get('/:id/aggregate', getAggregatedData);
 
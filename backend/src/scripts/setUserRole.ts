@@ -0,0 +1,51 @@
+import pool from '../config/database';
+
+// Set the role of a user from the command line, e.g. to make the first admin:
+//
+//   npm run set-role -- <username> admin
+//
+// Roles are read into the token when the user signs in, so the user must sign in again for
+// a new role to take effect.
+
+export const USER_ROLES = ['user', 'admin'];
+
+// Set a user's role, resolving with the updated user, or null if there is no such user
+export const setUserRole = async (
+  username: string,
+  role: string
+): Promise<{ id: number; username: string; role: string } | null> => {
+  if (!USER_ROLES.includes(role)) {
+    throw new Error(`Unknown role: ${role}. Use one of ${USER_ROLES.join(', ')}`);
+  }
+
+  const result = await pool.query(
+    'UPDATE users SET role = $2, updated_at = CURRENT_TIMESTAMP WHERE username = $1 RETURNING id, username, role',
+    [username, role]
+  );
+
+  return result.rows[0] || null;
+};
+
+if (require.main === module) {
+  const [username, role] = process.argv.slice(2);
+
+  if (!username || !role) {
+    console.error(`Usage: npm run set-role -- <username> <${USER_ROLES.join('|')}>`);
+    process.exit(1);
+  }
+
+  setUserRole(username, role)
+    .then(user => {
+      if (!user) {
+        console.error(`No user named ${username}`);
+        process.exitCode = 1;
+        return;
+      }
+      console.log(`User ${user.username} now has the ${user.role} role`);
+    })
+    .catch(error => {
+      console.error('Error setting user role:', error.message);
+      process.exitCode = 1;
+    })
+    .finally(() => pool.end());
+}
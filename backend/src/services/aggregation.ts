@@ -0,0 +1,499 @@
+import pool from '../config/database';
+import { ColumnInfo } from './datasetSchema';
+import { canonicalStringify, generateCacheKey } from './resultCache';
+
+// Aggregation engine for GET /api/datasets/:id/aggregate
+//
+// Requests are parsed from query parameters, every identifier is checked against the
+// columns of the dataset in information_schema, and all values are bound as $n
+// parameters. Identifiers are only ever written to SQL after they have been matched
+// against the schema, and then double-quoted.
+
+export type MetricFunction =
+  | 'count'
+  | 'count_distinct'
+  | 'sum'
+  | 'avg'
+  | 'min'
+  | 'max'
+  | 'median'
+  | 'percentile';
+
+export type DateBucket = 'day' | 'week' | 'month' | 'quarter' | 'year';
+
+export interface MetricSpec {
+  fn: MetricFunction;
+  field?: string;
+  percentile?: number;
+  alias: string;
+}
+
+export interface GroupSpec {
+  column: string;
+  bucket?: DateBucket;
+  alias: string;
+}
+
+export interface FilterCondition {
+  column: string;
+  operator: string;
+  value?: unknown;
+}
+
+export type Filter = FilterCondition | { and: Filter[] } | { or: Filter[] };
+
+export interface HavingCondition {
+  metric: string;
+  operator: string;
+  value: number;
+}
+
+export interface AggregationRequest {
+  groupBy: GroupSpec[];
+  metrics: MetricSpec[];
+  where: Filter[];
+  having: HavingCondition[];
+  orderBy: { alias: string; direction: 'ASC' | 'DESC' };
+  limit: number;
+  includeOther: boolean;
+}
+
+export interface AggregationQuery {
+  query: string;
+  otherQuery: string | null;
+  params: unknown[];
+}
+
+export const METRIC_FUNCTIONS: MetricFunction[] = [
+  'count', 'count_distinct', 'sum', 'avg', 'min', 'max', 'median', 'percentile'
+];
+export const DATE_BUCKETS: DateBucket[] = ['day', 'week', 'month', 'quarter', 'year'];
+export const FILTER_OPERATORS = [
+  '=', '!=', '<', '<=', '>', '>=',
+  'LIKE', 'ILIKE', 'NOT LIKE', 'NOT ILIKE',
+  'IN', 'NOT IN', 'BETWEEN', 'IS NULL', 'IS NOT NULL'
+];
+export const HAVING_OPERATORS = ['=', '!=', '<', '<=', '>', '>='];
+
+export const OTHER_LABEL = 'Other';
+export const DEFAULT_LIMIT = 20;
+export const MAX_LIMIT = 500;
+const MAX_METRICS = 10;
+const MAX_GROUP_COLUMNS = 3;
+const MAX_FILTER_DEPTH = 4;
+
+// Functions that only make sense over numbers
+const NUMERIC_FUNCTIONS: MetricFunction[] = ['sum', 'avg', 'median', 'percentile'];
+const NUMERIC_TYPES = ['smallint', 'integer', 'bigint', 'numeric', 'real', 'double precision'];
+const DATE_TYPES = ['date', 'timestamp without time zone', 'timestamp with time zone'];
+const IDENTIFIER_PATTERN = /^[a-z_][a-z0-9_]*$/i;
+
+// Raised for requests that do not validate; the controller answers these with 400
+export class AggregationError extends Error {
+  details: string[];
+
+  constructor(details: string[]) {
+    super(`Invalid aggregation: ${details.join('; ')}`);
+    this.name = 'AggregationError';
+    this.details = details;
+  }
+}
+
+// Errors Postgres raises for a value its column's type rejects: invalid text representation,
+// numeric value out of range, invalid datetime format and datetime field overflow
+const INVALID_VALUE_CODES = ['22P02', '22003', '22007', '22008'];
+
+// Turn the error Postgres raised for a filter or having value the column's type rejects, such
+// as "abc" compared with an integer column, into an AggregationError; other errors give null
+export const asAggregationError = (error: unknown): AggregationError | null => {
+  const { code, message } = (error || {}) as { code?: string; message?: string };
+  return code && INVALID_VALUE_CODES.includes(code) ? new AggregationError([`value: ${message}`]) : null;
+};
+
+type QueryValue = string | string[] | undefined;
+
+const asString = (value: unknown): string | undefined =>
+  typeof value === 'string' ? value : Array.isArray(value) ? value.join(',') : undefined;
+
+const splitList = (value: QueryValue): string[] =>
+  (asString(value) || '').split(',').map(item => item.trim()).filter(Boolean);
+
+const parseJson = (value: QueryValue, name: string, errors: string[]): unknown[] => {
+  const text = asString(value);
+  if (!text) {
+    return [];
+  }
+  try {
+    const parsed = JSON.parse(text);
+    return Array.isArray(parsed) ? parsed : [parsed];
+  } catch (error) {
+    errors.push(`${name}: must be valid JSON`);
+    return [];
+  }
+};
+
+// Parse one metric, e.g. "count", "avg:yearbuilt", "p90:numfloors" or "count_distinct:bbl"
+const parseMetric = (spec: string, errors: string[]): MetricSpec | null => {
+  const [name, field] = spec.split(':').map(part => part.trim());
+  const percentileMatch = /^p(\d{1,2})$/i.exec(name);
+  const fn = (percentileMatch ? 'percentile' : name.toLowerCase()) as MetricFunction;
+
+  if (!METRIC_FUNCTIONS.includes(fn) || (fn === 'percentile' && !percentileMatch)) {
+    errors.push(`metrics: unknown function "${name}"; use one of ${METRIC_FUNCTIONS.filter(f => f !== 'percentile').join(', ')} or p1-p99`);
+    return null;
+  }
+  if (field === undefined || field === '*') {
+    if (fn !== 'count') {
+      errors.push(`metrics: ${name} needs a field, e.g. ${name}:column`);
+      return null;
+    }
+    return { fn, alias: 'count' };
+  }
+
+  const percentile = percentileMatch ? parseInt(percentileMatch[1], 10) : undefined;
+  if (percentile !== undefined && (percentile < 1 || percentile > 99)) {
+    errors.push(`metrics: percentile must be between 1 and 99, got ${percentile}`);
+    return null;
+  }
+
+  return { fn, field, percentile, alias: `${name.toLowerCase()}_${field}` };
+};
+
+// Parse one group column, e.g. "borough" or "issueddate:month"
+const parseGroup = (spec: string, errors: string[]): GroupSpec | null => {
+  const [column, bucket] = spec.split(':').map(part => part.trim());
+  if (bucket === undefined) {
+    return { column, alias: column };
+  }
+  if (!DATE_BUCKETS.includes(bucket as DateBucket)) {
+    errors.push(`groupBy: unknown date bucket "${bucket}"; use one of ${DATE_BUCKETS.join(', ')}`);
+    return null;
+  }
+  return { column, bucket: bucket as DateBucket, alias: `${column}_${bucket}` };
+};
+
+// Build an aggregation request from the query string of the aggregate endpoint
+//
+// The original single-metric parameters (groupBy, aggregateFunc, valueField) are still
+// accepted and produce the same "category" and "value" fields as before.
+export const parseAggregationRequest = (query: Record<string, unknown>): AggregationRequest => {
+  const errors: string[] = [];
+  const legacy = !query.metrics && !!query.aggregateFunc;
+
+  const groupBy = splitList(query.groupBy as QueryValue)
+    .map(spec => parseGroup(spec, errors))
+    .filter((group): group is GroupSpec => group !== null);
+
+  let metrics: MetricSpec[];
+  if (legacy) {
+    const metric = parseMetric(`${asString(query.aggregateFunc)}:${asString(query.valueField) || '*'}`, errors);
+    metrics = metric ? [{ ...metric, alias: 'value' }] : [];
+    if (groupBy.length === 1) {
+      groupBy[0] = { ...groupBy[0], alias: 'category' };
+    }
+  } else {
+    metrics = splitList((query.metrics || 'count') as QueryValue)
+      .map(spec => parseMetric(spec, errors))
+      .filter((metric): metric is MetricSpec => metric !== null);
+  }
+
+  if (groupBy.length === 0) {
+    errors.push('groupBy: at least one column is required');
+  }
+  if (groupBy.length > MAX_GROUP_COLUMNS) {
+    errors.push(`groupBy: at most ${MAX_GROUP_COLUMNS} columns are allowed`);
+  }
+  if (metrics.length > MAX_METRICS) {
+    errors.push(`metrics: at most ${MAX_METRICS} metrics are allowed`);
+  }
+
+  const aliases = [...groupBy, ...metrics].map(item => item.alias);
+  const duplicate = aliases.find((alias, index) => aliases.indexOf(alias) !== index);
+  if (duplicate) {
+    errors.push(`"${duplicate}" is requested more than once`);
+  }
+
+  const limitText = asString(query.limit);
+  const limit = limitText === undefined ? DEFAULT_LIMIT : Number(limitText);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+    errors.push(`limit: must be an integer between 1 and ${MAX_LIMIT}`);
+  }
+
+  const orderAlias = asString(query.orderBy) || (metrics[0] ? metrics[0].alias : '');
+  if (orderAlias && !aliases.includes(orderAlias)) {
+    errors.push(`orderBy: must be one of ${aliases.join(', ')}`);
+  }
+  const direction = (asString(query.order) || 'desc').toUpperCase();
+  if (direction !== 'ASC' && direction !== 'DESC') {
+    errors.push('order: must be asc or desc');
+  }
+
+  const where = parseJson(query.where as QueryValue, 'where', errors) as Filter[];
+  const having = parseJson(query.having as QueryValue, 'having', errors) as HavingCondition[];
+
+  if (errors.length > 0) {
+    throw new AggregationError(errors);
+  }
+
+  return {
+    groupBy,
+    metrics,
+    where,
+    having,
+    orderBy: { alias: orderAlias, direction: direction as 'ASC' | 'DESC' },
+    limit,
+    includeOther: ['true', '1'].includes(asString(query.other) || '')
+  };
+};
+
+const isScalar = (value: unknown): boolean =>
+  typeof value === 'string' || typeof value === 'boolean' ||
+  (typeof value === 'number' && Number.isFinite(value));
+
+const groupKeyOf = (filter: Filter): 'and' | 'or' | null =>
+  'and' in filter ? 'and' : 'or' in filter ? 'or' : null;
+
+// Check a WHERE filter and its nested groups against the dataset columns
+const validateFilter = (filter: Filter, columns: Map<string, string>, path: string, depth: number): string[] => {
+  if (!filter || typeof filter !== 'object' || Array.isArray(filter)) {
+    return [`${path}: must be an object`];
+  }
+
+  const groupKey = groupKeyOf(filter);
+  if (groupKey) {
+    const children = (filter as Record<string, unknown>)[groupKey];
+    if (depth >= MAX_FILTER_DEPTH) {
+      return [`${path}: groups may be nested at most ${MAX_FILTER_DEPTH} deep`];
+    }
+    if (!Array.isArray(children) || children.length === 0) {
+      return [`${path}.${groupKey}: must be a non-empty array of filters`];
+    }
+    return children.reduce((errors: string[], child: Filter, index: number) =>
+      errors.concat(validateFilter(child, columns, `${path}.${groupKey}[${index}]`, depth + 1)), []);
+  }
+
+  const { column, operator, value } = filter as FilterCondition;
+  const errors: string[] = [];
+
+  if (typeof column !== 'string' || !IDENTIFIER_PATTERN.test(column) || !columns.has(column)) {
+    errors.push(`${path}.column: unknown column ${JSON.stringify(column)}`);
+  }
+  if (!FILTER_OPERATORS.includes(operator)) {
+    errors.push(`${path}.operator: must be one of ${FILTER_OPERATORS.join(', ')}`);
+  } else if (operator === 'IN' || operator === 'NOT IN') {
+    if (!Array.isArray(value) || value.length === 0 || !value.every(isScalar)) {
+      errors.push(`${path}.value: ${operator} requires a non-empty array of values`);
+    }
+  } else if (operator === 'BETWEEN') {
+    if (!Array.isArray(value) || value.length !== 2 || !value.every(bound => bound === null || isScalar(bound)) ||
+      (value[0] === null && value[1] === null)) {
+      errors.push(`${path}.value: BETWEEN requires two values, either of which may be null for an open range`);
+    }
+  } else if (operator !== 'IS NULL' && operator !== 'IS NOT NULL' && !isScalar(value)) {
+    errors.push(`${path}.value: ${operator} requires a string, number or boolean`);
+  }
+
+  return errors;
+};
+
+// Check every column, function and condition of a request against the dataset columns
+export const validateAggregationRequest = (request: AggregationRequest, columnInfo: ColumnInfo[]): void => {
+  const columns = new Map(columnInfo.map(({ column_name, data_type }) => [column_name, data_type] as [string, string]));
+  const errors: string[] = [];
+
+  request.groupBy.forEach(group => {
+    const type = columns.get(group.column);
+    if (!IDENTIFIER_PATTERN.test(group.column) || type === undefined) {
+      errors.push(`groupBy: unknown column "${group.column}"`);
+    } else if (group.bucket && !DATE_TYPES.includes(type)) {
+      errors.push(`groupBy: "${group.column}" is ${type}, so it cannot be bucketed by ${group.bucket}`);
+    }
+  });
+
+  request.metrics.forEach(metric => {
+    if (metric.field === undefined) {
+      return;
+    }
+    const type = columns.get(metric.field);
+    if (!IDENTIFIER_PATTERN.test(metric.field) || type === undefined) {
+      errors.push(`metrics: unknown column "${metric.field}"`);
+    } else if (NUMERIC_FUNCTIONS.includes(metric.fn) && !NUMERIC_TYPES.includes(type)) {
+      errors.push(`metrics: ${metric.alias} needs a numeric column, but "${metric.field}" is ${type}`);
+    }
+  });
+
+  request.where.forEach((filter, index) => {
+    errors.push(...validateFilter(filter, columns, `where[${index}]`, 0));
+  });
+
+  const metricAliases = request.metrics.map(metric => metric.alias);
+  request.having.forEach((condition, index) => {
+    if (!condition || !metricAliases.includes(condition.metric)) {
+      errors.push(`having[${index}].metric: must be one of ${metricAliases.join(', ')}`);
+    }
+    if (!condition || !HAVING_OPERATORS.includes(condition.operator)) {
+      errors.push(`having[${index}].operator: must be one of ${HAVING_OPERATORS.join(', ')}`);
+    }
+    if (!condition || typeof condition.value !== 'number' || !Number.isFinite(condition.value)) {
+      errors.push(`having[${index}].value: must be a number`);
+    }
+  });
+
+  if (errors.length > 0) {
+    throw new AggregationError(errors);
+  }
+};
+
+const quote = (identifier: string): string => `"${identifier}"`;
+
+const groupExpression = (group: GroupSpec): string =>
+  group.bucket
+    ? `date_trunc('${group.bucket}', ${quote(group.column)})::date`
+    : quote(group.column);
+
+const metricExpression = (metric: MetricSpec): string => {
+  const field = metric.field ? quote(metric.field) : '*';
+  switch (metric.fn) {
+    case 'count_distinct':
+      return `COUNT(DISTINCT ${field})`;
+    case 'median':
+      return `percentile_cont(0.5) WITHIN GROUP (ORDER BY ${field})`;
+    case 'percentile':
+      return `percentile_cont(${(metric.percentile as number) / 100}) WITHIN GROUP (ORDER BY ${field})`;
+    default:
+      return `${metric.fn.toUpperCase()}(${field})`;
+  }
+};
+
+// Compile a WHERE filter that has been validated
+const compileFilter = (filter: Filter, addParam: (value: unknown) => string): string => {
+  const groupKey = groupKeyOf(filter);
+  if (groupKey) {
+    const children = ((filter as Record<string, Filter[]>)[groupKey]).map(child => compileFilter(child, addParam));
+    return children.length === 1 ? children[0] : `(${children.join(` ${groupKey.toUpperCase()} `)})`;
+  }
+
+  const { column, operator, value } = filter as FilterCondition;
+  const target = quote(column);
+
+  switch (operator) {
+    case 'IN':
+      return `${target} = ANY(${addParam(value)})`;
+    case 'NOT IN':
+      return `${target} <> ALL(${addParam(value)})`;
+    case 'IS NULL':
+    case 'IS NOT NULL':
+      return `${target} ${operator}`;
+    case 'BETWEEN': {
+      const [start, end] = value as unknown[];
+      if (start === null) {
+        return `${target} <= ${addParam(end)}`;
+      }
+      if (end === null) {
+        return `${target} >= ${addParam(start)}`;
+      }
+      return `${target} BETWEEN ${addParam(start)} AND ${addParam(end)}`;
+    }
+    default:
+      return `${target} ${operator} ${addParam(value)}`;
+  }
+};
+
+// Build the SQL for a validated request
+//
+// The main query returns the top groups. When an "Other" bucket is requested, otherQuery
+// aggregates the raw rows of every remaining group so that averages, medians and distinct
+// counts are computed over the rows themselves rather than over per-group results. Both
+// queries take the same parameters.
+export const buildAggregationQuery = (table: string, request: AggregationRequest): AggregationQuery => {
+  const params: unknown[] = [];
+  const addParam = (value: unknown): string => {
+    params.push(value);
+    return `$${params.length}`;
+  };
+
+  const groupExpressions = request.groupBy.map(groupExpression);
+  const metricExpressions = new Map(request.metrics.map(metric => [metric.alias, metricExpression(metric)] as [string, string]));
+
+  const whereConditions = request.where.map(filter => compileFilter(filter, addParam));
+  const whereClause = whereConditions.length > 0 ? `WHERE ${whereConditions.join(' AND ')}` : '';
+  const havingConditions = request.having.map(condition =>
+    `${metricExpressions.get(condition.metric)} ${condition.operator} ${addParam(condition.value)}::numeric`);
+
+  const selectList = [
+    ...request.groupBy.map((group, index) => `${groupExpressions[index]} AS ${quote(group.alias)}`),
+    ...request.metrics.map(metric => `${metricExpressions.get(metric.alias)} AS ${quote(metric.alias)}`)
+  ];
+  const orderClause = `ORDER BY ${quote(request.orderBy.alias)} ${request.orderBy.direction} NULLS LAST, ${request.groupBy.map(group => quote(group.alias)).join(', ')}`;
+
+  const groupedCte = [
+    'WITH grouped AS (',
+    `  SELECT ${selectList.join(', ')}`,
+    `  FROM ${quote(table)}`,
+    ...(whereClause ? [`  ${whereClause}`] : []),
+    `  GROUP BY ${groupExpressions.join(', ')}`,
+    ...(havingConditions.length > 0 ? [`  HAVING ${havingConditions.join(' AND ')}`] : []),
+    '),',
+    'top_groups AS (',
+    `  SELECT * FROM grouped ${orderClause} LIMIT ${addParam(request.limit)}`,
+    ')'
+  ];
+
+  const query = [...groupedCte, 'SELECT * FROM top_groups', orderClause].join('\n');
+
+  if (!request.includeOther) {
+    return { query, otherQuery: null, params };
+  }
+
+  const matchesGroup = (source: string): string => request.groupBy
+    .map((group, index) => `${source}.${quote(group.alias)} IS NOT DISTINCT FROM ${groupExpressions[index]}`)
+    .join(' AND ');
+  const otherConditions = [
+    ...whereConditions,
+    // Groups removed by HAVING are left out of "Other" as well
+    ...(havingConditions.length > 0 ? [`EXISTS (SELECT 1 FROM grouped g WHERE ${matchesGroup('g')})`] : []),
+    `NOT EXISTS (SELECT 1 FROM top_groups t WHERE ${matchesGroup('t')})`
+  ];
+
+  const otherQuery = [
+    ...groupedCte,
+    `SELECT ${[...request.metrics.map(metric => `${metricExpressions.get(metric.alias)} AS ${quote(metric.alias)}`), 'COUNT(*) AS "__rows"'].join(', ')}`,
+    `FROM ${quote(table)}`,
+    `WHERE ${otherConditions.join(' AND ')}`
+  ].join('\n');
+
+  return { query, otherQuery, params };
+};
+
+// Cache key of an aggregation. Filters and having conditions are combined with AND, so
+// requests listing them in another order share a key.
+export const aggregationCacheKey = (table: string, request: AggregationRequest): string =>
+  generateCacheKey('aggregate', {
+    ...request,
+    table,
+    where: request.where.map(canonicalStringify).sort(),
+    having: request.having.map(canonicalStringify).sort()
+  });
+
+// Run an aggregation and return its rows, with the "Other" bucket last when requested
+export const runAggregation = async (table: string, request: AggregationRequest): Promise<Record<string, unknown>[]> => {
+  const { query, otherQuery, params } = buildAggregationQuery(table, request);
+  const result = await pool.query(query, params);
+  const rows: Record<string, unknown>[] = result.rows;
+
+  if (!otherQuery) {
+    return rows;
+  }
+
+  const otherResult = await pool.query(otherQuery, params);
+  const { __rows: otherRows, ...otherMetrics } = otherResult.rows[0] || { __rows: 0 };
+  if (Number(otherRows) === 0) {
+    return rows;
+  }
+
+  const otherGroups = request.groupBy.reduce<Record<string, unknown>>(
+    (groups, group) => ({ ...groups, [group.alias]: OTHER_LABEL }),
+    {}
+  );
+  return [...rows, { ...otherGroups, ...otherMetrics }];
+};
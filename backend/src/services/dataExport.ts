@@ -0,0 +1,259 @@
+import { Response } from 'express';
+import pool from '../config/database';
+import { ColumnInfo } from './datasetSchema';
+
+// Streaming export for GET /api/datasets/:id/export
+//
+// Rows are read through a server-side cursor a batch at a time and written to the response
+// as NDJSON or CSV, waiting for the client to drain the socket between batches, so memory use
+// does not grow with the size of the export. Filters and ordering use the same syntax as
+// /api/datasets/:id/data ("field.op.value" and "field.asc"), checked against the dataset's
+// columns and bound as $n parameters.
+
+export type ExportFormat = 'ndjson' | 'csv';
+
+export const EXPORT_FORMATS: Record<ExportFormat, { contentType: string; extension: string }> = {
+  ndjson: { contentType: 'application/x-ndjson', extension: 'ndjson' },
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' }
+};
+
+// Filter operators of the data endpoint and their SQL equivalents
+const FILTER_OPERATORS: Record<string, string> = {
+  eq: '=',
+  neq: '<>',
+  gt: '>',
+  gte: '>=',
+  lt: '<',
+  lte: '<=',
+  like: 'LIKE',
+  ilike: 'ILIKE'
+};
+
+const parseCap = (value: string | undefined, fallback: number): number => {
+  const cap = parseInt(value || '', 10);
+  return Number.isInteger(cap) && cap > 0 ? cap : fallback;
+};
+
+// Most rows a single export may return, by role of the requesting user
+export const EXPORT_ROW_CAPS: Record<string, number> = {
+  user: parseCap(process.env.EXPORT_ROW_CAP_USER, 1000000),
+  admin: parseCap(process.env.EXPORT_ROW_CAP_ADMIN, 10000000)
+};
+
+// Rows read from the cursor per round trip
+const FETCH_SIZE = parseCap(process.env.EXPORT_FETCH_SIZE, 1000);
+
+// Raised for exports that do not validate; the controller answers these with 400
+export class ExportRequestError extends Error {
+  details: string[];
+
+  constructor(details: string[]) {
+    super(`Invalid export: ${details.join('; ')}`);
+    this.name = 'ExportRequestError';
+    this.details = details;
+  }
+}
+
+export interface ExportOptions {
+  filter?: string;
+  order?: string;
+  limit?: string;
+  role?: string;
+}
+
+export interface ExportQuery {
+  query: string;
+  params: unknown[];
+  columns: string[];
+  rowCap: number;
+}
+
+// Get the row cap for a role, falling back to that of ordinary users
+export const getRowCap = (role?: string): number =>
+  (role && EXPORT_ROW_CAPS[role]) || EXPORT_ROW_CAPS.user;
+
+const quote = (identifier: string): string => `"${identifier}"`;
+
+// Build the query for an export, checking every column against the dataset
+export const buildExportQuery = (table: string, columnInfo: ColumnInfo[], options: ExportOptions): ExportQuery => {
+  const columns = columnInfo.map(column => column.column_name);
+  const params: unknown[] = [];
+  const errors: string[] = [];
+
+  // Filters are comma-separated "field.op.value" terms; the value may itself contain dots
+  const conditions = (options.filter || '').split(',').filter(Boolean).map(term => {
+    const [field, operator, ...valueParts] = term.split('.');
+    const value = valueParts.join('.');
+
+    if (!columns.includes(field)) {
+      errors.push(`filter: unknown column "${field}"`);
+      return '';
+    }
+    if (!FILTER_OPERATORS[operator]) {
+      errors.push(`filter: unknown operator "${operator}"; use one of ${Object.keys(FILTER_OPERATORS).join(', ')}`);
+      return '';
+    }
+
+    // PostgREST patterns use * as the wildcard
+    params.push(operator === 'like' || operator === 'ilike' ? value.replace(/\*/g, '%') : value);
+    return `${quote(field)} ${FILTER_OPERATORS[operator]} $${params.length}`;
+  });
+
+  const ordering = (options.order || '').split(',').filter(Boolean).map(term => {
+    const [field, direction = 'asc'] = term.split('.');
+
+    if (!columns.includes(field)) {
+      errors.push(`order: unknown column "${field}"`);
+      return '';
+    }
+    if (direction !== 'asc' && direction !== 'desc') {
+      errors.push(`order: direction must be asc or desc, got "${direction}"`);
+      return '';
+    }
+    return `${quote(field)} ${direction.toUpperCase()}`;
+  });
+
+  const rowCap = getRowCap(options.role);
+  let limit = rowCap;
+  if (options.limit !== undefined) {
+    const requested = Number(options.limit);
+    if (!Number.isInteger(requested) || requested < 1) {
+      errors.push('limit: must be a positive integer');
+    } else {
+      limit = Math.min(requested, rowCap);
+    }
+  }
+
+  if (errors.length > 0) {
+    throw new ExportRequestError(errors);
+  }
+
+  params.push(limit);
+  const query = [
+    `SELECT ${columns.map(quote).join(', ')}`,
+    `FROM ${quote(table)}`,
+    ...(conditions.length > 0 ? [`WHERE ${conditions.join(' AND ')}`] : []),
+    ...(ordering.length > 0 ? [`ORDER BY ${ordering.join(', ')}`] : []),
+    `LIMIT $${params.length}`
+  ].join('\n');
+
+  return { query, params, columns, rowCap };
+};
+
+// Format a value as a CSV field, quoting it when needed
+export const toCsvField = (value: unknown): string => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  const text = value instanceof Date
+    ? value.toISOString()
+    : typeof value === 'object' ? JSON.stringify(value) : String(value);
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Format rows as lines of the export format
+export const formatRows = (format: ExportFormat, rows: Record<string, unknown>[], columns: string[]): string =>
+  rows
+    .map(row => (format === 'csv'
+      ? columns.map(column => toCsvField(row[column])).join(',')
+      : JSON.stringify(row)))
+    .join('\n') + '\n';
+
+// Wait until the response can take more data, or the client has gone away
+const waitForDrain = (res: Response): Promise<void> =>
+  new Promise(resolve => {
+    // A destroyed response emits neither event again
+    if (res.destroyed) {
+      resolve();
+      return;
+    }
+
+    const done = () => {
+      res.off('drain', done);
+      res.off('close', done);
+      resolve();
+    };
+    res.on('drain', done);
+    res.on('close', done);
+  });
+
+// Stream the rows of an export query to the response. Resolves with the number of rows
+// written, and whether the client disconnected before the export was complete. The
+// response is left open so the caller can end it.
+export const streamExport = async (
+  res: Response,
+  format: ExportFormat,
+  { query, params, columns }: ExportQuery
+): Promise<{ rowCount: number; cancelled: boolean }> => {
+  const client = await pool.connect();
+  let cancelled = false;
+  let running = false;
+  let backendPid: number | null = null;
+  let rowCount = 0;
+
+  // The response closing before it has finished means the client went away. A statement
+  // still running, such as the first FETCH sorting the rows, is cancelled from another
+  // connection, since the client's own connection is busy.
+  const onClose = () => {
+    if (res.writableFinished) {
+      return;
+    }
+    cancelled = true;
+    if (running && backendPid !== null) {
+      pool.query('SELECT pg_cancel_backend($1)', [backendPid])
+        .catch(error => console.error('Error cancelling export query:', error));
+    }
+  };
+  res.on('close', onClose);
+
+  // Run a statement that is cancelled if the client goes away while it runs
+  const run = async (text: string, values?: unknown[]) => {
+    running = true;
+    try {
+      return await client.query(text, values);
+    } finally {
+      running = false;
+    }
+  };
+
+  const clientGone = () => cancelled || res.destroyed;
+
+  try {
+    await client.query('BEGIN READ ONLY');
+    backendPid = (await client.query('SELECT pg_backend_pid() AS pid')).rows[0].pid;
+    await run(`DECLARE export_cursor NO SCROLL CURSOR FOR ${query}`, params);
+
+    if (format === 'csv' && !clientGone()) {
+      res.write(`${columns.map(toCsvField).join(',')}\n`);
+    }
+
+    while (!clientGone()) {
+      const { rows } = await run(`FETCH ${FETCH_SIZE} FROM export_cursor`);
+      if (rows.length === 0 || clientGone()) {
+        break;
+      }
+
+      rowCount += rows.length;
+      if (!res.write(formatRows(format, rows, columns))) {
+        await waitForDrain(res);
+      }
+    }
+
+    // Closing the transaction closes the cursor
+    const gone = clientGone();
+    await client.query(gone ? 'ROLLBACK' : 'COMMIT');
+    return { rowCount, cancelled: gone };
+  } catch (error) {
+    await client.query('ROLLBACK').catch(() => undefined);
+    // A statement cancelled because the client went away is not an error
+    if (clientGone()) {
+      return { rowCount, cancelled: true };
+    }
+    throw error;
+  } finally {
+    res.off('close', onClose);
+    client.release();
+  }
+};
@@ -0,0 +1,43 @@
+import pool from '../config/database';
+
+export interface ColumnInfo {
+  column_name: string;
+  data_type: string;
+}
+
+// Only plain table names can be looked up; anything else cannot be a dataset
+export const isDatasetName = (name: string): boolean => /^[a-z_][a-z0-9_]*$/i.test(name);
+
+// Tables loaded by nycdb that may be read in bulk. The app's own tables (users,
+// saved_queries, user_preferences) share the public schema, so every other table is refused.
+export const NYCDB_DATASETS: readonly string[] = [
+  'pluto',
+  'hpd_violations',
+  'hpd_complaints',
+  'hpd_complaint_problems',
+  'hpd_registrations',
+  'hpd_contacts',
+  'dob_violations',
+  'dob_complaints',
+  'dob_permits',
+  'ecb_violations',
+  'rentstab'
+];
+
+export const isNycdbDataset = (name: string): boolean => NYCDB_DATASETS.includes(name);
+
+// Read the columns of a dataset; an empty list means the dataset does not exist
+export const getDatasetColumns = async (table: string): Promise<ColumnInfo[]> => {
+  if (!isDatasetName(table)) {
+    return [];
+  }
+
+  const result = await pool.query(
+    `SELECT column_name, data_type
+     FROM information_schema.columns
+     WHERE table_schema = 'public' AND table_name = $1
+     ORDER BY ordinal_position`,
+    [table]
+  );
+  return result.rows;
+};
@@ -0,0 +1,107 @@
+import crypto from 'crypto';
+
+// In-process cache of query results, used by GET /api/datasets/:id/aggregate
+//
+// Results are cached under `${kind}:${sha256}` of the canonical JSON of their parameters, so
+// requests that differ only in the order of object keys share an entry. Each kind of result
+// has its own TTL, set with CACHE_TTL_<KIND>_SECONDS, and CACHE_TTL_SECONDS sets the TTL of
+// other kinds. Concurrent misses for a key share one fetch. Set DATA_CACHE=off to always read
+// the database.
+
+export interface CachedResult<T> {
+  value: T;
+  cacheHit: boolean;
+  cachedAt: number;
+}
+
+interface CacheEntry {
+  value: unknown;
+  cachedAt: number;
+  expiresAt: number;
+}
+
+export const DEFAULT_CACHE_TTLS_SECONDS: Record<string, number> = {
+  aggregate: 3600
+};
+const FALLBACK_TTL_SECONDS = 600;
+
+// Oldest entries are dropped past this many
+const MAX_ENTRIES = 1000;
+
+const entries = new Map<string, CacheEntry>();
+const inFlight = new Map<string, Promise<CacheEntry>>();
+
+export const isCacheEnabled = (): boolean => process.env.DATA_CACHE !== 'off';
+
+// JSON with object keys sorted at every level
+export const canonicalStringify = (value: unknown): string => {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    const record = value as Record<string, unknown>;
+    return `{${Object.keys(record)
+      .filter(key => record[key] !== undefined)
+      .sort()
+      .map(key => `${JSON.stringify(key)}:${canonicalStringify(record[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+};
+
+export const generateCacheKey = (kind: string, params: unknown): string =>
+  `${kind}:${crypto.createHash('sha256').update(canonicalStringify(params)).digest('hex')}`;
+
+export const getCacheTtl = (kind: string): number => {
+  const configured = Number(process.env[`CACHE_TTL_${kind.toUpperCase()}_SECONDS`]);
+  if (Number.isFinite(configured) && configured > 0) {
+    return configured;
+  }
+  if (DEFAULT_CACHE_TTLS_SECONDS[kind]) {
+    return DEFAULT_CACHE_TTLS_SECONDS[kind];
+  }
+  const fallback = Number(process.env.CACHE_TTL_SECONDS);
+  return Number.isFinite(fallback) && fallback > 0 ? fallback : FALLBACK_TTL_SECONDS;
+};
+
+const store = (key: string, entry: CacheEntry): void => {
+  entries.delete(key);
+  entries.set(key, entry);
+
+  // Maps keep insertion order, so the first keys are the oldest
+  while (entries.size > MAX_ENTRIES) {
+    entries.delete(entries.keys().next().value as string);
+  }
+};
+
+// Return the cached value of a key, or fetch and cache it for ttlSeconds
+export const getOrFetch = async <T>(
+  key: string,
+  ttlSeconds: number,
+  fetch: () => Promise<T>
+): Promise<CachedResult<T>> => {
+  if (!isCacheEnabled()) {
+    return { value: await fetch(), cacheHit: false, cachedAt: Date.now() };
+  }
+
+  const cached = entries.get(key);
+  if (cached && cached.expiresAt > Date.now()) {
+    return { value: cached.value as T, cacheHit: true, cachedAt: cached.cachedAt };
+  }
+
+  let pending = inFlight.get(key);
+  if (!pending) {
+    pending = fetch()
+      .then(value => {
+        const cachedAt = Date.now();
+        const entry = { value, cachedAt, expiresAt: cachedAt + ttlSeconds * 1000 };
+        store(key, entry);
+        return entry;
+      })
+      .finally(() => inFlight.delete(key));
+    inFlight.set(key, pending);
+  }
+
+  const entry = await pending;
+  return { value: entry.value as T, cacheHit: false, cachedAt: entry.cachedAt };
+};
@@ -125,4 +125,78 @@ else
   print_result 1 "Save query endpoint" "No token available"
 fi
 
+# Test 11: Multi-metric aggregation
+echo -e "\nTest 11: Multi-metric aggregation"
+response=$(curl -s -o /dev/null -w "%{http_code}" -G \
+  --data-urlencode "groupBy=boroid,inspectiondate:year" \
+  --data-urlencode "metrics=count,count_distinct:buildingid,max:inspectiondate" \
+  --data-urlencode 'where=[{"column":"class","operator":"IN","value":["B","C"]}]' \
+  --data-urlencode 'having=[{"metric":"count","operator":">","value":10}]' \
+  --data-urlencode "limit=5" \
+  --data-urlencode "other=true" \
+  $API_URL/datasets/hpd_violations/aggregate)
+[ "$response" = "200" ]
+print_result $? "Multi-metric aggregate endpoint" $response
+
+# Test 12: Aggregation rejects identifiers that are not columns
+echo -e "\nTest 12: Aggregation rejects identifiers that are not columns"
+response=$(curl -s -o /dev/null -w "%{http_code}" -G \
+  --data-urlencode "groupBy=boroid; DROP TABLE users" \
+  --data-urlencode "metrics=sum:class" \
+  $API_URL/datasets/hpd_violations/aggregate)
+[ "$response" = "400" ]
+print_result $? "Aggregate endpoint validation" $response
+
+# Test 13: Aggregation rejects values the column type does not accept
+echo -e "\nTest 13: Aggregation rejects values the column type does not accept"
+response=$(curl -s -o /dev/null -w "%{http_code}" -G \
+  --data-urlencode "groupBy=boroid" \
+  --data-urlencode 'where=[{"column":"buildingid","operator":"=","value":"abc"}]' \
+  $API_URL/datasets/hpd_violations/aggregate)
+[ "$response" = "400" ]
+print_result $? "Aggregate endpoint rejects invalid filter values" $response
+
+# Test 14: Aggregation refuses tables that are not nycdb datasets
+echo -e "\nTest 14: Aggregation refuses tables that are not nycdb datasets"
+response=$(curl -s -o /dev/null -w "%{http_code}" -G \
+  --data-urlencode "groupBy=password" \
+  $API_URL/datasets/users/aggregate)
+[ "$response" = "403" ]
+print_result $? "Aggregate endpoint refuses the users table" $response
+
+# Test 15: Stream an export (authenticated)
+echo -e "\nTest 15: Stream an export (authenticated)"
+if [ -n "$TOKEN" ]; then
+  export_lines=$(curl -s -G \
+    -H "Authorization: Bearer $TOKEN" \
+    --data-urlencode "format=csv" \
+    --data-urlencode "filter=boroid.eq.2" \
+    --data-urlencode "order=violationid.asc" \
+    --data-urlencode "limit=5" \
+    $API_URL/datasets/hpd_violations/export | wc -l)
+  # A header line and five rows
+  [ "$export_lines" -eq 6 ]
+  print_result $? "Export endpoint" "$export_lines lines"
+else
+  print_result 1 "Export endpoint" "No token available"
+fi
+
+# Test 16: Exports require authentication
+echo -e "\nTest 16: Exports require authentication"
+response=$(curl -s -o /dev/null -w "%{http_code}" $API_URL/datasets/hpd_violations/export)
+[ "$response" = "401" ]
+print_result $? "Export endpoint authentication" $response
+
+# Test 17: Exports refuse tables that are not nycdb datasets
+echo -e "\nTest 17: Exports refuse tables that are not nycdb datasets"
+if [ -n "$TOKEN" ]; then
+  response=$(curl -s -o /dev/null -w "%{http_code}" \
+    -H "Authorization: Bearer $TOKEN" \
+    $API_URL/datasets/users/export)
+  [ "$response" = "403" ]
+  print_result $? "Export endpoint refuses the users table" $response
+else
+  print_result 1 "Export endpoint refuses the users table" "No token available"
+fi
+
 echo -e "\nAPI Tests Completed"
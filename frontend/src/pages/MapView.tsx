@@ -12,7 +12,9 @@ import {
   MenuItem,
   SelectChangeEvent,
   Tabs,
-  Tab
+  Tab,
+  TextField,
+  Button
 } from '@mui/material';
 import { useSelector, useDispatch } from 'react-redux';
 import { RootState, AppDispatch } from '../store';
@@ -28,6 +30,29 @@ const API_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000/api';
 // For this demo, we're using a placeholder
 const MAPBOX_TOKEN = 'pk.placeholder.mapbox.token';
 
+type AreaMode = 'view' | 'radius' | 'polygon';
+type Position = [number, number];
+
+const FEET_TO_METERS = 0.3048;
+
+/**
+ * Approximate a circle on the map with a polygon, for drawing a search radius
+ * @param center - [longitude, latitude] of the center
+ * @param radiusMeters - Radius in meters
+ * @returns Closed ring of [longitude, latitude] positions
+ */
+function circleRing(center: Position, radiusMeters: number): Position[] {
+  const [lng, lat] = center;
+  const latDelta = radiusMeters / 111195;
+  const lngDelta = latDelta / Math.cos(lat * Math.PI / 180);
+  const ring: Position[] = [];
+  for (let step = 0; step <= 64; step++) {
+    const angle = (step / 64) * 2 * Math.PI;
+    ring.push([lng + lngDelta * Math.cos(angle), lat + latDelta * Math.sin(angle)]);
+  }
+  return ring;
+}
+
 interface TabPanelProps {
   children?: React.ReactNode;
   index: number;
@@ -67,8 +92,18 @@ const MapView: React.FC = () => {
   const [selectedLatField, setSelectedLatField] = useState('');
   const [selectedLngField, setSelectedLngField] = useState('');
   const [selectedColorField, setSelectedColorField] = useState('');
+  const [areaQuery, setAreaQuery] = useState('');
+  const [areaMode, setAreaMode] = useState<AreaMode>('view');
+  const [radiusFeet, setRadiusFeet] = useState(500);
+  const [center, setCenter] = useState<Position | null>(null);
+  const [vertices, setVertices] = useState<Position[]>([]);
+  const [areaLoading, setAreaLoading] = useState(false);
+  const [areaError, setAreaError] = useState<string | null>(null);
+  const [areaSummary, setAreaSummary] = useState<string | null>(null);
 
   const mapContainerRef = React.useRef<HTMLDivElement>(null);
+  // Map click handlers are registered once, so they read the current mode from a ref
+  const areaModeRef = React.useRef<AreaMode>('view');
 
   useEffect(() => {
     dispatch(fetchDatasets());
@@ -102,12 +137,61 @@ const MapView: React.FC = () => {
         setMap(newMap);
       });
 
+      // Clicks place the center of a search radius or the corners of a search polygon
+      newMap.on('click', (event) => {
+        const position: Position = [event.lngLat.lng, event.lngLat.lat];
+        if (areaModeRef.current === 'radius') {
+          setCenter(position);
+        } else if (areaModeRef.current === 'polygon') {
+          setVertices(previous => [...previous, position]);
+        }
+      });
+
       return () => {
         newMap.remove();
       };
     }
   }, [map]);
 
+  // Draw the search area as it is placed
+  useEffect(() => {
+    if (!map) return;
+
+    let ring: Position[] = [];
+    if (areaMode === 'radius' && center) {
+      ring = circleRing(center, radiusFeet * FEET_TO_METERS);
+    } else if (areaMode === 'polygon' && vertices.length >= 3) {
+      ring = [...vertices, vertices[0]];
+    }
+
+    const data: any = {
+      type: 'FeatureCollection',
+      features: ring.length > 0
+        ? [{ type: 'Feature', geometry: { type: 'Polygon', coordinates: [ring] }, properties: {} }]
+        : []
+    };
+
+    const source = map.getSource('search-area') as mapboxgl.GeoJSONSource | undefined;
+    if (source) {
+      source.setData(data);
+      return;
+    }
+
+    map.addSource('search-area', { type: 'geojson', data });
+    map.addLayer({
+      id: 'search-area-fill',
+      type: 'fill',
+      source: 'search-area',
+      paint: { 'fill-color': '#ff9800', 'fill-opacity': 0.15 }
+    });
+    map.addLayer({
+      id: 'search-area-outline',
+      type: 'line',
+      source: 'search-area',
+      paint: { 'line-color': '#ff9800', 'line-width': 2 }
+    });
+  }, [map, areaMode, center, radiusFeet, vertices]);
+
   const fetchDatasetColumns = async () => {
     try {
       const response = await axios.get(`${API_URL}/datasets/${selectedDataset}`);
@@ -133,6 +217,89 @@ const MapView: React.FC = () => {
     setSelectedColorField(event.target.value);
   };
 
+  const handleAreaModeChange = (event: SelectChangeEvent) => {
+    const mode = event.target.value as AreaMode;
+    areaModeRef.current = mode;
+    setAreaMode(mode);
+    setAreaError(null);
+  };
+
+  const clearArea = () => {
+    setCenter(null);
+    setVertices([]);
+  };
+
+  // Build the spatial filter for the selected area, or null if it has not been placed yet
+  const buildArea = () => {
+    if (areaMode === 'view') {
+      if (!map) return null;
+      const bounds = map.getBounds();
+      return { type: 'bbox', bbox: [bounds.getWest(), bounds.getSouth(), bounds.getEast(), bounds.getNorth()] };
+    }
+    if (areaMode === 'radius') {
+      return center ? { type: 'radius', point: center, radius: radiusFeet * FEET_TO_METERS } : null;
+    }
+    return vertices.length >= 3
+      ? { type: 'polygon', geometry: { type: 'Polygon', coordinates: [[...vertices, vertices[0]]] } }
+      : null;
+  };
+
+  // Ask a question about the buildings inside the area and plot the buildings found
+  const searchArea = async () => {
+    if (!map || !areaQuery.trim()) return;
+
+    const area = buildArea();
+    if (!area) {
+      setAreaError(areaMode === 'radius'
+        ? 'Click the map to place the center of the search radius'
+        : 'Click the map to place at least three corners of the search area');
+      return;
+    }
+
+    setAreaLoading(true);
+    setAreaError(null);
+    setAreaSummary(null);
+
+    try {
+      const response = await axios.post(`${API_URL}/ai/query`, { query: areaQuery.trim(), area });
+      const result = response.data.response;
+      const rows = (result.results ? result.results.data : []).filter((row: any) =>
+        row.latitude !== null && row.latitude !== undefined && row.longitude !== null && row.longitude !== undefined
+      );
+
+      const data: any = {
+        type: 'FeatureCollection',
+        features: rows.map((row: any) => ({
+          type: 'Feature',
+          geometry: { type: 'Point', coordinates: [parseFloat(row.longitude), parseFloat(row.latitude)] },
+          properties: row
+        }))
+      };
+
+      const source = map.getSource('area-results') as mapboxgl.GeoJSONSource | undefined;
+      if (source) {
+        source.setData(data);
+      } else {
+        map.addSource('area-results', { type: 'geojson', data });
+        map.addLayer({
+          id: 'area-results-layer',
+          type: 'circle',
+          source: 'area-results',
+          paint: { 'circle-radius': 5, 'circle-color': '#f44336', 'circle-opacity': 0.8 }
+        });
+      }
+
+      setAreaSummary(result.clarificationId
+        ? result.text
+        : `${rows.length} building${rows.length === 1 ? '' : 's'} found in the area`);
+    } catch (error: any) {
+      console.error('Error searching area:', error);
+      setAreaError(error.response?.data?.message || 'Failed to search the area');
+    } finally {
+      setAreaLoading(false);
+    }
+  };
+
   const handleTabChange = (event: React.SyntheticEvent, newValue: number) => {
     setTabValue(newValue);
   };
@@ -393,6 +560,63 @@ const MapView: React.FC = () => {
               </Box>
             )}
           </Box>
+
+          <Typography variant="h6" sx={{ mt: 3 }} gutterBottom>
+            Ask About an Area
+          </Typography>
+          <Grid container spacing={3} alignItems="center">
+            <Grid item xs={12} md={5}>
+              <TextField
+                fullWidth
+                label="Question"
+                placeholder="Which buildings have open violations?"
+                value={areaQuery}
+                onChange={(event) => setAreaQuery(event.target.value)}
+              />
+            </Grid>
+            <Grid item xs={12} md={3}>
+              <FormControl fullWidth>
+                <InputLabel>Area</InputLabel>
+                <Select value={areaMode} label="Area" onChange={handleAreaModeChange}>
+                  <MenuItem value="view">Visible map</MenuItem>
+                  <MenuItem value="radius">Radius around a point</MenuItem>
+                  <MenuItem value="polygon">Drawn polygon</MenuItem>
+                </Select>
+              </FormControl>
+            </Grid>
+            {areaMode === 'radius' && (
+              <Grid item xs={12} md={2}>
+                <TextField
+                  fullWidth
+                  type="number"
+                  label="Radius (feet)"
+                  value={radiusFeet}
+                  inputProps={{ min: 50, max: 32800 }}
+                  onChange={(event) => setRadiusFeet(Number(event.target.value))}
+                />
+              </Grid>
+            )}
+            <Grid item xs={12} md={2}>
+              <Box display="flex" gap={1}>
+                <Button variant="contained" onClick={searchArea} disabled={areaLoading || !map || !areaQuery.trim()}>
+                  {areaLoading ? <CircularProgress size={24} /> : 'Search'}
+                </Button>
+                {areaMode !== 'view' && (
+                  <Button onClick={clearArea}>Clear</Button>
+                )}
+              </Box>
+            </Grid>
+          </Grid>
+          {areaSummary && (
+            <Typography variant="body2" sx={{ mt: 2 }}>
+              {areaSummary}
+            </Typography>
+          )}
+          {areaError && (
+            <Typography variant="body2" color="error" sx={{ mt: 2 }}>
+              {areaError}
+            </Typography>
+          )}
         </TabPanel>
       </Paper>
 
@@ -412,6 +636,10 @@ const MapView: React.FC = () => {
         <Typography variant="body1" paragraph>
           4. Use mouse to pan and zoom the map. Click on points to see details.
         </Typography>
+        <Typography variant="body1" paragraph>
+          5. To ask about an area, type a question and choose the visible map, a radius around a point or a polygon.
+          Click the map to place the center of the radius or the corners of the polygon, then search.
+        </Typography>
       </Paper>
     </Container>
   );
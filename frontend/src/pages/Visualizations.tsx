@@ -11,6 +11,11 @@ import {
   Select,
   MenuItem,
   Button,
+  Chip,
+  Stack,
+  TextField,
+  Checkbox,
+  FormControlLabel,
   SelectChangeEvent
 } from '@mui/material';
 import { useSelector, useDispatch } from 'react-redux';
@@ -22,6 +27,25 @@ import axios from 'axios';
 // Define API base URL
 const API_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000/api';
 
+// Column types the aggregate endpoint treats as numbers and dates
+const NUMERIC_TYPES = ['smallint', 'integer', 'bigint', 'numeric', 'real', 'double precision'];
+const DATE_TYPES = ['date', 'timestamp without time zone', 'timestamp with time zone'];
+
+// Functions that need a numeric value field; count needs no field at all
+const NUMERIC_FUNCTIONS = ['sum', 'avg', 'median', 'p25', 'p75', 'p90'];
+
+const SERIES_COLORS = ['#8884d8', '#82ca9d', '#ffc658', '#ff8042', '#0088fe', '#00c49f'];
+
+interface Metric {
+  fn: string;
+  field: string;
+}
+
+// Format a metric as the aggregate endpoint expects it, e.g. "avg:yearbuilt"
+const toMetricParam = (metric: Metric) => metric.fn === 'count' ? 'count' : `${metric.fn}:${metric.field}`;
+
+const describeMetric = (metric: Metric) => metric.fn === 'count' ? 'count of records' : `${metric.fn} of ${metric.field}`;
+
 const Visualizations: React.FC = () => {
   const dispatch = useDispatch<AppDispatch>();
   const { datasets, loading, error } = useSelector((state: RootState) => state.datasets);
@@ -30,6 +54,12 @@ const Visualizations: React.FC = () => {
   const [selectedGroupBy, setSelectedGroupBy] = useState('');
   const [selectedAggregateFunc, setSelectedAggregateFunc] = useState('count');
   const [selectedValueField, setSelectedValueField] = useState('');
+  const [selectedThenBy, setSelectedThenBy] = useState('');
+  const [selectedDateBucket, setSelectedDateBucket] = useState('');
+  const [metrics, setMetrics] = useState<Metric[]>([]);
+  const [topN, setTopN] = useState('20');
+  const [includeOther, setIncludeOther] = useState(false);
+  const [series, setSeries] = useState<string[]>([]);
   const [columns, setColumns] = useState<any[]>([]);
   const [chartData, setChartData] = useState<any[]>([]);
   const [chartLoading, setChartLoading] = useState(false);
@@ -47,6 +77,9 @@ const Visualizations: React.FC = () => {
       setSelectedGroupBy('');
       setSelectedValueField('');
     }
+    setSelectedThenBy('');
+    setSelectedDateBucket('');
+    setMetrics([]);
   }, [selectedDataset]);
 
   const fetchDatasetColumns = async () => {
@@ -65,6 +98,15 @@ const Visualizations: React.FC = () => {
 
   const handleGroupByChange = (event: SelectChangeEvent) => {
     setSelectedGroupBy(event.target.value);
+    setSelectedDateBucket('');
+  };
+
+  const handleThenByChange = (event: SelectChangeEvent) => {
+    setSelectedThenBy(event.target.value);
+  };
+
+  const handleDateBucketChange = (event: SelectChangeEvent) => {
+    setSelectedDateBucket(event.target.value);
   };
 
   const handleAggregateFuncChange = (event: SelectChangeEvent) => {
@@ -75,9 +117,32 @@ const Visualizations: React.FC = () => {
     setSelectedValueField(event.target.value);
   };
 
+  const currentMetricComplete = !!selectedAggregateFunc && (selectedAggregateFunc === 'count' || !!selectedValueField);
+
+  const addMetric = () => {
+    const metric = { fn: selectedAggregateFunc, field: selectedAggregateFunc === 'count' ? '' : selectedValueField };
+    if (!metrics.some(existing => toMetricParam(existing) === toMetricParam(metric))) {
+      setMetrics([...metrics, metric]);
+    }
+  };
+
+  const removeMetric = (index: number) => {
+    setMetrics(metrics.filter((_, i) => i !== index));
+  };
+
+  const groupByColumn = columns.find(column => column.column_name === selectedGroupBy);
+  const canBucket = !!groupByColumn && DATE_TYPES.includes(groupByColumn.data_type);
+  const valueFieldColumns = NUMERIC_FUNCTIONS.includes(selectedAggregateFunc)
+    ? columns.filter(column => NUMERIC_TYPES.includes(column.data_type))
+    : columns;
+
+  // Added metrics are charted together; without any, the function and field selected above are used
+  const chartMetrics = metrics.length > 0 ? metrics : currentMetricComplete
+    ? [{ fn: selectedAggregateFunc, field: selectedValueField }]
+    : [];
+
   const generateVisualization = async () => {
-    if (!selectedDataset || !selectedGroupBy || !selectedAggregateFunc || 
-        (selectedAggregateFunc !== 'count' && !selectedValueField)) {
+    if (!selectedDataset || !selectedGroupBy || chartMetrics.length === 0) {
       return;
     }
 
@@ -85,16 +150,25 @@ const Visualizations: React.FC = () => {
     setChartError(null);
 
     try {
-      const valueField = selectedAggregateFunc === 'count' ? 'id' : selectedValueField;
+      const groupBy = [
+        selectedDateBucket ? `${selectedGroupBy}:${selectedDateBucket}` : selectedGroupBy,
+        ...(selectedThenBy ? [selectedThenBy] : [])
+      ];
       const response = await axios.get(`${API_URL}/datasets/${selectedDataset}/aggregate`, {
         params: {
-          groupBy: selectedGroupBy,
-          aggregateFunc: selectedAggregateFunc,
-          valueField
+          groupBy: groupBy.join(','),
+          metrics: chartMetrics.map(toMetricParam).join(','),
+          limit: topN,
+          other: includeOther
         }
       });
-      
-      setChartData(response.data.data);
+
+      const groupAliases: string[] = response.data.groupBy;
+      setSeries(response.data.metrics);
+      setChartData(response.data.data.map((row: any) => ({
+        ...row,
+        category: groupAliases.map(alias => row[alias] ?? '(none)').join(' / ')
+      })));
     } catch (error: any) {
       console.error('Error generating visualization:', error);
       setChartError(error.response?.data?.message || 'Failed to generate visualization');
@@ -179,8 +253,13 @@ const Visualizations: React.FC = () => {
                 <MenuItem value="count">Count</MenuItem>
                 <MenuItem value="sum">Sum</MenuItem>
                 <MenuItem value="avg">Average</MenuItem>
+                <MenuItem value="count_distinct">Count Distinct</MenuItem>
                 <MenuItem value="min">Minimum</MenuItem>
                 <MenuItem value="max">Maximum</MenuItem>
+                <MenuItem value="median">Median</MenuItem>
+                <MenuItem value="p25">25th Percentile</MenuItem>
+                <MenuItem value="p75">75th Percentile</MenuItem>
+                <MenuItem value="p90">90th Percentile</MenuItem>
               </Select>
             </FormControl>
           </Grid>
@@ -195,10 +274,43 @@ const Visualizations: React.FC = () => {
                 label="Value Field"
                 onChange={handleValueFieldChange}
               >
+                {valueFieldColumns.map((column) => (
+                  <MenuItem key={column.column_name} value={column.column_name}>
+                    {column.column_name}
+                  </MenuItem>
+                ))}
+              </Select>
+            </FormControl>
+          </Grid>
+          <Grid item xs={12}>
+            <Stack direction="row" spacing={1} alignItems="center" flexWrap="wrap">
+              <Button
+                variant="outlined"
+                onClick={addMetric}
+                disabled={!selectedDataset || !currentMetricComplete}
+              >
+                Add Metric
+              </Button>
+              {metrics.map((metric, index) => (
+                <Chip
+                  key={toMetricParam(metric)}
+                  label={describeMetric(metric)}
+                  onDelete={() => removeMetric(index)}
+                />
+              ))}
+            </Stack>
+          </Grid>
+          <Grid item xs={12} md={4}>
+            <FormControl fullWidth disabled={!selectedDataset}>
+              <InputLabel>Then By</InputLabel>
+              <Select
+                value={selectedThenBy}
+                label="Then By"
+                onChange={handleThenByChange}
+              >
+                <MenuItem value="">None</MenuItem>
                 {columns
-                  .filter(column => 
-                    ['integer', 'numeric', 'real', 'double precision'].includes(column.data_type)
-                  )
+                  .filter(column => column.column_name !== selectedGroupBy)
                   .map((column) => (
                     <MenuItem key={column.column_name} value={column.column_name}>
                       {column.column_name}
@@ -208,16 +320,51 @@ const Visualizations: React.FC = () => {
               </Select>
             </FormControl>
           </Grid>
+          <Grid item xs={12} md={4}>
+            <FormControl fullWidth disabled={!canBucket}>
+              <InputLabel>Date Bucket</InputLabel>
+              <Select
+                value={selectedDateBucket}
+                label="Date Bucket"
+                onChange={handleDateBucketChange}
+              >
+                <MenuItem value="">None</MenuItem>
+                <MenuItem value="day">Day</MenuItem>
+                <MenuItem value="week">Week</MenuItem>
+                <MenuItem value="month">Month</MenuItem>
+                <MenuItem value="quarter">Quarter</MenuItem>
+                <MenuItem value="year">Year</MenuItem>
+              </Select>
+            </FormControl>
+          </Grid>
+          <Grid item xs={12} md={4}>
+            <TextField
+              fullWidth
+              type="number"
+              label="Top N"
+              value={topN}
+              onChange={(event) => setTopN(event.target.value)}
+              inputProps={{ min: 1, max: 500 }}
+              disabled={!selectedDataset}
+            />
+          </Grid>
+          <Grid item xs={12}>
+            <FormControlLabel
+              control={
+                <Checkbox
+                  checked={includeOther}
+                  onChange={(event) => setIncludeOther(event.target.checked)}
+                  disabled={!selectedDataset}
+                />
+              }
+              label="Group the remaining rows as Other"
+            />
+          </Grid>
           <Grid item xs={12}>
             <Button 
               variant="contained" 
               onClick={generateVisualization}
-              disabled={
-                !selectedDataset || 
-                !selectedGroupBy || 
-                !selectedAggregateFunc || 
-                (selectedAggregateFunc !== 'count' && !selectedValueField)
-              }
+              disabled={!selectedDataset || !selectedGroupBy || chartMetrics.length === 0}
             >
               Generate Visualization
             </Button>
@@ -264,11 +411,14 @@ const Visualizations: React.FC = () => {
                 <YAxis />
                 <Tooltip />
                 <Legend />
-                <Bar 
-                  dataKey="value" 
-                  name={`${selectedAggregateFunc} of ${selectedAggregateFunc === 'count' ? 'records' : selectedValueField}`} 
-                  fill="#8884d8" 
-                />
+                {series.map((alias, index) => (
+                  <Bar
+                    key={alias}
+                    dataKey={alias}
+                    name={alias}
+                    fill={SERIES_COLORS[index % SERIES_COLORS.length]}
+                  />
+                ))}
               </BarChart>
             </ResponsiveContainer>
           </Box>
@@ -68,6 +68,22 @@ describe('Visualizations Component', () => {
     expect(generateButton).toBeDisabled();
   });
 
+  test('displays multi-metric and grouping controls', () => {
+    render(
+      <Provider store={store}>
+        <BrowserRouter>
+          <Visualizations />
+        </BrowserRouter>
+      </Provider>
+    );
+
+    expect(screen.getByRole('button', { name: /Add Metric/i })).toBeDisabled();
+    expect(screen.getByLabelText(/Then By/i)).toBeInTheDocument();
+    expect(screen.getByLabelText(/Date Bucket/i)).toBeInTheDocument();
+    expect(screen.getByLabelText(/Top N/i)).toHaveValue(20);
+    expect(screen.getByLabelText(/Group the remaining rows as Other/i)).not.toBeChecked();
+  });
+
   test('displays datasets in dropdown', () => {
     render(
       <Provider store={store}>
@@ -0,0 +1,291 @@
+/**
+ * Address Parser for NYCDB AI Integration
+ *
+ * This module finds street addresses and BBL/BIN literals in queries, normalizes them to the
+ * PLUTO address format and scores PLUTO addresses against them.
+ */
+
+const { BOROUGHS, getBoroughByName } = require('./nyc-gazetteer');
+
+// PLUTO spells out suffixes and directions ("WEST 4 STREET", "5 AVENUE")
+const STREET_SUFFIXES = {
+  ST: 'STREET', STR: 'STREET', STREET: 'STREET',
+  AVE: 'AVENUE', AV: 'AVENUE', AVENUE: 'AVENUE',
+  BLVD: 'BOULEVARD', BOULEVARD: 'BOULEVARD',
+  RD: 'ROAD', ROAD: 'ROAD',
+  PL: 'PLACE', PLACE: 'PLACE',
+  DR: 'DRIVE', DRIVE: 'DRIVE',
+  LN: 'LANE', LANE: 'LANE',
+  CT: 'COURT', COURT: 'COURT',
+  TER: 'TERRACE', TERR: 'TERRACE', TERRACE: 'TERRACE',
+  PKWY: 'PARKWAY', PARKWAY: 'PARKWAY',
+  HWY: 'HIGHWAY', HIGHWAY: 'HIGHWAY',
+  EXPY: 'EXPRESSWAY', EXPRESSWAY: 'EXPRESSWAY',
+  TPKE: 'TURNPIKE', TURNPIKE: 'TURNPIKE',
+  SQ: 'SQUARE', SQUARE: 'SQUARE',
+  PLZ: 'PLAZA', PLAZA: 'PLAZA',
+  CIR: 'CIRCLE', CIRCLE: 'CIRCLE'
+};
+
+const DIRECTIONS = { N: 'NORTH', S: 'SOUTH', E: 'EAST', W: 'WEST' };
+
+// Streets without a suffix
+const SUFFIXLESS_STREETS = ['BROADWAY', 'BOWERY'];
+
+const ORDINAL_WORDS = {
+  FIRST: 1, SECOND: 2, THIRD: 3, FOURTH: 4, FIFTH: 5, SIXTH: 6, SEVENTH: 7, EIGHTH: 8,
+  NINTH: 9, TENTH: 10, ELEVENTH: 11, TWELFTH: 12, THIRTEENTH: 13, FOURTEENTH: 14,
+  FIFTEENTH: 15, SIXTEENTH: 16, SEVENTEENTH: 17, EIGHTEENTH: 18, NINETEENTH: 19,
+  TWENTIETH: 20, THIRTIETH: 30, FORTIETH: 40, FIFTIETH: 50, SIXTIETH: 60,
+  SEVENTIETH: 70, EIGHTIETH: 80, NINETIETH: 90
+};
+
+const TENS_WORDS = {
+  TWENTY: 20, THIRTY: 30, FORTY: 40, FIFTY: 50, SIXTY: 60, SEVENTY: 70, EIGHTY: 80, NINETY: 90
+};
+
+const BBL_LITERAL = /\bbbl:?\s*([1-5])[-\/\s]?(\d{1,5})[-\/\s]?(\d{1,4})\b|\b([1-5]\d{9})\b/i;
+const BIN_LITERAL = /\bbin:?\s*#?\s*([1-5]\d{6})\b/i;
+
+// Words that end a street name rather than being part of it
+const STREET_STOP_WORDS = 'in|on|at|of|and|or|with|near|since|from|for|built|between';
+const STREET_END = [
+  ...Object.keys(STREET_SUFFIXES),
+  ...SUFFIXLESS_STREETS,
+  '\\d+(?:st|nd|rd|th)'
+].map(word => word.toLowerCase()).join('|');
+const BOROUGH_NAMES = BOROUGHS.map(borough => borough.name.toLowerCase()).join('|');
+const STREET_ADDRESS = new RegExp(
+  `\\b(\\d+[a-z]?(?:-\\d+[a-z]?)?)\\s+((?:(?!(?:${STREET_STOP_WORDS})\\b)[a-z0-9'.-]+\\s+){0,4}(?:${STREET_END}))\\b\\.?` +
+  `(?:,?\\s*(?:in\\s+)?(${BOROUGH_NAMES}))?`,
+  'gi'
+);
+
+// Maximum house number distance for a nearby lot on the same side of the street
+const MAX_HOUSE_NUMBER_DISTANCE = 20;
+
+/**
+ * Find street addresses and BBL/BIN literals in free text
+ * @param {string} text - Query text
+ * @returns {Array} Address labels that parseAddress understands
+ */
+function extractAddresses(text) {
+  const source = String(text || '');
+  const addresses = [];
+
+  const bblMatch = source.match(BBL_LITERAL);
+  if (bblMatch) {
+    addresses.push(`BBL ${formatBbl(bblMatch)}`);
+  }
+
+  const binMatch = source.match(BIN_LITERAL);
+  if (binMatch) {
+    addresses.push(`BIN ${binMatch[1]}`);
+  }
+
+  for (const match of source.matchAll(STREET_ADDRESS)) {
+    const borough = match[3] ? getBoroughByName(match[3]) : null;
+    addresses.push(`${match[1]} ${match[2]}${borough ? `, ${borough.name}` : ''}`);
+  }
+
+  return [...new Set(addresses)];
+}
+
+/**
+ * Read an address or BBL/BIN literal at the start of the text, e.g. the place a distance is
+ * measured from
+ * @param {string} text - Text
+ * @returns {Object|null} { label, length }: the address label and the length of text it spans,
+ *   or null if the text does not start with an address
+ */
+function readAddress(text) {
+  const source = String(text || '');
+
+  const bblMatch = source.match(new RegExp(`^(?:${BBL_LITERAL.source})`, 'i'));
+  if (bblMatch) {
+    return { label: `BBL ${formatBbl(bblMatch)}`, length: bblMatch[0].length };
+  }
+
+  const binMatch = source.match(new RegExp(`^(?:${BIN_LITERAL.source})`, 'i'));
+  if (binMatch) {
+    return { label: `BIN ${binMatch[1]}`, length: binMatch[0].length };
+  }
+
+  const match = source.match(new RegExp(`^(?:${STREET_ADDRESS.source})`, 'i'));
+  if (!match) {
+    return null;
+  }
+
+  const borough = match[3] ? getBoroughByName(match[3]) : null;
+  return { label: `${match[1]} ${match[2]}${borough ? `, ${borough.name}` : ''}`, length: match[0].length };
+}
+
+/**
+ * Remove the house number and street of each address from the text, keeping any borough,
+ * so street names such as "Wall Street" are not mistaken for neighborhoods
+ * @param {string} text - Query text
+ * @returns {string} Text without street addresses
+ */
+function removeAddresses(text) {
+  return String(text || '').replace(STREET_ADDRESS, (match, number, street, borough) => borough || ' ');
+}
+
+/**
+ * Format a BBL literal match as a 10-digit BBL
+ * @param {Array} match - BBL_LITERAL match
+ * @returns {string} 10-digit BBL
+ */
+function formatBbl(match) {
+  if (match[4]) {
+    return match[4];
+  }
+  return `${match[1]}${match[2].padStart(5, '0')}${match[3].padStart(4, '0')}`;
+}
+
+/**
+ * Parse an address label into its parts
+ * @param {string} label - Address, "BBL 3012340056" or "BIN 3012345"
+ * @returns {Object|null} { type: 'bbl', bbl }, { type: 'bin', bin } or
+ *   { type: 'address', houseNumber, range, street, borough }, or null if not an address
+ */
+function parseAddress(label) {
+  const text = String(label || '').trim();
+
+  const bblMatch = text.match(BBL_LITERAL);
+  if (bblMatch) {
+    return { type: 'bbl', bbl: formatBbl(bblMatch) };
+  }
+
+  const binMatch = text.match(BIN_LITERAL);
+  if (binMatch) {
+    return { type: 'bin', bin: binMatch[1] };
+  }
+
+  STREET_ADDRESS.lastIndex = 0;
+  const match = STREET_ADDRESS.exec(text);
+  STREET_ADDRESS.lastIndex = 0;
+  if (!match) {
+    return null;
+  }
+
+  const borough = match[3] ? getBoroughByName(match[3]) : null;
+  return {
+    type: 'address',
+    houseNumber: match[1].toUpperCase(),
+    range: parseHouseNumberRange(match[1]),
+    street: normalizeStreet(match[2]),
+    borough: borough ? borough.code : null
+  };
+}
+
+/**
+ * Read a hyphenated house number as a range ("120-130") when it can be one. Queens
+ * house numbers such as "31-12" are also hyphenated, so both readings are kept.
+ * @param {string} houseNumber - House number
+ * @returns {Array|null} [low, high], or null if the number is not a range
+ */
+function parseHouseNumberRange(houseNumber) {
+  const match = houseNumber.match(/^(\d+)-(\d+)$/);
+  if (!match) {
+    return null;
+  }
+
+  const low = parseInt(match[1], 10);
+  const high = parseInt(match[2], 10);
+  return high > low ? [low, high] : null;
+}
+
+/**
+ * Normalize a street name to the PLUTO format, expanding directions and suffixes and
+ * writing ordinals as numbers ("W 4th St" and "West Fourth Street" -> "WEST 4 STREET")
+ * @param {string} street - Street name
+ * @returns {string} Normalized street name
+ */
+function normalizeStreet(street) {
+  const tokens = String(street)
+    .toUpperCase()
+    .replace(/[.,']/g, '')
+    .replace(/([A-Z])-([A-Z])/g, '$1 $2')
+    .split(/\s+/)
+    .filter(Boolean);
+
+  const normalized = [];
+  tokens.forEach((token, index) => {
+    const isLast = index === tokens.length - 1;
+    const previous = normalized[normalized.length - 1];
+
+    if (/^\d+(ST|ND|RD|TH)$/.test(token)) {
+      normalized.push(String(parseInt(token, 10)));
+    } else if (ORDINAL_WORDS[token] && TENS_WORDS[previous]) {
+      normalized[normalized.length - 1] = String(TENS_WORDS[previous] + ORDINAL_WORDS[token]);
+    } else if (ORDINAL_WORDS[token]) {
+      normalized.push(String(ORDINAL_WORDS[token]));
+    } else if (token === 'ST' && !isLast) {
+      // "St Marks Place" is Saint, "Main St" is Street
+      normalized.push('SAINT');
+    } else if (isLast && STREET_SUFFIXES[token]) {
+      normalized.push(STREET_SUFFIXES[token]);
+    } else if (DIRECTIONS[token] && !isLast) {
+      normalized.push(DIRECTIONS[token]);
+    } else {
+      normalized.push(token);
+    }
+  });
+
+  return normalized.join(' ');
+}
+
+/**
+ * Score how well a PLUTO address matches a parsed address
+ * @param {Object} parsed - Parsed address
+ * @param {string} candidateAddress - PLUTO address, e.g. "121 MAIN STREET"
+ * @returns {number} Score between 0 and 1
+ */
+function scoreCandidate(parsed, candidateAddress) {
+  const match = String(candidateAddress || '').toUpperCase().match(/^(\S+)\s+(.*)$/);
+  if (!match || normalizeStreet(match[2]) !== parsed.street) {
+    return 0;
+  }
+
+  const candidateNumber = match[1];
+  if (candidateNumber === parsed.houseNumber) {
+    return 1;
+  }
+
+  const candidate = splitHouseNumber(candidateNumber);
+  if (parsed.range && !candidate.prefix &&
+      candidate.number >= parsed.range[0] && candidate.number <= parsed.range[1]) {
+    return 0.9;
+  }
+
+  // Nearby lot on the same side of the street, e.g. a building at 121-125 listed as 121
+  const requested = splitHouseNumber(parsed.houseNumber);
+  const distance = Math.abs(candidate.number - requested.number);
+  if (candidate.prefix === requested.prefix && distance % 2 === 0 && distance <= MAX_HOUSE_NUMBER_DISTANCE) {
+    return Math.round((0.8 - distance * 0.01) * 100) / 100;
+  }
+
+  return 0;
+}
+
+/**
+ * Split a house number into a Queens-style prefix and a number
+ * @param {string} houseNumber - House number such as "123", "123A" or "31-12"
+ * @returns {Object} { prefix, number }
+ */
+function splitHouseNumber(houseNumber) {
+  const match = String(houseNumber).match(/^(?:(\d+)-)?(\d+)/);
+  if (!match) {
+    return { prefix: null, number: NaN };
+  }
+  return { prefix: match[1] || null, number: parseInt(match[2], 10) };
+}
+
+module.exports = {
+  extractAddresses,
+  removeAddresses,
+  readAddress,
+  parseAddress,
+  normalizeStreet,
+  scoreCandidate
+};
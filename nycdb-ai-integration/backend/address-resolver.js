@@ -0,0 +1,106 @@
+/**
+ * Address Resolver for NYCDB AI Integration
+ *
+ * This module resolves addresses and BBL/BIN literals found by the address parser to
+ * candidate BBLs with a match score, so questions about a single building are answered
+ * for that building rather than its whole borough.
+ */
+
+const pool = require('./config/database');
+const { parseAddress, scoreCandidate } = require('./address-parser');
+
+// Minimum score for a nearby lot to be reported as a candidate
+const MIN_MATCH_SCORE = 0.6;
+const MAX_CANDIDATES = 5;
+
+/**
+ * Resolve an address label to candidate BBLs
+ * @param {string} label - Address, "BBL 3012340056" or "BIN 3012345"
+ * @returns {Promise<Object|null>} { input, type, candidates: [{ bbl, address, borough, zipcode, latitude, longitude, score }] },
+ *   or null if the label is not an address
+ */
+async function resolveAddress(label) {
+  const parsed = parseAddress(label);
+  if (!parsed) {
+    return null;
+  }
+
+  let candidates;
+  if (parsed.type === 'bbl') {
+    const result = await pool.query(
+      'SELECT bbl, address, borough, zipcode, latitude, longitude FROM pluto WHERE bbl = $1',
+      [parsed.bbl]
+    );
+    candidates = result.rows.length > 0
+      ? result.rows.map(row => ({ ...row, score: 1 }))
+      : [{ bbl: parsed.bbl, address: null, borough: null, zipcode: null, latitude: null, longitude: null, score: 1 }];
+  } else if (parsed.type === 'bin') {
+    // PLUTO has no BIN column; DOB violations carry both identifiers
+    const result = await pool.query(
+      `SELECT DISTINCT p.bbl, p.address, p.borough, p.zipcode, p.latitude, p.longitude
+       FROM dob_violations v
+       JOIN pluto p ON v.bbl = p.bbl
+       WHERE v.bin = $1`,
+      [parsed.bin]
+    );
+    candidates = result.rows.map(row => ({ ...row, score: 1 }));
+  } else {
+    const params = [`% ${parsed.street}`];
+    if (parsed.borough) {
+      params.push(parsed.borough);
+    }
+
+    const result = await pool.query(
+      `SELECT bbl, address, borough, zipcode, latitude, longitude
+       FROM pluto
+       WHERE upper(address) LIKE $1${parsed.borough ? ' AND borough = $2' : ''}`,
+      params
+    );
+    candidates = result.rows
+      .map(row => ({ ...row, score: scoreCandidate(parsed, row.address) }))
+      .filter(candidate => candidate.score >= MIN_MATCH_SCORE)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, MAX_CANDIDATES);
+  }
+
+  return { input: label, type: parsed.type, candidates };
+}
+
+/**
+ * Resolve a list of address labels to BBL filters. Exact matches are used on their own;
+ * otherwise every candidate above the minimum score is kept.
+ * @param {Array} labels - Address labels
+ * @returns {Promise<Object>} { resolved, unresolved, bbls, filters }
+ */
+async function resolveAddresses(labels = []) {
+  const resolved = [];
+  const unresolved = [];
+  const bbls = new Set();
+
+  for (const label of labels) {
+    const resolution = await resolveAddress(label);
+    if (!resolution || resolution.candidates.length === 0) {
+      unresolved.push(label);
+      continue;
+    }
+
+    resolved.push(resolution);
+    const exact = resolution.candidates.filter(candidate => candidate.score === 1);
+    (exact.length > 0 ? exact : resolution.candidates).forEach(candidate => bbls.add(String(candidate.bbl)));
+  }
+
+  const bblList = [...bbls];
+  const filters = bblList.length === 0 ? [] : [{
+    table: 'pluto',
+    column: 'bbl',
+    operator: bblList.length === 1 ? '=' : 'IN',
+    value: bblList.length === 1 ? bblList[0] : bblList
+  }];
+
+  return { resolved, unresolved, bbls: bblList, filters };
+}
+
+module.exports = {
+  resolveAddress,
+  resolveAddresses
+};
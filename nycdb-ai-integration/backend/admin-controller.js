@@ -0,0 +1,371 @@
+/**
+ * Admin API Controller for NYCDB AI Integration
+ *
+ * This controller lets administrators inspect, clear and warm the results cache and record
+ * dataset loads. Every route requires a signed-in user with the admin role, and every request,
+ * refused or not, is logged with the user, the action, its details, the response status and
+ * its outcome.
+ */
+
+const express = require('express');
+const router = express.Router();
+const database = require('./config/database');
+const { protect, requireRole } = require('./auth-middleware');
+const { getCacheStats, listCacheKeys, clearCachePattern } = require('./data-cache-service');
+const { recordDatasetLoad } = require('./dataset-watermarks');
+const { processQuery } = require('./nlp-service');
+const { retrieveData } = require('./data-retrieval-service');
+const { validateStructuredQuery } = require('./query-schema');
+
+// Most keys a listing returns
+const MAX_KEY_LIMIT = 1000;
+
+// Most queries one warm request runs; they run one at a time
+const MAX_WARM_QUERIES = 50;
+
+/**
+ * Get the outcome of an admin request from its response status
+ * @param {number} status - HTTP status
+ * @returns {string} 'unauthorized', 'forbidden', 'succeeded' or 'failed'
+ */
+function auditOutcome(status) {
+  if (status === 401) {
+    return 'unauthorized';
+  }
+  if (status === 403) {
+    return 'forbidden';
+  }
+  return status < 400 ? 'succeeded' : 'failed';
+}
+
+/**
+ * Log each admin request once it has been answered, including the requests refused for a
+ * missing or invalid token or a role other than admin. Handlers describe what they did in
+ * res.locals.audit.
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Next middleware
+ */
+function auditAdminAction(req, res, next) {
+  const startedAt = new Date();
+
+  res.on('finish', () => {
+    console.log(`Admin action: ${JSON.stringify({
+      at: startedAt.toISOString(),
+      user: req.user ? req.user.username : null,
+      userId: req.user ? req.user.id : null,
+      role: req.user ? req.user.role : null,
+      action: `${req.method} ${req.baseUrl}${req.path}`,
+      details: res.locals.audit || null,
+      status: res.statusCode,
+      outcome: auditOutcome(res.statusCode),
+      durationMs: Date.now() - startedAt.getTime()
+    })}`);
+  });
+
+  next();
+}
+
+// The audit log runs first, so refused requests are logged with the others
+router.use(auditAdminAction, protect, requireRole('admin'));
+
+/**
+ * Read the saved queries with the given ids
+ * @param {Array} ids - Saved query ids
+ * @returns {Promise<Array>} Rows with id, name and query
+ */
+async function loadSavedQueries(ids) {
+  if (ids.length === 0) {
+    return [];
+  }
+
+  const result = await database.query(
+    'SELECT id, name, query FROM saved_queries WHERE id = ANY($1::int[]) ORDER BY id',
+    [ids]
+  );
+  return result.rows;
+}
+
+/**
+ * Get what a saved query runs: its structured query, or the question it was asked as
+ * @param {Object|string} saved - The saved query's query column
+ * @returns {Object|string|null} Structured query or question
+ */
+function savedQueryTarget(saved) {
+  if (!saved) {
+    return null;
+  }
+  if (typeof saved === 'string' || saved.queryType) {
+    return saved;
+  }
+  return saved.question || saved.query || null;
+}
+
+/**
+ * Check a structured query to warm against the query schema. Unlike an interpreted question,
+ * it must name its query type.
+ * @param {Object} query - Structured query
+ * @returns {Object} { errors, value } where value has the schema's defaults applied
+ */
+function validateWarmQuery(query) {
+  if (!query || typeof query !== 'object' || Array.isArray(query)) {
+    return { errors: ['must be a question or a structured query'], value: null };
+  }
+
+  const { errors, value } = validateStructuredQuery(query);
+  if (errors.length === 0 && value.queryType === null) {
+    errors.push('queryType: is required to warm a structured query');
+  }
+
+  return { errors, value: errors.length === 0 ? { ...query, ...value } : null };
+}
+
+/**
+ * Run one query to put its first page of results in the cache
+ * @param {Object|string} query - A structured query, or a question to interpret first
+ * @returns {Promise<Object>} { queryType, cacheHit }
+ */
+async function warmQuery(query) {
+  const structuredQuery = typeof query === 'string' ? await processQuery(query) : query;
+  const retrievedData = await retrieveData(structuredQuery);
+
+  return { queryType: structuredQuery.queryType, cacheHit: retrievedData.metadata.cacheHit };
+}
+
+/**
+ * Get cache statistics: hit ratio, lookups, key count and memory
+ * GET /api/ai/admin/cache/stats
+ */
+router.get('/cache/stats', async (req, res) => {
+  try {
+    const stats = await getCacheStats();
+
+    res.status(200).json({
+      success: true,
+      data: stats
+    });
+  } catch (error) {
+    console.error('Error getting cache statistics:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: 'Failed to get cache statistics'
+    });
+  }
+});
+
+/**
+ * List cached keys by prefix, e.g. ?prefix=risk_assessment:&limit=100
+ * GET /api/ai/admin/cache/keys
+ */
+router.get('/cache/keys', async (req, res) => {
+  try {
+    const prefix = req.query.prefix || '';
+    const limit = req.query.limit === undefined ? 100 : parseInt(req.query.limit, 10);
+
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_KEY_LIMIT) {
+      return res.status(400).json({
+        success: false,
+        error: 'Bad Request',
+        message: `limit must be a whole number from 1 to ${MAX_KEY_LIMIT}`
+      });
+    }
+
+    res.locals.audit = { prefix, limit };
+    const { keys, truncated } = await listCacheKeys(prefix, { limit });
+
+    res.status(200).json({
+      success: true,
+      count: keys.length,
+      truncated,
+      data: keys
+    });
+  } catch (error) {
+    console.error('Error listing cache keys:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: 'Failed to list cache keys'
+    });
+  }
+});
+
+/**
+ * Clear the cached entries matching a glob pattern, e.g. ?pattern=risk_assessment:* or
+ * ?pattern=* for every entry
+ * DELETE /api/ai/admin/cache
+ */
+router.delete('/cache', async (req, res) => {
+  try {
+    const { pattern } = req.query;
+
+    if (!pattern) {
+      return res.status(400).json({
+        success: false,
+        error: 'Bad Request',
+        message: 'Pattern is required; use * to clear every entry'
+      });
+    }
+
+    res.locals.audit = { pattern };
+    const cleared = await clearCachePattern(pattern);
+    res.locals.audit.cleared = cleared;
+
+    res.status(200).json({
+      success: true,
+      pattern,
+      cleared
+    });
+  } catch (error) {
+    console.error('Error clearing cache:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: 'Failed to clear cache'
+    });
+  }
+});
+
+/**
+ * Warm the cache by running saved queries, given as savedQueryIds of the saved_queries table,
+ * and queries given as structured queries or questions. A saved query holds a structured
+ * query, or a question in query.question or query.query.
+ * POST /api/ai/admin/cache/warm
+ */
+router.post('/cache/warm', async (req, res) => {
+  try {
+    const { savedQueryIds = [], queries = [] } = req.body || {};
+
+    if (!Array.isArray(savedQueryIds) || !savedQueryIds.every(Number.isInteger) || !Array.isArray(queries)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Bad Request',
+        message: 'savedQueryIds must be an array of ids and queries an array of queries'
+      });
+    }
+
+    if (savedQueryIds.length + queries.length === 0 || savedQueryIds.length + queries.length > MAX_WARM_QUERIES) {
+      return res.status(400).json({
+        success: false,
+        error: 'Bad Request',
+        message: `Give from 1 to ${MAX_WARM_QUERIES} saved query ids and queries to warm`
+      });
+    }
+
+    const invalid = queries.flatMap((query, index) => (typeof query === 'string'
+      ? []
+      : validateWarmQuery(query).errors.map(error => `queries[${index}]: ${error}`)));
+
+    if (invalid.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Bad Request',
+        message: 'Invalid structured queries to warm',
+        details: invalid
+      });
+    }
+
+    const saved = await loadSavedQueries(savedQueryIds);
+    const targets = [
+      ...savedQueryIds.map(id => {
+        const row = saved.find(savedQuery => savedQuery.id === id);
+        return { source: `saved:${id}`, name: row ? row.name : null, query: row && savedQueryTarget(row.query), missing: !row };
+      }),
+      ...queries.map((query, index) => ({ source: `queries[${index}]`, name: null, query, missing: false }))
+    ];
+
+    const results = [];
+    for (const { source, name, query, missing } of targets) {
+      if (missing || !query) {
+        results.push({
+          source,
+          name,
+          status: 'failed',
+          error: missing ? 'Saved query not found' : 'Not a structured query or question'
+        });
+        continue;
+      }
+
+      // Saved structured queries are checked as they are run; given ones were checked above
+      const { errors, value } = typeof query === 'string' ? { errors: [], value: query } : validateWarmQuery(query);
+      if (errors.length > 0) {
+        results.push({ source, name, status: 'failed', error: `Invalid structured query: ${errors.join('; ')}` });
+        continue;
+      }
+
+      try {
+        const { queryType, cacheHit } = await warmQuery(value);
+        results.push({ source, name, status: cacheHit ? 'cached' : 'warmed', queryType });
+      } catch (error) {
+        console.error(`Error warming ${source}:`, error.message);
+        results.push({ source, name, status: 'failed', error: error.message });
+      }
+    }
+
+    const summary = {
+      warmed: results.filter(result => result.status === 'warmed').length,
+      cached: results.filter(result => result.status === 'cached').length,
+      failed: results.filter(result => result.status === 'failed').length
+    };
+    res.locals.audit = { savedQueryIds, queries: queries.length, ...summary };
+
+    res.status(200).json({
+      success: true,
+      ...summary,
+      data: results
+    });
+  } catch (error) {
+    console.error('Error warming cache:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: 'Failed to warm cache'
+    });
+  }
+});
+
+/**
+ * Record that tables were loaded, moving their watermarks so cached results read from them
+ * are discarded
+ * POST /api/ai/admin/datasets/loads
+ */
+router.post('/datasets/loads', async (req, res) => {
+  try {
+    const { tables, loadedAt } = req.body || {};
+    const loadTime = loadedAt ? new Date(loadedAt) : new Date();
+
+    if (!Array.isArray(tables) || tables.length === 0 || !tables.every(table => /^[a-z_][a-z0-9_]*$/.test(table))) {
+      return res.status(400).json({
+        success: false,
+        error: 'Bad Request',
+        message: 'tables must be a non-empty array of table names'
+      });
+    }
+
+    if (Number.isNaN(loadTime.getTime())) {
+      return res.status(400).json({
+        success: false,
+        error: 'Bad Request',
+        message: 'loadedAt must be a date'
+      });
+    }
+
+    res.locals.audit = { tables, loadedAt: loadTime.toISOString() };
+    const rows = await recordDatasetLoad(tables, { loadedAt: loadTime, loadedBy: req.user.username });
+
+    res.status(200).json({
+      success: true,
+      count: rows.length,
+      data: rows
+    });
+  } catch (error) {
+    console.error('Error recording dataset loads:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: 'Failed to record dataset loads'
+    });
+  }
+});
+
+module.exports = router;
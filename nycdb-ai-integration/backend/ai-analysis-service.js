@@ -5,17 +5,11 @@
  * based on the user's query intent and the data retrieved from the database.
  */
 
-const { Configuration, OpenAIApi } = require('openai');
-const dotenv = require('dotenv');
 const { QUERY_TYPES } = require('./nlp-service');
-
-dotenv.config();
-
-// Initialize OpenAI client
-const configuration = new Configuration({
-  apiKey: process.env.OPENAI_API_KEY,
-});
-const openai = new OpenAIApi(configuration);
+const { complete, LLM_TASKS } = require('./llm-provider');
+const { renderPrompt, PROMPT_IDS } = require('./prompt-registry');
+const { LlmFixtureMissError } = require('./llm-fixtures');
+const { summarizePortfolio } = require('./data-transformation-service');
 
 /**
  * Analyze data and generate insights based on query type and retrieved data
@@ -46,6 +40,9 @@ async function analyzeData(structuredQuery, retrievedData) {
       case QUERY_TYPES.GENERAL_STATS:
         analysis = await analyzeGeneralStatsData(structuredQuery, retrievedData);
         break;
+      case QUERY_TYPES.OWNER_PORTFOLIO:
+        analysis = await analyzeOwnerPortfolioData(structuredQuery, retrievedData);
+        break;
       default:
         analysis = await generateGeneralInsights(structuredQuery, retrievedData);
     }
@@ -59,10 +56,14 @@ async function analyzeData(structuredQuery, retrievedData) {
     
     return {
       ...analysis,
-      narrativeInsights
+      narrativeInsights,
+      promptVersions: narrativeInsights.promptVersions
     };
   } catch (error) {
     console.error('Error analyzing data:', error);
+    if (error instanceof LlmFixtureMissError) {
+      throw error;
+    }
     throw new Error('Failed to analyze data and generate insights');
   }
 }
@@ -170,7 +171,7 @@ async function analyzeViolationData(structuredQuery, retrievedData) {
   // Group violations by status
   const violationsByStatus = groupViolationsByStatus(data);
   
-  // Group violations by source (HPD vs DOB)
+  // Group violations by source (HPD, DOB, ECB and complaints)
   const violationsBySource = groupViolationsBySource(data);
   
   // Identify buildings with multiple violations
@@ -198,7 +199,10 @@ async function analyzeViolationData(structuredQuery, retrievedData) {
       openViolations: violationsByStatus['OPEN'] || 0,
       closedViolations: violationsByStatus['CLOSED'] || 0,
       hpdViolations: violationsBySource['HPD'] || 0,
-      dobViolations: violationsBySource['DOB'] || 0
+      dobViolations: violationsBySource['DOB'] || 0,
+      ecbViolations: violationsBySource['ECB'] || 0,
+      hpdComplaints: violationsBySource['HPD Complaint'] || 0,
+      dobComplaints: violationsBySource['DOB Complaint'] || 0
     },
     topViolationTypes: Object.entries(violationsByType)
       .sort((a, b) => b[1] - a[1])
@@ -253,7 +257,8 @@ async function analyzeBuildingData(structuredQuery, retrievedData) {
 async function analyzeComparisonData(structuredQuery, retrievedData) {
   const { data, comparisonBy } = retrievedData;
   
-  // Calculate comparison statistics
+  // Calculate comparison statistics over the metrics the query returned; ECB and complaint
+  // metrics are missing for databases that have not loaded those datasets
   const comparisonStats = {
     totalCategories: data.length,
     comparisonMetrics: [
@@ -262,8 +267,12 @@ async function analyzeComparisonData(structuredQuery, retrievedData) {
       'avg_floors',
       'avg_residential_units',
       'hpd_violation_count',
-      'dob_violation_count'
-    ]
+      'dob_violation_count',
+      'ecb_violation_count',
+      'ecb_balance_due',
+      'hpd_complaint_count',
+      'dob_complaint_count'
+    ].filter(metric => data.length === 0 || data[0][metric] !== undefined)
   };
   
   // Identify significant differences between categories
@@ -326,6 +335,40 @@ async function analyzeGeneralStatsData(structuredQuery, retrievedData) {
   };
 }
 
+/**
+ * Analyze an owner portfolio: totals across its buildings and the buildings that most need
+ * attention
+ * @param {Object} structuredQuery - The structured query
+ * @param {Object} retrievedData - Retrieved owner portfolio data
+ * @returns {Object} Owner portfolio analysis
+ */
+async function analyzeOwnerPortfolioData(structuredQuery, retrievedData) {
+  const { data } = retrievedData;
+  const portfolioStats = summarizePortfolio(retrievedData);
+  
+  // Open class C violations are immediately hazardous, so buildings with the most come first
+  const worstBuildings = [...data]
+    .sort((a, b) => Number(b.open_class_c_count || 0) - Number(a.open_class_c_count || 0) || b.risk_score - a.risk_score)
+    .slice(0, 10);
+  
+  // Prepare visualization data
+  const visualizationData = {
+    riskDistribution: Object.entries(portfolioStats.riskLevelCounts).map(([category, value]) => ({ category, value })),
+    violationsBySource: [
+      { category: 'HPD Violations', value: portfolioStats.hpdViolations },
+      { category: 'DOB Violations', value: portfolioStats.dobViolations },
+      { category: 'ECB Violations', value: portfolioStats.ecbViolations }
+    ],
+    riskByBorough: calculateRiskByBorough(data)
+  };
+  
+  return {
+    portfolioStats,
+    visualizationData,
+    worstBuildings
+  };
+}
+
 /**
  * Generate general insights for any other query type
  * @param {Object} structuredQuery - The structured query
@@ -374,16 +417,15 @@ async function generateNarrativeInsights(structuredQuery, retrievedData, analysi
     // Prepare the prompt for the language model
     const prompt = prepareInsightPrompt(structuredQuery, retrievedData, analysis);
     
-    // Call the language model to generate insights
-    const completion = await openai.createCompletion({
-      model: "gpt-3.5-turbo-instruct",
-      prompt: prompt,
-      max_tokens: 800,
+    // Call the configured language model provider to generate insights
+    const completion = await complete(LLM_TASKS.NARRATIVE_INSIGHTS, prompt.text, {
+      input: { structuredQuery, analysis },
+      maxTokens: 800,
       temperature: 0.7,
     });
 
     // Parse the response
-    const insights = completion.data.choices[0].text.trim();
+    const insights = completion.trim();
     
     // Extract key findings and explanations
     const keyFindings = extractKeyFindings(insights);
@@ -393,15 +435,21 @@ async function generateNarrativeInsights(structuredQuery, retrievedData, analysi
       summary: insights,
       keyFindings,
       explanations,
-      confidence: 0.85 // Placeholder for a real confidence score
+      confidence: 0.85, // Placeholder for a real confidence score
+      promptVersions: { [prompt.id]: prompt.version }
     };
   } catch (error) {
+    // A missing fixture means the replay is out of date, which should not pass silently
+    if (error instanceof LlmFixtureMissError) {
+      throw error;
+    }
     console.error('Error generating narrative insights:', error);
     return {
       summary: "Unable to generate insights due to an error.",
       keyFindings: [],
       explanations: [],
-      confidence: 0
+      confidence: 0,
+      promptVersions: {}
     };
   }
 }
@@ -411,32 +459,15 @@ async function generateNarrativeInsights(structuredQuery, retrievedData, analysi
  * @param {Object} structuredQuery - The structured query
  * @param {Object} retrievedData - Retrieved data
  * @param {Object} analysis - Analysis results
- * @returns {string} Formatted prompt
+ * @returns {Object} Rendered prompt { id, version, text }
  */
 function prepareInsightPrompt(structuredQuery, retrievedData, analysis) {
-  // Base prompt with context about the query and data
-  let prompt = `
-You are an expert analyst of NYC Department of Buildings data. Based on the following query and analysis results, 
-provide insightful observations about the data. Focus on patterns, trends, and notable findings.
-
-User Query: "${structuredQuery.originalQuery}"
-
-Query Type: ${structuredQuery.queryType}
-
-Data Summary: ${JSON.stringify(retrievedData.metadata)}
-
-Analysis Results: ${JSON.stringify(analysis, null, 2).substring(0, 1500)}
-
-Provide a concise summary of key insights, including:
-1. Most significant findings
-2. Patterns or trends identified
-3. Possible explanations for these patterns
-4. Any recommendations or next steps for further investigation
-
-Your response should be informative, factual, and avoid speculation beyond what the data supports.
-`;
-
-  return prompt;
+  return renderPrompt(PROMPT_IDS.NARRATIVE_INSIGHTS, {
+    originalQuery: structuredQuery.originalQuery,
+    queryType: structuredQuery.queryType,
+    dataSummary: JSON.stringify(retrievedData.metadata),
+    analysis: JSON.stringify(analysis, null, 2).substring(0, 1500)
+  });
 }
 
 /**
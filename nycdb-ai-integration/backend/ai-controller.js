@@ -13,19 +13,97 @@ const { retrieveData } = require('./data-retrieval-service');
 const { analyzeData } = require('./ai-analysis-service');
 const { generateResponse } = require('./results-generation-service');
 const { ConversationManager, processFollowUpQuery } = require('./interactive-refinement-service');
+const { QueryInterpretationError } = require('./query-schema');
+const { LlmFixtureMissError } = require('./llm-fixtures');
+const { FilterError } = require('./filter-compiler');
+const { QueryPlanError } = require('./query-planner');
+const { CursorError, decodeCursor } = require('./result-cursor');
+const { QueryCostError } = require('./query-cost-guard');
+const { QueryTimeoutError, QueryCancelledError } = require('./db-query-builder');
+const { buildClarification, formatClarificationResponse } = require('./clarification-service');
+const adminRouter = require('./admin-controller');
 
 // Initialize conversation manager
 const conversationManager = new ConversationManager();
 
+// Cache and dataset administration, for admins only
+router.use('/admin', adminRouter);
+
+/**
+ * Create a signal that is aborted when the client disconnects before the response is sent,
+ * so database queries run for the request can be cancelled
+ * @param {Object} res - Express response
+ * @returns {AbortSignal} Signal
+ */
+function abortOnDisconnect(res) {
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableFinished) {
+      controller.abort();
+    }
+  });
+  return controller.signal;
+}
+
 /**
- * Process a natural language query about NYC DOB data
+ * Respond to errors from running database queries: a 504 naming the stage that timed out, or
+ * nothing for a client that has disconnected
+ * @param {Object} res - Express response
+ * @param {Error} error - Error from the data retrieval service
+ * @returns {boolean} Whether the error was handled
+ */
+function handleQueryExecutionError(res, error) {
+  if (error instanceof QueryTimeoutError) {
+    res.status(504).json({
+      success: false,
+      error: 'Query Timeout',
+      code: error.code,
+      stage: error.stage,
+      message: error.message
+    });
+    return true;
+  }
+  
+  if (error instanceof QueryCancelledError) {
+    res.end();
+    return true;
+  }
+  
+  return false;
+}
+
+/**
+ * Add an area drawn on a map to a structured query as a spatial filter on PLUTO. The same area
+ * sent again, e.g. with the answer to a clarifying question, is not added twice.
+ * @param {Object} structuredQuery - The structured query
+ * @param {Object|null} area - { type: 'radius', point, radius }, { type: 'bbox', bbox } or
+ *   { type: 'polygon', geometry }
+ * @returns {Object} The structured query with the area filter
+ */
+function withArea(structuredQuery, area) {
+  if (!area) {
+    return structuredQuery;
+  }
+  
+  const filter = { table: 'pluto', spatial: area };
+  const filters = structuredQuery.filters || [];
+  const added = filters.some(existing => JSON.stringify(existing) === JSON.stringify(filter));
+  
+  return added ? structuredQuery : { ...structuredQuery, filters: [...filters, filter] };
+}
+
+/**
+ * Process a natural language query about NYC DOB data, or the answer to a clarifying question.
+ * An optional area drawn on a map limits the query to the buildings inside it.
  * POST /api/ai/query
  */
 router.post('/query', async (req, res) => {
+  const signal = abortOnDisconnect(res);
+  
   try {
-    const { query, userId, conversationId } = req.body;
+    const { query, userId, conversationId, clarificationAnswer, area } = req.body;
     
-    if (!query) {
+    if (!query && !clarificationAnswer) {
       return res.status(400).json({
         success: false,
         error: 'Bad Request',
@@ -40,14 +118,44 @@ router.post('/query', async (req, res) => {
       conversationId
     );
     
-    // Process the query with NLP
-    const structuredQuery = await processQuery(query, conversationContext);
+    // Merge an answer to a pending clarifying question into the query it was asked about
+    let enhancedQuery = conversationContext.resolvePendingClarification(clarificationAnswer || query);
     
-    // Enhance with conversation context if it's a follow-up
-    const enhancedQuery = processFollowUpQuery(structuredQuery, conversationContext);
+    if (!enhancedQuery) {
+      if (!query) {
+        return res.status(400).json({
+          success: false,
+          error: 'Bad Request',
+          message: 'The clarification answer does not match a pending question'
+        });
+      }
+      
+      // Process the query with NLP
+      const structuredQuery = await processQuery(query, conversationContext);
+      
+      // Enhance with conversation context if it's a follow-up
+      enhancedQuery = processFollowUpQuery(structuredQuery, conversationContext);
+    }
+    
+    enhancedQuery = withArea(enhancedQuery, area);
+    
+    // Ask a clarifying question instead of running a best-guess query
+    const clarification = buildClarification(enhancedQuery);
+    if (clarification) {
+      conversationContext.setPendingClarification(enhancedQuery, clarification);
+      
+      return res.status(200).json({
+        success: true,
+        response: {
+          ...formatClarificationResponse(clarification),
+          conversationId: conversationContext.conversationId,
+          messageCount: conversationContext.messageCount
+        }
+      });
+    }
     
     // Retrieve data based on the structured query
-    const retrievedData = await retrieveData(enhancedQuery);
+    const retrievedData = await retrieveData(enhancedQuery, { signal });
     
     // Analyze the data
     const analysisResults = await analyzeData(enhancedQuery, retrievedData);
@@ -62,12 +170,77 @@ router.post('/query', async (req, res) => {
     response.conversationId = conversationContext.conversationId;
     response.messageCount = conversationContext.messageCount;
     
+    // Record the version of every prompt used to produce the response
+    response.promptVersions = {
+      ...enhancedQuery.promptVersions,
+      ...analysisResults.promptVersions
+    };
+    
+    // Report whether the data came from the cache, how old it is and when its tables were loaded
+    response.cacheHit = retrievedData.metadata.cacheHit;
+    response.stale = retrievedData.metadata.stale;
+    response.dataAgeSeconds = retrievedData.metadata.dataAgeSeconds;
+    response.dataAsOf = retrievedData.metadata.dataAsOf;
+    
+    // Return the first page of rows of paged result sets, with the cursor for the next
+    if (retrievedData.pagination) {
+      response.results = {
+        data: retrievedData.data,
+        pagination: retrievedData.pagination
+      };
+    }
+    
     res.status(200).json({
       success: true,
       response
     });
   } catch (error) {
     console.error('Error processing AI query:', error);
+    
+    if (handleQueryExecutionError(res, error)) {
+      return;
+    }
+    
+    if (error instanceof QueryInterpretationError) {
+      return res.status(422).json({
+        success: false,
+        error: 'Unprocessable Query',
+        code: error.code,
+        message: error.message,
+        details: error.validationErrors
+      });
+    }
+    
+    if (error instanceof FilterError || error instanceof QueryPlanError) {
+      return res.status(422).json({
+        success: false,
+        error: 'Invalid Filter',
+        code: error.code,
+        message: error.message,
+        details: error.validationErrors || []
+      });
+    }
+    
+    if (error instanceof QueryCostError) {
+      return res.status(422).json({
+        success: false,
+        error: 'Query Too Expensive',
+        code: error.code,
+        message: error.message,
+        suggestion: error.suggestion,
+        costGuard: error.costGuard
+      });
+    }
+    
+    if (error instanceof LlmFixtureMissError) {
+      return res.status(500).json({
+        success: false,
+        error: 'Missing LLM Fixture',
+        code: error.code,
+        message: error.message
+      });
+    }
+    
     res.status(500).json({
       success: false,
       error: 'Server Error',
@@ -76,6 +249,83 @@ router.post('/query', async (req, res) => {
   }
 });
 
+/**
+ * Get the next page of a result set from the cursor returned with the previous page. The
+ * cursor holds the structured query, so the question is not interpreted again.
+ * POST /api/ai/query/next
+ */
+router.post('/query/next', async (req, res) => {
+  const signal = abortOnDisconnect(res);
+  
+  try {
+    const { cursor } = req.body;
+    
+    if (!cursor) {
+      return res.status(400).json({
+        success: false,
+        error: 'Bad Request',
+        message: 'Cursor is required'
+      });
+    }
+    
+    const { structuredQuery, after, samplePercent } = decodeCursor(cursor);
+    const retrievedData = await retrieveData(structuredQuery, { after, samplePercent, signal });
+    
+    res.status(200).json({
+      success: true,
+      count: retrievedData.data.length,
+      data: retrievedData.data,
+      pagination: retrievedData.pagination,
+      cacheHit: retrievedData.metadata.cacheHit,
+      stale: retrievedData.metadata.stale,
+      dataAgeSeconds: retrievedData.metadata.dataAgeSeconds,
+      dataAsOf: retrievedData.metadata.dataAsOf
+    });
+  } catch (error) {
+    console.error('Error retrieving next page:', error);
+    
+    if (handleQueryExecutionError(res, error)) {
+      return;
+    }
+    
+    if (error instanceof CursorError) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid Cursor',
+        code: error.code,
+        message: error.message
+      });
+    }
+    
+    if (error instanceof FilterError || error instanceof QueryPlanError) {
+      return res.status(422).json({
+        success: false,
+        error: 'Invalid Filter',
+        code: error.code,
+        message: error.message,
+        details: error.validationErrors || []
+      });
+    }
+    
+    if (error instanceof QueryCostError) {
+      return res.status(422).json({
+        success: false,
+        error: 'Query Too Expensive',
+        code: error.code,
+        message: error.message,
+        suggestion: error.suggestion,
+        costGuard: error.costGuard
+      });
+    }
+    
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: 'Failed to retrieve the next page of results'
+    });
+  }
+});
+
 /**
  * Get conversation history for a user
  * GET /api/ai/conversations
@@ -5,16 +5,9 @@
  * providing explanations, identifying patterns, and creating narrative summaries.
  */
 
-const { Configuration, OpenAIApi } = require('openai');
-const dotenv = require('dotenv');
-
-dotenv.config();
-
-// Initialize OpenAI client
-const configuration = new Configuration({
-  apiKey: process.env.OPENAI_API_KEY,
-});
-const openai = new OpenAIApi(configuration);
+const { complete, LLM_TASKS } = require('./llm-provider');
+const { renderPrompt, PROMPT_IDS } = require('./prompt-registry');
+const { LlmFixtureMissError } = require('./llm-fixtures');
 
 /**
  * Generate narrative insights from analysis results
@@ -27,16 +20,15 @@ async function generateNarrativeInsights(structuredQuery, analysisResults) {
     // Prepare the prompt for the language model
     const prompt = prepareInsightPrompt(structuredQuery, analysisResults);
     
-    // Call the language model to generate insights
-    const completion = await openai.createCompletion({
-      model: "gpt-3.5-turbo-instruct",
-      prompt: prompt,
-      max_tokens: 800,
+    // Call the configured language model provider to generate insights
+    const completion = await complete(LLM_TASKS.NARRATIVE_INSIGHTS, prompt.text, {
+      input: { structuredQuery, analysis: analysisResults },
+      maxTokens: 800,
       temperature: 0.7,
     });
 
     // Parse the response
-    const insights = completion.data.choices[0].text.trim();
+    const insights = completion.trim();
     
     // Extract key findings and explanations
     const keyFindings = extractKeyFindings(insights);
@@ -46,15 +38,21 @@ async function generateNarrativeInsights(structuredQuery, analysisResults) {
       summary: insights,
       keyFindings,
       explanations,
-      confidence: 0.85 // Placeholder for a real confidence score
+      confidence: 0.85, // Placeholder for a real confidence score
+      promptVersions: { [prompt.id]: prompt.version }
     };
   } catch (error) {
+    // A missing fixture means the replay is out of date, which should not pass silently
+    if (error instanceof LlmFixtureMissError) {
+      throw error;
+    }
     console.error('Error generating narrative insights:', error);
     return {
       summary: "Unable to generate insights due to an error.",
       keyFindings: [],
       explanations: [],
-      confidence: 0
+      confidence: 0,
+      promptVersions: {}
     };
   }
 }
@@ -68,45 +66,37 @@ async function generateNarrativeInsights(structuredQuery, analysisResults) {
 async function generateExplanation(analysisResults, pattern) {
   try {
     // Prepare the prompt for the language model
-    const prompt = `
-You are an expert analyst of NYC Department of Buildings data. Based on the following analysis results, 
-provide a detailed explanation for the following pattern or anomaly:
-
-Pattern to explain: "${pattern}"
-
-Analysis Results: ${JSON.stringify(analysisResults, null, 2).substring(0, 1500)}
-
-Provide a concise explanation that considers:
-1. Possible causes of this pattern
-2. Contextual factors that might contribute
-3. Historical precedents if relevant
-4. Potential implications
-
-Your explanation should be informative, factual, and avoid speculation beyond what the data supports.
-`;
+    const prompt = renderPrompt(PROMPT_IDS.EXPLANATION, {
+      pattern,
+      analysis: JSON.stringify(analysisResults, null, 2).substring(0, 1500)
+    });
     
-    // Call the language model to generate explanation
-    const completion = await openai.createCompletion({
-      model: "gpt-3.5-turbo-instruct",
-      prompt: prompt,
-      max_tokens: 500,
+    // Call the configured language model provider to generate explanation
+    const completion = await complete(LLM_TASKS.EXPLANATION, prompt.text, {
+      input: { analysisResults, pattern },
+      maxTokens: 500,
       temperature: 0.5,
     });
 
     // Parse the response
-    const explanation = completion.data.choices[0].text.trim();
+    const explanation = completion.trim();
     
     return {
       pattern,
       explanation,
-      confidence: 0.8 // Placeholder for a real confidence score
+      confidence: 0.8, // Placeholder for a real confidence score
+      promptVersions: { [prompt.id]: prompt.version }
     };
   } catch (error) {
+    if (error instanceof LlmFixtureMissError) {
+      throw error;
+    }
     console.error('Error generating explanation:', error);
     return {
       pattern,
       explanation: "Unable to generate an explanation due to an error.",
-      confidence: 0
+      confidence: 0,
+      promptVersions: {}
     };
   }
 }
@@ -115,40 +105,26 @@ Your explanation should be informative, factual, and avoid speculation beyond wh
  * Generate recommendations based on analysis results
  * @param {Object} structuredQuery - The structured query from NLP service
  * @param {Object} analysisResults - Results from data analysis
- * @returns {Array} Recommendations
+ * @returns {Object} { recommendations, promptVersions }
  */
 async function generateRecommendations(structuredQuery, analysisResults) {
   try {
     // Prepare the prompt for the language model
-    const prompt = `
-You are an expert analyst of NYC Department of Buildings data. Based on the following query and analysis results, 
-provide actionable recommendations.
-
-User Query: "${structuredQuery.originalQuery}"
-
-Query Type: ${structuredQuery.queryType}
-
-Analysis Results: ${JSON.stringify(analysisResults, null, 2).substring(0, 1500)}
-
-Provide 3-5 specific, actionable recommendations based on this data. Each recommendation should:
-1. Be clearly stated
-2. Be directly related to the data and analysis
-3. Include a brief rationale
-4. Be practical and implementable
-
-Format each recommendation as: "Recommendation: [action] - [brief rationale]"
-`;
+    const prompt = renderPrompt(PROMPT_IDS.RECOMMENDATIONS, {
+      originalQuery: structuredQuery.originalQuery,
+      queryType: structuredQuery.queryType,
+      analysis: JSON.stringify(analysisResults, null, 2).substring(0, 1500)
+    });
     
-    // Call the language model to generate recommendations
-    const completion = await openai.createCompletion({
-      model: "gpt-3.5-turbo-instruct",
-      prompt: prompt,
-      max_tokens: 600,
+    // Call the configured language model provider to generate recommendations
+    const completion = await complete(LLM_TASKS.RECOMMENDATIONS, prompt.text, {
+      input: { structuredQuery, analysisResults },
+      maxTokens: 600,
       temperature: 0.6,
     });
 
     // Parse the response
-    const recommendationsText = completion.data.choices[0].text.trim();
+    const recommendationsText = completion.trim();
     
     // Extract individual recommendations
     const recommendations = recommendationsText
@@ -160,12 +136,21 @@ Format each recommendation as: "Recommendation: [action] - [brief rationale]"
       })
       .filter(Boolean);
     
-    return recommendations;
+    return {
+      recommendations,
+      promptVersions: { [prompt.id]: prompt.version }
+    };
   } catch (error) {
+    if (error instanceof LlmFixtureMissError) {
+      throw error;
+    }
     console.error('Error generating recommendations:', error);
-    return [
-      "Unable to generate recommendations due to an error."
-    ];
+    return {
+      recommendations: [
+        "Unable to generate recommendations due to an error."
+      ],
+      promptVersions: {}
+    };
   }
 }
 
@@ -368,30 +353,15 @@ function getCorrelationStrength(correlation) {
  * Prepare prompt for generating insights
  * @param {Object} structuredQuery - The structured query
  * @param {Object} analysisResults - Analysis results
- * @returns {string} Formatted prompt
+ * @returns {Object} Rendered prompt { id, version, text }
  */
 function prepareInsightPrompt(structuredQuery, analysisResults) {
-  // Base prompt with context about the query and data
-  let prompt = `
-You are an expert analyst of NYC Department of Buildings data. Based on the following query and analysis results, 
-provide insightful observations about the data. Focus on patterns, trends, and notable findings.
-
-User Query: "${structuredQuery.originalQuery}"
-
-Query Type: ${structuredQuery.queryType}
-
-Analysis Results: ${JSON.stringify(analysisResults, null, 2).substring(0, 1500)}
-
-Provide a concise summary of key insights, including:
-1. Most significant findings
-2. Patterns or trends identified
-3. Possible explanations for these patterns
-4. Any recommendations or next steps for further investigation
-
-Your response should be informative, factual, and avoid speculation beyond what the data supports.
-`;
-
-  return prompt;
+  return renderPrompt(PROMPT_IDS.NARRATIVE_INSIGHTS, {
+    originalQuery: structuredQuery.originalQuery,
+    queryType: structuredQuery.queryType,
+    dataSummary: JSON.stringify(analysisResults.basicStats || {}),
+    analysis: JSON.stringify(analysisResults, null, 2).substring(0, 1500)
+  });
 }
 
 /**
@@ -0,0 +1,73 @@
+/**
+ * Authentication Middleware for NYCDB AI Integration
+ *
+ * The AI routes are served beside the main backend API, whose auth routes issue the JSON Web
+ * Tokens users sign in with. protect verifies those tokens as the backend's protect middleware
+ * does, and requireRole limits a route to users with one of the given roles.
+ */
+
+const jwt = require('jsonwebtoken');
+
+/**
+ * Require a valid bearer token, adding the user it was issued to as req.user
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Next middleware
+ */
+function protect(req, res, next) {
+  try {
+    const authHeader = req.headers.authorization;
+
+    if (!authHeader || !authHeader.startsWith('Bearer ')) {
+      return res.status(401).json({
+        success: false,
+        error: 'Unauthorized',
+        message: 'Not authorized to access this route'
+      });
+    }
+
+    const decoded = jwt.verify(authHeader.split(' ')[1], process.env.JWT_SECRET || 'your_jwt_secret_key_here');
+
+    // Tokens issued before roles were added belong to ordinary users
+    req.user = {
+      id: decoded.id,
+      username: decoded.username,
+      role: decoded.role || 'user'
+    };
+
+    next();
+  } catch (error) {
+    console.error('Auth middleware error:', error.message);
+    res.status(401).json({
+      success: false,
+      error: 'Unauthorized',
+      message: 'Not authorized to access this route'
+    });
+  }
+}
+
+/**
+ * Create middleware that lets only users with one of the given roles through. It runs after
+ * protect, and refused requests are logged.
+ * @param {...string} roles - Roles allowed, e.g. 'admin'
+ * @returns {Function} Express middleware
+ */
+function requireRole(...roles) {
+  return (req, res, next) => {
+    if (!req.user || !roles.includes(req.user.role)) {
+      console.warn(`Refused ${req.method} ${req.originalUrl} for user ${req.user ? req.user.username : 'unknown'} with role ${req.user ? req.user.role : 'none'}`);
+      return res.status(403).json({
+        success: false,
+        error: 'Forbidden',
+        message: `This route requires the ${roles.join(' or ')} role`
+      });
+    }
+
+    next();
+  };
+}
+
+module.exports = {
+  protect,
+  requireRole
+};
@@ -0,0 +1,247 @@
+/**
+ * Cache Stores for NYCDB AI Integration
+ *
+ * This module gives the data cache service a single interface to the place cache entries are
+ * kept. The in-memory store keeps entries in the process, and the Redis store keeps them in a
+ * Redis-protocol server shared by every backend replica, where they survive restarts. The
+ * store is selected by configuration, like the LLM provider.
+ *
+ * Every store has the same asynchronous methods:
+ * - get(key): the entry stored under the key, or undefined
+ * - set(key, entry, ttl): store a JSON-compatible entry, which may hold dates, for ttl seconds
+ * - delete(keys): remove keys, resolving to the number removed
+ * - scan(pattern, callback): call back with batches of the keys matching a glob pattern, until
+ *   the callback returns false
+ * - stats(): { keys, memoryBytes }, counting only the cache's own keys
+ */
+
+const NodeCache = require('node-cache');
+const Redis = require('ioredis');
+
+// Built-in store names
+const CACHE_STORES = {
+  MEMORY: 'memory',
+  REDIS: 'redis'
+};
+
+// Keys read per SCAN call
+const SCAN_BATCH_SIZE = 500;
+
+// Store factories keyed by name
+const storeFactories = {
+  [CACHE_STORES.MEMORY]: createMemoryStore,
+  [CACHE_STORES.REDIS]: createRedisStore
+};
+
+let activeStore = null;
+
+/**
+ * Convert a glob pattern with * and ? wildcards to a regular expression. A backslash matches
+ * the character after it literally, as in Redis.
+ * @param {string} pattern - Glob pattern, e.g. 'risk_assessment:*'
+ * @returns {RegExp} Regular expression matching whole keys
+ */
+function globToRegExp(pattern) {
+  const source = (String(pattern).match(/\\.|[\s\S]/g) || [])
+    .map(token => {
+      if (token === '*') return '.*';
+      if (token === '?') return '.';
+      return token.slice(-1).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    })
+    .join('');
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Create a store that keeps entries in this process
+ * @param {Object} config - Store configuration
+ * @param {number} config.checkPeriod - Seconds between sweeps for expired entries
+ * @returns {Object} Cache store
+ */
+function createMemoryStore(config = {}) {
+  const cache = new NodeCache({
+    stdTTL: 0,
+    checkperiod: config.checkPeriod || 60,
+    useClones: false
+  });
+
+  return {
+    name: CACHE_STORES.MEMORY,
+    async get(key) {
+      return cache.get(key);
+    },
+    async set(key, entry, ttl) {
+      cache.set(key, entry, ttl);
+    },
+    async delete(keys) {
+      return cache.del(keys);
+    },
+    async scan(pattern, callback) {
+      const matcher = globToRegExp(pattern);
+      const keys = cache.keys().filter(key => matcher.test(key));
+      for (let start = 0; start < keys.length; start += SCAN_BATCH_SIZE) {
+        if (await callback(keys.slice(start, start + SCAN_BATCH_SIZE)) === false) {
+          return;
+        }
+      }
+    },
+    async stats() {
+      const { keys, ksize, vsize } = cache.getStats();
+      return { keys, memoryBytes: ksize + vsize };
+    }
+  };
+}
+
+/**
+ * Replace dates with a tagged string when serializing an entry, so they are read back as dates
+ * like the entries of the in-memory store. Dates have already been converted to strings by
+ * toJSON when the replacer sees them, so the original value is read from the holder.
+ * @param {string} key - Property name
+ * @param {*} value - Serialized value
+ * @returns {*} Value to serialize
+ */
+function replaceDate(key, value) {
+  return this[key] instanceof Date ? { $date: value } : value;
+}
+
+/**
+ * Revive the dates tagged by replaceDate
+ * @param {string} key - Property name
+ * @param {*} value - Parsed value
+ * @returns {*} Value
+ */
+function reviveDate(key, value) {
+  return value && typeof value === 'object' && typeof value.$date === 'string' && Object.keys(value).length === 1
+    ? new Date(value.$date)
+    : value;
+}
+
+/**
+ * Create a store that keeps entries in a Redis-protocol server. Keys are namespaced with a
+ * prefix, so the server can hold other data, and pattern scans only walk the cache's keys.
+ * Commands fail at once while the server is unreachable instead of queueing, so the cache
+ * service can fall back to the database.
+ * @param {Object} config - Store configuration
+ * @param {string} config.url - Server URL, e.g. redis://localhost:6379
+ * @param {string} config.keyPrefix - Prefix of every cache key
+ * @param {Object} config.client - Existing client to use instead of connecting to config.url
+ * @returns {Object} Cache store
+ */
+function createRedisStore(config = {}) {
+  const client = config.client || new Redis(config.url, {
+    enableOfflineQueue: false,
+    maxRetriesPerRequest: 1
+  });
+  const prefix = config.keyPrefix || '';
+
+  if (!config.client) {
+    client.on('error', error => console.error('Redis cache store error:', error.message));
+  }
+
+  /**
+   * Walk the keys matching a pattern, including the prefix, with SCAN
+   * @param {string} pattern - Glob pattern without the prefix
+   * @param {Function} callback - Receives each batch of prefixed keys, and returns false to stop
+   */
+  async function scanPrefixed(pattern, callback) {
+    let cursor = '0';
+    do {
+      const [next, keys] = await client.scan(cursor, 'MATCH', `${prefix}${pattern}`, 'COUNT', SCAN_BATCH_SIZE);
+      if (keys.length > 0 && await callback(keys) === false) {
+        return;
+      }
+      cursor = next;
+    } while (cursor !== '0');
+  }
+
+  return {
+    name: CACHE_STORES.REDIS,
+    client,
+    async get(key) {
+      const value = await client.get(`${prefix}${key}`);
+      return value === null ? undefined : JSON.parse(value, reviveDate);
+    },
+    async set(key, entry, ttl) {
+      await client.set(`${prefix}${key}`, JSON.stringify(entry, replaceDate), 'EX', ttl);
+    },
+    async delete(keys) {
+      return keys.length === 0 ? 0 : client.unlink(...keys.map(key => `${prefix}${key}`));
+    },
+    async scan(pattern, callback) {
+      await scanPrefixed(pattern, keys => callback(keys.map(key => key.slice(prefix.length))));
+    },
+    async stats() {
+      let keys = 0;
+      let memoryBytes = 0;
+
+      // The server holds more than the cache, so the memory of each cache key is added up
+      // instead of reading the server's total
+      await scanPrefixed('*', async batch => {
+        const results = await client.pipeline(batch.map(key => ['memory', 'usage', key])).exec();
+        keys += batch.length;
+        memoryBytes += results.reduce((sum, [error, bytes]) => sum + (error || !bytes ? 0 : Number(bytes)), 0);
+      });
+
+      return { keys, memoryBytes };
+    }
+  };
+}
+
+/**
+ * Read store configuration from the environment
+ * @returns {Object} Store configuration
+ */
+function getStoreConfig() {
+  const url = process.env.REDIS_URL;
+
+  return {
+    name: process.env.CACHE_STORE || (url ? CACHE_STORES.REDIS : CACHE_STORES.MEMORY),
+    url,
+    keyPrefix: process.env.CACHE_KEY_PREFIX || 'nycdb:cache:'
+  };
+}
+
+/**
+ * Register an additional store factory
+ * @param {string} name - Store name used in CACHE_STORE
+ * @param {Function} factory - Function that receives the config and returns a store
+ */
+function registerStore(name, factory) {
+  storeFactories[name] = factory;
+}
+
+/**
+ * Get the configured store, creating it on first use
+ * @returns {Object} Cache store
+ */
+function getStore() {
+  if (!activeStore) {
+    const config = getStoreConfig();
+    const factory = storeFactories[config.name];
+
+    if (!factory) {
+      throw new Error(`Unknown cache store: ${config.name}`);
+    }
+
+    activeStore = factory(config);
+  }
+
+  return activeStore;
+}
+
+/**
+ * Replace the active store, or clear it so the next call re-reads the configuration
+ * @param {Object|null} store - Store instance or null
+ */
+function setStore(store) {
+  activeStore = store;
+}
+
+module.exports = {
+  CACHE_STORES,
+  createMemoryStore,
+  createRedisStore,
+  getStore,
+  setStore,
+  registerStore
+};
@@ -0,0 +1,198 @@
+/**
+ * Clarification Service for NYCDB AI Integration
+ *
+ * This service decides when a structured query is too uncertain to run and builds a
+ * clarifying question with selectable options. The chosen option is merged back into the
+ * pending query, which then runs as if the user had asked precisely.
+ */
+
+const { QUERY_TYPES } = require('./query-constants');
+const { resolveLocation, getBoroughByCode } = require('./nyc-gazetteer');
+
+const CLARIFICATION_REASONS = {
+  MISSING_QUERY_TYPE: 'missing_query_type',
+  AMBIGUOUS_LOCATION: 'ambiguous_location',
+  LOW_CONFIDENCE: 'low_confidence'
+};
+
+const QUERY_TYPE_LABELS = {
+  [QUERY_TYPES.RISK_ASSESSMENT]: 'Assess building risk',
+  [QUERY_TYPES.TREND_ANALYSIS]: 'Show trends over time',
+  [QUERY_TYPES.VIOLATION_SEARCH]: 'Find violations',
+  [QUERY_TYPES.BUILDING_LOOKUP]: 'Look up buildings',
+  [QUERY_TYPES.COMPARISON]: 'Compare areas or building types',
+  [QUERY_TYPES.GENERAL_STATS]: 'Show overall statistics',
+  [QUERY_TYPES.OWNER_PORTFOLIO]: 'Analyze an owner portfolio'
+};
+
+// Interpretations below this confidence are confirmed with the user before running
+const CONFIDENCE_THRESHOLD = parseFloat(process.env.CLARIFICATION_CONFIDENCE_THRESHOLD || '0.5');
+
+/**
+ * Build a clarifying question for a structured query, if one is needed
+ * @param {Object} structuredQuery - The structured query from NLP service
+ * @returns {Object|null} { id, reason, question, options: [{ id, label, patch }] }, or null
+ *   if the query can run as is
+ */
+function buildClarification(structuredQuery) {
+  if (!structuredQuery.queryType) {
+    return createClarification(
+      CLARIFICATION_REASONS.MISSING_QUERY_TYPE,
+      'What would you like to know?',
+      queryTypeOptions(Object.values(QUERY_TYPES))
+    );
+  }
+
+  const ambiguousLocation = findAmbiguousLocation(structuredQuery.entities.locations || []);
+  if (ambiguousLocation) {
+    return createClarification(
+      CLARIFICATION_REASONS.AMBIGUOUS_LOCATION,
+      `Which "${ambiguousLocation.location}" do you mean?`,
+      ambiguousLocation.candidates.map((candidate, index) => {
+        const qualifiedName = `${candidate.name}, ${getBoroughByCode(candidate.borough).name}`;
+        return {
+          id: `location_${index + 1}`,
+          label: qualifiedName,
+          patch: { replaceLocation: { from: ambiguousLocation.location, to: qualifiedName } }
+        };
+      })
+    );
+  }
+
+  if (typeof structuredQuery.confidence === 'number' && structuredQuery.confidence < CONFIDENCE_THRESHOLD) {
+    const guess = structuredQuery.queryType;
+    return createClarification(
+      CLARIFICATION_REASONS.LOW_CONFIDENCE,
+      `Did you want to ${QUERY_TYPE_LABELS[guess].toLowerCase()}?`,
+      queryTypeOptions([guess, ...Object.values(QUERY_TYPES).filter(queryType => queryType !== guess)])
+    );
+  }
+
+  return null;
+}
+
+/**
+ * Find the first location that names several places, ignoring candidates outside a
+ * borough the query also mentions
+ * @param {Array} locations - Location entities
+ * @returns {Object|null} { location, candidates }, or null if every location is clear
+ */
+function findAmbiguousLocation(locations) {
+  const resolutions = locations.map(location => ({ location, resolution: resolveLocation(location) }));
+  const mentionedBoroughs = resolutions
+    .filter(({ resolution }) => resolution && resolution.type === 'borough')
+    .map(({ resolution }) => resolution.borough);
+
+  for (const { location, resolution } of resolutions) {
+    if (!resolution || resolution.candidates.length < 2) {
+      continue;
+    }
+
+    const inMentionedBorough = resolution.candidates.filter(candidate => mentionedBoroughs.includes(candidate.borough));
+    const candidates = inMentionedBorough.length > 0 ? inMentionedBorough : resolution.candidates;
+    if (candidates.length > 1) {
+      return { location, candidates };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Build options that set the query type
+ * @param {Array} queryTypes - Query types in display order
+ * @returns {Array} Options
+ */
+function queryTypeOptions(queryTypes) {
+  return queryTypes.map(queryType => ({
+    id: queryType,
+    label: QUERY_TYPE_LABELS[queryType],
+    patch: { queryType }
+  }));
+}
+
+/**
+ * Create a clarification with a unique id
+ * @param {string} reason - One of CLARIFICATION_REASONS
+ * @param {string} question - Question to show the user
+ * @param {Array} options - Selectable options
+ * @returns {Object} Clarification
+ */
+function createClarification(reason, question, options) {
+  return {
+    id: 'clar_' + Math.random().toString(36).substring(2, 15),
+    reason,
+    question,
+    options
+  };
+}
+
+/**
+ * Find the option a user chose. The answer may be { clarificationId, optionId }, an option id,
+ * an option label or the option's 1-based position.
+ * @param {Object} clarification - Pending clarification
+ * @param {Object|string} answer - The user's answer
+ * @returns {Object|undefined} Chosen option
+ */
+function findClarificationOption(clarification, answer) {
+  if (answer && typeof answer === 'object') {
+    if (answer.clarificationId && answer.clarificationId !== clarification.id) {
+      return undefined;
+    }
+    return clarification.options.find(option => option.id === answer.optionId);
+  }
+
+  const text = String(answer || '').trim().toLowerCase();
+  if (/^\d+$/.test(text)) {
+    return clarification.options[parseInt(text, 10) - 1];
+  }
+  return clarification.options.find(option =>
+    option.id.toLowerCase() === text || option.label.toLowerCase() === text);
+}
+
+/**
+ * Merge a chosen option into the pending structured query
+ * @param {Object} structuredQuery - Pending structured query
+ * @param {Object} option - Chosen option
+ * @returns {Object} Updated structured query
+ */
+function applyClarificationAnswer(structuredQuery, option) {
+  const updatedQuery = { ...structuredQuery, entities: { ...structuredQuery.entities } };
+  const { patch } = option;
+
+  if (patch.queryType) {
+    updatedQuery.queryType = patch.queryType;
+    // The user chose the query type, so it is no longer a guess
+    updatedQuery.confidence = 1;
+  }
+
+  if (patch.replaceLocation) {
+    updatedQuery.entities.locations = (updatedQuery.entities.locations || []).map(location =>
+      location === patch.replaceLocation.from ? patch.replaceLocation.to : location);
+  }
+
+  return updatedQuery;
+}
+
+/**
+ * Convert a clarification to the response sent to the client
+ * @param {Object} clarification - Clarification
+ * @returns {Object} Clarification response without the internal patches
+ */
+function formatClarificationResponse(clarification) {
+  return {
+    type: 'clarification',
+    clarificationId: clarification.id,
+    reason: clarification.reason,
+    question: clarification.question,
+    options: clarification.options.map(({ id, label }) => ({ id, label }))
+  };
+}
+
+module.exports = {
+  CLARIFICATION_REASONS,
+  buildClarification,
+  findClarificationOption,
+  applyClarificationAnswer,
+  formatClarificationResponse
+};
@@ -0,0 +1,33 @@
+/**
+ * Result Cursor Configuration for NYCDB AI Integration
+ *
+ * This module configures the secret result cursors are signed with.
+ */
+
+const crypto = require('crypto');
+const dotenv = require('dotenv');
+
+dotenv.config();
+
+/**
+ * Read the cursor secret from the environment. Outside production a per-process secret is
+ * used when none is set, so cursors stop working when the server restarts and are not
+ * accepted by other replicas.
+ * @param {Object} env - Environment variables
+ * @returns {string} Secret
+ * @throws {Error} If CURSOR_SECRET is not set in production
+ */
+function resolveCursorSecret(env) {
+  if (env.CURSOR_SECRET) {
+    return env.CURSOR_SECRET;
+  }
+  if (env.NODE_ENV === 'production') {
+    throw new Error('CURSOR_SECRET must be set in production');
+  }
+  return crypto.randomBytes(32).toString('hex');
+}
+
+module.exports = {
+  secret: resolveCursorSecret(process.env),
+  resolveCursorSecret
+};
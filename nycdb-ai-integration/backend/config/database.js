@@ -30,4 +30,5 @@ pool.query('SELECT NOW()', (err, res) => {
 module.exports = {
   pool,
   query: (text, params) => pool.query(text, params),
+  connect: () => pool.connect(),
 };
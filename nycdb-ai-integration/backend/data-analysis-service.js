@@ -8,6 +8,7 @@
 const { detectPatterns } = require('./pattern-detection-service');
 const { generateVisualizations } = require('./visualization-generator');
 const { generateNarrativeInsights, generateRecommendations } = require('./ai-insight-generator');
+const { summarizePortfolio } = require('./data-transformation-service');
 
 /**
  * Analyze data based on the structured query
@@ -41,6 +42,9 @@ async function analyzeData(structuredQuery, retrievedData) {
       case 'general_stats':
         analysisResults = analyzeGeneralStats(retrievedData, structuredQuery);
         break;
+      case 'owner_portfolio':
+        analysisResults = analyzeOwnerPortfolioData(retrievedData, structuredQuery);
+        break;
       default:
         analysisResults = analyzeGenericData(retrievedData, structuredQuery);
     }
@@ -61,9 +65,12 @@ async function analyzeData(structuredQuery, retrievedData) {
     analysisResults.insights = insights;
     
     // Generate recommendations
-    const recommendations = await generateRecommendations(structuredQuery, analysisResults);
+    const { recommendations, promptVersions } = await generateRecommendations(structuredQuery, analysisResults);
     analysisResults.recommendations = recommendations;
     
+    // Record the prompt versions used, so responses can be compared across prompt changes
+    analysisResults.promptVersions = { ...insights.promptVersions, ...promptVersions };
+    
     return analysisResults;
   } catch (error) {
     console.error('Error analyzing data:', error);
@@ -276,6 +283,64 @@ function analyzeRiskData(retrievedData, structuredQuery) {
   return results;
 }
 
+/**
+ * Analyze owner portfolio data
+ * @param {Object} retrievedData - Owner portfolio data
+ * @param {Object} structuredQuery - The structured query
+ * @returns {Object} Owner portfolio analysis results
+ */
+function analyzeOwnerPortfolioData(retrievedData, structuredQuery) {
+  const results = {
+    portfolioStats: {},
+    worstBuildings: [],
+    mostViolatedBuilding: null,
+    visualizationData: {}
+  };
+  
+  if (!retrievedData || !retrievedData.data || !Array.isArray(retrievedData.data)) {
+    return results;
+  }
+  
+  const data = retrievedData.data;
+  results.portfolioStats = summarizePortfolio(retrievedData);
+  
+  // Rank buildings by open class C violations, which are immediately hazardous, then by risk
+  results.worstBuildings = [...data]
+    .sort((a, b) => Number(b.open_class_c_count || 0) - Number(a.open_class_c_count || 0) || b.risk_score - a.risk_score)
+    .slice(0, 10);
+  
+  if (data.length > 0) {
+    results.mostViolatedBuilding = data.reduce((max, building) =>
+      (Number(building.total_violations) > Number(max.total_violations) ? building : max), data[0]);
+  }
+  
+  // Prepare data for risk level distribution visualization
+  results.visualizationData.riskDistribution = Object.entries(results.portfolioStats.riskLevelCounts).map(([level, count]) => ({
+    category: level,
+    value: count
+  }));
+  
+  // Prepare data for violations by agency visualization
+  results.visualizationData.violationsBySource = [
+    { category: 'HPD', value: results.portfolioStats.hpdViolations },
+    { category: 'DOB', value: results.portfolioStats.dobViolations },
+    { category: 'ECB', value: results.portfolioStats.ecbViolations }
+  ];
+  
+  // Prepare data for buildings by borough visualization
+  const boroughCounts = {};
+  data.forEach(building => {
+    const borough = building.borough || 'Unknown';
+    boroughCounts[borough] = (boroughCounts[borough] || 0) + 1;
+  });
+  results.visualizationData.buildingsByBorough = Object.entries(boroughCounts).map(([borough, count]) => ({
+    borough,
+    buildingCount: count
+  }));
+  
+  return results;
+}
+
 /**
  * Analyze trend data
  * @param {Object} retrievedData - Trend data
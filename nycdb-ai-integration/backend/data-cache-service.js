@@ -3,46 +3,226 @@
  * 
  * This service provides caching functionality for database queries to improve performance
  * and reduce database load for frequently requested data.
+ *
+ * Keys are built from a canonical hash of the query parameters, so parameters that differ only
+ * in the order of their keys share an entry, and each query type is cached for its own TTL.
+ * Entries are kept in the configured cache store (`cache-store.js`), in this process or in a
+ * shared Redis server. Each entry records the load watermarks of the tables it was read from
+ * (`dataset-watermarks.js`) and is discarded once any of those tables is loaded again.
  */
 
-const NodeCache = require('node-cache');
+const crypto = require('crypto');
+const { QUERY_TYPES } = require('./query-constants');
+const { getStore } = require('./cache-store');
+const { getWatermarks, pickWatermarks, watermarksMoved } = require('./dataset-watermarks');
 
-// Initialize cache with standard TTL of 10 minutes and check period of 60 seconds
-const cache = new NodeCache({ 
-  stdTTL: 600, 
-  checkperiod: 60,
-  useClones: false
-});
+// Seconds each query type is cached. Aggregates over many buildings change little between
+// data loads, while lists of records are cached briefly. Each can be overridden with
+// CACHE_TTL_<QUERY TYPE>_SECONDS, e.g. CACHE_TTL_RISK_ASSESSMENT_SECONDS.
+const DEFAULT_CACHE_TTLS_SECONDS = {
+  [QUERY_TYPES.RISK_ASSESSMENT]: 1800,
+  [QUERY_TYPES.TREND_ANALYSIS]: 3600,
+  [QUERY_TYPES.VIOLATION_SEARCH]: 300,
+  [QUERY_TYPES.BUILDING_LOOKUP]: 600,
+  [QUERY_TYPES.COMPARISON]: 1800,
+  [QUERY_TYPES.GENERAL_STATS]: 3600,
+  [QUERY_TYPES.OWNER_PORTFOLIO]: 900
+};
+
+// Seconds entries are cached when neither the caller nor the environment sets a TTL
+const DEFAULT_TTL_SECONDS = 600;
+
+// Failed background refreshes in a row after which a stale entry is no longer served
+const DEFAULT_REFRESH_ERROR_BUDGET = 3;
+
+// Lookups served by this process, whichever store holds the entries
+const counters = { hits: 0, staleHits: 0, misses: 0, coalesced: 0, refreshErrors: 0, invalidated: 0 };
+
+// Fetches running in this process by key, shared by concurrent misses and refreshes
+const inFlight = new Map();
+
+/**
+ * Get the number of seconds an expired entry may still be served while it is refreshed.
+ * Set CACHE_STALE_SECONDS to change it, or to 0 to stop serving stale entries.
+ * @param {number} ttl - TTL of the entry in seconds
+ * @returns {number} Seconds
+ */
+function getStaleTtl(ttl) {
+  const override = parseInt(process.env.CACHE_STALE_SECONDS, 10);
+  return Number.isInteger(override) && override >= 0 ? override : ttl;
+}
 
 /**
- * Get data from cache or execute the provided function to retrieve it
+ * Get the number of failed refreshes in a row after which a stale entry is dropped
+ * @returns {number} Error budget
+ */
+function getRefreshErrorBudget() {
+  const override = parseInt(process.env.CACHE_REFRESH_ERROR_BUDGET, 10);
+  return Number.isInteger(override) && override >= 0 ? override : DEFAULT_REFRESH_ERROR_BUDGET;
+}
+
+/**
+ * Write an entry to the store until the end of its stale window. A store that cannot be
+ * reached is logged and skipped.
+ * @param {Object} store - Cache store
  * @param {string} key - Cache key
- * @param {Function} fetchFunction - Function to execute if cache miss
- * @param {number} ttl - Time to live in seconds (optional)
- * @returns {Promise<any>} Cached or freshly fetched data
+ * @param {Object} entry - Cache entry
  */
-async function getOrFetch(key, fetchFunction, ttl = null) {
-  // Check if data exists in cache
-  const cachedData = cache.get(key);
+async function writeEntry(store, key, entry) {
+  try {
+    await store.set(key, entry, Math.max(1, Math.ceil((entry.staleUntil - Date.now()) / 1000)));
+  } catch (error) {
+    console.error(`Error writing cache key ${key}:`, error.message);
+  }
+}
+
+/**
+ * Run the fetch for a key once in this process. Calls for a key that is already being fetched
+ * share the running fetch, which stores its data when it succeeds. Watermarks are read before
+ * the fetch, so a load that finishes while it runs outdates the entry.
+ * @param {Object} store - Cache store
+ * @param {string} key - Cache key
+ * @param {Function} fetchFunction - Function that fetches the data
+ * @param {number} ttl - Seconds the data is fresh
+ * @param {Array|Function} tables - Tables the data is read from, or a function that returns
+ *   them from the data
+ * @returns {Promise<Object>} Cache entry, and whether the call joined a running fetch
+ */
+function fetchOnce(store, key, fetchFunction, ttl, tables) {
+  if (inFlight.has(key)) {
+    counters.coalesced += 1;
+    return inFlight.get(key).then(entry => ({ entry, joined: true }));
+  }
+  
+  const flight = (async () => {
+    const watermarks = await getWatermarks();
+    const data = await fetchFunction();
+    const cachedAt = Date.now();
+    const entry = {
+      data,
+      sources: pickWatermarks(watermarks, typeof tables === 'function' ? tables(data) : tables),
+      cachedAt,
+      expiresAt: cachedAt + ttl * 1000,
+      staleUntil: cachedAt + (ttl + getStaleTtl(ttl)) * 1000,
+      refreshErrors: 0
+    };
+    await writeEntry(store, key, entry);
+    return entry;
+  })();
+  
+  inFlight.set(key, flight);
+  flight.then(() => inFlight.delete(key), () => inFlight.delete(key));
   
-  if (cachedData !== undefined) {
-    console.log(`Cache hit for key: ${key}`);
-    return cachedData;
+  return flight.then(entry => ({ entry, joined: false }));
+}
+
+/**
+ * Count a failed refresh against the error budget of a stale entry. The entry is re-read first:
+ * when another fetch, possibly in another replica sharing the store, has replaced it since, the
+ * newer entry is left as it is.
+ * @param {Object} store - Cache store
+ * @param {string} key - Cache key
+ * @param {Object} staleEntry - The expired entry whose refresh failed
+ */
+async function countRefreshError(store, key, staleEntry) {
+  let current;
+  try {
+    current = await store.get(key);
+  } catch (error) {
+    console.error(`Error reading cache key ${key}:`, error.message);
+    return;
+  }
+
+  if (current === undefined || current.cachedAt !== staleEntry.cachedAt) {
+    return;
+  }
+  await writeEntry(store, key, { ...current, refreshErrors: (current.refreshErrors || 0) + 1 });
+}
+
+/**
+ * Refresh an expired entry in the background. A failed refresh keeps the stale entry and counts
+ * against its error budget.
+ * @param {Object} store - Cache store
+ * @param {string} key - Cache key
+ * @param {Object} staleEntry - The expired entry being served
+ * @param {Function} fetchFunction - Function that fetches the data
+ * @param {number} ttl - Seconds the data is fresh
+ * @param {Array|Function} tables - Tables the data is read from
+ */
+function refreshInBackground(store, key, staleEntry, fetchFunction, ttl, tables) {
+  if (inFlight.has(key)) {
+    return;
   }
   
-  // Cache miss, execute fetch function
-  console.log(`Cache miss for key: ${key}, fetching data...`);
+  fetchOnce(store, key, fetchFunction, ttl, tables).catch(async error => {
+    counters.refreshErrors += 1;
+    console.error(`Error refreshing cache key ${key}, serving stale data:`, error.message);
+    await countRefreshError(store, key, staleEntry);
+  });
+}
+
+/**
+ * Get data from cache or execute the provided function to retrieve it. Concurrent misses for a
+ * key share one fetch. An expired entry is served at once while a background fetch refreshes
+ * it, for up to its stale window and until its refreshes have failed more times in a row than
+ * the error budget allows. An entry read from a table that has been loaded since it was
+ * fetched is never served.
+ * @param {string} key - Cache key
+ * @param {Function} fetchFunction - Function to execute if cache miss. It receives
+ *   { background: true } when it refreshes an entry after the request that found it stale
+ *   has been answered.
+ * @param {number} ttl - Seconds the data is fresh (optional)
+ * @param {Object} options - Cache options
+ * @param {Array|Function} options.tables - Tables the data is read from, or a function that
+ *   returns them from the fetched data
+ * @returns {Promise<Object>} { data, cacheHit, stale, coalesced, cachedAt, sources }, where
+ *   coalesced tells a miss that shared another call's fetch, cachedAt is when the data was
+ *   fetched and sources holds the load time of each table it was read from
+ */
+async function getOrFetch(key, fetchFunction, ttl = null, { tables = [] } = {}) {
+  const store = getStore();
+  const freshTtl = ttl || DEFAULT_TTL_SECONDS;
+  
+  // Check if data exists in cache. A store that cannot be reached is treated as a miss, so
+  // queries still run while it is down.
+  let cachedEntry;
   try {
-    const data = await fetchFunction();
+    cachedEntry = await store.get(key);
+  } catch (error) {
+    console.error(`Error reading cache key ${key}:`, error.message);
+  }
+  
+  // A table the entry was read from has been loaded since, so its data is outdated
+  if (cachedEntry !== undefined && watermarksMoved(cachedEntry.sources, await getWatermarks())) {
+    console.log(`Cache entry for key: ${key} is older than its data, fetching data...`);
+    counters.invalidated += 1;
+    cachedEntry = undefined;
+  }
+  
+  if (cachedEntry !== undefined) {
+    const now = Date.now();
+    const served = { data: cachedEntry.data, cacheHit: true, coalesced: false, cachedAt: new Date(cachedEntry.cachedAt), sources: cachedEntry.sources || {} };
     
-    // Store in cache with optional custom TTL
-    if (ttl) {
-      cache.set(key, data, ttl);
-    } else {
-      cache.set(key, data);
+    if (now < cachedEntry.expiresAt) {
+      console.log(`Cache hit for key: ${key}`);
+      counters.hits += 1;
+      return { ...served, stale: false };
     }
     
-    return data;
+    if (now < cachedEntry.staleUntil && (cachedEntry.refreshErrors || 0) < getRefreshErrorBudget()) {
+      console.log(`Stale cache hit for key: ${key}, refreshing in the background...`);
+      counters.staleHits += 1;
+      refreshInBackground(store, key, cachedEntry, () => fetchFunction({ background: true }), freshTtl, tables);
+      return { ...served, stale: true };
+    }
+  }
+  
+  // Cache miss, execute fetch function
+  console.log(`Cache miss for key: ${key}, fetching data...`);
+  counters.misses += 1;
+  try {
+    const { entry, joined } = await fetchOnce(store, key, () => fetchFunction({ background: false }), freshTtl, tables);
+    return { data: entry.data, cacheHit: false, stale: false, coalesced: joined, cachedAt: new Date(entry.cachedAt), sources: entry.sources };
   } catch (error) {
     console.error(`Error fetching data for key ${key}:`, error);
     throw error;
@@ -50,53 +230,145 @@ async function getOrFetch(key, fetchFunction, ttl = null) {
 }
 
 /**
- * Generate a cache key from query parameters
+ * Serialize a value with the keys of every object in sorted order, leaving out undefined
+ * values as JSON.stringify does
+ * @param {*} value - JSON-compatible value
+ * @returns {string} Canonical JSON
+ */
+function canonicalStringify(value) {
+  if (value instanceof Date) {
+    return JSON.stringify(value.toISOString());
+  }
+  
+  if (Array.isArray(value)) {
+    return `[${value.map(item => (item === undefined ? 'null' : canonicalStringify(item))).join(',')}]`;
+  }
+  
+  if (value && typeof value === 'object') {
+    const fields = Object.keys(value)
+      .filter(key => value[key] !== undefined)
+      .sort()
+      .map(key => `${JSON.stringify(key)}:${canonicalStringify(value[key])}`);
+    return `{${fields.join(',')}}`;
+  }
+  
+  return JSON.stringify(value === undefined ? null : value);
+}
+
+/**
+ * Generate a cache key from query parameters. The key starts with the query type, so entries
+ * of one type can be cleared with a pattern such as 'risk_assessment:*'.
  * @param {string} queryType - Type of query
  * @param {Object} queryParams - Query parameters
  * @returns {string} Cache key
  */
 function generateCacheKey(queryType, queryParams) {
-  return `${queryType}:${JSON.stringify(queryParams)}`;
+  const hash = crypto.createHash('sha256').update(canonicalStringify(queryParams)).digest('hex');
+  return `${queryType}:${hash}`;
 }
 
 /**
- * Clear cache entries matching a pattern
- * @param {string} pattern - Pattern to match (e.g., 'risk_assessment:*')
+ * Get the number of seconds results of a query type are cached
+ * @param {string} queryType - Query type
+ * @returns {number} TTL in seconds
  */
-function clearCachePattern(pattern) {
-  const keys = cache.keys();
-  const matchingKeys = keys.filter(key => {
-    if (pattern.endsWith('*')) {
-      const prefix = pattern.slice(0, -1);
-      return key.startsWith(prefix);
-    }
-    return key === pattern;
+function getCacheTtl(queryType) {
+  const override = parseInt(process.env[`CACHE_TTL_${String(queryType).toUpperCase()}_SECONDS`], 10);
+  if (Number.isInteger(override) && override > 0) {
+    return override;
+  }
+  
+  const fallback = parseInt(process.env.CACHE_TTL_SECONDS, 10);
+  return DEFAULT_CACHE_TTLS_SECONDS[queryType] || (Number.isInteger(fallback) && fallback > 0 ? fallback : DEFAULT_TTL_SECONDS);
+}
+
+/**
+ * Check whether results are cached. Set DATA_CACHE=off to always read the database.
+ * @returns {boolean} Whether the cache is enabled
+ */
+function isCacheEnabled() {
+  return process.env.DATA_CACHE !== 'off';
+}
+
+/**
+ * Clear cache entries matching a pattern. Keys are walked in batches with SCAN, so clearing
+ * does not list every key of a shared store at once.
+ * @param {string} pattern - Glob pattern to match (e.g., 'risk_assessment:*')
+ * @returns {Promise<number>} Number of entries cleared
+ */
+async function clearCachePattern(pattern) {
+  const store = getStore();
+  let cleared = 0;
+  
+  await store.scan(pattern, async keys => {
+    cleared += await store.delete(keys);
   });
   
-  matchingKeys.forEach(key => {
-    cache.del(key);
+  console.log(`Cleared ${cleared} cache entries matching pattern: ${pattern}`);
+  return cleared;
+}
+
+/**
+ * List cached keys that start with a prefix
+ * @param {string} prefix - Key prefix, e.g. 'risk_assessment:'
+ * @param {Object} options - Listing options
+ * @param {number} options.limit - Most keys to return
+ * @returns {Promise<Object>} { keys, truncated }, where truncated tells that more keys match
+ */
+async function listCacheKeys(prefix = '', { limit = 100 } = {}) {
+  const store = getStore();
+  const keys = [];
+  let truncated = false;
+  
+  // Wildcards in the prefix are matched literally
+  const pattern = `${String(prefix).replace(/[*?[\]\\]/g, '\\$&')}*`;
+  
+  await store.scan(pattern, batch => {
+    keys.push(...batch);
+    if (keys.length > limit) {
+      truncated = true;
+      return false;
+    }
+    return true;
   });
   
-  console.log(`Cleared ${matchingKeys.length} cache entries matching pattern: ${pattern}`);
+  return { keys: keys.slice(0, limit).sort(), truncated };
 }
 
 /**
- * Get cache statistics
- * @returns {Object} Cache statistics
+ * Get cache statistics. Lookups and fetches are counted by this process; keys and memory are
+ * those of the store.
+ * @returns {Promise<Object>} Cache statistics
  */
-function getCacheStats() {
+async function getCacheStats() {
+  const store = getStore();
+  const { keys, memoryBytes } = await store.stats();
+  
+  const lookups = counters.hits + counters.staleHits + counters.misses;
+  
   return {
-    keys: cache.keys().length,
-    hits: cache.getStats().hits,
-    misses: cache.getStats().misses,
-    ksize: cache.getStats().ksize,
-    vsize: cache.getStats().vsize
+    store: store.name,
+    keys,
+    hitRatio: lookups === 0 ? null : Math.round(((counters.hits + counters.staleHits) / lookups) * 1000) / 1000,
+    hits: counters.hits,
+    staleHits: counters.staleHits,
+    misses: counters.misses,
+    coalesced: counters.coalesced,
+    refreshErrors: counters.refreshErrors,
+    invalidated: counters.invalidated,
+    inFlight: inFlight.size,
+    memoryBytes
   };
 }
 
 module.exports = {
+  DEFAULT_CACHE_TTLS_SECONDS,
   getOrFetch,
+  canonicalStringify,
   generateCacheKey,
+  getCacheTtl,
+  isCacheEnabled,
   clearCachePattern,
+  listCacheKeys,
   getCacheStats
 };
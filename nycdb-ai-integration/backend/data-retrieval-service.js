@@ -5,19 +5,202 @@
  * into database operations, retrieving data from the NYCDB database.
  */
 
-const pool = require('./config/database');
 const postgrestClient = require('./config/postgrest');
 const { QUERY_TYPES, ENTITY_TYPES } = require('./nlp-service');
+const { resolveLocations } = require('./nyc-gazetteer');
+const { resolveAddresses } = require('./address-resolver');
+const { resolveOwners, findBuildingOwners } = require('./owner-resolver');
+const { resolveProximities } = require('./proximity-resolver');
+const { resolveViolationTypes, buildSourceCodeFilter, buildViolationCodeFilters } = require('./violation-taxonomy');
+const { findDatasets } = require('./nycdb-datasets');
+const {
+  SOURCES,
+  RECORD_SOURCES,
+  MEASURED_SOURCES,
+  QueryPlanError,
+  planQuery,
+  planViolationHistory,
+  planPortfolioTotals,
+  keysetValues,
+  compilePlan
+} = require('./query-planner');
+const { FilterError, assertValidFilters, listConditions, hasSpatialCondition } = require('./filter-compiler');
+const { getSchema, hasPostgis } = require('./schema-catalog');
+const { encodeCursor } = require('./result-cursor');
+const { QueryCostError, guardPlan } = require('./query-cost-guard');
+const { QueryTimeoutError, QueryCancelledError, getQueryTimeout, executeQuery } = require('./db-query-builder');
+const { calculateRiskScores, getRiskLevel } = require('./data-transformation-service');
+const { getOrFetch, generateCacheKey, getCacheTtl, canonicalStringify, isCacheEnabled } = require('./data-cache-service');
+const { getWatermarks, pickWatermarks } = require('./dataset-watermarks');
+
+// PLUTO columns that describe an area rather than a single lot
+const AREA_COLUMNS = ['borough', 'cd', 'zipcode', 'council', 'ct2010'];
 
 /**
- * Retrieve data based on the structured query from NLP service
+ * Retrieve data based on the structured query from NLP service. Results are cached by the
+ * normalized query and page for the TTL of the query type.
  * @param {Object} structuredQuery - The structured query from NLP service
- * @returns {Object} Retrieved data and metadata
+ * @param {Object} options - Retrieval options
+ * @param {Array} options.after - Keyset values from a cursor, to retrieve the page after them
+ * @param {number|null} options.samplePercent - Sampling decision from the cursor: the percent
+ *   of PLUTO the result set is read at, or null to read it in full
+ * @param {AbortSignal} options.signal - Cancels running database queries when aborted
+ * @returns {Object} Retrieved data and metadata, with pagination for paged result sets. The
+ *   metadata reports whether the data came from the cache, whether it is being refreshed
+ *   because it expired, how old it is, and in dataAsOf when each table it was read from was
+ *   last loaded.
  */
-async function retrieveData(structuredQuery) {
+async function retrieveData(structuredQuery, { after = null, samplePercent, signal = null } = {}) {
+  // A background refresh outlives the request that found the entry stale, so it cannot be
+  // cancelled by that request
+  const fetchPage = ({ background = false } = {}) => fetchData(structuredQuery, { after, samplePercent, signal: background ? null : signal });
+  
+  let cached;
+  try {
+    cached = isCacheEnabled()
+      ? await getOrFetch(buildCacheKey(structuredQuery, after, samplePercent), fetchPage, getCacheTtl(structuredQuery.queryType), {
+        tables: fetched => fetched.metadata.sources
+      })
+      : await fetchUncached(fetchPage);
+  } catch (error) {
+    // A shared fetch cancelled by the request that started it is run again for this one
+    if (error instanceof QueryCancelledError && !(signal && signal.aborted)) {
+      return retrieveData(structuredQuery, { after, samplePercent, signal });
+    }
+    throw error;
+  }
+  const { data: result, cacheHit, stale, cachedAt, sources } = cached;
+  
+  // The cached result is shared, so the cache details go on a copy of its metadata
+  return {
+    ...result,
+    metadata: {
+      ...result.metadata,
+      cacheHit,
+      stale,
+      cachedAt: cachedAt.toISOString(),
+      dataAsOf: sources,
+      dataAgeSeconds: Math.max(0, Math.round((Date.now() - cachedAt.getTime()) / 1000))
+    }
+  };
+}
+
+/**
+ * Fetch a page of results without the cache, in the shape getOrFetch returns
+ * @param {Function} fetchPage - Function that fetches the page
+ * @returns {Promise<Object>} { data, cacheHit, stale, cachedAt, sources }
+ */
+async function fetchUncached(fetchPage) {
+  const watermarks = await getWatermarks();
+  const data = await fetchPage();
+  
+  return {
+    data,
+    cacheHit: false,
+    stale: false,
+    cachedAt: new Date(),
+    sources: pickWatermarks(watermarks, data.metadata.sources)
+  };
+}
+
+/**
+ * Build the cache key of a page of results. Questions that differ only in wording, letter case
+ * or the order of their entities and filters share a key.
+ * @param {Object} structuredQuery - The structured query from NLP service
+ * @param {Array|null} after - Keyset values of the page, or null for the first page
+ * @param {number|null} samplePercent - Sampling decision of a later page, from its cursor
+ * @returns {string} Cache key
+ */
+function buildCacheKey(structuredQuery, after, samplePercent) {
+  return generateCacheKey(structuredQuery.queryType, {
+    ...normalizeStructuredQuery(structuredQuery),
+    after: after || null,
+    ...(samplePercent === undefined ? {} : { samplePercent })
+  });
+}
+
+/**
+ * Reduce a structured query to the fields that decide its results. The wording of the question
+ * only matters for the datasets it names, entity lists are sets of lowercase labels, and the
+ * filters are combined with AND and the aggregations each group the same rows, so their order is
+ * irrelevant.
+ * @param {Object} structuredQuery - The structured query from NLP service
+ * @returns {Object} Normalized query
+ */
+function normalizeStructuredQuery(structuredQuery) {
+  const entities = Object.entries(structuredQuery.entities || {})
+    .filter(([, values]) => Array.isArray(values) && values.length > 0)
+    .reduce((normalized, [type, values]) => ({
+      ...normalized,
+      [type]: [...new Set(values.map(value => (
+        typeof value === 'string' ? value.trim().replace(/\s+/g, ' ').toLowerCase() : canonicalStringify(value)
+      )))].sort()
+    }), {});
+  
+  return {
+    queryType: structuredQuery.queryType || null,
+    datasets: findDatasets(structuredQuery, SOURCES).sort(),
+    entities,
+    filters: (structuredQuery.filters || []).map(canonicalStringify).sort(),
+    aggregations: (structuredQuery.aggregations || []).map(canonicalStringify).sort(),
+    sortOrder: structuredQuery.sortOrder || null,
+    limit: structuredQuery.limit || 100
+  };
+}
+
+/**
+ * Retrieve data from the database for a structured query
+ * @param {Object} structuredQuery - The structured query from NLP service
+ * @param {Object} options - Retrieval options
+ * @param {Array} options.after - Keyset values from a cursor, to retrieve the page after them
+ * @param {number|null} options.samplePercent - Sampling decision from the cursor
+ * @param {AbortSignal} options.signal - Cancels running database queries when aborted
+ * @returns {Object} Retrieved data and metadata, with pagination for paged result sets
+ */
+async function fetchData(structuredQuery, { after = null, samplePercent, signal = null } = {}) {
   try {
     // Convert structured query to database query parameters
     const dbQuery = buildDatabaseQuery(structuredQuery);
+    dbQuery.after = after;
+    dbQuery.samplePercent = samplePercent;
+    dbQuery.signal = signal;
+    dbQuery.timeoutMs = getQueryTimeout(structuredQuery.queryType);
+    
+    // Reject filters on tables, columns or operators the database does not have before
+    // any SQL is built
+    const schema = await getSchema();
+    assertValidFilters(dbQuery.filters, { schema });
+    
+    // Leave out the optional datasets this database has not loaded, with their detail and
+    // lots tables
+    dbQuery.tables = dbQuery.tables.filter(table =>
+      !SOURCES[table] || !SOURCES[table].optional ||
+      (schema[table] &&
+        (!SOURCES[table].detail || schema[SOURCES[table].detail.table]) &&
+        (!SOURCES[table].lots || schema[SOURCES[table].lots])));
+    
+    // Read violation counts from the summary views where the database has them
+    dbQuery.summaries = Object.keys(SOURCES).filter(table => SOURCES[table].summary && schema[table]);
+    
+    // Keep the buildings within a distance of the places the question measures from. An
+    // address a distance is measured from is a reference point, not a building asked about.
+    let addresses = structuredQuery.entities.addresses || [];
+    const proximities = structuredQuery.entities.proximities || [];
+    if (proximities.length > 0) {
+      await applyProximityFilters(dbQuery, proximities);
+      const targets = dbQuery.proximities.resolved
+        .filter(proximity => proximity.address)
+        .map(proximity => proximity.address.input.trim().toLowerCase());
+      addresses = addresses.filter(address => !targets.includes(address.trim().toLowerCase()));
+    }
+    
+    // Narrow the query to an owner's buildings for portfolio questions, or to specific
+    // buildings when the question names an address, BBL or BIN
+    if (structuredQuery.queryType === QUERY_TYPES.OWNER_PORTFOLIO) {
+      await applyOwnerFilters(dbQuery, { ...structuredQuery.entities, addresses });
+    } else if (addresses.length > 0) {
+      await applyAddressFilters(dbQuery, addresses);
+    }
     
     // Execute the query based on query type
     let result;
@@ -40,26 +223,75 @@ async function retrieveData(structuredQuery) {
       case QUERY_TYPES.GENERAL_STATS:
         result = await retrieveGeneralStatsData(dbQuery);
         break;
+      case QUERY_TYPES.OWNER_PORTFOLIO:
+        result = await retrieveOwnerPortfolioData(dbQuery);
+        break;
       default:
         // Default to a general query if type is not recognized
         result = await retrieveGeneralData(dbQuery);
     }
     
+    // Replace the keyset of the last row with a cursor for the next page
+    if (result.nextPage !== undefined) {
+      result.pagination = {
+        pageSize: dbQuery.limit,
+        hasMore: result.nextPage !== null,
+        nextCursor: result.nextPage && encodeCursor(structuredQuery, result.nextPage, { samplePercent: dbQuery.samplePercent })
+      };
+      delete result.nextPage;
+    }
+    
     // Add metadata about the query and results
     result.metadata = {
       queryType: structuredQuery.queryType,
       entities: structuredQuery.entities,
+      locations: dbQuery.locations || null,
+      addresses: dbQuery.addresses || null,
+      owners: dbQuery.owners || null,
+      proximities: dbQuery.proximities || null,
+      violationCodes: dbQuery.violationCodes || null,
       timestamp: new Date().toISOString(),
-      rowCount: result.data ? result.data.length : 0
+      rowCount: result.data ? result.data.length : 0,
+      costGuard: dbQuery.costGuard || null,
+      sources: listSources(dbQuery)
     };
     
     return result;
   } catch (error) {
     console.error('Error retrieving data:', error);
+    if (error instanceof FilterError || error instanceof QueryPlanError || error instanceof QueryCostError ||
+        error instanceof QueryTimeoutError || error instanceof QueryCancelledError) {
+      throw error;
+    }
     throw new Error('Failed to retrieve data from database');
   }
 }
 
+/**
+ * List the tables a query may read: its sources and their detail and lots tables, PLUTO, which
+ * places and addresses are resolved against, the violation summaries and the HPD registrations
+ * of owner portfolios
+ * @param {Object} dbQuery - Database query parameters
+ * @returns {Array} Table names
+ */
+function listSources(dbQuery) {
+  const tables = ['pluto', ...dbQuery.tables, ...(dbQuery.summaries || [])];
+  
+  dbQuery.tables
+    .filter(table => SOURCES[table] && SOURCES[table].detail)
+    .forEach(table => tables.push(SOURCES[table].detail.table));
+  
+  dbQuery.tables
+    .filter(table => SOURCES[table] && SOURCES[table].lots)
+    .forEach(table => tables.push(SOURCES[table].lots));
+  
+  if (dbQuery.owners) {
+    tables.push('hpd_registrations', 'hpd_contacts');
+  }
+  
+  return [...new Set(tables)].sort();
+}
+
 /**
  * Build database query parameters from structured query
  * @param {Object} structuredQuery - The structured query from NLP service
@@ -76,40 +308,52 @@ function buildDatabaseQuery(structuredQuery) {
     limit: structuredQuery.limit || 100
   };
   
+  // Datasets the question names, e.g. "ECB penalties" or "HPD complaints"
+  const datasets = findDatasets(structuredQuery, SOURCES);
+  
   // Determine which tables to query based on query type
   switch (structuredQuery.queryType) {
     case QUERY_TYPES.RISK_ASSESSMENT:
-      dbQuery.tables.push('hpd_violations', 'dob_violations', 'pluto');
+      dbQuery.tables.push(...MEASURED_SOURCES, 'pluto');
       break;
     case QUERY_TYPES.TREND_ANALYSIS:
-      dbQuery.tables.push('dob_permits');
+      dbQuery.tables.push(datasets.find(table => SOURCES[table].dateColumn) || 'dob_permits');
       break;
-    case QUERY_TYPES.VIOLATION_SEARCH:
-      dbQuery.tables.push('hpd_violations', 'dob_violations');
+    case QUERY_TYPES.VIOLATION_SEARCH: {
+      const named = datasets.filter(table => RECORD_SOURCES.includes(table));
+      dbQuery.tables.push(...(named.length > 0 ? named : ['hpd_violations', 'dob_violations']));
       break;
+    }
     case QUERY_TYPES.BUILDING_LOOKUP:
       dbQuery.tables.push('pluto');
       break;
     case QUERY_TYPES.COMPARISON:
-      dbQuery.tables.push('pluto', 'hpd_violations', 'dob_violations');
+      dbQuery.tables.push('pluto', ...MEASURED_SOURCES);
       break;
     case QUERY_TYPES.GENERAL_STATS:
       dbQuery.tables.push('pluto');
       break;
+    case QUERY_TYPES.OWNER_PORTFOLIO:
+      dbQuery.tables.push('pluto', ...MEASURED_SOURCES);
+      break;
     default:
       dbQuery.tables.push('pluto');
   }
   
-  // Add location filters if present
+  // Add location filters if present, resolving neighborhoods, districts and ZIP codes
+  // to PLUTO columns through the gazetteer
   if (structuredQuery.entities.locations) {
-    structuredQuery.entities.locations.forEach(location => {
-      dbQuery.filters.push({
-        table: 'pluto',
-        column: 'borough',
-        operator: '=',
-        value: location
-      });
-    });
+    const { resolved, unresolved, filters } = resolveLocations(structuredQuery.entities.locations);
+    
+    if (unresolved.length > 0) {
+      console.warn('Unrecognized locations ignored:', unresolved);
+    }
+    
+    dbQuery.filters.push(...filters);
+    dbQuery.locations = {
+      resolved: resolved.map(({ type, name, borough }) => ({ type, name, borough })),
+      unresolved
+    };
   }
   
   // Add building type filters if present
@@ -140,29 +384,44 @@ function buildDatabaseQuery(structuredQuery) {
     });
   }
   
+  // Map violation types to agency codes, dropping violation and complaint tables that have no
+  // codes for the requested categories (e.g. lead paint is only recorded by HPD)
+  if (structuredQuery.entities.violationTypes && structuredQuery.entities.violationTypes.length > 0) {
+    const codes = resolveViolationTypes(structuredQuery.entities.violationTypes);
+    
+    if (codes.unresolved.length > 0) {
+      console.warn('Unrecognized violation types ignored:', codes.unresolved);
+    }
+    
+    if (codes.categories.length > 0) {
+      dbQuery.violationCodes = codes;
+      
+      // Risk, comparison and statistics plans apply the codes in their violation joins instead
+      if (structuredQuery.queryType === QUERY_TYPES.VIOLATION_SEARCH) {
+        const searched = dbQuery.tables;
+        dbQuery.tables = searched.filter(table => buildSourceCodeFilter(codes, table) !== null);
+        
+        if (dbQuery.tables.length === 0) {
+          throw new QueryPlanError(
+            `${searched.map(table => SOURCES[table].label).join(' and ')} records do not include ${codes.categories.join(' or ')}`
+          );
+        }
+        dbQuery.filters.push(...buildViolationCodeFilters(codes));
+      }
+    }
+  }
+  
   // Add time period filters if present
   if (structuredQuery.entities.timePeriods) {
     structuredQuery.entities.timePeriods.forEach(period => {
-      if (typeof period === 'object' && period.start && period.end) {
-        // For violation queries
-        if (dbQuery.tables.includes('hpd_violations') || dbQuery.tables.includes('dob_violations')) {
-          dbQuery.filters.push({
-            table: dbQuery.tables.includes('hpd_violations') ? 'hpd_violations' : 'dob_violations',
-            column: 'issueddate',
-            operator: 'BETWEEN',
-            value: [period.start, period.end]
-          });
-        }
-        
-        // For permit queries
-        if (dbQuery.tables.includes('dob_permits')) {
-          dbQuery.filters.push({
-            table: 'dob_permits',
-            column: 'issueddate',
-            operator: 'BETWEEN',
-            value: [period.start, period.end]
+      if (typeof period === 'object' && (period.start || period.end)) {
+        // Each dated source gets its own filter, since the planner applies a filter only
+        // to the source it names
+        dbQuery.tables
+          .filter(table => SOURCES[table] && SOURCES[table].dateColumn)
+          .forEach(table => {
+            dbQuery.filters.push(...buildDateRangeFilters(table, SOURCES[table].dateColumn, period));
           });
-        }
       }
     });
   }
@@ -191,59 +450,177 @@ function buildDatabaseQuery(structuredQuery) {
   return dbQuery;
 }
 
+/**
+ * Resolve addresses to BBLs and replace area filters with a BBL filter, since a lot is
+ * more specific than any borough, district or ZIP code it lies in
+ * @param {Object} dbQuery - Database query parameters
+ * @param {Array} addresses - Address labels from the structured query
+ */
+async function applyAddressFilters(dbQuery, addresses) {
+  const { resolved, unresolved, bbls, filters } = await resolveAddresses(addresses);
+  
+  if (unresolved.length > 0) {
+    console.warn('Unresolved addresses ignored:', unresolved);
+  }
+  
+  dbQuery.addresses = { resolved, unresolved };
+  
+  if (bbls.length === 0) {
+    return;
+  }
+  
+  dbQuery.filters = dbQuery.filters
+    .filter(filter => !listConditions(filter).every(condition =>
+      condition.table === 'pluto' && AREA_COLUMNS.includes(condition.column)))
+    .concat(filters);
+  dbQuery.bbls = bbls;
+}
+
+/**
+ * Resolve the owners a portfolio question names to the BBLs of their HPD registrations and
+ * filter the query to those buildings. A question naming only an address asks about the
+ * portfolio of that building's owners. Area filters are kept, so "their buildings in Brooklyn"
+ * narrows the portfolio.
+ * @param {Object} dbQuery - Database query parameters
+ * @param {Object} entities - Entities of the structured query
+ */
+async function applyOwnerFilters(dbQuery, entities) {
+  let names = entities.owners || [];
+  
+  if (names.length === 0 && entities.addresses && entities.addresses.length > 0) {
+    const { resolved, unresolved, bbls } = await resolveAddresses(entities.addresses);
+    dbQuery.addresses = { resolved, unresolved };
+    names = await findBuildingOwners(bbls);
+  }
+  
+  const { resolved, unresolved, bbls, filters } = await resolveOwners(names);
+  
+  if (unresolved.length > 0) {
+    console.warn('Unresolved owners ignored:', unresolved);
+  }
+  
+  dbQuery.owners = {
+    resolved: resolved.map(({ input, name, contacts, bbls: buildings }) => ({ input, name, contacts, buildingCount: buildings.length })),
+    unresolved
+  };
+  
+  if (bbls.length === 0) {
+    return;
+  }
+  
+  dbQuery.filters.push(...filters);
+  dbQuery.bbls = bbls;
+}
+
+/**
+ * Resolve distance phrases such as "within 500 feet of 40 Wall Street" to radius filters on
+ * PLUTO, recording the circles in dbQuery.proximities
+ * @param {Object} dbQuery - Database query parameters
+ * @param {Array} proximities - Proximity labels from the structured query
+ */
+async function applyProximityFilters(dbQuery, proximities) {
+  const { resolved, unresolved, filters } = await resolveProximities(proximities);
+  
+  if (unresolved.length > 0) {
+    console.warn('Unresolved proximities ignored:', unresolved);
+  }
+  
+  dbQuery.proximities = {
+    resolved: resolved.map(({ input, radius, point, address }) => ({ input, radius, point, address })),
+    unresolved
+  };
+  dbQuery.filters.push(...filters);
+}
+
+/**
+ * Build filters for a resolved date range, which may be open at either end
+ * @param {string} table - Table containing the date column
+ * @param {string} column - Date column
+ * @param {Object} period - Date range with start and/or end
+ * @returns {Array} Filter objects
+ */
+function buildDateRangeFilters(table, column, period) {
+  if (period.start && period.end) {
+    return [{ table, column, operator: 'BETWEEN', value: [period.start, period.end] }];
+  }
+  
+  if (period.start) {
+    return [{ table, column, operator: '>=', value: period.start }];
+  }
+  
+  return [{ table, column, operator: '<=', value: period.end }];
+}
+
+/**
+ * Compile a logical plan and run it, once the cost guard has checked the planner's estimate.
+ * The guard's decision on the first plan of a query is recorded in dbQuery.costGuard, the
+ * sample a sampleable plan was read at in dbQuery.samplePercent for the cursor of its next
+ * page, and the plan runs within the timeout budget of the query type.
+ * @param {Object} plan - Logical plan from the query planner
+ * @param {Object} dbQuery - Database query parameters the plan was built from
+ * @param {string} stage - Stage the plan belongs to, named in timeout errors
+ * @returns {Promise<Object>} Query result
+ * @throws {QueryCostError} If the plan is estimated to be too expensive to run
+ * @throws {QueryTimeoutError} If the plan runs past its timeout
+ */
+async function executePlan(plan, dbQuery, stage = 'data retrieval') {
+  const schema = await getSchema();
+  // Spatial filters use PostGIS where the database has it
+  const postgis = hasSpatialCondition(dbQuery.filters) && await hasPostgis();
+  const compile = candidate => compilePlan(candidate, { schema, postgis });
+  const { plan: guardedPlan, costGuard } = await guardPlan(plan, dbQuery, compile);
+  
+  if (!dbQuery.costGuard) {
+    dbQuery.costGuard = costGuard;
+  }
+  if (plan.sampleable) {
+    dbQuery.samplePercent = costGuard.decision === 'sampled' ? costGuard.samplePercent : null;
+  }
+  
+  const { query, params } = compile(guardedPlan);
+  return executeQuery(query, params, { timeoutMs: dbQuery.timeoutMs, signal: dbQuery.signal, stage });
+}
+
+/**
+ * Run a paged plan, reading one row past the page to learn whether another page follows
+ * @param {Object} plan - Logical plan with a keyset and limit
+ * @param {Object} dbQuery - Database query parameters the plan was built from
+ * @returns {Promise<Object>} { rows, nextPage }, where nextPage holds the keyset values of
+ *   the last row, or is null on the last page
+ */
+async function executePagedPlan(plan, dbQuery) {
+  const result = await executePlan({ ...plan, limit: plan.limit + 1 }, dbQuery);
+  const rows = result.rows.slice(0, plan.limit);
+  
+  return {
+    rows,
+    nextPage: result.rows.length > plan.limit ? keysetValues(plan, rows[rows.length - 1]) : null
+  };
+}
+
 /**
  * Retrieve risk assessment data for buildings
  * @param {Object} dbQuery - Database query parameters
  * @returns {Object} Risk assessment data
  */
 async function retrieveRiskAssessmentData(dbQuery) {
-  // Query to get buildings with high violation counts
-  const query = `
-    SELECT 
-      p.bbl,
-      p.address,
-      p.borough,
-      p.block,
-      p.lot,
-      p.bldgclass,
-      p.yearbuilt,
-      COUNT(DISTINCT hv.id) as hpd_violation_count,
-      COUNT(DISTINCT dv.id) as dob_violation_count,
-      (COUNT(DISTINCT hv.id) + COUNT(DISTINCT dv.id)) as total_violations
-    FROM 
-      pluto p
-    LEFT JOIN 
-      hpd_violations hv ON p.bbl = hv.bbl
-    LEFT JOIN 
-      dob_violations dv ON p.bbl = dv.bbl
-    WHERE 
-      ${buildWhereClause(dbQuery.filters)}
-    GROUP BY 
-      p.bbl, p.address, p.borough, p.block, p.lot, p.bldgclass, p.yearbuilt
-    ORDER BY 
-      total_violations DESC
-    LIMIT ${dbQuery.limit};
-  `;
-  
-  const result = await pool.query(query);
-  
-  // Calculate risk scores based on violation counts and building age
-  const data = result.rows.map(building => {
-    const ageScore = calculateBuildingAgeScore(building.yearbuilt);
-    const violationScore = calculateViolationScore(building.total_violations);
-    const riskScore = (ageScore + violationScore) / 2;
+  // Get buildings with high violation counts
+  const { rows, nextPage } = await executePagedPlan(planQuery(QUERY_TYPES.RISK_ASSESSMENT, dbQuery), dbQuery);
+  
+  // Calculate risk scores based on building age, violations, complaints and unpaid penalties
+  const data = rows.map(building => {
+    const scores = calculateRiskScores(building);
     
     return {
       ...building,
-      age_score: ageScore,
-      violation_score: violationScore,
-      risk_score: riskScore,
-      risk_level: getRiskLevel(riskScore)
+      ...scores,
+      risk_level: getRiskLevel(scores.risk_score)
     };
   });
   
   return {
     data,
+    nextPage,
     analysisType: 'risk_assessment'
   };
 }
@@ -254,49 +631,30 @@ async function retrieveRiskAssessmentData(dbQuery) {
  * @returns {Object} Trend analysis data
  */
 async function retrieveTrendAnalysisData(dbQuery) {
-  // Determine if we're analyzing permits, violations, or something else
-  let timeColumn, countColumn;
-  let table = dbQuery.tables[0];
-  
-  if (table === 'dob_permits') {
-    timeColumn = 'issueddate';
-    countColumn = 'COUNT(*)';
-  } else if (table === 'hpd_violations' || table === 'dob_violations') {
-    timeColumn = 'issueddate';
-    countColumn = 'COUNT(*)';
-  } else {
-    // Default to a general time-based query
-    timeColumn = 'created_at';
-    countColumn = 'COUNT(*)';
-  }
+  const plan = planQuery(QUERY_TYPES.TREND_ANALYSIS, dbQuery);
+  const timeColumn = SOURCES[plan.from].dateColumn;
   
   // Extract time period from filters
   let startDate = '2018-01-01'; // Default to 5 years ago
   let endDate = new Date().toISOString().split('T')[0]; // Today
   
   dbQuery.filters.forEach(filter => {
-    if (filter.column === timeColumn && filter.operator === 'BETWEEN') {
+    if (filter.table !== plan.from || filter.column !== timeColumn) {
+      return;
+    }
+    
+    if (filter.operator === 'BETWEEN') {
       startDate = filter.value[0];
       endDate = filter.value[1];
+    } else if (filter.operator === '>=') {
+      startDate = filter.value;
+    } else if (filter.operator === '<=') {
+      endDate = filter.value;
     }
   });
   
-  // Query to get time-series data
-  const query = `
-    SELECT 
-      DATE_TRUNC('month', ${timeColumn}) as time_period,
-      ${countColumn} as count
-    FROM 
-      ${table}
-    WHERE 
-      ${buildWhereClause(dbQuery.filters)}
-    GROUP BY 
-      DATE_TRUNC('month', ${timeColumn})
-    ORDER BY 
-      time_period ASC;
-  `;
-  
-  const result = await pool.query(query);
+  // Get monthly counts
+  const result = await executePlan(plan, dbQuery);
   
   return {
     data: result.rows,
@@ -314,102 +672,11 @@ async function retrieveTrendAnalysisData(dbQuery) {
  * @returns {Object} Violation data
  */
 async function retrieveViolationData(dbQuery) {
-  // Determine which violation tables to query
-  const tables = dbQuery.tables;
-  let query;
-  
-  if (tables.includes('hpd_violations') && tables.includes('dob_violations')) {
-    // Query both violation types
-    query = `
-      SELECT 
-        'HPD' as source,
-        v.violationid,
-        v.bbl,
-        p.address,
-        p.borough,
-        v.issueddate,
-        v.violationstatus,
-        v.violationtype,
-        v.novdescription as description
-      FROM 
-        hpd_violations v
-      JOIN 
-        pluto p ON v.bbl = p.bbl
-      WHERE 
-        ${buildWhereClause(dbQuery.filters.filter(f => f.table !== 'dob_violations'))}
-      UNION ALL
-      SELECT 
-        'DOB' as source,
-        v.violationid,
-        v.bbl,
-        p.address,
-        p.borough,
-        v.issueddate,
-        v.violationstatus,
-        v.violationtype,
-        v.description
-      FROM 
-        dob_violations v
-      JOIN 
-        pluto p ON v.bbl = p.bbl
-      WHERE 
-        ${buildWhereClause(dbQuery.filters.filter(f => f.table !== 'hpd_violations'))}
-      ORDER BY 
-        issueddate DESC
-      LIMIT ${dbQuery.limit};
-    `;
-  } else if (tables.includes('hpd_violations')) {
-    // Query only HPD violations
-    query = `
-      SELECT 
-        'HPD' as source,
-        v.violationid,
-        v.bbl,
-        p.address,
-        p.borough,
-        v.issueddate,
-        v.violationstatus,
-        v.violationtype,
-        v.novdescription as description
-      FROM 
-        hpd_violations v
-      JOIN 
-        pluto p ON v.bbl = p.bbl
-      WHERE 
-        ${buildWhereClause(dbQuery.filters)}
-      ORDER BY 
-        issueddate DESC
-      LIMIT ${dbQuery.limit};
-    `;
-  } else {
-    // Query only DOB violations
-    query = `
-      SELECT 
-        'DOB' as source,
-        v.violationid,
-        v.bbl,
-        p.address,
-        p.borough,
-        v.issueddate,
-        v.violationstatus,
-        v.violationtype,
-        v.description
-      FROM 
-        dob_violations v
-      JOIN 
-        pluto p ON v.bbl = p.bbl
-      WHERE 
-        ${buildWhereClause(dbQuery.filters)}
-      ORDER BY 
-        issueddate DESC
-      LIMIT ${dbQuery.limit};
-    `;
-  }
-  
-  const result = await pool.query(query);
+  const { rows, nextPage } = await executePagedPlan(planQuery(QUERY_TYPES.VIOLATION_SEARCH, dbQuery), dbQuery);
   
   return {
-    data: result.rows,
+    data: rows,
+    nextPage,
     analysisType: 'violation_search'
   };
 }
@@ -420,35 +687,19 @@ async function retrieveViolationData(dbQuery) {
  * @returns {Object} Building data
  */
 async function retrieveBuildingData(dbQuery) {
-  const query = `
-    SELECT 
-      p.bbl,
-      p.address,
-      p.borough,
-      p.block,
-      p.lot,
-      p.bldgclass,
-      p.landuse,
-      p.yearbuilt,
-      p.numfloors,
-      p.unitsres,
-      p.unitstotal,
-      p.assesstot,
-      p.exemptland,
-      p.exempttot
-    FROM 
-      pluto p
-    WHERE 
-      ${buildWhereClause(dbQuery.filters)}
-    ORDER BY 
-      ${dbQuery.orderBy || 'p.address ASC'}
-    LIMIT ${dbQuery.limit};
-  `;
-  
-  const result = await pool.query(query);
+  const { rows, nextPage } = await executePagedPlan(planQuery(QUERY_TYPES.BUILDING_LOOKUP, dbQuery), dbQuery);
+  
+  // Include the violation history when specific buildings were requested, with the first page
+  let violations;
+  if (dbQuery.bbls && !dbQuery.after) {
+    const violationResult = await executePlan(planViolationHistory(dbQuery.bbls, dbQuery.limit), dbQuery, 'violation history');
+    violations = violationResult.rows;
+  }
   
   return {
-    data: result.rows,
+    data: rows,
+    nextPage,
+    ...(violations && { violations }),
     analysisType: 'building_lookup'
   };
 }
@@ -459,38 +710,13 @@ async function retrieveBuildingData(dbQuery) {
  * @returns {Object} Comparison data
  */
 async function retrieveComparisonData(dbQuery) {
-  // Extract comparison entities from the query
-  const comparisonEntities = dbQuery.groupBy.length > 0 ? dbQuery.groupBy : ['borough'];
-  
-  const query = `
-    SELECT 
-      ${comparisonEntities.map(e => `p.${e}`).join(', ')},
-      COUNT(DISTINCT p.bbl) as building_count,
-      AVG(p.yearbuilt) as avg_year_built,
-      AVG(p.numfloors) as avg_floors,
-      AVG(p.unitsres) as avg_residential_units,
-      COUNT(DISTINCT hv.id) as hpd_violation_count,
-      COUNT(DISTINCT dv.id) as dob_violation_count
-    FROM 
-      pluto p
-    LEFT JOIN 
-      hpd_violations hv ON p.bbl = hv.bbl
-    LEFT JOIN 
-      dob_violations dv ON p.bbl = dv.bbl
-    WHERE 
-      ${buildWhereClause(dbQuery.filters)}
-    GROUP BY 
-      ${comparisonEntities.map(e => `p.${e}`).join(', ')}
-    ORDER BY 
-      building_count DESC;
-  `;
-  
-  const result = await pool.query(query);
+  const plan = planQuery(QUERY_TYPES.COMPARISON, dbQuery);
+  const result = await executePlan(plan, dbQuery);
   
   return {
     data: result.rows,
     analysisType: 'comparison',
-    comparisonBy: comparisonEntities
+    comparisonBy: plan.groupBy.map(expr => expr.column)
   };
 }
 
@@ -500,28 +726,7 @@ async function retrieveComparisonData(dbQuery) {
  * @returns {Object} General statistics data
  */
 async function retrieveGeneralStatsData(dbQuery) {
-  const query = `
-    SELECT 
-      COUNT(DISTINCT p.bbl) as total_buildings,
-      AVG(p.yearbuilt) as avg_year_built,
-      MIN(p.yearbuilt) as oldest_building,
-      MAX(p.yearbuilt) as newest_building,
-      AVG(p.numfloors) as avg_floors,
-      MAX(p.numfloors) as max_floors,
-      SUM(p.unitsres) as total_residential_units,
-      COUNT(DISTINCT hv.id) as total_hpd_violations,
-      COUNT(DISTINCT dv.id) as total_dob_violations
-    FROM 
-      pluto p
-    LEFT JOIN 
-      hpd_violations hv ON p.bbl = hv.bbl
-    LEFT JOIN 
-      dob_violations dv ON p.bbl = dv.bbl
-    WHERE 
-      ${buildWhereClause(dbQuery.filters)};
-  `;
-  
-  const result = await pool.query(query);
+  const result = await executePlan(planQuery(QUERY_TYPES.GENERAL_STATS, dbQuery), dbQuery);
   
   return {
     data: result.rows[0],
@@ -529,6 +734,49 @@ async function retrieveGeneralStatsData(dbQuery) {
   };
 }
 
+/**
+ * Retrieve the buildings of an owner portfolio with their risk scores, and the totals of the
+ * whole portfolio with the first page
+ * @param {Object} dbQuery - Database query parameters
+ * @returns {Object} Owner portfolio data
+ */
+async function retrieveOwnerPortfolioData(dbQuery) {
+  // No registration matched the owner, so there is no portfolio to list
+  if (!dbQuery.bbls) {
+    return {
+      data: [],
+      nextPage: null,
+      totals: null,
+      analysisType: 'owner_portfolio'
+    };
+  }
+  
+  const { rows, nextPage } = await executePagedPlan(planQuery(QUERY_TYPES.OWNER_PORTFOLIO, dbQuery), dbQuery);
+  
+  const data = rows.map(building => {
+    const scores = calculateRiskScores(building);
+    
+    return {
+      ...building,
+      ...scores,
+      risk_level: getRiskLevel(scores.risk_score)
+    };
+  });
+  
+  let totals;
+  if (!dbQuery.after) {
+    const totalsResult = await executePlan(planPortfolioTotals(dbQuery), dbQuery, 'portfolio totals');
+    totals = totalsResult.rows[0];
+  }
+  
+  return {
+    data,
+    nextPage,
+    ...(totals && { totals }),
+    analysisType: 'owner_portfolio'
+  };
+}
+
 /**
  * Retrieve general data for any other query type
  * @param {Object} dbQuery - Database query parameters
@@ -570,22 +818,8 @@ async function retrieveGeneralData(dbQuery) {
   };
 }
 
-/**
- * Build SQL WHERE clause from filter objects
- * @param {Array} filters - Array of filter objects
- * @returns {string} SQL WHERE clause
- */
-function buildWhereClause(filters) {
-  if (!filters || filters.length === 0) {
-    return '1=1'; // Default to true if no filters
-  }
-  
-  const clauses = filters.map(filter => {
-    const { table, column, operator, value } = filter;
-    
-    // Handle different operator types
-    switch (operator) {
-      case '=':
-        return `${table}.${column} = '${value}'`;
-      case 'LIKE':
-        <response clipped><NOTE>To save on context only part of this file has been shown to you. You should retry this tool after you have searched inside the file with `grep -n` in order to find the line numbers of what you are looking for.</NOTE>
\ No newline at end of file
+module.exports = {
+  retrieveData,
+  buildDatabaseQuery,
+  buildCacheKey
+};
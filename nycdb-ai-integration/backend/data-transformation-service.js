@@ -67,16 +67,12 @@ function transformQueryResults(rawData, queryType) {
 function transformRiskAssessmentData(rows) {
   // Calculate risk scores for each building
   const data = rows.map(building => {
-    const ageScore = calculateBuildingAgeScore(building.yearbuilt);
-    const violationScore = calculateViolationScore(building.total_violations);
-    const riskScore = (ageScore + violationScore) / 2;
+    const scores = calculateRiskScores(building);
     
     return {
       ...building,
-      age_score: ageScore,
-      violation_score: violationScore,
-      risk_score: riskScore,
-      risk_level: getRiskLevel(riskScore)
+      ...scores,
+      risk_level: getRiskLevel(scores.risk_score)
     };
   });
   
@@ -268,6 +264,56 @@ function calculateViolationScore(violationCount) {
   return Math.round(violationCount * 5);
 }
 
+/**
+ * Calculate a risk score based on complaint count
+ * @param {number} complaintCount - Number of HPD and DOB complaints
+ * @returns {number} Complaint risk score (0-100)
+ */
+function calculateComplaintScore(complaintCount) {
+  // 50+ complaints = 100 score, on a linear scale
+  return Math.min(Math.round(complaintCount * 2), 100);
+}
+
+/**
+ * Calculate a risk score based on unpaid ECB penalties
+ * @param {number} balanceDue - Outstanding ECB penalty balance in dollars
+ * @returns {number} Penalty risk score (0-100)
+ */
+function calculatePenaltyScore(balanceDue) {
+  // $25,000+ outstanding = 100 score, on a linear scale
+  return Math.min(Math.round(balanceDue / 250), 100);
+}
+
+/**
+ * Calculate the risk scores of a building. Age and violations count twice as much as complaints
+ * and unpaid penalties, which are left out for databases that have not loaded them.
+ * @param {Object} building - Risk assessment row
+ * @returns {Object} { age_score, violation_score, complaint_score, penalty_score, risk_score }
+ */
+function calculateRiskScores(building) {
+  const scores = {
+    age_score: calculateBuildingAgeScore(building.yearbuilt),
+    violation_score: calculateViolationScore(Number(building.total_violations))
+  };
+  const weighted = [[scores.age_score, 2], [scores.violation_score, 2]];
+  
+  if (building.hpd_complaint_count !== undefined || building.dob_complaint_count !== undefined) {
+    scores.complaint_score = calculateComplaintScore(
+      Number(building.hpd_complaint_count || 0) + Number(building.dob_complaint_count || 0));
+    weighted.push([scores.complaint_score, 1]);
+  }
+  
+  if (building.ecb_balance_due !== undefined) {
+    scores.penalty_score = calculatePenaltyScore(Number(building.ecb_balance_due || 0));
+    weighted.push([scores.penalty_score, 1]);
+  }
+  
+  const totalWeight = weighted.reduce((total, [, weight]) => total + weight, 0);
+  scores.risk_score = weighted.reduce((total, [score, weight]) => total + score * weight, 0) / totalWeight;
+  
+  return scores;
+}
+
 /**
  * Get risk level label based on risk score
  * @param {number} score - Risk score (0-100)
@@ -280,6 +326,52 @@ function getRiskLevel(score) {
   return 'Minimal';
 }
 
+/**
+ * Summarize an owner portfolio. Counts come from the totals of the whole portfolio, which are
+ * retrieved with its first page, or else from the listed buildings; risk scores are averaged
+ * over the listed buildings.
+ * @param {Object} retrievedData - Owner portfolio data, with totals and metadata.owners
+ * @returns {Object} Portfolio statistics
+ */
+function summarizePortfolio(retrievedData) {
+  const data = retrievedData.data || [];
+  const totals = retrievedData.totals || null;
+  const owners = (retrievedData.metadata && retrievedData.metadata.owners) || { resolved: [], unresolved: [] };
+  
+  const sumOfBuildings = property => data.reduce((sum, building) => sum + Number(building[property] || 0), 0);
+  const total = property => (totals ? Number(totals[property] || 0) : sumOfBuildings(property));
+  
+  const riskLevelCounts = { High: 0, Medium: 0, Low: 0, Minimal: 0 };
+  data.forEach(building => {
+    if (building.risk_level) {
+      riskLevelCounts[building.risk_level]++;
+    }
+  });
+  
+  const residentialUnits = totals ? Number(totals.residential_units || 0) : sumOfBuildings('unitsres');
+  const totalViolations = total('total_violations');
+  
+  return {
+    owners: owners.resolved.map(owner => owner.input),
+    unresolvedOwners: owners.unresolved,
+    contacts: owners.resolved.flatMap(owner => owner.contacts),
+    buildingCount: totals ? Number(totals.building_count || 0) : data.length,
+    listedBuildings: data.length,
+    residentialUnits,
+    totalViolations,
+    hpdViolations: total('hpd_violation_count'),
+    dobViolations: total('dob_violation_count'),
+    ecbViolations: total('ecb_violation_count'),
+    openClassCViolations: total('open_class_c_count'),
+    ecbBalanceDue: total('ecb_balance_due'),
+    hpdComplaints: total('hpd_complaint_count'),
+    dobComplaints: total('dob_complaint_count'),
+    violationsPerUnit: residentialUnits > 0 ? totalViolations / residentialUnits : null,
+    averageRiskScore: data.length > 0 ? data.reduce((sum, building) => sum + building.risk_score, 0) / data.length : null,
+    riskLevelCounts
+  };
+}
+
 /**
  * Calculate average of a property across objects
  * @param {Array} data - Array of objects
@@ -298,5 +390,12 @@ function calculateAverage(data, property) {
 }
 
 module.exports = {
-  transformQueryResults
+  transformQueryResults,
+  calculateBuildingAgeScore,
+  calculateViolationScore,
+  calculateComplaintScore,
+  calculatePenaltyScore,
+  calculateRiskScores,
+  getRiskLevel,
+  summarizePortfolio
 };
@@ -0,0 +1,157 @@
+/**
+ * Dataset Watermarks for NYCDB AI Integration
+ *
+ * This module keeps the registry of when each table was last loaded. The `dataset_loads` table
+ * holds one row per table with its load time (its watermark), recorded by the nycdb loader after
+ * each load, by the violation summary refresh, or by an administrator. Cached results record
+ * the watermarks of the tables they read and are discarded once any of them moves.
+ *
+ * Record a load from the command line after nycdb loads a dataset:
+ *   npm run record-load -- hpd_violations hpd_complaints
+ */
+
+const database = require('./config/database');
+
+const DATASET_LOADS_TABLE = 'dataset_loads';
+
+// PostgreSQL error code for a table that does not exist
+const UNDEFINED_TABLE = '42P01';
+
+// How long watermarks are reused before the registry is read again
+const WATERMARK_CHECK_MS = parseInt(process.env.WATERMARK_CHECK_SECONDS || '30', 10) * 1000;
+
+let cachedWatermarks = null;
+let checkedAt = 0;
+
+/**
+ * Create the registry table if it does not exist
+ */
+async function createDatasetLoadsTable() {
+  await database.query(`CREATE TABLE IF NOT EXISTS ${DATASET_LOADS_TABLE} (
+  table_name text PRIMARY KEY,
+  loaded_at timestamptz NOT NULL,
+  loaded_by text
+)`);
+}
+
+/**
+ * Get the watermark of every table in the registry. A database without the registry has no
+ * watermarks, and a registry that cannot be read is logged and treated the same way, so
+ * queries still run.
+ * @returns {Promise<Object>} Load times as ISO strings keyed by table
+ */
+async function getWatermarks() {
+  if (cachedWatermarks && Date.now() - checkedAt < WATERMARK_CHECK_MS) {
+    return cachedWatermarks;
+  }
+
+  let rows = [];
+  try {
+    const result = await database.query(`SELECT table_name, loaded_at FROM ${DATASET_LOADS_TABLE}`);
+    rows = result.rows;
+  } catch (error) {
+    if (error.code !== UNDEFINED_TABLE) {
+      console.error('Error reading dataset watermarks:', error.message);
+    }
+  }
+
+  cachedWatermarks = rows
+    .filter(row => typeof row.table_name === 'string' && row.loaded_at)
+    .reduce((watermarks, row) => ({
+      ...watermarks,
+      [row.table_name]: new Date(row.loaded_at).toISOString()
+    }), {});
+  checkedAt = Date.now();
+
+  return cachedWatermarks;
+}
+
+/**
+ * Forget the watermarks read from the registry, so the next call reads it again
+ */
+function clearWatermarkCache() {
+  cachedWatermarks = null;
+  checkedAt = 0;
+}
+
+/**
+ * Pick the watermarks of some tables
+ * @param {Object} watermarks - Watermarks from getWatermarks
+ * @param {Array} tables - Table names
+ * @returns {Object} Load time of each table, or null for tables without a recorded load
+ */
+function pickWatermarks(watermarks, tables = []) {
+  return [...new Set(tables)].sort().reduce((picked, table) => ({
+    ...picked,
+    [table]: watermarks[table] || null
+  }), {});
+}
+
+/**
+ * Check whether any table has been loaded since watermarks were recorded
+ * @param {Object} recorded - Watermarks from pickWatermarks
+ * @param {Object} current - Watermarks from getWatermarks
+ * @returns {boolean} Whether a watermark has moved
+ */
+function watermarksMoved(recorded, current) {
+  return Object.keys(recorded || {}).some(table => (current[table] || null) !== recorded[table]);
+}
+
+/**
+ * Record that tables were loaded, moving their watermarks
+ * @param {Array} tables - Table names
+ * @param {Object} options - Load details
+ * @param {Date} options.loadedAt - When the load finished
+ * @param {string} options.loadedBy - Who or what loaded the tables
+ * @returns {Promise<Array>} Rows of the registry that were written
+ */
+async function recordDatasetLoad(tables, { loadedAt = new Date(), loadedBy = null } = {}) {
+  const names = [...new Set(tables)].filter(table => /^[a-z_][a-z0-9_]*$/.test(table));
+  if (names.length === 0) {
+    return [];
+  }
+
+  await createDatasetLoadsTable();
+  const result = await database.query(
+    `INSERT INTO ${DATASET_LOADS_TABLE} (table_name, loaded_at, loaded_by)
+     SELECT unnest($1::text[]), $2, $3
+     ON CONFLICT (table_name) DO UPDATE SET loaded_at = EXCLUDED.loaded_at, loaded_by = EXCLUDED.loaded_by
+     RETURNING table_name, loaded_at, loaded_by`,
+    [names, loadedAt, loadedBy]
+  );
+
+  clearWatermarkCache();
+  return result.rows;
+}
+
+// Run from the command line: node dataset-watermarks.js [create|record <table> ...]
+if (require.main === module) {
+  const [command = 'create', ...tables] = process.argv.slice(2);
+
+  if (command !== 'create' && command !== 'record') {
+    console.error(`Unknown command: ${command}. Use create or record <table> ...`);
+    process.exit(1);
+  }
+
+  const run = command === 'create'
+    ? createDatasetLoadsTable
+    : () => recordDatasetLoad(tables, { loadedBy: process.env.USER || 'command line' });
+
+  run()
+    .then(result => console.log(`Dataset loads ${command}:`, result || DATASET_LOADS_TABLE))
+    .catch(error => {
+      console.error('Error updating dataset loads:', error);
+      process.exitCode = 1;
+    })
+    .finally(() => database.pool.end());
+}
+
+module.exports = {
+  DATASET_LOADS_TABLE,
+  createDatasetLoadsTable,
+  getWatermarks,
+  clearWatermarkCache,
+  pickWatermarks,
+  watermarksMoved,
+  recordDatasetLoad
+};
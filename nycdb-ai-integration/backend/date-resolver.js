@@ -0,0 +1,398 @@
+/**
+ * Date Expression Resolver for NYCDB AI Integration
+ *
+ * This module resolves relative and absolute date expressions from user queries
+ * ("since 2019", "Q3 2022", "last 18 months", "FY2023", "this winter") into
+ * { start, end } date ranges that can be applied as database filters.
+ */
+
+const MONTHS = {
+  jan: 0, january: 0,
+  feb: 1, february: 1,
+  mar: 2, march: 2,
+  apr: 3, april: 3,
+  may: 4,
+  jun: 5, june: 5,
+  jul: 6, july: 6,
+  aug: 7, august: 7,
+  sep: 8, sept: 8, september: 8,
+  oct: 9, october: 9,
+  nov: 10, november: 10,
+  dec: 11, december: 11
+};
+
+const NUMBER_WORDS = {
+  a: 1, an: 1, one: 1, two: 2, couple: 2, three: 3, few: 3, four: 4, five: 5, six: 6,
+  seven: 7, eight: 8, nine: 9, ten: 10, eleven: 11, twelve: 12, fifteen: 15,
+  eighteen: 18, twenty: 20, thirty: 30
+};
+
+const ORDINAL_QUARTERS = { first: 1, second: 2, third: 3, fourth: 4 };
+
+// First month of each season; winter runs from December into the next year
+const SEASONS = { spring: 2, summer: 5, fall: 8, autumn: 8, winter: 11 };
+
+// NYC fiscal years start on July 1 of the previous calendar year
+const FISCAL_YEAR_START_MONTH = 6;
+
+// Named periods that users refer to by event rather than by date
+const NAMED_PERIODS = {
+  pandemic: { start: '2020-03-01', end: '2021-06-30' },
+  covid: { start: '2020-03-01', end: '2021-06-30' }
+};
+
+const MONTH_PATTERN = Object.keys(MONTHS).sort((a, b) => b.length - a.length).join('|');
+const NUMBER_PATTERN = `\\d+|${Object.keys(NUMBER_WORDS).join('|')}`;
+
+/**
+ * Build the pattern for single date anchors such as "2019", "March 2021", "Q3 2022",
+ * "FY23" or "the pandemic"
+ * @param {boolean} requireYear - Whether month and season names need a year, which
+ *   avoids matching words like "may" or "fall" outside a date phrase
+ * @returns {string} Regular expression source
+ */
+function buildAnchorSource(requireYear) {
+  const yearSuffix = requireYear ? '' : '?';
+  return [
+    `(?:fy\\s?'?\\d{2,4}|fiscal(?: year)? \\d{4})`,
+    `(?:q[1-4]|(?:first|second|third|fourth) quarter)(?:(?: of)? \\d{4})?`,
+    `(?:winter|spring|summer|fall|autumn)(?:(?: of)? \\d{4})${yearSuffix}`,
+    `(?:${MONTH_PATTERN})\\.?(?:,? \\d{4})${yearSuffix}`,
+    `(?:19|20)\\d{2}`,
+    `(?:the )?(?:${Object.keys(NAMED_PERIODS).join('|')})(?: pandemic)?`
+  ].join('|');
+}
+
+const ANCHOR_SOURCE = buildAnchorSource(false);
+
+// Expressions recognized by extractTimeExpressions, most specific first
+const EXPRESSION_PATTERN = new RegExp([
+  `\\b(?:between|from) (?:${ANCHOR_SOURCE}) (?:and|to|through|until) (?:${ANCHOR_SOURCE})\\b`,
+  `\\b(?:since|after|before|prior to|during|in|throughout) (?:${ANCHOR_SOURCE})\\b`,
+  `\\b(?:last|past|previous|recent) (?:${NUMBER_PATTERN}) (?:years?|months?|weeks?|days?|decades?)\\b`,
+  `\\b(?:this|last|past|previous) (?:year|month|week|quarter|decade|fiscal year|winter|spring|summer|fall|autumn)\\b`,
+  `\\b(?:ytd|year to date)\\b`,
+  `\\b(?:${buildAnchorSource(true)})\\b`
+].join('|'), 'gi');
+
+/**
+ * Find date expressions in free text
+ * @param {string} text - Query text
+ * @returns {Array} Matched expressions in the order they appear
+ */
+function extractTimeExpressions(text) {
+  const matches = (text || '').toLowerCase().match(EXPRESSION_PATTERN) || [];
+  return [...new Set(matches.map(match => match.trim()))];
+}
+
+/**
+ * Resolve a date expression into a date range
+ * @param {string|Object} expression - Expression text, or an already resolved range
+ * @param {Date} referenceDate - Date that relative expressions are measured from
+ * @returns {Object|null} { start, end, label } with ISO dates (start or end may be null
+ *   for open ranges), or null if the expression is not recognized
+ */
+function resolveTimePeriod(expression, referenceDate = new Date()) {
+  if (expression && typeof expression === 'object') {
+    return expression;
+  }
+
+  const text = String(expression || '').toLowerCase().replace(/\s+/g, ' ').trim();
+  if (!text) {
+    return null;
+  }
+
+  const today = toUTCDate(referenceDate);
+  const range = resolveRange(text, today);
+
+  if (!range) {
+    return null;
+  }
+
+  return {
+    start: range.start ? formatDate(range.start) : null,
+    end: range.end ? formatDate(range.end) : null,
+    label: String(expression).trim()
+  };
+}
+
+/**
+ * Resolve expression text into a range of UTC dates
+ * @param {string} text - Normalized expression text
+ * @param {Date} today - Reference date at UTC midnight
+ * @returns {Object|null} { start, end } UTC dates
+ */
+function resolveRange(text, today) {
+  let match;
+
+  if ((match = text.match(new RegExp(`\\b(?:between|from) (.+?) (?:and|to|through|until) (.+)$`)))) {
+    const end = resolveAnchor(match[2], today);
+    const start = end && resolveAnchor(match[1], today, end.start.getUTCFullYear());
+    return start && end ? { start: start.start, end: end.end } : null;
+  }
+
+  if ((match = text.match(/\b(since|after|before|prior to|during|in|throughout) (.+)$/))) {
+    const anchor = resolveAnchor(match[2], today);
+    if (!anchor) {
+      return null;
+    }
+
+    switch (match[1]) {
+      case 'since':
+        return { start: anchor.start, end: today };
+      case 'after':
+        return { start: addDays(anchor.end, 1), end: today };
+      case 'before':
+      case 'prior to':
+        return { start: null, end: addDays(anchor.start, -1) };
+      default:
+        return anchor;
+    }
+  }
+
+  if ((match = text.match(new RegExp(`\\b(?:last|past|previous|recent) (${NUMBER_PATTERN}) (year|month|week|day|decade)s?\\b`)))) {
+    const amount = parseNumber(match[1]);
+    return { start: subtractUnits(today, amount, match[2]), end: today };
+  }
+
+  if ((match = text.match(/\b(this|last|past|previous) (year|month|week|quarter|decade|fiscal year)\b/))) {
+    return resolveRelativeUnit(match[1], match[2], today);
+  }
+
+  if ((match = text.match(/\b(this|last|past|previous) (winter|spring|summer|fall|autumn)\b/))) {
+    const current = mostRecentSeason(match[2], today);
+    return match[1] === 'this' ? current : seasonRange(match[2], current.start.getUTCFullYear() - 1);
+  }
+
+  if (/\b(ytd|year to date)\b/.test(text)) {
+    return { start: utc(today.getUTCFullYear(), 0, 1), end: today };
+  }
+
+  return resolveAnchor(text, today);
+}
+
+/**
+ * Resolve a single anchor such as a year, month, quarter, season, fiscal year or named period
+ * @param {string} text - Anchor text
+ * @param {Date} today - Reference date
+ * @param {number} defaultYear - Year to use when the anchor has none
+ * @returns {Object|null} { start, end } UTC dates
+ */
+function resolveAnchor(text, today, defaultYear = today.getUTCFullYear()) {
+  const anchorText = text.replace(/^the /, '').trim();
+  let match;
+
+  if ((match = anchorText.match(/\b(?:fy\s?'?|fiscal(?: year)? )(\d{2,4})\b/))) {
+    return fiscalYearRange(expandYear(match[1]));
+  }
+
+  if ((match = anchorText.match(/\b(?:q([1-4])|(first|second|third|fourth) quarter)(?:(?: of)? (\d{4}))?\b/))) {
+    const quarter = match[1] ? parseInt(match[1], 10) : ORDINAL_QUARTERS[match[2]];
+    const year = match[3] ? parseInt(match[3], 10) : defaultYear;
+    return { start: utc(year, (quarter - 1) * 3, 1), end: utc(year, quarter * 3, 0) };
+  }
+
+  if ((match = anchorText.match(/\b(winter|spring|summer|fall|autumn)(?:(?: of)? (\d{4}))?\b/))) {
+    return match[2] ? seasonRange(match[1], parseInt(match[2], 10)) : mostRecentSeason(match[1], today);
+  }
+
+  if ((match = anchorText.match(new RegExp(`\\b(${MONTH_PATTERN})\\.?(?:,? (\\d{4}))?\\b`)))) {
+    const month = MONTHS[match[1]];
+    const year = match[2] ? parseInt(match[2], 10) : defaultYear;
+    return { start: utc(year, month, 1), end: utc(year, month + 1, 0) };
+  }
+
+  if ((match = anchorText.match(/\b((?:19|20)\d{2})\b/))) {
+    const year = parseInt(match[1], 10);
+    return { start: utc(year, 0, 1), end: utc(year, 11, 31) };
+  }
+
+  const namedPeriod = Object.keys(NAMED_PERIODS).find(name => anchorText.includes(name));
+  if (namedPeriod) {
+    return {
+      start: parseDate(NAMED_PERIODS[namedPeriod].start),
+      end: parseDate(NAMED_PERIODS[namedPeriod].end)
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Resolve "this"/"last" combined with a calendar unit
+ * @param {string} modifier - this, last, past or previous
+ * @param {string} unit - year, month, week, quarter, decade or fiscal year
+ * @param {Date} today - Reference date
+ * @returns {Object} { start, end } UTC dates
+ */
+function resolveRelativeUnit(modifier, unit, today) {
+  const isCurrent = modifier === 'this';
+  const year = today.getUTCFullYear();
+  const month = today.getUTCMonth();
+
+  // "past year" is a rolling window, while "last year" is the previous calendar year
+  if (modifier === 'past' && ['year', 'month', 'week'].includes(unit)) {
+    return { start: subtractUnits(today, 1, unit), end: today };
+  }
+
+  switch (unit) {
+    case 'year':
+      return isCurrent
+        ? { start: utc(year, 0, 1), end: today }
+        : { start: utc(year - 1, 0, 1), end: utc(year - 1, 11, 31) };
+    case 'month':
+      return isCurrent
+        ? { start: utc(year, month, 1), end: today }
+        : { start: utc(year, month - 1, 1), end: utc(year, month, 0) };
+    case 'quarter': {
+      const quarterStart = month - (month % 3);
+      return isCurrent
+        ? { start: utc(year, quarterStart, 1), end: today }
+        : { start: utc(year, quarterStart - 3, 1), end: utc(year, quarterStart, 0) };
+    }
+    case 'fiscal year': {
+      const currentFiscalYear = month >= FISCAL_YEAR_START_MONTH ? year + 1 : year;
+      return isCurrent
+        ? { start: fiscalYearRange(currentFiscalYear).start, end: today }
+        : fiscalYearRange(currentFiscalYear - 1);
+    }
+    case 'decade':
+      return { start: subtractUnits(today, 10, 'year'), end: today };
+    default:
+      return { start: subtractUnits(today, 1, unit), end: today };
+  }
+}
+
+/**
+ * Get the date range of a fiscal year
+ * @param {number} fiscalYear - Fiscal year, named after the calendar year it ends in
+ * @returns {Object} { start, end } UTC dates
+ */
+function fiscalYearRange(fiscalYear) {
+  return {
+    start: utc(fiscalYear - 1, FISCAL_YEAR_START_MONTH, 1),
+    end: utc(fiscalYear, FISCAL_YEAR_START_MONTH, 0)
+  };
+}
+
+/**
+ * Get the date range of a season; winter of a year starts in that year's December
+ * @param {string} season - Season name
+ * @param {number} year - Year the season starts in
+ * @returns {Object} { start, end } UTC dates
+ */
+function seasonRange(season, year) {
+  const startMonth = SEASONS[season];
+  return { start: utc(year, startMonth, 1), end: utc(year, startMonth + 3, 0) };
+}
+
+/**
+ * Get the most recent occurrence of a season that has started by the reference date
+ * @param {string} season - Season name
+ * @param {Date} today - Reference date
+ * @returns {Object} { start, end } UTC dates
+ */
+function mostRecentSeason(season, today) {
+  const year = today.getUTCFullYear();
+  const range = seasonRange(season, year);
+  return range.start <= today ? range : seasonRange(season, year - 1);
+}
+
+/**
+ * Subtract a number of calendar units from a date
+ * @param {Date} date - Starting date
+ * @param {number} amount - Number of units
+ * @param {string} unit - year, month, week, day or decade
+ * @returns {Date} Resulting UTC date
+ */
+function subtractUnits(date, amount, unit) {
+  const year = date.getUTCFullYear();
+  const month = date.getUTCMonth();
+  const day = date.getUTCDate();
+
+  switch (unit) {
+    case 'decade':
+      return utc(year - amount * 10, month, day);
+    case 'year':
+      return utc(year - amount, month, day);
+    case 'month':
+      return utc(year, month - amount, day);
+    case 'week':
+      return addDays(date, -7 * amount);
+    default:
+      return addDays(date, -amount);
+  }
+}
+
+/**
+ * Parse a digit or number word
+ * @param {string} value - Number text
+ * @returns {number} Parsed number
+ */
+function parseNumber(value) {
+  return NUMBER_WORDS[value] || parseInt(value, 10);
+}
+
+/**
+ * Expand a two-digit year to four digits
+ * @param {string} value - Year text
+ * @returns {number} Four-digit year
+ */
+function expandYear(value) {
+  const year = parseInt(value, 10);
+  return value.length === 2 ? 2000 + year : year;
+}
+
+/**
+ * Create a UTC date
+ * @param {number} year - Year
+ * @param {number} month - Zero-based month, may overflow into the next year
+ * @param {number} day - Day of month, 0 is the last day of the previous month
+ * @returns {Date} UTC date
+ */
+function utc(year, month, day) {
+  return new Date(Date.UTC(year, month, day));
+}
+
+/**
+ * Convert a local date to UTC midnight of the same calendar day
+ * @param {Date} date - Local date
+ * @returns {Date} UTC date
+ */
+function toUTCDate(date) {
+  return utc(date.getFullYear(), date.getMonth(), date.getDate());
+}
+
+/**
+ * Add days to a UTC date
+ * @param {Date} date - UTC date
+ * @param {number} days - Days to add, may be negative
+ * @returns {Date} UTC date
+ */
+function addDays(date, days) {
+  return utc(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate() + days);
+}
+
+/**
+ * Parse an ISO date string
+ * @param {string} value - Date in YYYY-MM-DD format
+ * @returns {Date} UTC date
+ */
+function parseDate(value) {
+  const [year, month, day] = value.split('-').map(Number);
+  return utc(year, month - 1, day);
+}
+
+/**
+ * Format a UTC date as YYYY-MM-DD
+ * @param {Date} date - UTC date
+ * @returns {string} ISO date
+ */
+function formatDate(date) {
+  return date.toISOString().split('T')[0];
+}
+
+module.exports = {
+  resolveTimePeriod,
+  extractTimeExpressions
+};
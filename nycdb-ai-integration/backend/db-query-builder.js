@@ -1,508 +1,176 @@
 /**
  * Database Query Builder for NYCDB AI Integration
- * 
+ *
  * This module provides utilities for building and executing database queries
- * based on the structured queries from the NLP service.
+ * based on the structured queries from the NLP service. SQL is generated by the
+ * query planner, so this module and the data retrieval service build the same queries.
+ *
+ * Queries run with a statement timeout from the budget of their query type, and are
+ * cancelled on the server when the request that started them is aborted.
  */
 
-const { Pool } = require('pg');
-const dotenv = require('dotenv');
+const database = require('./config/database');
+const { QUERY_TYPES } = require('./query-constants');
+const { planQuery, compilePlan } = require('./query-planner');
 
-dotenv.config();
+// PostgreSQL error code for statements cancelled by a timeout or pg_cancel_backend
+const QUERY_CANCELED = '57014';
 
-// Initialize PostgreSQL connection pool
-const pool = new Pool({
-  user: process.env.DB_USER || 'postgres',
-  host: process.env.DB_HOST || 'localhost',
-  database: process.env.DB_NAME || 'nycdb',
-  password: process.env.DB_PASSWORD || 'postgres',
-  port: process.env.DB_PORT || 5432,
-});
+// Statement timeout budgets in milliseconds by query type. Each can be overridden with
+// QUERY_TIMEOUT_<QUERY TYPE>_MS, e.g. QUERY_TIMEOUT_RISK_ASSESSMENT_MS.
+const DEFAULT_QUERY_TIMEOUTS_MS = {
+  [QUERY_TYPES.RISK_ASSESSMENT]: 30000,
+  [QUERY_TYPES.TREND_ANALYSIS]: 15000,
+  [QUERY_TYPES.VIOLATION_SEARCH]: 15000,
+  [QUERY_TYPES.BUILDING_LOOKUP]: 5000,
+  [QUERY_TYPES.COMPARISON]: 30000,
+  [QUERY_TYPES.GENERAL_STATS]: 20000,
+  [QUERY_TYPES.OWNER_PORTFOLIO]: 30000
+};
 
 /**
- * Execute a SQL query with parameters
- * @param {string} text - SQL query text
- * @param {Array} params - Query parameters
- * @returns {Promise<Object>} Query result
+ * Error raised when a statement runs past its timeout
  */
-async function executeQuery(text, params = []) {
-  try {
-    const start = Date.now();
-    const result = await pool.query(text, params);
-    const duration = Date.now() - start;
-    
-    console.log('Executed query', { text, duration, rows: result.rowCount });
-    
-    return result;
-  } catch (error) {
-    console.error('Error executing query', { text, error });
-    throw error;
+class QueryTimeoutError extends Error {
+  /**
+   * @param {string} stage - Stage of the request the statement belonged to, e.g. "data retrieval"
+   * @param {number} timeoutMs - Timeout the statement ran past
+   */
+  constructor(stage, timeoutMs) {
+    super(`The ${stage} step timed out after ${timeoutMs / 1000} seconds. Try narrowing the question.`);
+    this.name = 'QueryTimeoutError';
+    this.code = 'QUERY_TIMEOUT';
+    this.stage = stage;
+    this.timeoutMs = timeoutMs;
   }
 }
 
 /**
- * Build a SQL query for risk assessment
- * @param {Object} queryParams - Query parameters
- * @returns {Object} SQL query and parameters
+ * Error raised when a statement is cancelled because its request was aborted
  */
-function buildRiskAssessmentQuery(queryParams) {
-  const { filters, limit } = queryParams;
-  
-  // Start building the WHERE clause
-  let whereClause = [];
-  let params = [];
-  let paramIndex = 1;
-  
-  // Process filters
-  filters.forEach(filter => {
-    const { table, column, operator, value } = filter;
-    
-    if (operator === 'BETWEEN' && Array.isArray(value) && value.length === 2) {
-      whereClause.push(`${table}.${column} BETWEEN $${paramIndex} AND $${paramIndex + 1}`);
-      params.push(value[0], value[1]);
-      paramIndex += 2;
-    } else {
-      whereClause.push(`${table}.${column} ${operator} $${paramIndex}`);
-      params.push(value);
-      paramIndex++;
-    }
-  });
-  
-  // Default WHERE clause if none provided
-  if (whereClause.length === 0) {
-    whereClause.push('1=1');
+class QueryCancelledError extends Error {
+  /**
+   * @param {string} stage - Stage of the request the statement belonged to
+   */
+  constructor(stage) {
+    super(`The ${stage} step was cancelled`);
+    this.name = 'QueryCancelledError';
+    this.code = 'QUERY_CANCELLED';
+    this.stage = stage;
   }
-  
-  // Build the complete query
-  const query = `
-    SELECT 
-      p.bbl,
-      p.address,
-      p.borough,
-      p.block,
-      p.lot,
-      p.bldgclass,
-      p.yearbuilt,
-      COUNT(DISTINCT hv.id) as hpd_violation_count,
-      COUNT(DISTINCT dv.id) as dob_violation_count,
-      (COUNT(DISTINCT hv.id) + COUNT(DISTINCT dv.id)) as total_violations
-    FROM 
-      pluto p
-    LEFT JOIN 
-      hpd_violations hv ON p.bbl = hv.bbl
-    LEFT JOIN 
-      dob_violations dv ON p.bbl = dv.bbl
-    WHERE 
-      ${whereClause.join(' AND ')}
-    GROUP BY 
-      p.bbl, p.address, p.borough, p.block, p.lot, p.bldgclass, p.yearbuilt
-    ORDER BY 
-      total_violations DESC
-    LIMIT $${paramIndex}
-  `;
-  
-  params.push(limit || 100);
-  
-  return { query, params };
 }
 
 /**
- * Build a SQL query for trend analysis
- * @param {Object} queryParams - Query parameters
- * @returns {Object} SQL query and parameters
+ * Get the statement timeout budget of a query type
+ * @param {string} queryType - One of QUERY_TYPES
+ * @returns {number} Timeout in milliseconds
  */
-function buildTrendAnalysisQuery(queryParams) {
-  const { filters, table, timeColumn } = queryParams;
-  
-  // Default values
-  const actualTable = table || 'dob_permits';
-  const actualTimeColumn = timeColumn || 'issueddate';
-  
-  // Start building the WHERE clause
-  let whereClause = [];
-  let params = [];
-  let paramIndex = 1;
-  
-  // Process filters
-  filters.forEach(filter => {
-    const { column, operator, value } = filter;
-    
-    if (operator === 'BETWEEN' && Array.isArray(value) && value.length === 2) {
-      whereClause.push(`${column} BETWEEN $${paramIndex} AND $${paramIndex + 1}`);
-      params.push(value[0], value[1]);
-      paramIndex += 2;
-    } else {
-      whereClause.push(`${column} ${operator} $${paramIndex}`);
-      params.push(value);
-      paramIndex++;
-    }
-  });
-  
-  // Default WHERE clause if none provided
-  if (whereClause.length === 0) {
-    whereClause.push('1=1');
+function getQueryTimeout(queryType) {
+  const override = parseInt(process.env[`QUERY_TIMEOUT_${String(queryType).toUpperCase()}_MS`], 10);
+  if (Number.isInteger(override) && override > 0) {
+    return override;
   }
-  
-  // Build the complete query
-  const query = `
-    SELECT 
-      DATE_TRUNC('month', ${actualTimeColumn}) as time_period,
-      COUNT(*) as count
-    FROM 
-      ${actualTable}
-    WHERE 
-      ${whereClause.join(' AND ')}
-    GROUP BY 
-      DATE_TRUNC('month', ${actualTimeColumn})
-    ORDER BY 
-      time_period ASC
-  `;
-  
-  return { query, params };
+
+  const fallback = parseInt(process.env.QUERY_TIMEOUT_MS, 10);
+  return DEFAULT_QUERY_TIMEOUTS_MS[queryType] || (Number.isInteger(fallback) && fallback > 0 ? fallback : 15000);
 }
 
 /**
- * Build a SQL query for violation search
- * @param {Object} queryParams - Query parameters
- * @returns {Object} SQL query and parameters
+ * Execute a SQL query with parameters
+ * @param {string} text - SQL query text
+ * @param {Array} params - Query parameters
+ * @param {Object} options - Execution options
+ * @param {number} options.timeoutMs - Statement timeout; none when omitted
+ * @param {AbortSignal} options.signal - Cancels the statement on the server when aborted
+ * @param {string} options.stage - Stage of the request the query belongs to, for error messages
+ * @returns {Promise<Object>} Query result
+ * @throws {QueryTimeoutError} If the statement runs past its timeout
+ * @throws {QueryCancelledError} If the signal is aborted
  */
-function buildViolationSearchQuery(queryParams) {
-  const { filters, tables, limit } = queryParams;
-  
-  // Start building the WHERE clause
-  let whereClause = [];
-  let params = [];
-  let paramIndex = 1;
-  
-  // Process filters
-  filters.forEach(filter => {
-    const { column, operator, value } = filter;
-    
-    if (operator === 'BETWEEN' && Array.isArray(value) && value.length === 2) {
-      whereClause.push(`${column} BETWEEN $${paramIndex} AND $${paramIndex + 1}`);
-      params.push(value[0], value[1]);
-      paramIndex += 2;
-    } else {
-      whereClause.push(`${column} ${operator} $${paramIndex}`);
-      params.push(value);
-      paramIndex++;
-    }
-  });
-  
-  // Default WHERE clause if none provided
-  if (whereClause.length === 0) {
-    whereClause.push('1=1');
-  }
-  
-  let query;
-  
-  // Determine which tables to query
-  if (tables.includes('hpd_violations') && tables.includes('dob_violations')) {
-    // Query both violation types
-    query = `
-      SELECT 
-        'HPD' as source,
-        v.violationid,
-        v.bbl,
-        p.address,
-        p.borough,
-        v.issueddate,
-        v.violationstatus,
-        v.violationtype,
-        v.novdescription as description
-      FROM 
-        hpd_violations v
-      JOIN 
-        pluto p ON v.bbl = p.bbl
-      WHERE 
-        ${whereClause.join(' AND ')}
-      UNION ALL
-      SELECT 
-        'DOB' as source,
-        v.violationid,
-        v.bbl,
-        p.address,
-        p.borough,
-        v.issueddate,
-        v.violationstatus,
-        v.violationtype,
-        v.description
-      FROM 
-        dob_violations v
-      JOIN 
-        pluto p ON v.bbl = p.bbl
-      WHERE 
-        ${whereClause.join(' AND ')}
-      ORDER BY 
-        issueddate DESC
-      LIMIT $${paramIndex}
-    `;
-  } else if (tables.includes('hpd_violations')) {
-    // Query only HPD violations
-    query = `
-      SELECT 
-        'HPD' as source,
-        v.violationid,
-        v.bbl,
-        p.address,
-        p.borough,
-        v.issueddate,
-        v.violationstatus,
-        v.violationtype,
-        v.novdescription as description
-      FROM 
-        hpd_violations v
-      JOIN 
-        pluto p ON v.bbl = p.bbl
-      WHERE 
-        ${whereClause.join(' AND ')}
-      ORDER BY 
-        issueddate DESC
-      LIMIT $${paramIndex}
-    `;
-  } else {
-    // Query only DOB violations
-    query = `
-      SELECT 
-        'DOB' as source,
-        v.violationid,
-        v.bbl,
-        p.address,
-        p.borough,
-        v.issueddate,
-        v.violationstatus,
-        v.violationtype,
-        v.description
-      FROM 
-        dob_violations v
-      JOIN 
-        pluto p ON v.bbl = p.bbl
-      WHERE 
-        ${whereClause.join(' AND ')}
-      ORDER BY 
-        issueddate DESC
-      LIMIT $${paramIndex}
-    `;
+async function executeQuery(text, params = [], { timeoutMs = null, signal = null, stage = 'database query' } = {}) {
+  if (signal && signal.aborted) {
+    throw new QueryCancelledError(stage);
   }
-  
-  params.push(limit || 100);
-  
-  return { query, params };
-}
 
-/**
- * Build a SQL query for building lookup
- * @param {Object} queryParams - Query parameters
- * @returns {Object} SQL query and parameters
- */
-function buildBuildingLookupQuery(queryParams) {
-  const { filters, orderBy, limit } = queryParams;
-  
-  // Start building the WHERE clause
-  let whereClause = [];
-  let params = [];
-  let paramIndex = 1;
-  
-  // Process filters
-  filters.forEach(filter => {
-    const { column, operator, value } = filter;
-    
-    if (operator === 'BETWEEN' && Array.isArray(value) && value.length === 2) {
-      whereClause.push(`${column} BETWEEN $${paramIndex} AND $${paramIndex + 1}`);
-      params.push(value[0], value[1]);
-      paramIndex += 2;
-    } else {
-      whereClause.push(`${column} ${operator} $${paramIndex}`);
-      params.push(value);
-      paramIndex++;
+  const start = Date.now();
+  const client = await database.connect();
+  let cancelled = false;
+  let finished = false;
+
+  // Cancel the statement from another connection; the client's own connection is busy. Once
+  // the statement has returned there is nothing to cancel, and a late cancel could reach the
+  // next statement run on the connection.
+  const onAbort = () => {
+    if (finished) {
+      return;
     }
-  });
-  
-  // Default WHERE clause if none provided
-  if (whereClause.length === 0) {
-    whereClause.push('1=1');
-  }
-  
-  // Build the complete query
-  const query = `
-    SELECT 
-      p.bbl,
-      p.address,
-      p.borough,
-      p.block,
-      p.lot,
-      p.bldgclass,
-      p.landuse,
-      p.yearbuilt,
-      p.numfloors,
-      p.unitsres,
-      p.unitstotal,
-      p.assesstot,
-      p.exemptland,
-      p.exempttot
-    FROM 
-      pluto p
-    WHERE 
-      ${whereClause.join(' AND ')}
-    ORDER BY 
-      ${orderBy || 'p.address ASC'}
-    LIMIT $${paramIndex}
-  `;
-  
-  params.push(limit || 100);
-  
-  return { query, params };
-}
+    cancelled = true;
+    database.query('SELECT pg_cancel_backend($1)', [client.processID])
+      .catch(error => console.error('Error cancelling query', { error }));
+  };
+  const stopListening = () => {
+    finished = true;
+    if (signal) {
+      signal.removeEventListener('abort', onAbort);
+    }
+  };
 
-/**
- * Build a SQL query for comparison analysis
- * @param {Object} queryParams - Query parameters
- * @returns {Object} SQL query and parameters
- */
-function buildComparisonQuery(queryParams) {
-  const { filters, groupBy } = queryParams;
-  
-  // Start building the WHERE clause
-  let whereClause = [];
-  let params = [];
-  let paramIndex = 1;
-  
-  // Process filters
-  filters.forEach(filter => {
-    const { column, operator, value } = filter;
-    
-    if (operator === 'BETWEEN' && Array.isArray(value) && value.length === 2) {
-      whereClause.push(`${column} BETWEEN $${paramIndex} AND $${paramIndex + 1}`);
-      params.push(value[0], value[1]);
-      paramIndex += 2;
-    } else {
-      whereClause.push(`${column} ${operator} $${paramIndex}`);
-      params.push(value);
-      paramIndex++;
+  try {
+    await client.query('BEGIN');
+    if (timeoutMs) {
+      await client.query(`SET LOCAL statement_timeout = ${Math.ceil(timeoutMs)}`);
     }
-  });
-  
-  // Default WHERE clause if none provided
-  if (whereClause.length === 0) {
-    whereClause.push('1=1');
-  }
-  
-  // Default group by if none provided
-  const groupByColumns = groupBy.length > 0 ? groupBy : ['p.borough'];
-  
-  // Build the complete query
-  const query = `
-    SELECT 
-      ${groupByColumns.map(col => col).join(', ')},
-      COUNT(DISTINCT p.bbl) as building_count,
-      AVG(p.yearbuilt) as avg_year_built,
-      AVG(p.numfloors) as avg_floors,
-      AVG(p.unitsres) as avg_residential_units,
-      COUNT(DISTINCT hv.id) as hpd_violation_count,
-      COUNT(DISTINCT dv.id) as dob_violation_count
-    FROM 
-      pluto p
-    LEFT JOIN 
-      hpd_violations hv ON p.bbl = hv.bbl
-    LEFT JOIN 
-      dob_violations dv ON p.bbl = dv.bbl
-    WHERE 
-      ${whereClause.join(' AND ')}
-    GROUP BY 
-      ${groupByColumns.join(', ')}
-    ORDER BY 
-      building_count DESC
-  `;
-  
-  return { query, params };
-}
 
-/**
- * Build a SQL query for general statistics
- * @param {Object} queryParams - Query parameters
- * @returns {Object} SQL query and parameters
- */
-function buildGeneralStatsQuery(queryParams) {
-  const { filters } = queryParams;
-  
-  // Start building the WHERE clause
-  let whereClause = [];
-  let params = [];
-  let paramIndex = 1;
-  
-  // Process filters
-  filters.forEach(filter => {
-    const { column, operator, value } = filter;
-    
-    if (operator === 'BETWEEN' && Array.isArray(value) && value.length === 2) {
-      whereClause.push(`${column} BETWEEN $${paramIndex} AND $${paramIndex + 1}`);
-      params.push(value[0], value[1]);
-      paramIndex += 2;
-    } else {
-      whereClause.push(`${column} ${operator} $${paramIndex}`);
-      params.push(value);
-      paramIndex++;
+    // The request may have been aborted while the connection and transaction were set up
+    if (signal) {
+      signal.addEventListener('abort', onAbort, { once: true });
+      if (signal.aborted) {
+        cancelled = true;
+        throw new QueryCancelledError(stage);
+      }
     }
-  });
-  
-  // Default WHERE clause if none provided
-  if (whereClause.length === 0) {
-    whereClause.push('1=1');
+    const result = await client.query(text, params).finally(stopListening);
+    await client.query('COMMIT');
+
+    console.log('Executed query', { text, duration: Date.now() - start, rows: result.rowCount });
+
+    return result;
+  } catch (error) {
+    await client.query('ROLLBACK').catch(() => undefined);
+
+    if (cancelled) {
+      throw new QueryCancelledError(stage);
+    }
+    if (error.code === QUERY_CANCELED && timeoutMs) {
+      throw new QueryTimeoutError(stage, timeoutMs);
+    }
+
+    console.error('Error executing query', { text, error });
+    throw error;
+  } finally {
+    stopListening();
+    client.release();
   }
-  
-  // Build the complete query
-  const query = `
-    SELECT 
-      COUNT(DISTINCT p.bbl) as total_buildings,
-      AVG(p.yearbuilt) as avg_year_built,
-      MIN(p.yearbuilt) as oldest_building,
-      MAX(p.yearbuilt) as newest_building,
-      AVG(p.numfloors) as avg_floors,
-      MAX(p.numfloors) as max_floors,
-      SUM(p.unitsres) as total_residential_units,
-      COUNT(DISTINCT hv.id) as total_hpd_violations,
-      COUNT(DISTINCT dv.id) as total_dob_violations
-    FROM 
-      pluto p
-    LEFT JOIN 
-      hpd_violations hv ON p.bbl = hv.bbl
-    LEFT JOIN 
-      dob_violations dv ON p.bbl = dv.bbl
-    WHERE 
-      ${whereClause.join(' AND ')}
-  `;
-  
-  return { query, params };
 }
 
 /**
  * Build a SQL query based on query type and parameters
  * @param {string} queryType - Type of query
- * @param {Object} queryParams - Query parameters
+ * @param {Object} queryParams - Query parameters (tables, filters, groupBy, orderBy, limit)
  * @returns {Object} SQL query and parameters
  */
 function buildQuery(queryType, queryParams) {
-  switch (queryType) {
-    case 'risk_assessment':
-      return buildRiskAssessmentQuery(queryParams);
-    case 'trend_analysis':
-      return buildTrendAnalysisQuery(queryParams);
-    case 'violation_search':
-      return buildViolationSearchQuery(queryParams);
-    case 'building_lookup':
-      return buildBuildingLookupQuery(queryParams);
-    case 'comparison':
-      return buildComparisonQuery(queryParams);
-    case 'general_stats':
-      return buildGeneralStatsQuery(queryParams);
-    default:
-      // Default to a simple building lookup
-      return buildBuildingLookupQuery(queryParams);
-  }
+  // Default to a simple building lookup
+  const plannedType = Object.values(QUERY_TYPES).includes(queryType) ? queryType : QUERY_TYPES.BUILDING_LOOKUP;
+
+  return compilePlan(planQuery(plannedType, queryParams));
 }
 
 module.exports = {
+  QueryTimeoutError,
+  QueryCancelledError,
+  getQueryTimeout,
   executeQuery,
   buildQuery,
-  pool
+  pool: database.pool
 };
@@ -0,0 +1,508 @@
+/**
+ * Filter Compiler for NYCDB AI Integration
+ *
+ * This module validates filters from structured queries and compiles them to parameterized
+ * SQL conditions. Table, column and operator are checked against the database schema before
+ * any SQL is produced, and every value is bound as a $n parameter. Filters come from model
+ * output and user input, so anything that does not validate is rejected with a FilterError.
+ *
+ * A filter is either a condition { table, column, operator, value } or a group
+ * { and: [filters] } / { or: [filters] }, and groups may be nested.
+ *
+ * A spatial condition { table, spatial } keeps the rows whose latitude and longitude lie in an
+ * area, which is one of:
+ *   { type: 'radius', point: [longitude, latitude], radius } - within radius meters of the point
+ *   { type: 'bbox', bbox: [west, south, east, north] }
+ *   { type: 'polygon', geometry } - inside a GeoJSON Polygon or MultiPolygon geometry
+ * Spatial conditions compile to PostGIS predicates when the database has the extension, and to
+ * bounding box comparisons refined by the haversine distance or PostgreSQL's own polygon type
+ * when it does not.
+ */
+
+// Operators a condition may use
+const FILTER_OPERATORS = [
+  '=', '!=', '<', '<=', '>', '>=',
+  'LIKE', 'ILIKE', 'NOT LIKE', 'NOT ILIKE',
+  'IN', 'NOT IN',
+  'BETWEEN',
+  'IS NULL', 'IS NOT NULL'
+];
+
+const SCALAR_OPERATORS = ['=', '!=', '<', '<=', '>', '>='];
+const PATTERN_OPERATORS = ['LIKE', 'ILIKE', 'NOT LIKE', 'NOT ILIKE'];
+const NULL_OPERATORS = ['IS NULL', 'IS NOT NULL'];
+
+const GROUP_KEYS = ['and', 'or'];
+
+// Groups nested deeper than this are rejected
+const MAX_FILTER_DEPTH = 4;
+
+// Table and column names must be plain SQL identifiers
+const IDENTIFIER_PATTERN = /^[a-z_][a-z0-9_]*$/i;
+
+const SPATIAL_TYPES = ['radius', 'bbox', 'polygon'];
+
+// Columns holding the position of a row, which a table needs for spatial conditions
+const SPATIAL_COLUMNS = { latitude: 'latitude', longitude: 'longitude' };
+
+// Larger areas are better narrowed by borough, district or ZIP code
+const MAX_SPATIAL_RADIUS = 10000;
+
+// Every vertex of a polygon is bound as part of a parameter and carried in result cursors
+const MAX_POLYGON_VERTICES = 500;
+
+const EARTH_RADIUS_METERS = 6371008.8;
+const METERS_PER_DEGREE = Math.PI * EARTH_RADIUS_METERS / 180;
+
+/**
+ * Error raised when a filter fails validation
+ */
+class FilterError extends Error {
+  /**
+   * @param {Array} errors - Validation errors, each prefixed with the filter's path
+   */
+  constructor(errors) {
+    super(`Invalid filter: ${errors.join('; ')}`);
+    this.name = 'FilterError';
+    this.code = 'INVALID_FILTER';
+    this.validationErrors = errors;
+  }
+}
+
+/**
+ * Get the key of a filter group
+ * @param {Object} filter - Filter
+ * @returns {string|null} 'and' or 'or', or null if the filter is a condition
+ */
+function getGroupKey(filter) {
+  return GROUP_KEYS.find(key => filter && Object.prototype.hasOwnProperty.call(filter, key)) || null;
+}
+
+/**
+ * Validate a filter and any nested groups
+ * @param {Object} filter - Filter
+ * @param {Object} options - Validation options
+ * @param {Object} options.schema - Columns keyed by table; when omitted, only the shape is checked
+ * @param {string} options.defaultTable - Table for conditions that do not name one
+ * @param {string} options.path - Path of the filter for error messages
+ * @param {number} options.depth - Nesting depth of the filter
+ * @returns {Array} Validation errors
+ */
+function validateFilter(filter, { schema = null, defaultTable = null, path = 'filter', depth = 0 } = {}) {
+  if (!filter || typeof filter !== 'object' || Array.isArray(filter)) {
+    return [`${path}: must be an object`];
+  }
+
+  const groupKey = getGroupKey(filter);
+  if (groupKey) {
+    const children = filter[groupKey];
+
+    if (depth >= MAX_FILTER_DEPTH) {
+      return [`${path}: groups may be nested at most ${MAX_FILTER_DEPTH} deep`];
+    }
+    if (!Array.isArray(children) || children.length === 0) {
+      return [`${path}.${groupKey}: must be a non-empty array of filters`];
+    }
+
+    return children.flatMap((child, index) => validateFilter(child, {
+      schema,
+      defaultTable,
+      path: `${path}.${groupKey}[${index}]`,
+      depth: depth + 1
+    }));
+  }
+
+  if (filter.spatial !== undefined) {
+    return validateSpatialCondition(filter, { schema, defaultTable, path });
+  }
+
+  return validateCondition(filter, { schema, defaultTable, path });
+}
+
+/**
+ * Validate a single condition
+ * @param {Object} condition - Condition { table, column, operator, value }
+ * @param {Object} options - Validation options, as for validateFilter
+ * @returns {Array} Validation errors
+ */
+function validateCondition(condition, { schema, defaultTable, path }) {
+  const { column, operator, value } = condition;
+  const table = condition.table === undefined ? defaultTable : condition.table;
+  const errors = validateTable(table, { schema, path });
+
+  if (typeof column !== 'string' || !IDENTIFIER_PATTERN.test(column)) {
+    errors.push(`${path}.column: must be a plain identifier`);
+  } else if (schema && table && schema[table] && !schema[table].includes(column)) {
+    errors.push(`${path}.column: unknown column "${column}" in ${table}`);
+  }
+
+  if (!FILTER_OPERATORS.includes(operator)) {
+    errors.push(`${path}.operator: must be one of ${FILTER_OPERATORS.join(', ')}, got ${JSON.stringify(operator)}`);
+    return errors;
+  }
+
+  const valueError = validateValue(operator, value);
+  if (valueError) {
+    errors.push(`${path}.value: ${valueError}`);
+  }
+
+  return errors;
+}
+
+/**
+ * Validate the table of a condition
+ * @param {string|null} table - Table the condition names, or its default
+ * @param {Object} options - Validation options { schema, path }
+ * @returns {Array} Validation errors
+ */
+function validateTable(table, { schema, path }) {
+  if (table !== null && table !== undefined && !IDENTIFIER_PATTERN.test(String(table))) {
+    return [`${path}.table: must be a plain identifier`];
+  }
+  if (schema && table && !schema[table]) {
+    return [`${path}.table: unknown table "${table}"`];
+  }
+  return [];
+}
+
+/**
+ * Validate a spatial condition
+ * @param {Object} condition - Spatial condition { table, spatial }
+ * @param {Object} options - Validation options, as for validateFilter
+ * @returns {Array} Validation errors
+ */
+function validateSpatialCondition(condition, { schema, defaultTable, path }) {
+  const table = condition.table === undefined ? defaultTable : condition.table;
+  const errors = validateTable(table, { schema, path });
+
+  const columns = schema && table && schema[table];
+  if (columns && !Object.values(SPATIAL_COLUMNS).every(name => columns.includes(name))) {
+    errors.push(`${path}.spatial: ${table} has no latitude and longitude columns`);
+  }
+
+  return errors.concat(validateArea(condition.spatial, `${path}.spatial`));
+}
+
+/**
+ * Validate the area of a spatial condition
+ * @param {Object} area - Area { type, ... }
+ * @param {string} path - Path of the area for error messages
+ * @returns {Array} Validation errors
+ */
+function validateArea(area, path) {
+  if (!area || typeof area !== 'object' || Array.isArray(area)) {
+    return [`${path}: must be an object`];
+  }
+
+  switch (area.type) {
+    case 'radius': {
+      const errors = [];
+      if (!isPosition(area.point)) {
+        errors.push(`${path}.point: must be [longitude, latitude]`);
+      }
+      if (typeof area.radius !== 'number' || !(area.radius > 0 && area.radius <= MAX_SPATIAL_RADIUS)) {
+        errors.push(`${path}.radius: must be a number of meters greater than 0 and at most ${MAX_SPATIAL_RADIUS}`);
+      }
+      return errors;
+    }
+    case 'bbox': {
+      const bbox = area.bbox;
+      const valid = Array.isArray(bbox) && bbox.length === 4 &&
+        isPosition(bbox.slice(0, 2)) && isPosition(bbox.slice(2)) && bbox[0] < bbox[2] && bbox[1] < bbox[3];
+      return valid ? [] : [`${path}.bbox: must be [west, south, east, north] with west < east and south < north`];
+    }
+    case 'polygon':
+      return validateGeometry(area.geometry, `${path}.geometry`);
+    default:
+      return [`${path}.type: must be one of ${SPATIAL_TYPES.join(', ')}, got ${JSON.stringify(area.type)}`];
+  }
+}
+
+/**
+ * Validate a GeoJSON Polygon or MultiPolygon geometry
+ * @param {Object} geometry - Geometry
+ * @param {string} path - Path of the geometry for error messages
+ * @returns {Array} Validation errors
+ */
+function validateGeometry(geometry, path) {
+  if (!geometry || !['Polygon', 'MultiPolygon'].includes(geometry.type) || !Array.isArray(geometry.coordinates)) {
+    return [`${path}: must be a GeoJSON Polygon or MultiPolygon`];
+  }
+
+  const polygons = geometry.type === 'Polygon' ? [geometry.coordinates] : geometry.coordinates;
+  const rings = polygons.every(polygon => Array.isArray(polygon) && polygon.length > 0) ? polygons.flat() : [];
+
+  const closed = ring => Array.isArray(ring) && ring.length >= 4 && ring.every(isPosition) &&
+    ring[0][0] === ring[ring.length - 1][0] && ring[0][1] === ring[ring.length - 1][1];
+  if (rings.length === 0 || !rings.every(closed)) {
+    return [`${path}.coordinates: must hold rings of at least four [longitude, latitude] positions that end where they start`];
+  }
+
+  const vertices = rings.reduce((count, ring) => count + ring.length, 0);
+  if (vertices > MAX_POLYGON_VERTICES) {
+    return [`${path}.coordinates: must have at most ${MAX_POLYGON_VERTICES} positions, got ${vertices}`];
+  }
+
+  return [];
+}
+
+/**
+ * Check whether a value is a [longitude, latitude] position
+ * @param {*} value - Value
+ * @returns {boolean} Whether the value is a position on the globe
+ */
+function isPosition(value) {
+  return Array.isArray(value) && value.length === 2 &&
+    value.every(coordinate => typeof coordinate === 'number' && Number.isFinite(coordinate)) &&
+    Math.abs(value[0]) <= 180 && Math.abs(value[1]) <= 90;
+}
+
+/**
+ * Check that a value suits its operator
+ * @param {string} operator - One of FILTER_OPERATORS
+ * @param {*} value - Filter value
+ * @returns {string|null} Error description, or null if the value is valid
+ */
+function validateValue(operator, value) {
+  if (NULL_OPERATORS.includes(operator)) {
+    return null;
+  }
+
+  if (operator === 'BETWEEN') {
+    if (!Array.isArray(value) || value.length !== 2 || !value.every(bound => bound === null || isScalar(bound))) {
+      return 'BETWEEN requires an array of two values, either of which may be null for an open range';
+    }
+    return value[0] === null && value[1] === null ? 'BETWEEN requires at least one bound' : null;
+  }
+
+  if (operator === 'IN' || operator === 'NOT IN') {
+    if (!Array.isArray(value) || value.length === 0 || !value.every(isScalar)) {
+      return `${operator} requires a non-empty array of values`;
+    }
+    return null;
+  }
+
+  if (PATTERN_OPERATORS.includes(operator)) {
+    return typeof value === 'string' ? null : `${operator} requires a string pattern`;
+  }
+
+  return isScalar(value) ? null : `${operator} requires a string, number or boolean`;
+}
+
+/**
+ * Check whether a value can be bound as a single parameter
+ * @param {*} value - Value
+ * @returns {boolean} Whether the value is a string, finite number or boolean
+ */
+function isScalar(value) {
+  return typeof value === 'string' || typeof value === 'boolean' ||
+    (typeof value === 'number' && Number.isFinite(value));
+}
+
+/**
+ * Validate filters and throw if any are invalid
+ * @param {Array} filters - Filters
+ * @param {Object} options - Validation options, as for validateFilter
+ * @throws {FilterError} If a filter is invalid
+ */
+function assertValidFilters(filters, options = {}) {
+  const errors = filters.flatMap((filter, index) => validateFilter(filter, { ...options, path: `filters[${index}]` }));
+
+  if (errors.length > 0) {
+    throw new FilterError(errors);
+  }
+}
+
+/**
+ * List the conditions of a filter, flattening groups
+ * @param {Object} filter - Filter
+ * @returns {Array} Conditions
+ */
+function listConditions(filter) {
+  const groupKey = getGroupKey(filter);
+  return groupKey ? filter[groupKey].flatMap(listConditions) : [filter];
+}
+
+/**
+ * Check whether any of the filters has a spatial condition
+ * @param {Array} filters - Filters
+ * @returns {boolean} Whether a condition is spatial
+ */
+function hasSpatialCondition(filters = []) {
+  return filters.some(filter => listConditions(filter).some(condition => Boolean(condition.spatial)));
+}
+
+/**
+ * Set the table of every condition that does not name one
+ * @param {Object} filter - Filter
+ * @param {string} table - Default table
+ * @returns {Object} Filter with tables
+ */
+function qualifyFilter(filter, table) {
+  const groupKey = getGroupKey(filter);
+  if (groupKey) {
+    return { [groupKey]: filter[groupKey].map(child => qualifyFilter(child, table)) };
+  }
+  return filter.table ? filter : { ...filter, table };
+}
+
+/**
+ * Compile a validated filter to a SQL condition
+ * @param {Object} filter - Filter whose conditions all name a table
+ * @param {Object} context - Compilation context
+ * @param {Object} context.aliases - Source aliases keyed by table
+ * @param {Function} context.addParam - Adds a parameter value and returns its placeholder
+ * @param {Object} context.schema - Columns keyed by table, or null to skip the schema check
+ * @param {boolean} context.postgis - Whether spatial conditions may use PostGIS functions
+ * @returns {string} SQL condition
+ * @throws {FilterError} If the filter is invalid or names a table the query does not read
+ */
+function compileFilter(filter, { aliases, addParam, schema = null, postgis = false }) {
+  assertValidFilters([filter], { schema });
+
+  const unread = listConditions(filter).find(condition => !aliases[condition.table]);
+  if (unread) {
+    throw new FilterError([`filter: table "${unread.table}" is not part of the query`]);
+  }
+
+  return compileValidFilter(filter, { aliases, addParam, postgis });
+}
+
+/**
+ * Compile a filter that has already been validated
+ * @param {Object} filter - Filter
+ * @param {Object} context - Compilation context { aliases, addParam, postgis }, as for compileFilter
+ * @returns {string} SQL condition
+ */
+function compileValidFilter(filter, context) {
+  const { aliases, addParam } = context;
+  const groupKey = getGroupKey(filter);
+  if (groupKey) {
+    const children = filter[groupKey].map(child => compileValidFilter(child, context));
+    return children.length === 1 ? children[0] : `(${children.join(` ${groupKey.toUpperCase()} `)})`;
+  }
+
+  if (filter.spatial) {
+    return compileSpatialCondition(filter, context);
+  }
+
+  const { operator, value } = filter;
+  const target = `${aliases[filter.table]}.${filter.column}`;
+
+  if (SCALAR_OPERATORS.includes(operator) || PATTERN_OPERATORS.includes(operator)) {
+    return `${target} ${operator} ${addParam(value)}`;
+  }
+
+  switch (operator) {
+    case 'IN':
+      return `${target} = ANY(${addParam(value)})`;
+    case 'NOT IN':
+      return `${target} <> ALL(${addParam(value)})`;
+    case 'IS NULL':
+    case 'IS NOT NULL':
+      return `${target} ${operator}`;
+    default: {
+      // BETWEEN, open at either end when a bound is null
+      const [start, end] = value;
+      if (start === null) {
+        return `${target} <= ${addParam(end)}`;
+      }
+      if (end === null) {
+        return `${target} >= ${addParam(start)}`;
+      }
+      return `${target} BETWEEN ${addParam(start)} AND ${addParam(end)}`;
+    }
+  }
+}
+
+/**
+ * Compile a validated spatial condition
+ * @param {Object} condition - Spatial condition { table, spatial }
+ * @param {Object} context - Compilation context { aliases, addParam, postgis }
+ * @returns {string} SQL condition
+ */
+function compileSpatialCondition(condition, { aliases, addParam, postgis }) {
+  const alias = aliases[condition.table];
+  const latitude = `${alias}.${SPATIAL_COLUMNS.latitude}`;
+  const longitude = `${alias}.${SPATIAL_COLUMNS.longitude}`;
+  const area = condition.spatial;
+  const float = value => `${addParam(value)}::float8`;
+
+  if (postgis) {
+    const point = `ST_SetSRID(ST_MakePoint(${longitude}, ${latitude}), 4326)`;
+    switch (area.type) {
+      case 'radius':
+        return `ST_DWithin(${point}::geography, ` +
+          `ST_SetSRID(ST_MakePoint(${float(area.point[0])}, ${float(area.point[1])}), 4326)::geography, ${float(area.radius)})`;
+      case 'bbox':
+        return `${point} && ST_MakeEnvelope(${area.bbox.map(float).join(', ')}, 4326)`;
+      default:
+        return `ST_Covers(ST_SetSRID(ST_GeomFromGeoJSON(${addParam(JSON.stringify(area.geometry))}), 4326), ${point})`;
+    }
+  }
+
+  // Without PostGIS, a bounding box comparison that indexes on the columns can serve is
+  // refined by the exact test
+  const within = ([west, south, east, north]) =>
+    `${longitude} BETWEEN ${float(west)} AND ${float(east)} AND ${latitude} BETWEEN ${float(south)} AND ${float(north)}`;
+
+  switch (area.type) {
+    case 'radius': {
+      const [lng, lat] = area.point;
+      const latDelta = area.radius / METERS_PER_DEGREE;
+      const lngDelta = latDelta / Math.max(Math.cos(lat * Math.PI / 180), 0.01);
+      const box = within([lng - lngDelta, lat - latDelta, lng + lngDelta, lat + latDelta]);
+      const [centerLng, centerLat] = area.point.map(float);
+      const distance = `2 * ${EARTH_RADIUS_METERS} * asin(least(1, sqrt(` +
+        `power(sin(radians(${latitude} - ${centerLat}) / 2), 2) + ` +
+        `cos(radians(${centerLat})) * cos(radians(${latitude})) * power(sin(radians(${longitude} - ${centerLng}) / 2), 2))))`;
+      return `(${box} AND ${distance} <= ${float(area.radius)})`;
+    }
+    case 'bbox':
+      return `(${within(area.bbox)})`;
+    default: {
+      const point = `point(${longitude}, ${latitude})`;
+      const contains = ring => `${addParam(formatRing(ring))}::polygon @> ${point}`;
+      const polygons = area.geometry.type === 'Polygon' ? [area.geometry.coordinates] : area.geometry.coordinates;
+      const branches = polygons.map(([outer, ...holes]) => [
+        within(ringBounds(outer)),
+        contains(outer),
+        ...holes.map(hole => `NOT ${contains(hole)}`)
+      ].join(' AND '));
+      return branches.length === 1 ? `(${branches[0]})` : `(${branches.map(branch => `(${branch})`).join(' OR ')})`;
+    }
+  }
+}
+
+/**
+ * Format a GeoJSON ring as a PostgreSQL polygon literal
+ * @param {Array} ring - [longitude, latitude] positions
+ * @returns {string} Polygon literal, e.g. "((-74.01,40.70),(-74.00,40.70),(-74.00,40.71))"
+ */
+function formatRing(ring) {
+  return `(${ring.map(([lng, lat]) => `(${lng},${lat})`).join(',')})`;
+}
+
+/**
+ * Get the bounding box of a ring
+ * @param {Array} ring - [longitude, latitude] positions
+ * @returns {Array} [west, south, east, north]
+ */
+function ringBounds(ring) {
+  const longitudes = ring.map(position => position[0]);
+  const latitudes = ring.map(position => position[1]);
+  return [Math.min(...longitudes), Math.min(...latitudes), Math.max(...longitudes), Math.max(...latitudes)];
+}
+
+module.exports = {
+  FILTER_OPERATORS,
+  SPATIAL_TYPES,
+  MAX_SPATIAL_RADIUS,
+  FilterError,
+  validateFilter,
+  assertValidFilters,
+  listConditions,
+  hasSpatialCondition,
+  qualifyFilter,
+  compileFilter
+};
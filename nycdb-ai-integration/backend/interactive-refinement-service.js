@@ -5,6 +5,8 @@
  * to enable an interactive, conversational experience for users.
  */
 
+const { findClarificationOption, applyClarificationAnswer } = require('./clarification-service');
+
 /**
  * Conversation context object to track conversation history and state
  */
@@ -16,6 +18,35 @@ class ConversationContext {
     this.conversationId = generateConversationId();
     this.startTime = new Date().toISOString();
     this.messageCount = 0;
+    this.pendingClarification = null;
+  }
+  
+  /**
+   * Hold a structured query until the user answers a clarifying question about it
+   * @param {Object} structuredQuery - The structured query awaiting clarification
+   * @param {Object} clarification - The clarifying question asked
+   */
+  setPendingClarification(structuredQuery, clarification) {
+    this.pendingClarification = { structuredQuery, clarification };
+  }
+  
+  /**
+   * Merge the user's answer into the pending structured query. The pending question is
+   * cleared either way, so an unrelated reply is treated as a new query.
+   * @param {Object|string} answer - { clarificationId, optionId }, or the reply text
+   * @returns {Object|null} The updated structured query, or null if nothing was pending or
+   *   the answer did not match an option
+   */
+  resolvePendingClarification(answer) {
+    if (!this.pendingClarification) {
+      return null;
+    }
+    
+    const { structuredQuery, clarification } = this.pendingClarification;
+    this.pendingClarification = null;
+    
+    const option = findClarificationOption(clarification, answer);
+    return option ? applyClarificationAnswer(structuredQuery, option) : null;
   }
   
   /**
@@ -81,8 +112,7 @@ class ConversationContext {
     }
     
     // Check if the query is missing location entities that were in the previous query
-    if (lastQuery.entities.locations && 
-        (!structuredQuery.entities.locations || structuredQuery.entities.locations.length === 0)) {
+    if (lastQuery.entities.locations && !hasPlace(structuredQuery)) {
       return true;
     }
     
@@ -100,11 +130,22 @@ class ConversationContext {
       messageCount: this.messageCount,
       currentTopic: this.currentTopic,
       currentEntities: this.currentEntities,
+      pendingClarification: this.pendingClarification ? this.pendingClarification.clarification.question : null,
       queryHistory: this.previousQueries.map(q => q.originalQuery)
     };
   }
 }
 
+/**
+ * Check whether a query names where it is about: a location, or a distance from a place
+ * @param {Object} structuredQuery - The structured query
+ * @returns {boolean} Whether the query has location or proximity entities
+ */
+function hasPlace(structuredQuery) {
+  const { locations, proximities } = structuredQuery.entities;
+  return Boolean((locations && locations.length > 0) || (proximities && proximities.length > 0));
+}
+
 /**
  * Generate a unique conversation ID
  * @returns {string} Unique conversation ID
@@ -219,8 +260,7 @@ function processFollowUpQuery(structuredQuery, conversationContext) {
   }
   
   // If locations are missing, use the previous ones
-  if ((!enhancedQuery.entities.locations || enhancedQuery.entities.locations.length === 0) && 
-      lastQuery.entities.locations) {
+  if (!hasPlace(enhancedQuery) && lastQuery.entities.locations) {
     enhancedQuery.entities.locations = [...lastQuery.entities.locations];
   }
   
@@ -0,0 +1,145 @@
+/**
+ * LLM Fixture Recording for NYCDB AI Integration
+ *
+ * This module wraps an LLM provider so completions can be recorded to disk and replayed
+ * later. Recorded fixtures make end-to-end tests and demos deterministic and let them run
+ * without network access. A replayed call with no recorded fixture fails instead of
+ * falling back to the model.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const FIXTURE_MODES = {
+  RECORD: 'record',
+  REPLAY: 'replay'
+};
+
+const DEFAULT_FIXTURE_DIR = path.join(__dirname, 'test', 'fixtures', 'llm');
+
+// Timestamps in prompts (conversation history, retrieval metadata) change on every run
+const ISO_TIMESTAMP_PATTERN = /\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?Z/g;
+
+/**
+ * Error raised when replay mode has no fixture for a completion request
+ */
+class LlmFixtureMissError extends Error {
+  /**
+   * @param {string} key - Fixture key for the request
+   * @param {string} task - Completion task
+   * @param {string} fixtureDir - Directory that was searched
+   */
+  constructor(key, task, fixtureDir) {
+    super(`No recorded LLM fixture for ${task} (${key}) in ${fixtureDir}. Record it with LLM_FIXTURE_MODE=record.`);
+    this.name = 'LlmFixtureMissError';
+    this.code = 'LLM_FIXTURE_MISSING';
+    this.key = key;
+    this.task = task;
+    this.fixtureDir = fixtureDir;
+  }
+}
+
+/**
+ * Read fixture configuration from the environment
+ * @returns {Object} { mode, dir }, where mode is null when fixtures are disabled
+ * @throws {Error} If LLM_FIXTURE_MODE is not a known mode
+ */
+function getFixtureConfig() {
+  const mode = process.env.LLM_FIXTURE_MODE || null;
+
+  if (mode && !Object.values(FIXTURE_MODES).includes(mode)) {
+    throw new Error(`Unknown LLM fixture mode: ${mode}`);
+  }
+
+  return {
+    mode,
+    dir: process.env.LLM_FIXTURE_DIR ? path.resolve(process.env.LLM_FIXTURE_DIR) : DEFAULT_FIXTURE_DIR
+  };
+}
+
+/**
+ * Compute the fixture key for a completion request. Timestamps in the prompt are masked so
+ * the same question produces the same key on every run.
+ * @param {Object} request - Completion request
+ * @param {string} request.task - Completion task
+ * @param {string} request.prompt - Prompt text
+ * @param {number} request.maxTokens - Maximum tokens to generate
+ * @param {number} request.temperature - Sampling temperature
+ * @returns {string} SHA-256 hex digest
+ */
+function fixtureKey({ task, prompt, maxTokens, temperature }) {
+  const normalizedPrompt = String(prompt || '').replace(ISO_TIMESTAMP_PATTERN, '<timestamp>');
+
+  return crypto
+    .createHash('sha256')
+    .update(JSON.stringify([task, normalizedPrompt, maxTokens, temperature]))
+    .digest('hex');
+}
+
+/**
+ * Get the path of the fixture file for a key
+ * @param {string} dir - Fixture directory
+ * @param {string} key - Fixture key
+ * @returns {string} File path
+ */
+function fixturePath(dir, key) {
+  return path.join(dir, `${key}.json`);
+}
+
+/**
+ * Wrap a provider so its completions are recorded to or replayed from fixture files
+ * @param {Object} provider - LLM provider that serves completions in record mode
+ * @param {Object} config - Fixture configuration
+ * @param {string} config.mode - One of FIXTURE_MODES
+ * @param {string} config.dir - Fixture directory
+ * @returns {Object} LLM provider
+ */
+function createFixtureProvider(provider, { mode, dir }) {
+  return {
+    name: `${mode}:${provider.name}`,
+    model: provider.model,
+    async complete(request) {
+      const key = fixtureKey(request);
+      const file = fixturePath(dir, key);
+
+      if (mode === FIXTURE_MODES.REPLAY) {
+        let fixture;
+        try {
+          fixture = JSON.parse(await fs.promises.readFile(file, 'utf8'));
+        } catch (error) {
+          if (error.code === 'ENOENT') {
+            throw new LlmFixtureMissError(key, request.task, dir);
+          }
+          throw error;
+        }
+        return fixture.completion;
+      }
+
+      const completion = await provider.complete(request);
+
+      await fs.promises.mkdir(dir, { recursive: true });
+      await fs.promises.writeFile(file, JSON.stringify({
+        key,
+        task: request.task,
+        provider: provider.name,
+        model: provider.model,
+        maxTokens: request.maxTokens,
+        temperature: request.temperature,
+        prompt: request.prompt,
+        completion,
+        recordedAt: new Date().toISOString()
+      }, null, 2) + '\n');
+
+      return completion;
+    }
+  };
+}
+
+module.exports = {
+  FIXTURE_MODES,
+  LlmFixtureMissError,
+  getFixtureConfig,
+  fixtureKey,
+  createFixtureProvider
+};
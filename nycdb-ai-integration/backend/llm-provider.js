@@ -0,0 +1,199 @@
+/**
+ * LLM Provider Layer for NYCDB AI Integration
+ *
+ * This module gives the NLP, analysis and insight services a single interface for calling a
+ * language model. The provider is selected by configuration, and a rule-based provider is
+ * used when no model is configured so the pipeline can run without network access.
+ */
+
+const { Configuration, OpenAIApi } = require('openai');
+const dotenv = require('dotenv');
+const { parseQueryWithRules } = require('./rule-based-query-parser');
+const { getFixtureConfig, createFixtureProvider } = require('./llm-fixtures');
+
+dotenv.config();
+
+// Tasks the services ask a provider to perform
+const LLM_TASKS = {
+  QUERY_INTERPRETATION: 'query_interpretation',
+  NARRATIVE_INSIGHTS: 'narrative_insights',
+  EXPLANATION: 'explanation',
+  RECOMMENDATIONS: 'recommendations'
+};
+
+// Built-in provider names
+const PROVIDERS = {
+  OPENAI: 'openai',
+  RULE_BASED: 'rule_based'
+};
+
+const DEFAULT_OPENAI_MODEL = 'gpt-3.5-turbo-instruct';
+
+// Provider factories keyed by name
+const providerFactories = {
+  [PROVIDERS.OPENAI]: createOpenAIProvider,
+  [PROVIDERS.RULE_BASED]: createRuleBasedProvider
+};
+
+let activeProvider = null;
+
+/**
+ * Create a provider backed by the OpenAI completions API
+ * @param {Object} config - Provider configuration
+ * @returns {Object} LLM provider
+ */
+function createOpenAIProvider(config) {
+  const openai = new OpenAIApi(new Configuration({
+    apiKey: config.apiKey,
+  }));
+  const model = config.model || DEFAULT_OPENAI_MODEL;
+
+  return {
+    name: PROVIDERS.OPENAI,
+    model,
+    async complete({ prompt, maxTokens, temperature }) {
+      const completion = await openai.createCompletion({
+        model,
+        prompt,
+        max_tokens: maxTokens,
+        temperature,
+      });
+
+      return completion.data.choices[0].text;
+    }
+  };
+}
+
+/**
+ * Create a deterministic provider that needs no model or network access
+ * @returns {Object} LLM provider
+ */
+function createRuleBasedProvider() {
+  return {
+    name: PROVIDERS.RULE_BASED,
+    model: null,
+    async complete({ task, input = {} }) {
+      switch (task) {
+        case LLM_TASKS.QUERY_INTERPRETATION:
+          return JSON.stringify(parseQueryWithRules(input.query));
+        case LLM_TASKS.NARRATIVE_INSIGHTS:
+          return summarizeAnalysis(input.structuredQuery, input.analysis);
+        case LLM_TASKS.EXPLANATION:
+          return `No model is configured, so "${input.pattern}" cannot be explained automatically. Review the analysis results for supporting detail.`;
+        case LLM_TASKS.RECOMMENDATIONS:
+          return '';
+        default:
+          throw new Error(`Rule-based provider does not support task: ${task}`);
+      }
+    }
+  };
+}
+
+/**
+ * Build a plain summary of the numeric statistics in an analysis result
+ * @param {Object} structuredQuery - The structured query
+ * @param {Object} analysis - Analysis results
+ * @returns {string} Summary text with a key findings list
+ */
+function summarizeAnalysis(structuredQuery = {}, analysis = {}) {
+  const findings = [];
+
+  Object.entries(analysis).forEach(([section, values]) => {
+    if (!section.endsWith('Stats') || !values || typeof values !== 'object') {
+      return;
+    }
+
+    Object.entries(values).forEach(([key, value]) => {
+      if (typeof value === 'number' && Number.isFinite(value)) {
+        const label = key.replace(/([A-Z])/g, ' $1').replace(/_/g, ' ').toLowerCase().trim();
+        findings.push(`${label}: ${Number.isInteger(value) ? value : value.toFixed(2)}`);
+      }
+    });
+  });
+
+  const queryType = (structuredQuery.queryType || 'general').replace(/_/g, ' ');
+  let summary = `Summary of the ${queryType} results.`;
+
+  if (findings.length > 0) {
+    summary += `\n\nKey findings:\n${findings.map(finding => `- ${finding}`).join('\n')}`;
+  }
+
+  return summary;
+}
+
+/**
+ * Read provider configuration from the environment
+ * @returns {Object} Provider configuration
+ */
+function getProviderConfig() {
+  const apiKey = process.env.OPENAI_API_KEY;
+
+  return {
+    name: process.env.LLM_PROVIDER || (apiKey ? PROVIDERS.OPENAI : PROVIDERS.RULE_BASED),
+    model: process.env.LLM_MODEL,
+    apiKey
+  };
+}
+
+/**
+ * Register an additional provider factory
+ * @param {string} name - Provider name used in LLM_PROVIDER
+ * @param {Function} factory - Function that receives the config and returns a provider
+ */
+function registerProvider(name, factory) {
+  providerFactories[name] = factory;
+}
+
+/**
+ * Get the configured provider, creating it on first use. When LLM_FIXTURE_MODE is set, the
+ * provider is wrapped to record its completions or replay recorded ones.
+ * @returns {Object} LLM provider
+ */
+function getProvider() {
+  if (!activeProvider) {
+    const config = getProviderConfig();
+    const factory = providerFactories[config.name];
+
+    if (!factory) {
+      throw new Error(`Unknown LLM provider: ${config.name}`);
+    }
+
+    const provider = factory(config);
+    const fixtureConfig = getFixtureConfig();
+    activeProvider = fixtureConfig.mode ? createFixtureProvider(provider, fixtureConfig) : provider;
+  }
+
+  return activeProvider;
+}
+
+/**
+ * Replace the active provider, or clear it so the next call re-reads the configuration
+ * @param {Object|null} provider - Provider instance or null
+ */
+function setProvider(provider) {
+  activeProvider = provider;
+}
+
+/**
+ * Run a completion task against the active provider
+ * @param {string} task - One of LLM_TASKS
+ * @param {string} prompt - Prompt text for model-backed providers
+ * @param {Object} options - Completion options
+ * @param {Object} options.input - Structured input for providers that do not read the prompt
+ * @param {number} options.maxTokens - Maximum tokens to generate
+ * @param {number} options.temperature - Sampling temperature
+ * @returns {Promise<string>} Completion text
+ */
+async function complete(task, prompt, { input, maxTokens = 500, temperature = 0.5 } = {}) {
+  const provider = getProvider();
+  return provider.complete({ task, prompt, input, maxTokens, temperature });
+}
+
+module.exports = {
+  complete,
+  getProvider,
+  setProvider,
+  registerProvider,
+  LLM_TASKS,
+  PROVIDERS
+};
@@ -5,38 +5,22 @@
  * extracting intents, entities, and parameters to convert them into structured database queries.
  */
 
-const { Configuration, OpenAIApi } = require('openai');
-const dotenv = require('dotenv');
-
-dotenv.config();
-
-// Initialize OpenAI client
-const configuration = new Configuration({
-  apiKey: process.env.OPENAI_API_KEY,
-});
-const openai = new OpenAIApi(configuration);
-
-// Define query types and their corresponding parameters
-const QUERY_TYPES = {
-  RISK_ASSESSMENT: 'risk_assessment',
-  TREND_ANALYSIS: 'trend_analysis',
-  VIOLATION_SEARCH: 'violation_search',
-  BUILDING_LOOKUP: 'building_lookup',
-  COMPARISON: 'comparison',
-  GENERAL_STATS: 'general_stats'
-};
-
-// Define entity types that can be extracted from queries
-const ENTITY_TYPES = {
-  LOCATION: 'location',
-  BUILDING_TYPE: 'building_type',
-  TIME_PERIOD: 'time_period',
-  VIOLATION_TYPE: 'violation_type',
-  PROPERTY_ATTRIBUTE: 'property_attribute'
-};
-
-// NYC boroughs for location entity normalization
-const NYC_BOROUGHS = ['manhattan', 'brooklyn', 'queens', 'bronx', 'staten island'];
+const { QUERY_TYPES, ENTITY_TYPES } = require('./query-constants');
+const { complete, LLM_TASKS } = require('./llm-provider');
+const { resolveTimePeriod } = require('./date-resolver');
+const { findLocations, resolveLocation } = require('./nyc-gazetteer');
+const { extractAddresses, removeAddresses } = require('./address-parser');
+const { VIOLATION_CATEGORIES, findViolationCategory } = require('./violation-taxonomy');
+const { renderPrompt, PROMPT_IDS } = require('./prompt-registry');
+const { LlmFixtureMissError } = require('./llm-fixtures');
+const {
+  validateStructuredQuery,
+  describeQuerySchema,
+  QueryInterpretationError
+} = require('./query-schema');
+
+// Number of times invalid model output is sent back to the model for repair
+const MAX_REPAIR_ATTEMPTS = parseInt(process.env.NLP_MAX_REPAIR_ATTEMPTS || '2', 10);
 
 /**
  * Process a natural language query to extract structured information
@@ -49,16 +33,9 @@ async function processQuery(query, conversationContext = null) {
     // Prepare the prompt for the language model
     const prompt = preparePrompt(query, conversationContext);
     
-    // Call the language model to interpret the query
-    const completion = await openai.createCompletion({
-      model: "gpt-3.5-turbo-instruct",
-      prompt: prompt,
-      max_tokens: 500,
-      temperature: 0.3,
-    });
-
-    // Parse the model's response into structured data
-    const structuredQuery = parseModelResponse(completion.data.choices[0].text);
+    // Call the model and repair its output until it satisfies the query schema
+    const structuredQuery = await interpretQuery(query, prompt, conversationContext);
+    structuredQuery.originalQuery = query;
     
     // Validate and normalize the extracted entities
     const validatedQuery = validateAndNormalizeQuery(structuredQuery);
@@ -69,78 +46,114 @@ async function processQuery(query, conversationContext = null) {
     return finalQuery;
   } catch (error) {
     console.error('Error processing natural language query:', error);
+    if (error instanceof QueryInterpretationError || error instanceof LlmFixtureMissError) {
+      throw error;
+    }
     throw new Error('Failed to process natural language query');
   }
 }
 
 /**
- * Prepare the prompt for the language model
+ * Call the language model and validate its output, feeding validation errors back
+ * to the model until the output is valid or the repair attempts are used up
  * @param {string} query - The user's query
- * @param {Object} context - Previous conversation context
- * @returns {string} Formatted prompt
+ * @param {Object} prompt - The rendered initial prompt
+ * @param {Object} conversationContext - Previous conversation context
+ * @returns {Object} Valid structured query, with the versions of the prompts used in promptVersions
+ * @throws {QueryInterpretationError} If no valid output is produced
  */
-function preparePrompt(query, context) {
-  let prompt = `
-You are an AI assistant specialized in analyzing NYC Department of Buildings (DOB) data.
-Extract the following information from this user query about NYC buildings:
+async function interpretQuery(query, prompt, conversationContext) {
+  let currentPrompt = prompt;
+  let errors = [];
+  const promptVersions = {};
+
+  for (let attempt = 1; attempt <= MAX_REPAIR_ATTEMPTS + 1; attempt++) {
+    promptVersions[currentPrompt.id] = currentPrompt.version;
+    const completion = await complete(LLM_TASKS.QUERY_INTERPRETATION, currentPrompt.text, {
+      input: { query, context: conversationContext },
+      maxTokens: 500,
+      temperature: 0.3,
+    });
 
-1. Query Type (one of: risk_assessment, trend_analysis, violation_search, building_lookup, comparison, general_stats)
-2. Entities (locations, building types, time periods, violation types, property attributes)
-3. Filters (any specific conditions to apply)
-4. Aggregations (how to group or summarize data)
-5. Sort Order (how to order results)
-6. Limit (any limit on the number of results)
+    const parsed = parseModelResponse(completion);
+    if (parsed.errors.length === 0) {
+      return { ...parsed.structuredQuery, promptVersions };
+    }
 
-User Query: "${query}"
+    errors = parsed.errors;
+    console.warn(`Invalid model response on attempt ${attempt}:`, errors);
+    currentPrompt = prepareRepairPrompt(prompt.text, completion, errors);
+  }
 
-Respond in JSON format:
-`;
+  throw new QueryInterpretationError(
+    'The query could not be interpreted. Try rephrasing it with a clearer question type, location or time period.',
+    errors,
+    MAX_REPAIR_ATTEMPTS + 1
+  );
+}
 
+/**
+ * Prepare the prompt for the language model
+ * @param {string} query - The user's query
+ * @param {Object} context - Previous conversation context
+ * @returns {Object} Rendered prompt { id, version, text }
+ */
+function preparePrompt(query, context) {
+  let contextText = '';
+  
   // Add conversation context if available
   if (context && context.previousQueries && context.previousQueries.length > 0) {
-    prompt += `\nThis is a follow-up to previous conversation. Previous context: ${JSON.stringify(context.previousQueries.slice(-2))}`;
+    contextText = `\nThis is a follow-up to previous conversation. Previous context: ${JSON.stringify(context.previousQueries.slice(-2))}`;
   }
 
-  return prompt;
+  return renderPrompt(PROMPT_IDS.QUERY_INTERPRETATION, {
+    query,
+    violationCategories: VIOLATION_CATEGORIES.map(category => category.name).join(', '),
+    schema: describeQuerySchema(),
+    context: contextText
+  });
 }
 
 /**
- * Parse the language model's response into structured data
+ * Prepare a prompt asking the model to correct an invalid response
+ * @param {string} prompt - The original prompt text
+ * @param {string} response - The invalid model response
+ * @param {Array} errors - Validation errors for the response
+ * @returns {Object} Rendered prompt { id, version, text }
+ */
+function prepareRepairPrompt(prompt, response, errors) {
+  return renderPrompt(PROMPT_IDS.QUERY_REPAIR, {
+    prompt,
+    response,
+    errors: errors.map(error => `- ${error}`).join('\n')
+  });
+}
+
+/**
+ * Parse the language model's response into structured data and validate it
  * @param {string} response - The raw model response
- * @returns {Object} Structured query information
+ * @returns {Object} { structuredQuery, errors } where errors is empty for a valid response
  */
 function parseModelResponse(response) {
+  // Extract JSON from the response
+  const jsonMatch = (response || '').match(/\{[\s\S]*\}/);
+  if (!jsonMatch) {
+    return { structuredQuery: null, errors: ['response did not contain a JSON object'] };
+  }
+
+  let parsedResponse;
   try {
-    // Extract JSON from the response
-    const jsonMatch = response.match(/\{[\s\S]*\}/);
-    if (!jsonMatch) {
-      throw new Error('Could not extract JSON from model response');
-    }
-    
-    const parsedResponse = JSON.parse(jsonMatch[0]);
-    
-    return {
-      queryType: parsedResponse.queryType || null,
-      entities: parsedResponse.entities || {},
-      filters: parsedResponse.filters || [],
-      aggregations: parsedResponse.aggregations || [],
-      sortOrder: parsedResponse.sortOrder || null,
-      limit: parsedResponse.limit || 100,
-      originalQuery: parsedResponse.originalQuery
-    };
+    parsedResponse = JSON.parse(jsonMatch[0]);
   } catch (error) {
-    console.error('Error parsing model response:', error);
-    // Return a minimal structure if parsing fails
-    return {
-      queryType: null,
-      entities: {},
-      filters: [],
-      aggregations: [],
-      sortOrder: null,
-      limit: 100,
-      originalQuery: response
-    };
+    return { structuredQuery: null, errors: [`response is not valid JSON: ${error.message}`] };
   }
+
+  const { valid, errors, value } = validateStructuredQuery(parsedResponse);
+
+  return {
+    structuredQuery: valid ? value : null,
+    errors
+  };
 }
 
 /**
@@ -149,40 +162,49 @@ function parseModelResponse(response) {
  * @returns {Object} Validated and normalized query
  */
 function validateAndNormalizeQuery(query) {
-  const normalizedQuery = { ...query };
+  const normalizedQuery = { ...query, entities: { ...query.entities } };
   
-  // Normalize locations (e.g., borough names)
+  // Move street addresses and BBL/BIN numbers listed as locations into addresses,
+  // keeping any borough they mention as a location
   if (normalizedQuery.entities.locations) {
-    normalizedQuery.entities.locations = normalizedQuery.entities.locations.map(location => {
-      // Check if the location is a borough and normalize it
-      const boroughMatch = NYC_BOROUGHS.find(borough => 
-        location.toLowerCase().includes(borough)
-      );
-      
-      if (boroughMatch) {
-        return boroughMatch.charAt(0).toUpperCase() + boroughMatch.slice(1);
+    const addresses = normalizedQuery.entities.locations.flatMap(location => extractAddresses(location));
+    if (addresses.length > 0) {
+      normalizedQuery.entities.addresses = [...new Set([...(normalizedQuery.entities.addresses || []), ...addresses])];
+      normalizedQuery.entities.locations = normalizedQuery.entities.locations
+        .map(location => extractAddresses(location).length > 0 ? removeAddresses(location).trim() : location)
+        .filter(location => location && !/^(bbl|bin)\b/i.test(location));
+    }
+  }
+  
+  // Normalize locations to gazetteer names (e.g., "Bed-Stuy" -> "Bedford-Stuyvesant"),
+  // splitting combined references such as "Astoria, Queens"
+  if (normalizedQuery.entities.locations) {
+    normalizedQuery.entities.locations = [...new Set(normalizedQuery.entities.locations.flatMap(location => {
+      const resolution = resolveLocation(location);
+      if (resolution) {
+        return [resolution.type === 'neighborhood' || resolution.type === 'borough' ? resolution.name : location];
       }
       
-      return location;
-    });
+      const found = findLocations(location);
+      return found.length > 0 ? found : [location];
+    }))];
+  }
+  
+  // Normalize violation types to taxonomy categories (e.g., "no heat" -> "heat")
+  if (normalizedQuery.entities.violationTypes) {
+    normalizedQuery.entities.violationTypes = [...new Set(normalizedQuery.entities.violationTypes.map(violationType => {
+      const category = findViolationCategory(violationType);
+      return category ? category.name : violationType;
+    }))];
   }
   
-  // Normalize time periods
+  // Resolve time periods such as "since 2019" or "Q3 2022" into date ranges
   if (normalizedQuery.entities.timePeriods) {
     normalizedQuery.entities.timePeriods = normalizedQuery.entities.timePeriods.map(period => {
-      // Convert relative time periods to absolute dates
-      if (period.toLowerCase().includes('last year')) {
-        const currentYear = new Date().getFullYear();
-        return { start: `${currentYear-1}-01-01`, end: `${currentYear-1}-12-31` };
-      }
-      
-      if (period.toLowerCase().includes('past five years')) {
-        const currentYear = new Date().getFullYear();
-        return { start: `${currentYear-5}-01-01`, end: `${currentYear}-12-31` };
-      }
+      const range = resolveTimePeriod(period);
       
-      // Return as is if no normalization needed
-      return period;
+      // Return as is if the expression could not be resolved
+      return range || period;
     });
   }
   
@@ -221,62 +243,9 @@ function incorporateConversationContext(query, context) {
   return updatedQuery;
 }
 
-/**
- * Convert the structured query to a database query
- * @param {Object} structuredQuery - The structured query information
- * @returns {Object} Database query parameters
- */
-function convertToDatabaseQuery(structuredQuery) {
-  // This will be implemented in the data retrieval module
-  // but we include a stub here for completeness
-  const dbQuery = {
-    tables: [],
-    columns: [],
-    filters: [],
-    joins: [],
-    groupBy: [],
-    orderBy: null,
-    limit: structuredQuery.limit
-  };
-  
-  // Determine which tables to query based on query type
-  switch (structuredQuery.queryType) {
-    case QUERY_TYPES.RISK_ASSESSMENT:
-      dbQuery.tables.push('hpd_violations', 'dob_violations', 'pluto');
-      break;
-    case QUERY_TYPES.TREND_ANALYSIS:
-      dbQuery.tables.push('dob_permits');
-      break;
-    case QUERY_TYPES.VIOLATION_SEARCH:
-      dbQuery.tables.push('hpd_violations', 'dob_violations');
-      break;
-    case QUERY_TYPES.BUILDING_LOOKUP:
-      dbQuery.tables.push('pluto');
-      break;
-    default:
-      dbQuery.tables.push('pluto');
-  }
-  
-  // Convert entities to filters
-  if (structuredQuery.entities.locations) {
-    structuredQuery.entities.locations.forEach(location => {
-      dbQuery.filters.push({
-        table: 'pluto',
-        column: 'borough',
-        operator: '=',
-        value: location
-      });
-    });
-  }
-  
-  // Add more conversion logic here...
-  
-  return dbQuery;
-}
-
 module.exports = {
   processQuery,
-  convertToDatabaseQuery,
+  parseModelResponse,
   QUERY_TYPES,
   ENTITY_TYPES
 };
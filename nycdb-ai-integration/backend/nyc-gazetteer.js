@@ -0,0 +1,495 @@
+/**
+ * NYC Geography Gazetteer for NYCDB AI Integration
+ *
+ * This module maps place references in user queries (boroughs, neighborhoods, community
+ * districts, ZIP codes, council districts and census tracts) to filters on PLUTO columns.
+ * Neighborhoods are approximated by their community districts unless ZIP codes fit better.
+ */
+
+// PLUTO stores boroughs as two-letter codes; community districts are borough number * 100 + district
+const BOROUGHS = [
+  { name: 'Manhattan', code: 'MN', number: 1, aliases: ['new york county'] },
+  { name: 'Bronx', code: 'BX', number: 2, aliases: ['the bronx', 'bronx county'] },
+  { name: 'Brooklyn', code: 'BK', number: 3, aliases: ['kings county'] },
+  { name: 'Queens', code: 'QN', number: 4, aliases: ['queens county'] },
+  { name: 'Staten Island', code: 'SI', number: 5, aliases: ['richmond county'] }
+];
+
+const NEIGHBORHOODS = [
+  // Manhattan
+  { name: 'Financial District', borough: 'MN', communityDistricts: [1], aliases: ['fidi', 'wall street'] },
+  { name: 'Battery Park City', borough: 'MN', communityDistricts: [1] },
+  { name: 'Tribeca', borough: 'MN', communityDistricts: [1] },
+  { name: 'Greenwich Village', borough: 'MN', communityDistricts: [2] },
+  { name: 'West Village', borough: 'MN', communityDistricts: [2] },
+  { name: 'SoHo', borough: 'MN', communityDistricts: [2] },
+  { name: 'Lower East Side', borough: 'MN', communityDistricts: [3], aliases: ['les'] },
+  { name: 'East Village', borough: 'MN', communityDistricts: [3] },
+  { name: 'Chinatown', borough: 'MN', communityDistricts: [3] },
+  { name: 'Chelsea', borough: 'MN', communityDistricts: [4] },
+  { name: "Hell's Kitchen", borough: 'MN', communityDistricts: [4], aliases: ['clinton'] },
+  { name: 'Midtown', borough: 'MN', communityDistricts: [5] },
+  { name: 'Murray Hill', borough: 'MN', communityDistricts: [6] },
+  { name: 'Gramercy', borough: 'MN', communityDistricts: [6], aliases: ['gramercy park'] },
+  { name: 'Upper West Side', borough: 'MN', communityDistricts: [7], aliases: ['uws'] },
+  { name: 'Upper East Side', borough: 'MN', communityDistricts: [8], aliases: ['ues'] },
+  { name: 'Morningside Heights', borough: 'MN', communityDistricts: [9] },
+  { name: 'Hamilton Heights', borough: 'MN', communityDistricts: [9] },
+  { name: 'Harlem', borough: 'MN', communityDistricts: [10], aliases: ['central harlem'] },
+  { name: 'East Harlem', borough: 'MN', communityDistricts: [11], aliases: ['spanish harlem', 'el barrio'] },
+  { name: 'Washington Heights', borough: 'MN', communityDistricts: [12], zipcodes: [10032, 10033, 10040] },
+  { name: 'Inwood', borough: 'MN', communityDistricts: [12], zipcodes: [10034] },
+
+  // Bronx
+  { name: 'South Bronx', borough: 'BX', communityDistricts: [1, 2] },
+  { name: 'Mott Haven', borough: 'BX', communityDistricts: [1] },
+  { name: 'Hunts Point', borough: 'BX', communityDistricts: [2] },
+  { name: 'Morrisania', borough: 'BX', communityDistricts: [3] },
+  { name: 'Highbridge', borough: 'BX', communityDistricts: [4] },
+  { name: 'Concourse', borough: 'BX', communityDistricts: [4], aliases: ['grand concourse'] },
+  { name: 'Fordham', borough: 'BX', communityDistricts: [5] },
+  { name: 'University Heights', borough: 'BX', communityDistricts: [5] },
+  { name: 'Belmont', borough: 'BX', communityDistricts: [6], aliases: ['arthur avenue'] },
+  { name: 'Bedford Park', borough: 'BX', communityDistricts: [7] },
+  { name: 'Norwood', borough: 'BX', communityDistricts: [7] },
+  { name: 'Kingsbridge', borough: 'BX', communityDistricts: [8] },
+  { name: 'Riverdale', borough: 'BX', communityDistricts: [8] },
+  { name: 'Parkchester', borough: 'BX', communityDistricts: [9] },
+  { name: 'Soundview', borough: 'BX', communityDistricts: [9] },
+  { name: 'Castle Hill', borough: 'BX', communityDistricts: [9] },
+  { name: 'Throgs Neck', borough: 'BX', communityDistricts: [10], aliases: ['throggs neck'] },
+  { name: 'Co-op City', borough: 'BX', communityDistricts: [10], aliases: ['coop city'] },
+  { name: 'Pelham Bay', borough: 'BX', communityDistricts: [10] },
+  { name: 'Morris Park', borough: 'BX', communityDistricts: [11] },
+  { name: 'Pelham Parkway', borough: 'BX', communityDistricts: [11] },
+  { name: 'Wakefield', borough: 'BX', communityDistricts: [12] },
+  { name: 'Williamsbridge', borough: 'BX', communityDistricts: [12] },
+
+  // Brooklyn
+  { name: 'Williamsburg', borough: 'BK', communityDistricts: [1], zipcodes: [11211, 11249] },
+  { name: 'Greenpoint', borough: 'BK', communityDistricts: [1], zipcodes: [11222] },
+  { name: 'Downtown Brooklyn', borough: 'BK', communityDistricts: [2] },
+  { name: 'Brooklyn Heights', borough: 'BK', communityDistricts: [2] },
+  { name: 'DUMBO', borough: 'BK', communityDistricts: [2] },
+  { name: 'Fort Greene', borough: 'BK', communityDistricts: [2] },
+  { name: 'Clinton Hill', borough: 'BK', communityDistricts: [2] },
+  { name: 'Bedford-Stuyvesant', borough: 'BK', communityDistricts: [3], aliases: ['bed-stuy', 'bedstuy'] },
+  { name: 'Bushwick', borough: 'BK', communityDistricts: [4] },
+  { name: 'East New York', borough: 'BK', communityDistricts: [5] },
+  { name: 'Cypress Hills', borough: 'BK', communityDistricts: [5] },
+  { name: 'Park Slope', borough: 'BK', communityDistricts: [6] },
+  { name: 'Carroll Gardens', borough: 'BK', communityDistricts: [6] },
+  { name: 'Red Hook', borough: 'BK', communityDistricts: [6] },
+  { name: 'Gowanus', borough: 'BK', communityDistricts: [6] },
+  { name: 'Cobble Hill', borough: 'BK', communityDistricts: [6] },
+  { name: 'Sunset Park', borough: 'BK', communityDistricts: [7] },
+  { name: 'Windsor Terrace', borough: 'BK', communityDistricts: [7] },
+  { name: 'Crown Heights', borough: 'BK', communityDistricts: [8, 9] },
+  { name: 'Prospect Heights', borough: 'BK', communityDistricts: [8] },
+  { name: 'Prospect Lefferts Gardens', borough: 'BK', communityDistricts: [9], aliases: ['plg'] },
+  { name: 'Bay Ridge', borough: 'BK', communityDistricts: [10] },
+  { name: 'Dyker Heights', borough: 'BK', communityDistricts: [10] },
+  { name: 'Bensonhurst', borough: 'BK', communityDistricts: [11] },
+  { name: 'Bath Beach', borough: 'BK', communityDistricts: [11] },
+  { name: 'Borough Park', borough: 'BK', communityDistricts: [12], aliases: ['boro park'] },
+  { name: 'Kensington', borough: 'BK', communityDistricts: [12] },
+  { name: 'Coney Island', borough: 'BK', communityDistricts: [13] },
+  { name: 'Brighton Beach', borough: 'BK', communityDistricts: [13] },
+  { name: 'Flatbush', borough: 'BK', communityDistricts: [14] },
+  { name: 'Midwood', borough: 'BK', communityDistricts: [14] },
+  { name: 'Sheepshead Bay', borough: 'BK', communityDistricts: [15] },
+  { name: 'Manhattan Beach', borough: 'BK', communityDistricts: [15] },
+  { name: 'Brownsville', borough: 'BK', communityDistricts: [16] },
+  { name: 'Ocean Hill', borough: 'BK', communityDistricts: [16] },
+  { name: 'East Flatbush', borough: 'BK', communityDistricts: [17] },
+  { name: 'Canarsie', borough: 'BK', communityDistricts: [18] },
+  { name: 'Flatlands', borough: 'BK', communityDistricts: [18] },
+  { name: 'Marine Park', borough: 'BK', communityDistricts: [18] },
+
+  // Queens
+  { name: 'Astoria', borough: 'QN', communityDistricts: [1], zipcodes: [11102, 11103, 11105, 11106] },
+  { name: 'Long Island City', borough: 'QN', communityDistricts: [1, 2], zipcodes: [11101, 11109], aliases: ['lic'] },
+  { name: 'Sunnyside', borough: 'QN', communityDistricts: [2] },
+  { name: 'Woodside', borough: 'QN', communityDistricts: [2] },
+  { name: 'Jackson Heights', borough: 'QN', communityDistricts: [3] },
+  { name: 'East Elmhurst', borough: 'QN', communityDistricts: [3] },
+  { name: 'Elmhurst', borough: 'QN', communityDistricts: [4] },
+  { name: 'Corona', borough: 'QN', communityDistricts: [4] },
+  { name: 'Ridgewood', borough: 'QN', communityDistricts: [5] },
+  { name: 'Maspeth', borough: 'QN', communityDistricts: [5] },
+  { name: 'Glendale', borough: 'QN', communityDistricts: [5] },
+  { name: 'Middle Village', borough: 'QN', communityDistricts: [5] },
+  { name: 'Forest Hills', borough: 'QN', communityDistricts: [6] },
+  { name: 'Rego Park', borough: 'QN', communityDistricts: [6] },
+  { name: 'Flushing', borough: 'QN', communityDistricts: [7] },
+  { name: 'Whitestone', borough: 'QN', communityDistricts: [7] },
+  { name: 'College Point', borough: 'QN', communityDistricts: [7] },
+  { name: 'Fresh Meadows', borough: 'QN', communityDistricts: [8] },
+  { name: 'Briarwood', borough: 'QN', communityDistricts: [8] },
+  { name: 'Jamaica Estates', borough: 'QN', communityDistricts: [8] },
+  { name: 'Jamaica Hills', borough: 'QN', communityDistricts: [8] },
+  { name: 'Richmond Hill', borough: 'QN', communityDistricts: [9] },
+  { name: 'Woodhaven', borough: 'QN', communityDistricts: [9] },
+  { name: 'Kew Gardens', borough: 'QN', communityDistricts: [9] },
+  { name: 'Ozone Park', borough: 'QN', communityDistricts: [10] },
+  { name: 'Howard Beach', borough: 'QN', communityDistricts: [10] },
+  { name: 'Bayside', borough: 'QN', communityDistricts: [11] },
+  { name: 'Douglaston', borough: 'QN', communityDistricts: [11] },
+  { name: 'Little Neck', borough: 'QN', communityDistricts: [11] },
+  { name: 'Jamaica', borough: 'QN', communityDistricts: [12] },
+  { name: 'Hollis', borough: 'QN', communityDistricts: [12] },
+  { name: 'St. Albans', borough: 'QN', communityDistricts: [12], aliases: ['saint albans'] },
+  { name: 'Queens Village', borough: 'QN', communityDistricts: [13] },
+  { name: 'Laurelton', borough: 'QN', communityDistricts: [13] },
+  { name: 'Rosedale', borough: 'QN', communityDistricts: [13] },
+  { name: 'Rockaway', borough: 'QN', communityDistricts: [14], aliases: ['the rockaways', 'rockaways', 'far rockaway'] },
+  { name: 'Broad Channel', borough: 'QN', communityDistricts: [14] },
+
+  // Staten Island
+  { name: 'St. George', borough: 'SI', communityDistricts: [1], aliases: ['saint george'] },
+  { name: 'Stapleton', borough: 'SI', communityDistricts: [1] },
+  { name: 'Port Richmond', borough: 'SI', communityDistricts: [1] },
+  { name: 'West Brighton', borough: 'SI', communityDistricts: [1] },
+  { name: 'New Springville', borough: 'SI', communityDistricts: [2] },
+  { name: 'Todt Hill', borough: 'SI', communityDistricts: [2] },
+  { name: 'South Beach', borough: 'SI', communityDistricts: [2] },
+  { name: 'Chelsea', borough: 'SI', communityDistricts: [2] },
+  { name: 'Travis', borough: 'SI', communityDistricts: [2] },
+  { name: 'Great Kills', borough: 'SI', communityDistricts: [3] },
+  { name: 'Tottenville', borough: 'SI', communityDistricts: [3] }
+];
+
+const BOROUGH_CODE_PATTERN = BOROUGHS.map(borough => borough.code).join('|');
+const BOROUGH_NAME_PATTERN = BOROUGHS.map(borough => borough.name.toLowerCase()).join('|');
+
+// Structured place references that are recognized by pattern rather than by name
+const COMMUNITY_DISTRICT_CODE = new RegExp(`\\b(${BOROUGH_CODE_PATTERN})\\s?(\\d{1,2})\\b`, 'i');
+const COMMUNITY_DISTRICT_PHRASE = new RegExp(`\\b(${BOROUGH_NAME_PATTERN}) (?:community district|community board|cd|cb) (\\d{1,2})\\b`, 'i');
+const ZIP_CODE = /\b(1(?:0[0-4]|1[0-6])\d{2})\b/;
+const COUNCIL_DISTRICT = /\bcouncil district (\d{1,2})\b/i;
+const CENSUS_TRACT = new RegExp(`\\bcensus tract (\\d{1,4}(?:\\.\\d{1,2})?)(?:,? (?:in )?(${BOROUGH_NAME_PATTERN}))?\\b`, 'i');
+
+// Names also used loosely for neighboring places; "Jamaica" can mean the neighborhood
+// or the wider area including Jamaica Hills and Jamaica Estates
+const AMBIGUOUS_NAMES = {
+  'jamaica': ['Jamaica Hills', 'Jamaica Estates']
+};
+
+// Name and alias index; a key can refer to several places, e.g. Chelsea
+const PLACE_INDEX = buildPlaceIndex();
+
+/**
+ * Build the lookup index from borough and neighborhood names and aliases
+ * @returns {Map} Normalized name -> array of place entries
+ */
+function buildPlaceIndex() {
+  const index = new Map();
+
+  const add = (key, place) => {
+    const normalizedKey = normalizeName(key);
+    if (!index.has(normalizedKey)) {
+      index.set(normalizedKey, []);
+    }
+    index.get(normalizedKey).push(place);
+  };
+
+  BOROUGHS.forEach(borough => {
+    const place = { type: 'borough', name: borough.name, borough: borough.code };
+    add(borough.name, place);
+    (borough.aliases || []).forEach(alias => add(alias, place));
+  });
+
+  NEIGHBORHOODS.forEach(neighborhood => {
+    const place = { type: 'neighborhood', ...neighborhood };
+    add(neighborhood.name, place);
+    (neighborhood.aliases || []).forEach(alias => add(alias, place));
+  });
+
+  Object.entries(AMBIGUOUS_NAMES).forEach(([name, placeNames]) => {
+    placeNames.forEach(placeName => add(name, index.get(normalizeName(placeName))[0]));
+  });
+
+  return index;
+}
+
+/**
+ * Normalize a place name for lookup
+ * @param {string} name - Place name
+ * @returns {string} Lowercased name without punctuation
+ */
+function normalizeName(name) {
+  return String(name)
+    .toLowerCase()
+    .replace(/[.'’]/g, '')
+    .replace(/-/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Get borough details by two-letter code
+ * @param {string} code - PLUTO borough code
+ * @returns {Object|undefined} Borough
+ */
+function getBoroughByCode(code) {
+  return BOROUGHS.find(borough => borough.code === code.toUpperCase());
+}
+
+/**
+ * Get borough details by name
+ * @param {string} name - Borough name
+ * @returns {Object|undefined} Borough
+ */
+function getBoroughByName(name) {
+  const normalized = normalizeName(name);
+  return BOROUGHS.find(borough => normalizeName(borough.name) === normalized);
+}
+
+/**
+ * Format a community district code such as BK03
+ * @param {string} boroughCode - PLUTO borough code
+ * @param {number} district - District number within the borough
+ * @returns {string} Community district code
+ */
+function formatCommunityDistrict(boroughCode, district) {
+  return `${boroughCode}${String(district).padStart(2, '0')}`;
+}
+
+/**
+ * Find place references in free text
+ * @param {string} text - Query text
+ * @returns {Array} Canonical place labels that resolveLocation understands
+ */
+function findLocations(text) {
+  const found = [];
+  let remaining = String(text || '').toLowerCase();
+
+  const consume = (match, label) => {
+    found.push(label);
+    remaining = remaining.replace(match, ' ');
+  };
+
+  let match;
+  if ((match = remaining.match(CENSUS_TRACT))) {
+    const borough = match[2] ? getBoroughByName(match[2]) : null;
+    consume(match[0], `Census Tract ${match[1]}${borough ? ` ${borough.name}` : ''}`);
+  }
+
+  if ((match = remaining.match(COUNCIL_DISTRICT))) {
+    consume(match[0], `Council District ${parseInt(match[1], 10)}`);
+  }
+
+  if ((match = remaining.match(COMMUNITY_DISTRICT_PHRASE))) {
+    consume(match[0], formatCommunityDistrict(getBoroughByName(match[1]).code, parseInt(match[2], 10)));
+  }
+
+  if ((match = remaining.match(COMMUNITY_DISTRICT_CODE))) {
+    consume(match[0], formatCommunityDistrict(match[1].toUpperCase(), parseInt(match[2], 10)));
+  }
+
+  while ((match = remaining.match(ZIP_CODE))) {
+    consume(match[0], match[1]);
+  }
+
+  // Match names longest first so "Jamaica Estates" wins over "Jamaica"
+  remaining = normalizeName(remaining);
+  const keys = [...PLACE_INDEX.keys()].sort((a, b) => b.length - a.length);
+  keys.forEach(key => {
+    const pattern = new RegExp(`\\b${key.replace(/\s/g, '\\s')}\\b`);
+    if (pattern.test(remaining)) {
+      consume(pattern, PLACE_INDEX.get(key)[0].name);
+    }
+  });
+
+  return [...new Set(found)];
+}
+
+/**
+ * Resolve a place reference to PLUTO filters
+ * @param {string} location - Place name, community district code, ZIP, council district or census tract
+ * @returns {Object|null} { type, name, borough, filters, candidates }, or null if unknown
+ */
+function resolveLocation(location) {
+  const text = String(location || '').trim();
+  let match;
+
+  if ((match = text.match(CENSUS_TRACT))) {
+    const borough = match[2] ? getBoroughByName(match[2]) : null;
+    const filters = [{ table: 'pluto', column: 'ct2010', operator: '=', value: match[1] }];
+    if (borough) {
+      filters.unshift({ table: 'pluto', column: 'borough', operator: '=', value: borough.code });
+    }
+    return createResolution('census_tract', text, borough ? borough.code : null, filters);
+  }
+
+  if ((match = text.match(COUNCIL_DISTRICT))) {
+    const district = parseInt(match[1], 10);
+    return createResolution('council_district', text, null, [
+      { table: 'pluto', column: 'council', operator: '=', value: district }
+    ]);
+  }
+
+  if ((match = text.match(COMMUNITY_DISTRICT_PHRASE) || text.match(COMMUNITY_DISTRICT_CODE))) {
+    const borough = getBoroughByCode(match[1]) || getBoroughByName(match[1]);
+    const district = parseInt(match[2], 10);
+    return createResolution('community_district', formatCommunityDistrict(borough.code, district), borough.code, [
+      { table: 'pluto', column: 'cd', operator: '=', value: borough.number * 100 + district }
+    ]);
+  }
+
+  if ((match = text.match(ZIP_CODE)) && match[1] === text) {
+    return createResolution('zipcode', text, null, [
+      { table: 'pluto', column: 'zipcode', operator: '=', value: parseInt(text, 10) }
+    ]);
+  }
+
+  // A borough qualifier selects one of several places with the same name ("Chelsea, Manhattan")
+  const qualified = text.match(/^(.+?),\s*([^,]+)$/);
+  const qualifier = qualified && getBoroughByName(qualified[2]);
+  if (qualifier) {
+    const name = normalizeName(qualified[1]);
+    const inBorough = (PLACE_INDEX.get(name) || []).filter(place => place.borough === qualifier.code);
+    if (inBorough.length > 0) {
+      const place = inBorough.find(candidate => normalizeName(candidate.name) === name) || inBorough[0];
+      return { ...placeToResolution(place), name: `${place.name}, ${qualifier.name}`, candidates: [] };
+    }
+  }
+
+  const places = PLACE_INDEX.get(normalizeName(text));
+  if (!places) {
+    return null;
+  }
+
+  const resolutions = places.map(placeToResolution);
+  return {
+    ...resolutions[0],
+    candidates: resolutions.length > 1 ? resolutions : []
+  };
+}
+
+/**
+ * Convert a place index entry to a resolution with PLUTO filters
+ * @param {Object} place - Borough or neighborhood entry
+ * @returns {Object} Resolution
+ */
+function placeToResolution(place) {
+  if (place.type === 'borough') {
+    return createResolution('borough', place.name, place.borough, [
+      { table: 'pluto', column: 'borough', operator: '=', value: place.borough }
+    ]);
+  }
+
+  if (place.zipcodes) {
+    return createResolution('neighborhood', place.name, place.borough, [
+      { table: 'pluto', column: 'zipcode', operator: place.zipcodes.length > 1 ? 'IN' : '=', value: place.zipcodes.length > 1 ? place.zipcodes : place.zipcodes[0] }
+    ]);
+  }
+
+  const borough = getBoroughByCode(place.borough);
+  const districts = place.communityDistricts.map(district => borough.number * 100 + district);
+  return createResolution('neighborhood', place.name, place.borough, [
+    { table: 'pluto', column: 'cd', operator: districts.length > 1 ? 'IN' : '=', value: districts.length > 1 ? districts : districts[0] }
+  ]);
+}
+
+/**
+ * Create a resolution object
+ * @param {string} type - Place type
+ * @param {string} name - Display name
+ * @param {string|null} borough - PLUTO borough code
+ * @param {Array} filters - PLUTO filters
+ * @returns {Object} Resolution
+ */
+function createResolution(type, name, borough, filters) {
+  return { type, name, borough, filters, candidates: [] };
+}
+
+/**
+ * Resolve a list of place references into PLUTO filters. A borough is dropped when a more
+ * specific place inside it is also given ("Astoria, Queens").
+ * @param {Array} locations - Place references
+ * @returns {Object} { resolved, unresolved, filters }
+ */
+function resolveLocations(locations = []) {
+  const resolved = [];
+  const unresolved = [];
+
+  locations.forEach(location => {
+    const resolution = resolveLocation(location);
+    if (resolution) {
+      resolved.push(resolution);
+    } else {
+      unresolved.push(location);
+    }
+  });
+
+  // Prefer a candidate in a borough that was also mentioned ("Chelsea, Staten Island")
+  const mentionedBoroughs = resolved.filter(r => r.type === 'borough').map(r => r.borough);
+  const disambiguated = resolved.map(resolution => {
+    const preferred = resolution.candidates.find(candidate => mentionedBoroughs.includes(candidate.borough));
+    return preferred ? { ...preferred, candidates: resolution.candidates } : resolution;
+  });
+
+  const effective = disambiguated.filter(resolution =>
+    resolution.type !== 'borough' ||
+    !disambiguated.some(other => other.type !== 'borough' && other.borough === resolution.borough)
+  );
+
+  return {
+    resolved: disambiguated,
+    unresolved,
+    filters: combineLocationFilters(effective)
+  };
+}
+
+/**
+ * Combine the filters of several places so that a lot in any of them matches. Places with a
+ * single filter are merged by column; a place with several filters (a census tract and its
+ * borough) must match all of them.
+ * @param {Array} resolutions - Resolved places
+ * @returns {Array} PLUTO filters, with one { or } group when the places use different columns
+ */
+function combineLocationFilters(resolutions) {
+  const alternatives = [
+    ...mergeFilters(resolutions.filter(r => r.filters.length === 1).flatMap(r => r.filters)),
+    ...resolutions.filter(r => r.filters.length > 1).map(r => ({ and: r.filters }))
+  ];
+
+  if (alternatives.length > 1) {
+    return [{ or: alternatives }];
+  }
+
+  return alternatives.flatMap(alternative => alternative.and || [alternative]);
+}
+
+/**
+ * Merge equality filters on the same column into a single IN filter
+ * @param {Array} filters - PLUTO filters
+ * @returns {Array} Merged filters
+ */
+function mergeFilters(filters) {
+  const byColumn = new Map();
+
+  filters.forEach(filter => {
+    const values = Array.isArray(filter.value) ? filter.value : [filter.value];
+    const existing = byColumn.get(filter.column);
+    byColumn.set(filter.column, existing ? [...new Set([...existing, ...values])] : values);
+  });
+
+  return [...byColumn.entries()].map(([column, values]) => ({
+    table: 'pluto',
+    column,
+    operator: values.length > 1 ? 'IN' : '=',
+    value: values.length > 1 ? values : values[0]
+  }));
+}
+
+module.exports = {
+  findLocations,
+  resolveLocation,
+  resolveLocations,
+  getBoroughByCode,
+  getBoroughByName,
+  BOROUGHS,
+  NEIGHBORHOODS
+};
@@ -0,0 +1,54 @@
+/**
+ * NYCDB Datasets for NYCDB AI Integration
+ *
+ * This module finds the nycdb datasets a question names, such as "HPD complaints" or "ECB
+ * penalties", so searches and trends read those sources instead of the default ones. Filters
+ * of the structured query name their datasets directly.
+ */
+
+const { listConditions } = require('./filter-compiler');
+
+// Dataset references, in the order their sources are read. Each names the source tables it
+// stands for.
+const DATASET_PATTERNS = [
+  { tables: ['hpd_violations'], pattern: /\b(hpd|housing( code)?) violations?\b/ },
+  { tables: ['dob_violations'], pattern: /\b(dob|buildings? department|department of buildings) violations?\b/ },
+  { tables: ['ecb_violations'], pattern: /\b(ecb|oath)\b|\b(penalt(y|ies)|fines?|summons(es)?)\b/ },
+  { tables: ['hpd_complaints'], pattern: /\b(hpd|housing|tenant|311) complaints?\b/ },
+  { tables: ['dob_complaints'], pattern: /\b(dob|buildings?) complaints?\b/ },
+  // Complaints without an agency are read from both
+  { tables: ['hpd_complaints', 'dob_complaints'], pattern: /\bcomplaints?\b/, fallback: true },
+  { tables: ['dob_permits'], pattern: /\bpermits?\b/ }
+];
+
+/**
+ * Find the datasets a structured query names in its question or its filters
+ * @param {Object} structuredQuery - The structured query from NLP service
+ * @param {Object} sources - Sources the planner can read, keyed by table
+ * @returns {Array} Source tables, in the order of DATASET_PATTERNS and then of the filters
+ */
+function findDatasets(structuredQuery, sources) {
+  const text = String(structuredQuery.originalQuery || '').toLowerCase();
+  const tables = [];
+
+  DATASET_PATTERNS.forEach(({ tables: named, pattern, fallback }) => {
+    const covered = fallback && named.some(table => tables.includes(table));
+    if (!covered && pattern.test(text)) {
+      tables.push(...named);
+    }
+  });
+
+  // A filter on a detail table, such as the problems of HPD complaints, names its source
+  (structuredQuery.filters || [])
+    .flatMap(listConditions)
+    .forEach(({ table }) => tables.push(
+      Object.keys(sources).find(source => sources[source].detail && sources[source].detail.table === table) || table
+    ));
+
+  return [...new Set(tables)].filter(table => sources[table] && table !== 'pluto');
+}
+
+module.exports = {
+  DATASET_PATTERNS,
+  findDatasets
+};
@@ -0,0 +1,151 @@
+/**
+ * Owner Parser for NYCDB AI Integration
+ *
+ * This module finds owner, landlord and head officer names in queries and normalizes them
+ * to the form HPD registration contacts are matched in.
+ */
+
+// Phrases followed by an owner name, e.g. "owned by Acme Realty" or "landlord Jane Doe"
+const OWNER_CUES = [
+  /\b(?:owned|managed|controlled) by\s+(?:the\s+)?(?:(?:landlord|owner|company|corporation)\s+)?/gi,
+  /\b(?:landlord|owner|head officer)\s+(?:named\s+|called\s+)?/gi,
+  /\bportfolios? (?:of|for)\s+/gi,
+  /\bdoes\s+(?=\S.*\s+own\b)/gi
+];
+
+// A possessive run of capitalized words, e.g. "Acme Realty's buildings"
+const OWNER_POSSESSIVE = /((?:[A-Z0-9&][\w&.-]*\s+){0,5}[A-Z0-9&][\w&.-]*)['’]s\s+(?:portfolio|buildings|properties|holdings)\b/g;
+
+// Words that end an owner name read after a cue
+const NAME_STOP_WORDS = new Set([
+  'in', 'on', 'at', 'with', 'since', 'from', 'over', 'during', 'and', 'or', 'that', 'which',
+  'who', 'own', 'owns', 'has', 'have', 'is', 'are', 'for', 'built', 'across', 'by', 'before',
+  'after', 'portfolio', 'portfolios', 'buildings', 'properties'
+]);
+
+// Lowercase words that can join the capitalized words of a name, e.g. "Bank of New York"
+const NAME_CONNECTORS = new Set(['of', 'the', 'de', 'la', 'del', '&']);
+
+// Words that cannot start an owner name, e.g. "the owner of 123 Main St"
+const NAME_LEADING_STOP_WORDS = new Set([
+  'of', 'the', 'a', 'an', 'to', 'this', 'that', 'these', 'those', 'landlord', 'owner', 'my', 'our'
+]);
+
+// Question words that start a sentence rather than a possessive owner name
+const LEADING_WORDS = new Set([
+  'SHOW', 'LIST', 'FIND', 'WHAT', 'WHICH', 'HOW', 'TELL', 'GIVE', 'MAP', 'COMPARE', 'ANALYZE', 'SUMMARIZE', 'ARE', 'IS'
+]);
+
+// Corporate suffixes, which registrations spell in many ways ("LLC", "L.L.C.", "INC.")
+const CORPORATE_SUFFIXES = /\b(?:L\s?L\s?C|INC|INCORPORATED|CORP|CORPORATION|CO|COMPANY|L\s?P|LTD)$/;
+
+const MAX_NAME_WORDS = 8;
+
+/**
+ * Find owner names in free text
+ * @param {string} text - Query text, in its original case
+ * @returns {Array} Owner names as written
+ */
+function extractOwners(text) {
+  const source = String(text || '');
+  const owners = [];
+
+  OWNER_CUES.forEach(cue => {
+    for (const match of source.matchAll(cue)) {
+      const name = readName(source.slice(match.index + match[0].length));
+      if (name) {
+        owners.push(name);
+      }
+    }
+  });
+
+  for (const match of source.matchAll(OWNER_POSSESSIVE)) {
+    const words = match[1].split(/\s+/);
+    while (words.length > 1 && LEADING_WORDS.has(words[0].toUpperCase())) {
+      words.shift();
+    }
+    if (!LEADING_WORDS.has(words[0].toUpperCase())) {
+      owners.push(words.join(' '));
+    }
+  }
+
+  const seen = new Set();
+  return owners.filter(owner => {
+    const key = normalizeOwnerName(owner);
+    if (!key || seen.has(key)) {
+      return false;
+    }
+    seen.add(key);
+    return true;
+  });
+}
+
+/**
+ * Remove owner names from the text, so names such as "Park Slope Holdings" are not
+ * mistaken for neighborhoods
+ * @param {string} text - Query text
+ * @param {Array} owners - Owner names found by extractOwners
+ * @returns {string} Text without owner names
+ */
+function removeOwners(text, owners = []) {
+  return owners.reduce(
+    (remaining, owner) => remaining.split(owner).join(' ').split(owner.toLowerCase()).join(' '),
+    String(text || '')
+  );
+}
+
+/**
+ * Read an owner name from the start of the text, up to a stop word or punctuation. A name
+ * written in capitals also ends at the first lowercase word that does not join it. A comma
+ * before a corporate suffix ("Acme Realty, LLC") is part of the name.
+ * @param {string} text - Text following an owner cue
+ * @returns {string|null} Owner name, or null if the text does not start with one
+ */
+function readName(text) {
+  const tokens = text.split(/\s+/).filter(Boolean);
+  const words = [];
+
+  for (let i = 0; i < tokens.length && words.length < MAX_NAME_WORDS; i++) {
+    const word = tokens[i].replace(/[?!;:,.]+$/, '');
+    const lower = word.toLowerCase();
+    if (!word || NAME_STOP_WORDS.has(lower) || (words.length === 0 && NAME_LEADING_STOP_WORDS.has(lower))) {
+      break;
+    }
+    if (words.length > 0 && /^[A-Z0-9]/.test(words[0]) && !/^[A-Z0-9]/.test(word) && !NAME_CONNECTORS.has(lower)) {
+      break;
+    }
+
+    words.push(word);
+
+    const trailing = tokens[i].slice(word.length);
+    const nextIsSuffix = tokens[i + 1] && CORPORATE_SUFFIXES.test(tokens[i + 1].replace(/\W/g, '').toUpperCase());
+    if (/[?!;:]/.test(trailing) || (trailing.includes(',') && !nextIsSuffix)) {
+      break;
+    }
+  }
+
+  return words.length > 0 ? words.join(' ') : null;
+}
+
+/**
+ * Normalize an owner name for matching against HPD registration contacts: uppercase, without
+ * punctuation or a trailing corporate suffix
+ * @param {string} name - Owner name
+ * @returns {string} Normalized name, e.g. "ACME REALTY" for "Acme Realty, L.L.C."
+ */
+function normalizeOwnerName(name) {
+  const plain = String(name || '')
+    .toUpperCase()
+    .replace(/[^A-Z0-9& ]+/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+  const withoutSuffix = plain.replace(CORPORATE_SUFFIXES, '').trim();
+
+  return withoutSuffix || plain;
+}
+
+module.exports = {
+  extractOwners,
+  removeOwners,
+  normalizeOwnerName
+};
@@ -0,0 +1,128 @@
+/**
+ * Owner Resolver for NYCDB AI Integration
+ *
+ * This module resolves owner, corporation and head officer names to the BBLs they are
+ * registered for in HPD registrations, so portfolio questions are answered for every
+ * building an owner is linked to.
+ */
+
+const pool = require('./config/database');
+const { normalizeOwnerName } = require('./owner-parser');
+
+// HPD registration contact types that own or control a building, as opposed to agents
+// and site managers. The principal owners are the ones a building's portfolio is traced from.
+const PRINCIPAL_OWNER_TYPES = ['CorporateOwner', 'IndividualOwner', 'JointOwner', 'HeadOfficer'];
+const OWNER_CONTACT_TYPES = [...PRINCIPAL_OWNER_TYPES, 'Officer', 'Shareholder'];
+
+// Shorter names would match a large share of all corporations
+const MIN_NAME_LENGTH = 3;
+
+// Contact name as registered: the corporation, or the person's first and last name
+const CONTACT_NAME = "COALESCE(NULLIF(c.corporationname, ''), concat_ws(' ', c.firstname, c.lastname))";
+
+/**
+ * Resolve an owner name to the BBLs of every registration it is a contact on. Corporations
+ * match by prefix, so "Acme Realty" finds "ACME REALTY LLC"; people match by first and last name.
+ * @param {string} name - Owner, corporation or head officer name
+ * @returns {Promise<Object|null>} { input, name, contacts: [{ name, type, buildings }], bbls },
+ *   or null if the name is too short to match
+ */
+async function resolveOwner(name) {
+  const normalized = normalizeOwnerName(name);
+  if (normalized.length < MIN_NAME_LENGTH) {
+    return null;
+  }
+
+  const result = await pool.query(
+    `SELECT DISTINCT r.bbl, c.type, ${CONTACT_NAME} AS name
+     FROM hpd_contacts c
+     JOIN hpd_registrations r ON r.registrationid = c.registrationid
+     WHERE c.type = ANY($1)
+       AND r.bbl IS NOT NULL
+       AND (regexp_replace(regexp_replace(upper(c.corporationname), '[^A-Z0-9& ]+', ' ', 'g'), '\\s+', ' ', 'g') LIKE $2
+         OR upper(concat_ws(' ', c.firstname, c.lastname)) = $3)`,
+    [OWNER_CONTACT_TYPES, `${normalized}%`, normalized]
+  );
+
+  const contacts = new Map();
+  const bbls = new Set();
+  result.rows.forEach(row => {
+    const bbl = String(row.bbl);
+    const key = `${row.name}|${row.type}`;
+    if (!contacts.has(key)) {
+      contacts.set(key, { name: row.name, type: row.type, buildings: new Set() });
+    }
+    contacts.get(key).buildings.add(bbl);
+    bbls.add(bbl);
+  });
+
+  return {
+    input: name,
+    name: normalized,
+    contacts: [...contacts.values()]
+      .map(contact => ({ ...contact, buildings: contact.buildings.size }))
+      .sort((a, b) => b.buildings - a.buildings),
+    bbls: [...bbls]
+  };
+}
+
+/**
+ * Resolve a list of owner names to BBL filters covering their combined portfolio
+ * @param {Array} names - Owner names
+ * @returns {Promise<Object>} { resolved, unresolved, bbls, filters }
+ */
+async function resolveOwners(names = []) {
+  const resolved = [];
+  const unresolved = [];
+  const bbls = new Set();
+
+  for (const name of names) {
+    const resolution = await resolveOwner(name);
+    if (!resolution || resolution.bbls.length === 0) {
+      unresolved.push(name);
+      continue;
+    }
+
+    resolved.push(resolution);
+    resolution.bbls.forEach(bbl => bbls.add(bbl));
+  }
+
+  const bblList = [...bbls];
+  const filters = bblList.length === 0 ? [] : [{
+    table: 'pluto',
+    column: 'bbl',
+    operator: bblList.length === 1 ? '=' : 'IN',
+    value: bblList.length === 1 ? bblList[0] : bblList
+  }];
+
+  return { resolved, unresolved, bbls: bblList, filters };
+}
+
+/**
+ * Find the owners registered for buildings, so "the owner of 123 Main St" can be resolved
+ * to the rest of their portfolio
+ * @param {Array} bbls - BBLs of the buildings
+ * @returns {Promise<Array>} Owner names as registered
+ */
+async function findBuildingOwners(bbls = []) {
+  if (bbls.length === 0) {
+    return [];
+  }
+
+  const result = await pool.query(
+    `SELECT DISTINCT ${CONTACT_NAME} AS name
+     FROM hpd_contacts c
+     JOIN hpd_registrations r ON r.registrationid = c.registrationid
+     WHERE r.bbl = ANY($1) AND c.type = ANY($2)`,
+    [bbls, PRINCIPAL_OWNER_TYPES]
+  );
+
+  return result.rows.map(row => row.name).filter(Boolean);
+}
+
+module.exports = {
+  OWNER_CONTACT_TYPES,
+  resolveOwner,
+  resolveOwners,
+  findBuildingOwners
+};
@@ -34,6 +34,9 @@ function detectPatterns(structuredQuery, analysisResults) {
     case 'general_stats':
       patterns = detectGeneralStatsPatterns(analysisResults);
       break;
+    case 'owner_portfolio':
+      patterns = detectPortfolioPatterns(analysisResults);
+      break;
     default:
       patterns = detectGenericPatterns(analysisResults);
   }
@@ -148,6 +151,67 @@ function detectRiskPatterns(analysisResults) {
   return patterns;
 }
 
+/**
+ * Detect patterns in owner portfolio data
+ * @param {Object} analysisResults - Owner portfolio results
+ * @returns {Object} Detected patterns
+ */
+function detectPortfolioPatterns(analysisResults) {
+  const patterns = {
+    significantPatterns: [],
+    anomalies: [],
+    clusters: []
+  };
+  
+  // Extract relevant data
+  const { portfolioStats, worstBuildings, mostViolatedBuilding } = analysisResults;
+  
+  if (!portfolioStats || !portfolioStats.buildingCount) {
+    return patterns;
+  }
+  
+  // Open class C violations are immediately hazardous conditions the owner must correct
+  if (portfolioStats.openClassCViolations > 0) {
+    const hazardousBuildings = (worstBuildings || []).filter(b => Number(b.open_class_c_count) > 0);
+    
+    patterns.significantPatterns.push({
+      type: 'open_class_c_violations',
+      description: `${portfolioStats.openClassCViolations} immediately hazardous (class C) HPD violations are open across the portfolio`,
+      importance: 'high',
+      data: {
+        count: portfolioStats.openClassCViolations,
+        buildings: hazardousBuildings.map(b => ({
+          address: b.address,
+          borough: b.borough,
+          openClassC: Number(b.open_class_c_count)
+        }))
+      }
+    });
+  }
+  
+  // Check whether a single building accounts for most of the portfolio's violations
+  if (mostViolatedBuilding && portfolioStats.buildingCount > 2 && portfolioStats.totalViolations > 0) {
+    const mostViolations = mostViolatedBuilding;
+    const share = Number(mostViolations.total_violations) / portfolioStats.totalViolations * 100;
+    
+    if (share > 50) {
+      patterns.anomalies.push({
+        type: 'violation_concentration',
+        description: `${mostViolations.address} accounts for ${share.toFixed(1)}% of the portfolio's violations`,
+        importance: 'high',
+        data: {
+          address: mostViolations.address,
+          borough: mostViolations.borough,
+          violations: Number(mostViolations.total_violations),
+          percentage: share.toFixed(1)
+        }
+      });
+    }
+  }
+  
+  return patterns;
+}
+
 /**
  * Detect patterns in trend analysis data
  * @param {Object} analysisResults - Trend analysis results
@@ -0,0 +1,375 @@
+/**
+ * Prompt Registry for NYCDB AI Integration
+ *
+ * This module keeps every language model prompt as a versioned template with named variables
+ * and curated few-shot examples. Services render prompts by id and record the version they
+ * used, so prompt changes can be compared and rolled back without editing service code.
+ */
+
+const PROMPT_IDS = {
+  QUERY_INTERPRETATION: 'query_interpretation',
+  QUERY_REPAIR: 'query_repair',
+  NARRATIVE_INSIGHTS: 'narrative_insights',
+  EXPLANATION: 'explanation',
+  RECOMMENDATIONS: 'recommendations'
+};
+
+// Registered templates keyed by prompt id, then version
+const registry = new Map();
+
+// Versions pinned at runtime with setActiveVersion
+const pinnedVersions = new Map();
+
+/**
+ * Register a prompt template version
+ * @param {Object} prompt - Prompt definition
+ * @param {string} prompt.id - Prompt id, one of PROMPT_IDS
+ * @param {number} prompt.version - Version number
+ * @param {Array} prompt.variables - Names of the variables the template uses
+ * @param {string} prompt.template - Template text with {{variable}} placeholders
+ * @param {Array} prompt.examples - Few-shot examples as { question, answer } pairs (optional)
+ */
+function registerPrompt({ id, version, variables = [], template, examples = [] }) {
+  if (!Number.isInteger(version) || version < 1) {
+    throw new Error(`Prompt ${id} version must be a positive integer`);
+  }
+
+  if (!registry.has(id)) {
+    registry.set(id, new Map());
+  }
+  registry.get(id).set(version, { id, version, variables, template, examples });
+}
+
+/**
+ * Get the version of a prompt currently in use. A version pinned with setActiveVersion wins,
+ * then PROMPT_VERSIONS (e.g. "query_interpretation=1,narrative_insights=2"), then the latest.
+ * @param {string} id - Prompt id
+ * @returns {number} Active version
+ */
+function getActiveVersion(id) {
+  const versions = registry.get(id);
+  if (!versions) {
+    throw new Error(`Unknown prompt: ${id}`);
+  }
+
+  const configured = pinnedVersions.get(id) || parsePromptVersions(process.env.PROMPT_VERSIONS)[id];
+  if (configured !== undefined) {
+    if (!versions.has(configured)) {
+      throw new Error(`Unknown version ${configured} for prompt ${id}`);
+    }
+    return configured;
+  }
+
+  return Math.max(...versions.keys());
+}
+
+/**
+ * Pin the version of a prompt, or clear the pin with null
+ * @param {string} id - Prompt id
+ * @param {number|null} version - Version to use
+ */
+function setActiveVersion(id, version) {
+  if (version === null) {
+    pinnedVersions.delete(id);
+    return;
+  }
+
+  if (!registry.has(id) || !registry.get(id).has(version)) {
+    throw new Error(`Unknown version ${version} for prompt ${id}`);
+  }
+  pinnedVersions.set(id, version);
+}
+
+/**
+ * Parse a PROMPT_VERSIONS setting
+ * @param {string} setting - Comma-separated id=version pairs
+ * @returns {Object} Versions keyed by prompt id
+ */
+function parsePromptVersions(setting) {
+  return String(setting || '')
+    .split(',')
+    .map(pair => pair.split('=').map(part => part.trim()))
+    .filter(([id, version]) => id && /^\d+$/.test(version || ''))
+    .reduce((versions, [id, version]) => {
+      versions[id] = parseInt(version, 10);
+      return versions;
+    }, {});
+}
+
+/**
+ * Render a prompt with its variables and few-shot examples
+ * @param {string} id - Prompt id
+ * @param {Object} variables - Values for the template variables
+ * @param {Object} options - Rendering options
+ * @param {number} options.version - Version to render instead of the active one
+ * @returns {Object} { id, version, text }
+ */
+function renderPrompt(id, variables = {}, { version } = {}) {
+  const resolvedVersion = version || getActiveVersion(id);
+  const prompt = registry.has(id) && registry.get(id).get(resolvedVersion);
+  if (!prompt) {
+    throw new Error(`Unknown version ${resolvedVersion} for prompt ${id}`);
+  }
+
+  const values = { ...variables, examples: formatExamples(prompt.examples) };
+  const missing = prompt.variables.filter(name => values[name] === undefined || values[name] === null);
+  if (missing.length > 0) {
+    throw new Error(`Missing variables for prompt ${id} v${resolvedVersion}: ${missing.join(', ')}`);
+  }
+
+  const text = prompt.template.replace(/\{\{(\w+)\}\}/g, (placeholder, name) =>
+    values[name] === undefined ? placeholder : String(values[name]));
+
+  return { id, version: resolvedVersion, text };
+}
+
+/**
+ * Format few-shot examples for a prompt
+ * @param {Array} examples - { question, answer } pairs
+ * @returns {string} Examples section, or '' if there are none
+ */
+function formatExamples(examples) {
+  if (examples.length === 0) {
+    return '';
+  }
+
+  return `Examples:\n\n${examples.map(({ question, answer }) =>
+    `User Query: "${question}"\nResponse: ${typeof answer === 'string' ? answer : JSON.stringify(answer)}`
+  ).join('\n\n')}\n`;
+}
+
+/**
+ * Get a registered prompt definition
+ * @param {string} id - Prompt id
+ * @param {number} version - Version, or the active version if omitted
+ * @returns {Object|undefined} Prompt definition
+ */
+function getPrompt(id, version) {
+  return registry.has(id) ? registry.get(id).get(version || getActiveVersion(id)) : undefined;
+}
+
+/**
+ * List registered prompts with their versions
+ * @returns {Array} { id, versions, activeVersion } for each prompt
+ */
+function listPrompts() {
+  return [...registry.keys()].map(id => ({
+    id,
+    versions: [...registry.get(id).keys()].sort((a, b) => a - b),
+    activeVersion: getActiveVersion(id)
+  }));
+}
+
+const QUERY_INTERPRETATION_TEMPLATE = `
+You are an AI assistant specialized in analyzing NYC Department of Buildings (DOB) data.
+Extract the following information from this user query about NYC buildings:
+
+1. Query Type (one of: risk_assessment, trend_analysis, violation_search, building_lookup, comparison, general_stats)
+2. Entities (locations, building types, time periods, violation types, property attributes, street addresses or BBL/BIN numbers)
+3. Filters (any specific conditions to apply)
+4. Aggregations (how to group or summarize data)
+5. Sort Order (how to order results)
+6. Limit (any limit on the number of results)
+
+Violation types should be one of: {{violationCategories}}.
+
+{{examples}}
+User Query: "{{query}}"
+
+Respond with a single JSON object matching this schema:
+{{schema}}
+{{context}}`;
+
+registerPrompt({
+  id: PROMPT_IDS.QUERY_INTERPRETATION,
+  version: 1,
+  variables: ['query', 'violationCategories', 'schema', 'context'],
+  template: QUERY_INTERPRETATION_TEMPLATE.replace('{{examples}}\n', '')
+});
+
+const QUERY_INTERPRETATION_EXAMPLES = [
+  {
+    question: 'Which buildings in Bed-Stuy have the most lead paint violations since 2019?',
+    answer: {
+      queryType: 'violation_search',
+      entities: { locations: ['Bedford-Stuyvesant'], violationTypes: ['lead paint'], timePeriods: ['since 2019'] },
+      filters: [],
+      aggregations: [],
+      sortOrder: null,
+      limit: 100
+    }
+  },
+  {
+    question: 'What are the 20 riskiest residential buildings in Queens built before 1930?',
+    answer: {
+      queryType: 'risk_assessment',
+      entities: { locations: ['Queens'], buildingTypes: ['residential'] },
+      filters: [{ table: 'pluto', column: 'yearbuilt', operator: '<', value: 1930 }],
+      aggregations: [],
+      sortOrder: null,
+      limit: 20
+    }
+  },
+  {
+    question: 'Tell me about 350 5th Ave, Manhattan',
+    answer: {
+      queryType: 'building_lookup',
+      entities: { locations: ['Manhattan'], addresses: ['350 5th Ave, Manhattan'] },
+      filters: [],
+      aggregations: [],
+      sortOrder: null,
+      limit: 100
+    }
+  },
+  {
+    question: 'How have elevator violations in the Bronx changed over the last 5 years?',
+    answer: {
+      queryType: 'trend_analysis',
+      entities: { locations: ['Bronx'], violationTypes: ['elevator'], timePeriods: ['last 5 years'] },
+      filters: [],
+      aggregations: [],
+      sortOrder: null,
+      limit: 100
+    }
+  },
+  {
+    question: 'Compare no-heat violations across boroughs this winter',
+    answer: {
+      queryType: 'comparison',
+      entities: { violationTypes: ['heat'], timePeriods: ['this winter'] },
+      filters: [],
+      aggregations: [{ groupBy: 'borough' }],
+      sortOrder: null,
+      limit: 100
+    }
+  }
+];
+
+registerPrompt({
+  id: PROMPT_IDS.QUERY_INTERPRETATION,
+  version: 2,
+  variables: ['query', 'violationCategories', 'schema', 'context'],
+  template: QUERY_INTERPRETATION_TEMPLATE,
+  examples: QUERY_INTERPRETATION_EXAMPLES
+});
+
+// Version 3 adds owner portfolios, resolved from HPD registrations
+registerPrompt({
+  id: PROMPT_IDS.QUERY_INTERPRETATION,
+  version: 3,
+  variables: ['query', 'violationCategories', 'schema', 'context'],
+  template: QUERY_INTERPRETATION_TEMPLATE
+    .replace('building_lookup, comparison, general_stats', 'building_lookup, comparison, general_stats, owner_portfolio')
+    .replace('property attributes, street addresses', 'property attributes, owner or landlord names, street addresses'),
+  examples: [
+    ...QUERY_INTERPRETATION_EXAMPLES,
+    {
+      question: 'What else does Acme Realty LLC own, and how bad are those buildings?',
+      answer: {
+        queryType: 'owner_portfolio',
+        entities: { owners: ['Acme Realty LLC'] },
+        filters: [],
+        aggregations: [],
+        sortOrder: null,
+        limit: 100
+      }
+    }
+  ]
+});
+
+registerPrompt({
+  id: PROMPT_IDS.QUERY_REPAIR,
+  version: 1,
+  variables: ['prompt', 'response', 'errors'],
+  template: `{{prompt}}
+Your previous response was:
+{{response}}
+
+It failed validation with these errors:
+{{errors}}
+
+Respond again with a corrected JSON object only:
+`
+});
+
+registerPrompt({
+  id: PROMPT_IDS.NARRATIVE_INSIGHTS,
+  version: 1,
+  variables: ['originalQuery', 'queryType', 'dataSummary', 'analysis'],
+  template: `
+You are an expert analyst of NYC Department of Buildings data. Based on the following query and analysis results,
+provide insightful observations about the data. Focus on patterns, trends, and notable findings.
+
+User Query: "{{originalQuery}}"
+
+Query Type: {{queryType}}
+
+Data Summary: {{dataSummary}}
+
+Analysis Results: {{analysis}}
+
+Provide a concise summary of key insights, including:
+1. Most significant findings
+2. Patterns or trends identified
+3. Possible explanations for these patterns
+4. Any recommendations or next steps for further investigation
+
+Your response should be informative, factual, and avoid speculation beyond what the data supports.
+`
+});
+
+registerPrompt({
+  id: PROMPT_IDS.EXPLANATION,
+  version: 1,
+  variables: ['pattern', 'analysis'],
+  template: `
+You are an expert analyst of NYC Department of Buildings data. Based on the following analysis results,
+provide a detailed explanation for the following pattern or anomaly:
+
+Pattern to explain: "{{pattern}}"
+
+Analysis Results: {{analysis}}
+
+Provide a concise explanation that considers:
+1. Possible causes of this pattern
+2. Contextual factors that might contribute
+3. Historical precedents if relevant
+4. Potential implications
+
+Your explanation should be informative, factual, and avoid speculation beyond what the data supports.
+`
+});
+
+registerPrompt({
+  id: PROMPT_IDS.RECOMMENDATIONS,
+  version: 1,
+  variables: ['originalQuery', 'queryType', 'analysis'],
+  template: `
+You are an expert analyst of NYC Department of Buildings data. Based on the following query and analysis results,
+provide actionable recommendations.
+
+User Query: "{{originalQuery}}"
+
+Query Type: {{queryType}}
+
+Analysis Results: {{analysis}}
+
+Provide 3-5 specific, actionable recommendations based on this data. Each recommendation should:
+1. Be clearly stated
+2. Be directly related to the data and analysis
+3. Include a brief rationale
+4. Be practical and implementable
+
+Format each recommendation as: "Recommendation: [action] - [brief rationale]"
+`
+});
+
+module.exports = {
+  PROMPT_IDS,
+  registerPrompt,
+  renderPrompt,
+  getPrompt,
+  getActiveVersion,
+  setActiveVersion,
+  listPrompts
+};
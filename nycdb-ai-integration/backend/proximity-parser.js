@@ -0,0 +1,128 @@
+/**
+ * Proximity Parser for NYCDB AI Integration
+ *
+ * This module finds distance phrases such as "within 500 feet of 40 Wall Street" in queries and
+ * parses them into a radius in meters and the address or coordinates it is measured from.
+ */
+
+const { readAddress, parseAddress } = require('./address-parser');
+
+// Meters in each unit of distance; a block is a short (north-south) Manhattan block
+const DISTANCE_UNITS = {
+  foot: 0.3048, feet: 0.3048, ft: 0.3048,
+  yard: 0.9144, yards: 0.9144, yd: 0.9144,
+  meter: 1, meters: 1, metre: 1, metres: 1, m: 1,
+  kilometer: 1000, kilometers: 1000, kilometre: 1000, kilometres: 1000, km: 1000,
+  mile: 1609.344, miles: 1609.344, mi: 1609.344,
+  block: 80, blocks: 80
+};
+
+const NUMBER_WORDS = {
+  a: 1, an: 1, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10,
+  'half a': 0.5, 'half an': 0.5, 'a half': 0.5, 'a quarter': 0.25, 'a quarter of a': 0.25
+};
+
+const AMOUNT = `\\d+(?:\\.\\d+)?|\\.\\d+|${Object.keys(NUMBER_WORDS).sort((a, b) => b.length - a.length).join('|')}`;
+const UNIT = Object.keys(DISTANCE_UNITS).sort((a, b) => b.length - a.length).join('|');
+
+// "within 500 feet of", "within half a mile from", "within 2 blocks around"
+const PROXIMITY_CUE = new RegExp(`\\bwithin\\s+(${AMOUNT})\\s*[- ]?(${UNIT})\\s+(?:of|from|around)\\s+`, 'gi');
+
+// Coordinates written latitude first, e.g. "40.7128, -74.0060"
+const COORDINATES = /^\(?\s*(-?\d{1,2}\.\d+)\s*,\s*(-?\d{1,3}\.\d+)\s*\)?/;
+
+/**
+ * Find distance phrases in free text
+ * @param {string} text - Query text
+ * @returns {Array} Proximity labels that parseProximity understands, e.g. "within 500 feet of 40 wall street"
+ */
+function extractProximities(text) {
+  return [...new Set(findProximities(String(text || '')).map(({ label }) => label))];
+}
+
+/**
+ * Remove distance phrases from the text, so the address a distance is measured from is not
+ * read as the building the question is about
+ * @param {string} text - Query text
+ * @returns {string} Text without distance phrases
+ */
+function removeProximities(text) {
+  const source = String(text || '');
+  return findProximities(source)
+    .reverse()
+    .reduce((remaining, { start, end }) => `${remaining.slice(0, start)} ${remaining.slice(end)}`, source);
+}
+
+/**
+ * Find each distance phrase followed by an address or coordinates
+ * @param {string} source - Query text
+ * @returns {Array} { label, start, end } in the order of the text
+ */
+function findProximities(source) {
+  const proximities = [];
+
+  for (const match of source.matchAll(PROXIMITY_CUE)) {
+    const rest = source.slice(match.index + match[0].length);
+    const target = readTarget(rest);
+    if (target) {
+      proximities.push({
+        label: `${match[0]}${target.label}`.replace(/\s+/g, ' ').trim(),
+        start: match.index,
+        end: match.index + match[0].length + target.length
+      });
+    }
+  }
+
+  return proximities;
+}
+
+/**
+ * Read the coordinates or address a distance is measured from
+ * @param {string} text - Text following a distance phrase
+ * @returns {Object|null} { label, length }, or null if the text does not start with a place
+ */
+function readTarget(text) {
+  const coordinates = text.match(COORDINATES);
+  if (coordinates && Math.abs(parseFloat(coordinates[1])) <= 90) {
+    return { label: `${coordinates[1]}, ${coordinates[2]}`, length: coordinates[0].length };
+  }
+
+  return readAddress(text);
+}
+
+/**
+ * Parse a proximity label into a radius and the place it is measured from
+ * @param {string} label - Proximity, e.g. "within 500 feet of 40 Wall Street" or
+ *   "within half a mile of 40.7128, -74.0060"
+ * @returns {Object|null} { radius, point } for coordinates as [longitude, latitude], or
+ *   { radius, address } for an address label, with the radius in meters; null if the label
+ *   is not a proximity
+ */
+function parseProximity(label) {
+  const text = String(label || '').trim();
+  PROXIMITY_CUE.lastIndex = 0;
+  const match = PROXIMITY_CUE.exec(text);
+  PROXIMITY_CUE.lastIndex = 0;
+  if (!match) {
+    return null;
+  }
+
+  const amount = match[1].toLowerCase();
+  const quantity = NUMBER_WORDS[amount.replace(/\s+/g, ' ')] || parseFloat(amount);
+  const radius = Math.round(quantity * DISTANCE_UNITS[match[2].toLowerCase()] * 10) / 10;
+  const rest = text.slice(match.index + match[0].length).trim();
+
+  const coordinates = rest.match(COORDINATES);
+  if (coordinates) {
+    return { radius, point: [parseFloat(coordinates[2]), parseFloat(coordinates[1])] };
+  }
+
+  return parseAddress(rest) ? { radius, address: rest } : null;
+}
+
+module.exports = {
+  DISTANCE_UNITS,
+  extractProximities,
+  removeProximities,
+  parseProximity
+};
@@ -0,0 +1,75 @@
+/**
+ * Proximity Resolver for NYCDB AI Integration
+ *
+ * This module resolves distance phrases found by the proximity parser to spatial filters on
+ * PLUTO, locating the address a distance is measured from through the address resolver.
+ */
+
+const { parseProximity } = require('./proximity-parser');
+const { resolveAddress } = require('./address-resolver');
+
+/**
+ * Resolve a proximity label to the circle it describes
+ * @param {string} label - Proximity, e.g. "within 500 feet of 40 Wall Street"
+ * @returns {Promise<Object|null>} { input, radius, point, address }, where address is the
+ *   best PLUTO match of the place measured from (null for coordinates), or null if the label is
+ *   not a proximity or its address has no location
+ */
+async function resolveProximity(label) {
+  const parsed = parseProximity(label);
+  if (!parsed) {
+    return null;
+  }
+
+  if (parsed.point) {
+    return { input: label, radius: parsed.radius, point: parsed.point, address: null };
+  }
+
+  const resolution = await resolveAddress(parsed.address);
+  const located = resolution && resolution.candidates.find(candidate =>
+    candidate.latitude !== null && candidate.latitude !== undefined &&
+    candidate.longitude !== null && candidate.longitude !== undefined);
+  if (!located) {
+    return null;
+  }
+
+  return {
+    input: label,
+    radius: parsed.radius,
+    point: [Number(located.longitude), Number(located.latitude)],
+    address: { input: parsed.address, bbl: located.bbl, address: located.address, score: located.score }
+  };
+}
+
+/**
+ * Resolve a list of proximity labels to a spatial filter on PLUTO. A building may be near any
+ * of the places named.
+ * @param {Array} labels - Proximity labels
+ * @returns {Promise<Object>} { resolved, unresolved, filters }
+ */
+async function resolveProximities(labels = []) {
+  const resolved = [];
+  const unresolved = [];
+
+  for (const label of labels) {
+    const resolution = await resolveProximity(label);
+    if (resolution) {
+      resolved.push(resolution);
+    } else {
+      unresolved.push(label);
+    }
+  }
+
+  const conditions = resolved.map(({ radius, point }) => ({
+    table: 'pluto',
+    spatial: { type: 'radius', point, radius }
+  }));
+  const filters = conditions.length === 0 ? [] : [conditions.length === 1 ? conditions[0] : { or: conditions }];
+
+  return { resolved, unresolved, filters };
+}
+
+module.exports = {
+  resolveProximity,
+  resolveProximities
+};
@@ -0,0 +1,51 @@
+/**
+ * Query Constants for NYCDB AI Integration
+ *
+ * This module defines the query types, entity types and reference values shared by
+ * the NLP service, the LLM providers and the data retrieval services.
+ */
+
+// Define query types and their corresponding parameters
+const QUERY_TYPES = {
+  RISK_ASSESSMENT: 'risk_assessment',
+  TREND_ANALYSIS: 'trend_analysis',
+  VIOLATION_SEARCH: 'violation_search',
+  BUILDING_LOOKUP: 'building_lookup',
+  COMPARISON: 'comparison',
+  GENERAL_STATS: 'general_stats',
+  OWNER_PORTFOLIO: 'owner_portfolio'
+};
+
+// Define entity types that can be extracted from queries
+const ENTITY_TYPES = {
+  LOCATION: 'location',
+  BUILDING_TYPE: 'building_type',
+  TIME_PERIOD: 'time_period',
+  VIOLATION_TYPE: 'violation_type',
+  PROPERTY_ATTRIBUTE: 'property_attribute',
+  ADDRESS: 'address',
+  OWNER: 'owner',
+  PROXIMITY: 'proximity'
+};
+
+// Keys under which each entity type is stored in a structured query's entities object
+const ENTITY_KEYS = {
+  [ENTITY_TYPES.LOCATION]: 'locations',
+  [ENTITY_TYPES.BUILDING_TYPE]: 'buildingTypes',
+  [ENTITY_TYPES.TIME_PERIOD]: 'timePeriods',
+  [ENTITY_TYPES.VIOLATION_TYPE]: 'violationTypes',
+  [ENTITY_TYPES.PROPERTY_ATTRIBUTE]: 'propertyAttributes',
+  [ENTITY_TYPES.ADDRESS]: 'addresses',
+  [ENTITY_TYPES.OWNER]: 'owners',
+  [ENTITY_TYPES.PROXIMITY]: 'proximities'
+};
+
+// NYC boroughs for location entity normalization
+const NYC_BOROUGHS = ['manhattan', 'brooklyn', 'queens', 'bronx', 'staten island'];
+
+module.exports = {
+  QUERY_TYPES,
+  ENTITY_TYPES,
+  ENTITY_KEYS,
+  NYC_BOROUGHS
+};
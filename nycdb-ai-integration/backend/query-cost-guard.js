@@ -0,0 +1,200 @@
+/**
+ * Query Cost Guard for NYCDB AI Integration
+ *
+ * This module asks PostgreSQL for the estimated cost and row count of a compiled plan with
+ * EXPLAIN before the plan is run. Plans within the configured thresholds run as they are.
+ * Aggregate plans over PLUTO that exceed them are downgraded to read a sample of PLUTO, and
+ * any other plan that exceeds them is rejected with a suggestion for narrowing the question.
+ * Later pages of a result set are read at the sample its first page was, without estimating
+ * again, so the pages do not mix sampled and full reads or samples of different sizes.
+ */
+
+const { executeQuery } = require('./db-query-builder');
+const { SOURCES, samplePlan } = require('./query-planner');
+const { listConditions } = require('./filter-compiler');
+
+// Largest sample taken in place of a full scan; a plan that only fits at more than this is
+// cheap enough to be sampled at this size
+const MAX_SAMPLE_PERCENT = 50;
+
+/**
+ * Read a positive number from the environment
+ * @param {string|undefined} value - Environment value
+ * @param {number} fallback - Value when unset or invalid
+ * @returns {number} Number
+ */
+function parseThreshold(value, fallback) {
+  const number = parseFloat(value);
+  return Number.isFinite(number) && number > 0 ? number : fallback;
+}
+
+/**
+ * Get the configured thresholds
+ * @returns {Object} { enabled, maxCost, maxRows, minSamplePercent }
+ */
+function getCostThresholds() {
+  return {
+    enabled: process.env.QUERY_COST_GUARD !== 'off',
+    maxCost: parseThreshold(process.env.QUERY_MAX_COST, 1000000),
+    maxRows: parseThreshold(process.env.QUERY_MAX_ROWS, 100000),
+    minSamplePercent: Math.min(parseThreshold(process.env.QUERY_MIN_SAMPLE_PERCENT, 1), MAX_SAMPLE_PERCENT)
+  };
+}
+
+/**
+ * Error raised when a query is estimated to be too expensive to run, even sampled
+ */
+class QueryCostError extends Error {
+  /**
+   * @param {Object} estimate - { estimatedCost, estimatedRows } of the query
+   * @param {Object} thresholds - Thresholds the estimate exceeds
+   * @param {string} suggestion - How to narrow the question
+   */
+  constructor(estimate, thresholds, suggestion) {
+    super(`This question would read too much data to answer quickly. ${suggestion}.`);
+    this.name = 'QueryCostError';
+    this.code = 'QUERY_TOO_EXPENSIVE';
+    this.suggestion = suggestion;
+    this.costGuard = {
+      decision: 'rejected',
+      ...estimate,
+      maxCost: thresholds.maxCost,
+      maxRows: thresholds.maxRows
+    };
+  }
+}
+
+/**
+ * Get the planner's estimate for a query without running it
+ * @param {Object} compiled - { query, params } from compilePlan
+ * @param {Object} options - { timeoutMs, signal } for executeQuery
+ * @returns {Promise<Object>} { estimatedCost, estimatedRows } of the top plan node
+ */
+async function explainQuery({ query, params }, options = {}) {
+  const result = await executeQuery(`EXPLAIN (FORMAT JSON) ${query}`, params, { ...options, stage: 'cost estimate' });
+  const [{ Plan: plan }] = result.rows[0]['QUERY PLAN'];
+
+  return {
+    estimatedCost: plan['Total Cost'],
+    estimatedRows: plan['Plan Rows']
+  };
+}
+
+/**
+ * Check an estimate against the thresholds
+ * @param {Object} estimate - { estimatedCost, estimatedRows }
+ * @param {Object} thresholds - { maxCost, maxRows }
+ * @returns {boolean} Whether the query may run
+ */
+function withinThresholds(estimate, thresholds) {
+  return estimate.estimatedCost <= thresholds.maxCost && estimate.estimatedRows <= thresholds.maxRows;
+}
+
+/**
+ * Choose the sample sizes to try, largest first: one scaled to the amount the estimate is
+ * over the thresholds, then the smallest allowed
+ * @param {Object} estimate - { estimatedCost, estimatedRows } of the full query
+ * @param {Object} thresholds - { maxCost, maxRows, minSamplePercent }
+ * @returns {Array} Sample percentages
+ */
+function samplePercents(estimate, thresholds) {
+  const fraction = Math.min(
+    thresholds.maxCost / estimate.estimatedCost,
+    thresholds.maxRows / Math.max(estimate.estimatedRows, 1)
+  );
+  const scaled = Math.min(Math.max(Math.floor(fraction * 100), thresholds.minSamplePercent), MAX_SAMPLE_PERCENT);
+
+  return [...new Set([scaled, thresholds.minSamplePercent])];
+}
+
+/**
+ * Suggest how to narrow a question, from the area and date filters it lacks
+ * @param {Object} dbQuery - Database query parameters
+ * @returns {string} Suggestion
+ */
+function suggestNarrowing(dbQuery) {
+  const conditions = (dbQuery.filters || []).reduce((all, filter) => all.concat(listConditions(filter)), []);
+  const hasArea = Boolean(dbQuery.bbls) ||
+    Boolean(dbQuery.locations && dbQuery.locations.resolved.length > 0) ||
+    conditions.some(condition => condition.spatial);
+  const hasDate = conditions.some(condition =>
+    SOURCES[condition.table] && SOURCES[condition.table].dateColumn === condition.column);
+  const dated = (dbQuery.tables || []).some(table => SOURCES[table] && SOURCES[table].dateColumn);
+
+  if (!hasArea && !hasDate && dated) {
+    return 'Add a borough, neighborhood or ZIP code, or a date range, to narrow it';
+  }
+  if (!hasArea) {
+    return 'Add a borough, neighborhood or ZIP code to narrow it';
+  }
+  if (!hasDate && dated) {
+    return 'Add a date range to narrow it';
+  }
+  return 'Ask about a smaller area or a shorter period';
+}
+
+/**
+ * Decide whether a plan may run, and in what form
+ * @param {Object} plan - Logical plan from the query planner
+ * @param {Object} dbQuery - Database query parameters the plan was built from. For a later
+ *   page, dbQuery.samplePercent holds the sample its first page was read at, or null if it was
+ *   read in full.
+ * @param {Function} compile - Compiles a plan to { query, params }
+ * @returns {Promise<Object>} { plan, costGuard }: the plan to run, which may be sampled, and
+ *   the decision with the estimates it was based on
+ * @throws {QueryCostError} If the plan exceeds the thresholds and cannot be sampled within them
+ */
+async function guardPlan(plan, dbQuery, compile) {
+  if (plan.sampleable && dbQuery.samplePercent !== undefined) {
+    return dbQuery.samplePercent === null
+      ? { plan, costGuard: { decision: 'allowed', fromCursor: true } }
+      : {
+        plan: samplePlan(plan, dbQuery.samplePercent),
+        costGuard: { decision: 'sampled', samplePercent: dbQuery.samplePercent, fromCursor: true }
+      };
+  }
+
+  const thresholds = getCostThresholds();
+
+  if (!thresholds.enabled) {
+    return { plan, costGuard: { decision: 'unchecked' } };
+  }
+
+  const limits = { maxCost: thresholds.maxCost, maxRows: thresholds.maxRows };
+  const options = { timeoutMs: dbQuery.timeoutMs, signal: dbQuery.signal };
+  const estimate = await explainQuery(compile(plan), options);
+
+  if (withinThresholds(estimate, thresholds)) {
+    return { plan, costGuard: { decision: 'allowed', ...estimate, ...limits } };
+  }
+
+  if (plan.sampleable) {
+    for (const percent of samplePercents(estimate, thresholds)) {
+      const sampled = samplePlan(plan, percent);
+      const sampledEstimate = await explainQuery(compile(sampled), options);
+
+      if (withinThresholds(sampledEstimate, thresholds)) {
+        return {
+          plan: sampled,
+          costGuard: {
+            decision: 'sampled',
+            samplePercent: percent,
+            ...sampledEstimate,
+            fullEstimate: estimate,
+            ...limits
+          }
+        };
+      }
+    }
+  }
+
+  throw new QueryCostError(estimate, thresholds, suggestNarrowing(dbQuery));
+}
+
+module.exports = {
+  QueryCostError,
+  getCostThresholds,
+  explainQuery,
+  suggestNarrowing,
+  guardPlan
+};
@@ -0,0 +1,1142 @@
+/**
+ * Query Planner for NYCDB AI Integration
+ *
+ * This module turns database query parameters into a logical plan (sources, joins,
+ * predicates, grouping, ordering and limit) and compiles the plan to parameterized SQL.
+ * Each query type is a plan template, so datasets and operators are added in one place.
+ *
+ * Plans that list rows order them by a keyset: output columns ending in a unique key, with
+ * nulls last. Passing the keyset values of the last row seen as dbQuery.after plans the
+ * following page.
+ *
+ * Risk assessments, owner portfolios, comparisons and statistics measure each PLUTO lot with
+ * subqueries over the violation, complaint and penalty sources (see lotMeasures).
+ *
+ * Plans marked sampleable aggregate over PLUTO, so they can be run over a sample of its lots
+ * when the full query would be too expensive (see samplePlan).
+ */
+
+const { QUERY_TYPES } = require('./query-constants');
+const { compileFilter, listConditions, qualifyFilter } = require('./filter-compiler');
+const { buildSourceCodeFilter } = require('./violation-taxonomy');
+
+// Tables the planner can read. Every source is keyed by BBL, so any of them can be joined
+// to PLUTO for building attributes, except DOB complaints, which are keyed by BIN and reach
+// PLUTO through their lots table, the PAD address records.
+//
+// Sources with a label can be searched: record maps the output columns of a search to their
+// columns, taken from the detail table when the source has one (an HPD complaint lists its
+// problems, which carry the category and status).
+const SOURCES = {
+  pluto: { alias: 'p' },
+  hpd_violations: {
+    alias: 'hv',
+    label: 'HPD',
+    dateColumn: 'issueddate',
+    record: { id: 'violationid', status: 'violationstatus', type: 'violationtype', description: 'novdescription' }
+  },
+  dob_violations: {
+    alias: 'dv',
+    label: 'DOB',
+    dateColumn: 'issueddate',
+    record: { id: 'violationid', status: 'violationstatus', type: 'violationtype', description: 'description' }
+  },
+  ecb_violations: {
+    alias: 'ev',
+    label: 'ECB',
+    dateColumn: 'issuedate',
+    record: { id: 'ecbviolationnumber', status: 'ecbviolationstatus', type: 'violationtype', description: 'violationdescription' },
+    optional: true
+  },
+  hpd_complaints: {
+    alias: 'hc',
+    label: 'HPD Complaint',
+    dateColumn: 'receiveddate',
+    detail: { table: 'hpd_complaint_problems', key: 'complaintid' },
+    record: { id: 'problemid', status: 'status', type: 'majorcategory', description: 'minorcategory' },
+    optional: true
+  },
+  hpd_complaint_problems: { alias: 'hcp', optional: true },
+  dob_complaints: {
+    alias: 'dc',
+    label: 'DOB Complaint',
+    dateColumn: 'dateentered',
+    lotKey: 'bin',
+    lots: 'pad_adr',
+    record: { id: 'complaintnumber', status: 'status', type: 'complaintcategory', description: 'dispositioncode' },
+    optional: true
+  },
+  // PAD address records, which list the lots of each BIN
+  pad_adr: { alias: 'pad', optional: true },
+  dob_permits: { alias: 'dp', dateColumn: 'issueddate' },
+  // Materialized summaries of the violation tables, maintained by violation-summaries.js
+  violation_summary_by_bbl: { alias: 'vs', summary: true },
+  violation_counts_by_bbl_year: { alias: 'vy', summary: true }
+};
+
+const VIOLATION_SOURCES = ['hpd_violations', 'dob_violations'];
+
+// Sources a violation search can list, in the order of its union branches
+const RECORD_SOURCES = Object.keys(SOURCES).filter(table => SOURCES[table].label);
+
+// Measures of each lot in risk assessments and comparisons: the output column, the source
+// it aggregates, the column it sums (counting rows otherwise), filters on the rows it counts
+// and the column holding it in each violation summary
+const LOT_MEASURES = [
+  {
+    as: 'hpd_violation_count',
+    table: 'hpd_violations',
+    summaryColumns: { violation_summary_by_bbl: 'hpd_count', violation_counts_by_bbl_year: 'hpd_count' }
+  },
+  {
+    as: 'dob_violation_count',
+    table: 'dob_violations',
+    summaryColumns: { violation_summary_by_bbl: 'dob_count', violation_counts_by_bbl_year: 'dob_count' }
+  },
+  { as: 'ecb_violation_count', table: 'ecb_violations' },
+  { as: 'ecb_balance_due', table: 'ecb_violations', sum: 'balancedue' },
+  { as: 'hpd_complaint_count', table: 'hpd_complaints' },
+  { as: 'dob_complaint_count', table: 'dob_complaints' }
+];
+
+// Open immediately hazardous (class C) HPD violations, measured for owner portfolios. Only the
+// summary by BBL splits violations by class and status.
+const OPEN_CLASS_C_MEASURE = {
+  as: 'open_class_c_count',
+  table: 'hpd_violations',
+  filters: [
+    { table: 'hpd_violations', column: 'class', operator: '=', value: 'C' },
+    { table: 'hpd_violations', column: 'violationstatus', operator: 'ILIKE', value: 'open%' }
+  ],
+  summaryColumns: { violation_summary_by_bbl: 'hpd_class_c_open' }
+};
+
+// Sources measured for each lot
+const MEASURED_SOURCES = [...new Set(LOT_MEASURES.map(measure => measure.table))];
+
+// Measures that add up to the total violations of a lot
+const VIOLATION_MEASURES = ['hpd_violation_count', 'dob_violation_count', 'ecb_violation_count'];
+
+// PLUTO columns returned for building lookups
+const BUILDING_COLUMNS = [
+  'bbl', 'address', 'borough', 'block', 'lot', 'bldgclass', 'landuse', 'yearbuilt',
+  'numfloors', 'unitsres', 'unitstotal', 'assesstot', 'exemptland', 'exempttot',
+  'latitude', 'longitude'
+];
+
+// PLUTO columns returned with each building in a risk assessment
+const RISK_COLUMNS = ['bbl', 'address', 'borough', 'block', 'lot', 'bldgclass', 'yearbuilt', 'latitude', 'longitude'];
+
+// PLUTO columns returned with each building of an owner portfolio
+const PORTFOLIO_COLUMNS = [...RISK_COLUMNS, 'unitsres'];
+
+const AGGREGATE_FUNCTIONS = ['COUNT', 'AVG', 'MIN', 'MAX', 'SUM'];
+
+const IDENTIFIER_PATTERN = /^[a-z_][a-z0-9_]*$/i;
+
+// A column reference such as "yearbuilt", "p.yearbuilt DESC" or "pluto.numfloors"
+const COLUMN_REFERENCE_PATTERN = /^(?:([a-z_][a-z0-9_]*)\.)?([a-z_][a-z0-9_]*)(?:\s+(ASC|DESC))?$/i;
+
+const DEFAULT_LIMIT = 100;
+
+// Seed for sampled plans, so every page and rerun of a query reads the same sample
+const SAMPLE_SEED = 0;
+
+/**
+ * Error raised when a plan cannot be built or compiled safely
+ */
+class QueryPlanError extends Error {
+  /**
+   * @param {string} message - Error message
+   */
+  constructor(message) {
+    super(message);
+    this.name = 'QueryPlanError';
+    this.code = 'QUERY_PLAN_INVALID';
+  }
+}
+
+/**
+ * Reference a source column
+ * @param {string} table - Source table
+ * @param {string} name - Column name
+ * @returns {Object} Column expression
+ */
+function column(table, name) {
+  return { type: 'column', table, column: name };
+}
+
+/**
+ * Apply an aggregate function
+ * @param {string} fn - One of AGGREGATE_FUNCTIONS
+ * @param {Object|null} arg - Argument expression, or null for COUNT(*)
+ * @param {boolean} distinct - Whether to aggregate distinct values
+ * @returns {Object} Aggregate expression
+ */
+function aggregate(fn, arg, distinct = false) {
+  return { type: 'aggregate', fn, arg, distinct };
+}
+
+/**
+ * Replace a null with zero, e.g. for a sum over a LEFT JOIN without matches
+ * @param {Object} arg - Expression
+ * @returns {Object} Expression
+ */
+function orZero(arg) {
+  return { type: 'or_zero', arg };
+}
+
+/**
+ * Compare two expressions for equality, e.g. the keys of a join
+ * @param {Object} left - Expression
+ * @param {Object} right - Expression
+ * @returns {Object} Equality expression
+ */
+function equals(left, right) {
+  return { type: 'equals', args: [left, right] };
+}
+
+/**
+ * Reference a column of the query output by name, e.g. for ordering
+ * @param {string} name - Output column name
+ * @returns {Object} Output expression
+ */
+function output(name) {
+  return { type: 'output', name };
+}
+
+/**
+ * Build the logical plan for a query type
+ * @param {string} queryType - One of QUERY_TYPES
+ * @param {Object} dbQuery - Database query parameters from the data retrieval service
+ * @returns {Object} Logical plan
+ * @throws {QueryPlanError} If the query type has no plan template
+ */
+function planQuery(queryType, dbQuery) {
+  const template = PLAN_TEMPLATES[queryType];
+
+  if (!template) {
+    throw new QueryPlanError(`No plan template for query type: ${queryType}`);
+  }
+
+  const plan = template({ filters: [], tables: [], groupBy: [], limit: DEFAULT_LIMIT, ...dbQuery });
+
+  if (!dbQuery.after) {
+    return plan;
+  }
+  if (!plan.keyset) {
+    throw new QueryPlanError(`Results of ${queryType} queries are not paged`);
+  }
+  if (!Array.isArray(dbQuery.after) || dbQuery.after.length !== plan.keyset.length) {
+    throw new QueryPlanError(`A page of ${queryType} results must start after ${plan.keyset.length} key values`);
+  }
+
+  return { ...plan, after: dbQuery.after };
+}
+
+/**
+ * Plan buildings ranked by violation count
+ * @param {Object} dbQuery - Database query parameters
+ * @returns {Object} Logical plan
+ */
+function planRiskAssessment(dbQuery) {
+  const { measures, filters } = lotMeasures(dbQuery, measuredSources(dbQuery));
+  const violations = VIOLATION_MEASURES.filter(name => measures[name]).map(output);
+
+  return withFilters({
+    from: 'pluto',
+    joins: [],
+    select: [
+      ...RISK_COLUMNS.map(name => ({ expr: column('pluto', name) })),
+      ...Object.entries(measures).map(([as, expr]) => ({ expr, as }))
+    ],
+    // The total adds up the measures once they are computed, rather than repeating their subqueries
+    derived: [{ expr: { type: 'add', args: violations }, as: 'total_violations' }],
+    groupBy: [],
+    sampleable: true,
+    ...withKeyset([{ name: 'total_violations', direction: 'DESC' }, { name: 'bbl', direction: 'ASC' }]),
+    limit: dbQuery.limit
+  }, filters);
+}
+
+/**
+ * Plan monthly counts from the first source of the query
+ * @param {Object} dbQuery - Database query parameters
+ * @returns {Object} Logical plan
+ * @throws {QueryPlanError} If the source has no date column
+ */
+function planTrendAnalysis(dbQuery) {
+  const table = dbQuery.tables[0] || 'dob_permits';
+  const source = SOURCES[table];
+
+  if (!source || !source.dateColumn) {
+    throw new QueryPlanError(`Cannot plan a trend over ${table}, which has no date column`);
+  }
+
+  const period = { type: 'month', arg: column(table, source.dateColumn) };
+
+  return withFilters({
+    from: table,
+    joins: [],
+    select: [
+      { expr: period, as: 'time_period' },
+      { expr: aggregate('COUNT', null), as: 'count' }
+    ],
+    groupBy: [period],
+    orderBy: [{ expr: output('time_period'), direction: 'ASC' }],
+    limit: null
+  }, dbQuery.filters);
+}
+
+/**
+ * Plan a search over one or more violation tables, combined with UNION ALL
+ * @param {Object} dbQuery - Database query parameters
+ * @returns {Object} Logical plan
+ */
+function planViolationSearch(dbQuery) {
+  const tables = RECORD_SOURCES.filter(table => dbQuery.tables.includes(table));
+  const branches = (tables.length > 0 ? tables : ['dob_violations']).map(table => withFilters({
+    from: table,
+    joins: [...detailJoins(table), plutoJoin()],
+    select: violationColumns(table, true),
+    groupBy: [],
+    orderBy: [],
+    limit: null
+  }, dbQuery.filters));
+
+  return combineBranches(branches, VIOLATION_KEYSET, dbQuery.limit);
+}
+
+/**
+ * Plan a lookup of PLUTO building records
+ * @param {Object} dbQuery - Database query parameters
+ * @returns {Object} Logical plan
+ */
+function planBuildingLookup(dbQuery) {
+  const parsed = dbQuery.orderBy ? parseColumnReference(dbQuery.orderBy, 'pluto') : null;
+  const sortColumn = parsed && parsed.expr.table === 'pluto' ? parsed : null;
+
+  if (dbQuery.orderBy && !sortColumn) {
+    console.warn('Unsupported sort order ignored:', dbQuery.orderBy);
+  }
+
+  const sort = sortColumn
+    ? { name: sortColumn.expr.column, direction: sortColumn.direction }
+    : { name: 'address', direction: 'ASC' };
+  // Sorting by a column the lookup does not return adds it to the output, so that pages
+  // can start after its value
+  const columns = BUILDING_COLUMNS.includes(sort.name) ? BUILDING_COLUMNS : [...BUILDING_COLUMNS, sort.name];
+
+  return withFilters({
+    from: 'pluto',
+    joins: [],
+    select: columns.map(name => ({ expr: column('pluto', name) })),
+    groupBy: [],
+    ...withKeyset(sort.name === 'bbl' ? [sort] : [sort, { name: 'bbl', direction: 'ASC' }]),
+    limit: dbQuery.limit
+  }, dbQuery.filters);
+}
+
+/**
+ * Plan building and violation statistics grouped by PLUTO columns
+ * @param {Object} dbQuery - Database query parameters
+ * @returns {Object} Logical plan
+ */
+function planComparison(dbQuery) {
+  const groupColumns = comparisonColumns(dbQuery);
+  const { measures, filters } = lotMeasures(dbQuery, measuredSources(dbQuery));
+
+  return withFilters({
+    from: 'pluto',
+    joins: [],
+    select: [
+      ...groupColumns.map(expr => ({ expr })),
+      ...buildingStatistics([
+        ['COUNT', 'bbl', 'building_count', true],
+        ['AVG', 'yearbuilt', 'avg_year_built'],
+        ['AVG', 'numfloors', 'avg_floors'],
+        ['AVG', 'unitsres', 'avg_residential_units']
+      ]),
+      ...Object.entries(measures).map(([as, expr]) => ({ expr: orZero(aggregate('SUM', expr)), as }))
+    ],
+    groupBy: groupColumns,
+    orderBy: [{ expr: output('building_count'), direction: 'DESC' }],
+    limit: null,
+    sampleable: true
+  }, filters);
+}
+
+/**
+ * Plan overall building and violation statistics
+ * @param {Object} dbQuery - Database query parameters
+ * @returns {Object} Logical plan
+ */
+function planGeneralStats(dbQuery) {
+  const { measures, filters } = lotMeasures(dbQuery, VIOLATION_SOURCES);
+
+  return withFilters({
+    from: 'pluto',
+    joins: [],
+    select: [
+      ...buildingStatistics([
+        ['COUNT', 'bbl', 'total_buildings', true],
+        ['AVG', 'yearbuilt', 'avg_year_built'],
+        ['MIN', 'yearbuilt', 'oldest_building'],
+        ['MAX', 'yearbuilt', 'newest_building'],
+        ['AVG', 'numfloors', 'avg_floors'],
+        ['MAX', 'numfloors', 'max_floors'],
+        ['SUM', 'unitsres', 'total_residential_units']
+      ]),
+      { expr: orZero(aggregate('SUM', measures.hpd_violation_count)), as: 'total_hpd_violations' },
+      { expr: orZero(aggregate('SUM', measures.dob_violation_count)), as: 'total_dob_violations' }
+    ],
+    groupBy: [],
+    orderBy: [],
+    limit: null,
+    sampleable: true
+  }, filters);
+}
+
+/**
+ * Plan the buildings of an owner portfolio ranked by violation count, with their residential
+ * units and open class C violations
+ * @param {Object} dbQuery - Database query parameters; dbQuery.filters must hold the BBLs of
+ *   the portfolio
+ * @returns {Object} Logical plan
+ * @throws {QueryPlanError} If the query is not limited to the portfolio's BBLs
+ */
+function planOwnerPortfolio(dbQuery) {
+  const { measures, filters } = portfolioMeasures(dbQuery);
+  const violations = VIOLATION_MEASURES.filter(name => measures[name]).map(output);
+
+  return withFilters({
+    from: 'pluto',
+    joins: [],
+    select: [
+      ...PORTFOLIO_COLUMNS.map(name => ({ expr: column('pluto', name) })),
+      ...Object.entries(measures).map(([as, expr]) => ({ expr, as }))
+    ],
+    derived: [{ expr: { type: 'add', args: violations }, as: 'total_violations' }],
+    groupBy: [],
+    ...withKeyset([{ name: 'total_violations', direction: 'DESC' }, { name: 'bbl', direction: 'ASC' }]),
+    limit: dbQuery.limit
+  }, filters);
+}
+
+/**
+ * Plan the totals of an owner portfolio: its buildings, residential units and the sum of each
+ * lot measure across every building, not only the listed page
+ * @param {Object} dbQuery - Database query parameters, as for an owner portfolio
+ * @returns {Object} Logical plan
+ * @throws {QueryPlanError} If the query is not limited to the portfolio's BBLs
+ */
+function planPortfolioTotals(dbQuery) {
+  const { measures, filters } = portfolioMeasures({ filters: [], tables: [], ...dbQuery });
+  const violations = VIOLATION_MEASURES.filter(name => measures[name]).map(output);
+
+  return withFilters({
+    from: 'pluto',
+    joins: [],
+    select: [
+      ...buildingStatistics([
+        ['COUNT', 'bbl', 'building_count', true],
+        ['SUM', 'unitsres', 'residential_units']
+      ]),
+      ...Object.entries(measures).map(([as, expr]) => ({ expr: orZero(aggregate('SUM', expr)), as }))
+    ],
+    derived: [{ expr: { type: 'add', args: violations }, as: 'total_violations' }],
+    groupBy: [],
+    orderBy: [],
+    limit: null
+  }, filters);
+}
+
+/**
+ * Build the lot measures of an owner portfolio, which are the usual measures of its sources
+ * and the open class C violations
+ * @param {Object} dbQuery - Database query parameters
+ * @returns {Object} { measures, filters }, as from lotMeasures
+ * @throws {QueryPlanError} If the query is not limited to the portfolio's BBLs
+ */
+function portfolioMeasures(dbQuery) {
+  const byBbl = dbQuery.filters.some(filter => filter.table === 'pluto' && filter.column === 'bbl');
+  if (!byBbl) {
+    throw new QueryPlanError('An owner portfolio must be limited to the BBLs of its buildings');
+  }
+
+  return lotMeasures(dbQuery, measuredSources(dbQuery), [...LOT_MEASURES, OPEN_CLASS_C_MEASURE]);
+}
+
+/**
+ * Plan the violation history of specific buildings
+ * @param {Array} bbls - BBLs of the buildings
+ * @param {number} limit - Maximum number of violations
+ * @returns {Object} Logical plan
+ */
+function planViolationHistory(bbls, limit = DEFAULT_LIMIT) {
+  const branches = VIOLATION_SOURCES.map(table => ({
+    from: table,
+    joins: [],
+    select: violationColumns(table, false),
+    where: [{ table, column: 'bbl', operator: 'IN', value: bbls }],
+    groupBy: [],
+    orderBy: [],
+    limit: null
+  }));
+
+  return combineBranches(branches, VIOLATION_KEYSET, limit);
+}
+
+// Violations are listed newest first; a violation ID is unique within its source, except
+// that a record keyed by a BIN standing on several lots is listed once per lot
+const VIOLATION_KEYSET = [
+  { name: 'issueddate', direction: 'DESC' },
+  { name: 'source', direction: 'ASC' },
+  { name: 'violationid', direction: 'ASC' },
+  { name: 'bbl', direction: 'ASC' }
+];
+
+const PLAN_TEMPLATES = {
+  [QUERY_TYPES.RISK_ASSESSMENT]: planRiskAssessment,
+  [QUERY_TYPES.TREND_ANALYSIS]: planTrendAnalysis,
+  [QUERY_TYPES.VIOLATION_SEARCH]: planViolationSearch,
+  [QUERY_TYPES.BUILDING_LOOKUP]: planBuildingLookup,
+  [QUERY_TYPES.COMPARISON]: planComparison,
+  [QUERY_TYPES.GENERAL_STATS]: planGeneralStats,
+  [QUERY_TYPES.OWNER_PORTFOLIO]: planOwnerPortfolio
+};
+
+/**
+ * List the measured sources a risk assessment or comparison reads, defaulting to the HPD and
+ * DOB violations
+ * @param {Object} dbQuery - Database query parameters
+ * @returns {Array} Source tables
+ */
+function measuredSources(dbQuery) {
+  const tables = MEASURED_SOURCES.filter(table => dbQuery.tables.includes(table));
+  return tables.length > 0 ? tables : VIOLATION_SOURCES;
+}
+
+/**
+ * Build the measures of each lot over the given sources. Each measure is a subquery over one
+ * source correlated with the PLUTO lot, so measures of different sources do not multiply each
+ * other's rows, and filters on a measured source go into its subqueries. HPD and DOB violation
+ * counts are read from the summary by BBL when the query has no violation filters, or from the
+ * summary by year when its only violation filters are whole-year date ranges. Other queries,
+ * and databases without the summaries, count the rows of the violation tables.
+ * @param {Object} dbQuery - Database query parameters; dbQuery.summaries lists the summary
+ *   views the database has
+ * @param {Array} tables - Sources to measure
+ * @param {Array} measureList - Measures to build, of the form of LOT_MEASURES
+ * @returns {Object} { measures, filters }: expressions keyed by output column, in the order of
+ *   the measure list, and the filters left for the plan
+ */
+function lotMeasures(dbQuery, tables, measureList = LOT_MEASURES) {
+  const filterSource = filter => {
+    const filterTables = [...new Set(listConditions(qualifyFilter(filter, 'pluto')).map(condition => condition.table))];
+    return filterTables.length === 1 && tables.includes(filterTables[0]) ? filterTables[0] : null;
+  };
+  const sourceFilters = table => dbQuery.filters.filter(filter => filterSource(filter) === table);
+  const summary = violationSummary(dbQuery, VIOLATION_SOURCES.flatMap(sourceFilters));
+
+  const measures = {};
+  measureList.filter(measure => tables.includes(measure.table)).forEach(measure => {
+    const summaryColumn = summary && (measure.summaryColumns || {})[summary.table];
+    if (summaryColumn) {
+      measures[measure.as] = lotAggregate('SUM', column(summary.table, summaryColumn), summary.table, summary.filters);
+      return;
+    }
+
+    const codeFilter = dbQuery.violationCodes ? buildSourceCodeFilter(dbQuery.violationCodes, measure.table) : undefined;
+    const filters = [
+      ...(measure.filters || []),
+      ...(codeFilter ? [codeFilter] : []),
+      ...sourceFilters(measure.table)
+    ];
+
+    measures[measure.as] = {
+      ...lotAggregate(measure.sum ? 'SUM' : 'COUNT', measure.sum ? column(measure.table, measure.sum) : null, measure.table, filters),
+      // Requested categories that an agency does not record match none of its records
+      excluded: codeFilter === null
+    };
+  });
+
+  return { measures, filters: dbQuery.filters.filter(filter => !filterSource(filter)) };
+}
+
+/**
+ * Choose the violation summary that can count the HPD and DOB violations of a query
+ * @param {Object} dbQuery - Database query parameters
+ * @param {Array} violationFilters - Filters on the HPD and DOB violation tables
+ * @returns {Object|null} { table, filters } of the summary, or null to count the violation tables
+ */
+function violationSummary(dbQuery, violationFilters) {
+  const summaries = dbQuery.summaries || [];
+
+  if (dbQuery.violationCodes) {
+    return null;
+  }
+  if (violationFilters.length === 0 && summaries.includes('violation_summary_by_bbl')) {
+    return { table: 'violation_summary_by_bbl', filters: [] };
+  }
+
+  const yearFilters = summaries.includes('violation_counts_by_bbl_year') ? wholeYearFilters(violationFilters) : null;
+  return yearFilters && { table: 'violation_counts_by_bbl_year', filters: yearFilters };
+}
+
+/**
+ * Aggregate the rows of a source that belong to the current PLUTO lot
+ * @param {string} fn - COUNT or SUM
+ * @param {Object|null} arg - Summed column, or null to count rows
+ * @param {string} table - Source table
+ * @param {Array} filters - Filters on the source
+ * @returns {Object} Lot aggregate expression
+ */
+function lotAggregate(fn, arg, table, filters) {
+  return { type: 'lot_aggregate', fn, arg, table, filters, excluded: false };
+}
+
+/**
+ * Translate violation date filters to filters on the year of the summary by year. Both
+ * agencies must be filtered to the same whole years, since the summary counts them together.
+ * @param {Array} filters - Filters on the violation tables
+ * @returns {Array|null} Year filters, or null if the filters are not all whole-year ranges
+ */
+function wholeYearFilters(filters) {
+  const ranges = { hpd_violations: [], dob_violations: [] };
+
+  for (const filter of filters) {
+    const range = ranges[filter.table] && filter.column === SOURCES[filter.table].dateColumn ? wholeYears(filter) : null;
+    if (!range) {
+      return null;
+    }
+    ranges[filter.table].push(range);
+  }
+
+  if (JSON.stringify(ranges.hpd_violations) !== JSON.stringify(ranges.dob_violations)) {
+    return null;
+  }
+
+  return ranges.hpd_violations.map(range => ({ table: 'violation_counts_by_bbl_year', column: 'year', ...range }));
+}
+
+/**
+ * Translate a date range that starts on January 1 and ends on December 31 to a range of years
+ * @param {Object} filter - Date filter with BETWEEN, >= or <=
+ * @returns {Object|null} { operator, value } over years, or null if the range is not whole years
+ */
+function wholeYears({ operator, value }) {
+  const bounds = { BETWEEN: Array.isArray(value) ? value : [], '>=': [value, null], '<=': [null, value] }[operator];
+  if (!bounds || bounds.length !== 2) {
+    return null;
+  }
+
+  const year = (date, pattern) => {
+    const match = date === null ? null : String(date).match(pattern);
+    return match ? Number(match[1]) : null;
+  };
+  const [start, end] = bounds;
+  const first = year(start, /^(\d{4})-01-01$/);
+  const last = year(end, /^(\d{4})-12-31$/);
+
+  if ((start !== null && first === null) || (end !== null && last === null) || (first === null && last === null)) {
+    return null;
+  }
+  if (first !== null && last !== null) {
+    return { operator: 'BETWEEN', value: [first, last] };
+  }
+  return first !== null ? { operator: '>=', value: first } : { operator: '<=', value: last };
+}
+
+/**
+ * Join PLUTO for the address and borough of a source's rows
+ * @returns {Object} Join
+ */
+function plutoJoin() {
+  return { table: 'pluto', type: 'INNER', conditions: [] };
+}
+
+/**
+ * Join the detail table of a searched source, if it has one
+ * @param {string} table - Source table
+ * @returns {Array} Joins
+ */
+function detailJoins(table) {
+  const { detail } = SOURCES[table];
+
+  return detail
+    ? [{ table: detail.table, type: 'INNER', conditions: [], on: equals(column(table, detail.key), column(detail.table, detail.key)) }]
+    : [];
+}
+
+/**
+ * Build the output columns of a violation search branch
+ * @param {string} table - Violation table
+ * @param {boolean} withBuilding - Whether to include the PLUTO address and borough
+ * @returns {Array} Select items
+ */
+function violationColumns(table, withBuilding) {
+  const { label, dateColumn, record, detail, lotKey } = SOURCES[table];
+  const recordTable = detail ? detail.table : table;
+  const named = (expr, as) => (expr.column === as ? { expr } : { expr, as });
+
+  return [
+    { expr: { type: 'literal', value: label }, as: 'source' },
+    // IDs are numbers in some sources and text in others, so the union compares them as text
+    { expr: { type: 'text', arg: column(recordTable, record.id) }, as: 'violationid' },
+    { expr: column(lotKey === 'bin' ? 'pluto' : table, 'bbl') },
+    ...(withBuilding ? [{ expr: column('pluto', 'address') }, { expr: column('pluto', 'borough') }] : []),
+    named(column(table, dateColumn), 'issueddate'),
+    named(column(recordTable, record.status), 'violationstatus'),
+    named(column(recordTable, record.type), 'violationtype'),
+    named(column(recordTable, record.description), 'description')
+  ];
+}
+
+/**
+ * Build aggregate select items over PLUTO columns
+ * @param {Array} statistics - [fn, column, as, distinct] tuples
+ * @returns {Array} Select items
+ */
+function buildingStatistics(statistics) {
+  return statistics.map(([fn, name, as, distinct]) => ({
+    expr: aggregate(fn, column('pluto', name), distinct),
+    as
+  }));
+}
+
+/**
+ * Resolve the PLUTO columns a comparison groups by, defaulting to borough
+ * @param {Object} dbQuery - Database query parameters
+ * @returns {Array} Column expressions
+ */
+function comparisonColumns(dbQuery) {
+  const columns = dbQuery.groupBy
+    .map(reference => {
+      const parsed = parseColumnReference(reference, 'pluto');
+      if (!parsed || parsed.expr.table !== 'pluto') {
+        console.warn('Unsupported comparison column ignored:', reference);
+        return null;
+      }
+      return parsed.expr;
+    })
+    .filter(Boolean);
+
+  return columns.length > 0 ? columns : [column('pluto', 'borough')];
+}
+
+/**
+ * Combine branch plans with UNION ALL, or return the single branch with the ordering and limit
+ * @param {Array} branches - Branch plans with identical output columns
+ * @param {Array} keyset - Keyset the combined rows are ordered by
+ * @param {number|null} limit - Row limit
+ * @returns {Object} Logical plan
+ */
+function combineBranches(branches, keyset, limit) {
+  if (branches.length === 1) {
+    return { ...branches[0], ...withKeyset(keyset), limit };
+  }
+
+  return { union: branches, ...withKeyset(keyset), limit };
+}
+
+/**
+ * Order a plan by a keyset of output columns
+ * @param {Array} keyset - { name, direction } output columns, the last of which (with the
+ *   others) identifies a row
+ * @returns {Object} { keyset, orderBy } plan fields
+ */
+function withKeyset(keyset) {
+  return {
+    keyset,
+    orderBy: keyset.map(({ name, direction }) => ({ expr: output(name), direction, nullsLast: true }))
+  };
+}
+
+/**
+ * Run a sampleable plan over a sample of PLUTO. The sample is taken by storage page, so it is
+ * cheap to read, and counts and sums over it cover only the sampled lots.
+ * @param {Object} plan - Logical plan marked sampleable
+ * @param {number} percent - Percentage of PLUTO to read, greater than 0 and at most 100
+ * @returns {Object} Logical plan
+ * @throws {QueryPlanError} If the plan cannot be sampled
+ */
+function samplePlan(plan, percent) {
+  if (!plan.sampleable) {
+    throw new QueryPlanError('Only plans that aggregate over PLUTO can be sampled');
+  }
+  if (!(percent > 0 && percent <= 100)) {
+    throw new QueryPlanError(`Invalid sample percentage: ${percent}`);
+  }
+
+  return { ...plan, sample: { percent } };
+}
+
+/**
+ * Get the keyset values of a result row, from which the next page starts
+ * @param {Object} plan - Logical plan with a keyset
+ * @param {Object} row - Result row
+ * @returns {Array} Values of the keyset columns
+ */
+function keysetValues(plan, row) {
+  return plan.keyset.map(({ name }) => (row[name] === undefined ? null : row[name]));
+}
+
+/**
+ * Parse a column reference such as "p.yearbuilt DESC", accepting table names and aliases
+ * @param {string} reference - Column reference
+ * @param {string} defaultTable - Table for unqualified columns
+ * @returns {Object|null} { expr, direction }, or null if the reference is not a known column form
+ */
+function parseColumnReference(reference, defaultTable) {
+  const match = String(reference).trim().match(COLUMN_REFERENCE_PATTERN);
+  if (!match) {
+    return null;
+  }
+
+  const [, qualifier, name, direction] = match;
+  const table = qualifier ? findSourceTable(qualifier) : defaultTable;
+  if (!table) {
+    return null;
+  }
+
+  return { expr: column(table, name.toLowerCase()), direction: (direction || 'ASC').toUpperCase() };
+}
+
+/**
+ * Find a source by table name or alias
+ * @param {string} name - Table name or alias
+ * @returns {string|undefined} Table name
+ */
+function findSourceTable(name) {
+  const lowerName = name.toLowerCase();
+  return Object.keys(SOURCES).find(table => table === lowerName || SOURCES[table].alias === lowerName);
+}
+
+/**
+ * Attach filters to a plan. Filters without a table apply to the plan's main source, and
+ * filters on a LEFT JOINed source go into the join condition so rows without a match are
+ * kept. Filters on PLUTO join it when needed, and filters on other sources the plan does not
+ * read (such as an HPD code filter in the DOB branch of a violation search) are left out.
+ * A group that spans several tables is kept only if the plan reads all of them.
+ * @param {Object} plan - Logical plan without predicates
+ * @param {Array} filters - Filters { table, column, operator, value } or groups { and } / { or }
+ * @returns {Object} Logical plan with predicates in where and join conditions
+ */
+function withFilters(plan, filters = []) {
+  const where = [];
+  let joins = plan.joins;
+
+  const readsTable = table => table === plan.from || joins.some(join => join.table === table);
+
+  filters.forEach(filter => {
+    const predicate = qualifyFilter(filter, plan.from);
+    const tables = [...new Set(listConditions(predicate).map(condition => condition.table))];
+    const leftJoin = tables.length === 1 && joins.find(join => join.table === tables[0] && join.type === 'LEFT');
+
+    if (leftJoin) {
+      joins = joins.map(join => join === leftJoin
+        ? { ...join, conditions: [...join.conditions, predicate] }
+        : join);
+      return;
+    }
+
+    if (!tables.every(table => readsTable(table) || table === 'pluto')) {
+      return;
+    }
+
+    if (tables.length > 1 && tables.some(table => joins.some(join => join.table === table && join.type === 'LEFT'))) {
+      return;
+    }
+
+    if (!readsTable('pluto') && tables.includes('pluto')) {
+      joins = [...joins, plutoJoin()];
+    }
+    where.push(predicate);
+  });
+
+  return { ...plan, joins, where };
+}
+
+/**
+ * Compile a logical plan to parameterized SQL
+ * @param {Object} plan - Logical plan
+ * @param {Object} options - Compilation options
+ * @param {Object} options.schema - Columns keyed by table from the live database; when omitted,
+ *   identifiers are only checked to be plain SQL names
+ * @param {boolean} options.postgis - Whether spatial filters may use PostGIS functions
+ * @returns {Object} { query, params }
+ * @throws {QueryPlanError} If the plan references unknown sources, columns or expressions
+ * @throws {FilterError} If a filter is invalid
+ */
+function compilePlan(plan, { schema = null, postgis = false } = {}) {
+  const params = [];
+  const context = {
+    schema,
+    postgis,
+    addParam: value => {
+      params.push(value);
+      return `$${params.length}`;
+    }
+  };
+
+  const select = plan.union
+    ? plan.union.map(branch => compileSelect(branch, context)).join('\nUNION ALL\n')
+    : compileSelect(plan, context);
+
+  // Output columns derived from other output columns are computed over the rows of the select
+  const rows = plan.derived
+    ? [`SELECT *, ${plan.derived.map(({ expr, as }) =>
+      `${compileExpression(expr, { ...context, aliases: {} })} AS ${identifier(as)}`).join(', ')} FROM (`, select, ') AS lots'].join('\n')
+    : select;
+
+  // A later page filters the rows on their keyset, so the query is wrapped to compare
+  // output columns, including aggregates and the columns of every union branch
+  const lines = plan.after
+    ? ['SELECT * FROM (', rows, ') AS page', `WHERE ${compileKeysetCondition(plan.keyset, plan.after, context)}`]
+    : [rows];
+
+  if (plan.orderBy && plan.orderBy.length > 0) {
+    const orderContext = { ...context, aliases: plan.union || plan.after || plan.derived ? {} : sourceAliases(plan) };
+    lines.push(`ORDER BY ${plan.orderBy.map(({ expr, direction, nullsLast }) =>
+      `${compileExpression(expr, orderContext)} ${direction === 'DESC' ? 'DESC' : 'ASC'}` +
+      // Nulls already sort last in ascending order
+      (nullsLast && direction === 'DESC' ? ' NULLS LAST' : '')).join(', ')}`);
+  }
+
+  if (plan.limit !== null && plan.limit !== undefined) {
+    lines.push(`LIMIT ${context.addParam(plan.limit)}`);
+  }
+
+  return { query: lines.join('\n'), params };
+}
+
+/**
+ * Compile the condition for rows that sort after the given keyset values, with nulls last:
+ * (k1 after v1) OR (k1 = v1 AND k2 after v2) OR ...
+ * @param {Array} keyset - { name, direction } output columns
+ * @param {Array} after - Keyset values of the last row of the previous page
+ * @param {Object} context - Compilation context { addParam }
+ * @returns {string} SQL condition
+ */
+function compileKeysetCondition(keyset, after, context) {
+  const placeholders = after.map(value => (value === null ? null : context.addParam(value)));
+
+  const equal = index => (placeholders[index] === null
+    ? `${identifier(keyset[index].name)} IS NULL`
+    : `${identifier(keyset[index].name)} = ${placeholders[index]}`);
+
+  const disjuncts = keyset
+    .map(({ name, direction }, index) => {
+      // Only other nulls sort level with a null, and none sort after it
+      if (placeholders[index] === null) {
+        return null;
+      }
+      const key = identifier(name);
+      const later = `(${key} ${direction === 'DESC' ? '<' : '>'} ${placeholders[index]} OR ${key} IS NULL)`;
+      return index === 0 ? later : `(${[...keyset.slice(0, index).map((_, previous) => equal(previous)), later].join(' AND ')})`;
+    })
+    .filter(Boolean);
+
+  return disjuncts.length > 0 ? `(${disjuncts.join(' OR ')})` : 'FALSE';
+}
+
+/**
+ * Compile the SELECT, FROM, JOIN, WHERE and GROUP BY clauses of a plan
+ * @param {Object} plan - Logical plan without a union
+ * @param {Object} context - Compilation context { schema, postgis, addParam }
+ * @returns {string} SQL
+ */
+function compileSelect(plan, context) {
+  const aliases = sourceAliases(plan);
+  const fromAlias = aliases[plan.from];
+  const selectContext = { ...context, aliases };
+
+  const lines = [
+    `SELECT ${plan.select.map(({ expr, as }) =>
+      compileExpression(expr, selectContext) + (as ? ` AS ${identifier(as)}` : '')).join(', ')}`,
+    `FROM ${plan.from} ${fromAlias}` + (plan.sample
+      ? ` TABLESAMPLE SYSTEM (${context.addParam(plan.sample.percent)}) REPEATABLE (${SAMPLE_SEED})`
+      : '')
+  ];
+
+  plan.joins.forEach(join => {
+    const alias = aliases[join.table];
+    const conditions = [
+      join.on ? compileExpression(join.on, selectContext) : lotJoinCondition(plan.from, join.table, aliases),
+      ...join.conditions.map(filter => compileFilter(filter, selectContext)),
+      ...(join.excluded ? ['FALSE'] : [])
+    ];
+    lines.push(`${join.type === 'INNER' ? 'JOIN' : 'LEFT JOIN'} ${join.table} ${alias} ON ${conditions.join(' AND ')}`);
+  });
+
+  if (plan.where && plan.where.length > 0) {
+    lines.push(`WHERE ${plan.where.map(filter => compileFilter(filter, selectContext)).join(' AND ')}`);
+  }
+
+  if (plan.groupBy.length > 0) {
+    lines.push(`GROUP BY ${plan.groupBy.map(expr => compileExpression(expr, selectContext)).join(', ')}`);
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Compile the condition joining a source to another source on the same lot. A source keyed by
+ * BIN is on every lot its lots table lists for the BIN, since PLUTO has no BIN column.
+ * @param {string} from - Source the plan reads from
+ * @param {string} table - Joined source
+ * @param {Object} aliases - Source aliases keyed by table
+ * @returns {string} SQL condition
+ */
+function lotJoinCondition(from, table, aliases) {
+  const byBin = [from, table].find(source => SOURCES[source].lotKey === 'bin');
+
+  if (!byBin) {
+    return `${aliases[from]}.bbl = ${aliases[table]}.bbl`;
+  }
+
+  const other = byBin === from ? table : from;
+  return `${aliases[other]}.bbl IN (SELECT bridge.bbl FROM ${SOURCES[byBin].lots} bridge WHERE bridge.bin = ${aliases[byBin]}.bin)`;
+}
+
+/**
+ * Compile a subquery aggregating the rows of a source that belong to the current PLUTO lot
+ * @param {Object} expr - Lot aggregate expression
+ * @param {Object} context - Compilation context { aliases, schema, addParam }
+ * @returns {string} SQL
+ * @throws {QueryPlanError} If the plan does not read PLUTO or the source is unknown
+ */
+function compileLotAggregate(expr, context) {
+  const { aliases } = context;
+  const source = SOURCES[expr.table];
+
+  if (!aliases.pluto) {
+    throw new QueryPlanError('Lot aggregates need a plan that reads PLUTO');
+  }
+  if (!source) {
+    throw new QueryPlanError(`Unknown source: ${expr.table}`);
+  }
+  if (expr.excluded) {
+    return '0';
+  }
+
+  const alias = source.alias;
+  const { detail } = source;
+  const detailAlias = detail && SOURCES[detail.table].alias;
+  const lotContext = {
+    ...context,
+    aliases: { ...aliases, [expr.table]: alias, ...(detail ? { [detail.table]: detailAlias } : {}) }
+  };
+  const value = expr.arg
+    ? `COALESCE(${expr.fn}(${compileExpression(expr.arg, lotContext)}), 0)`
+    : 'COUNT(*)';
+  // Rows of a source keyed by BIN belong to the lot of any BIN its lots table places on it
+  const lot = source.lotKey === 'bin'
+    ? `${alias}.bin IN (SELECT bridge.bin FROM ${source.lots} bridge WHERE bridge.bbl = ${aliases.pluto}.bbl)`
+    : `${alias}.bbl = ${aliases.pluto}.bbl`;
+  // A filter on the detail table keeps the rows with a matching detail row, such as the HPD
+  // complaints with a problem in a category, so each row is still counted once
+  const onDetail = filter => Boolean(detail) &&
+    listConditions(filter).every(condition => condition.table === detail.table);
+  const conditions = [
+    lot,
+    ...expr.filters.map(filter => (onDetail(filter)
+      ? `EXISTS (SELECT 1 FROM ${detail.table} ${detailAlias} WHERE ${detailAlias}.${detail.key} = ${alias}.${detail.key} AND ${compileFilter(filter, lotContext)})`
+      : compileFilter(filter, lotContext)))
+  ];
+
+  return `(SELECT ${value} FROM ${expr.table} ${alias} WHERE ${conditions.join(' AND ')})`;
+}
+
+/**
+ * Map each source a plan reads to its alias
+ * @param {Object} plan - Logical plan without a union
+ * @returns {Object} Aliases keyed by table
+ * @throws {QueryPlanError} If a source is not in SOURCES
+ */
+function sourceAliases(plan) {
+  return [plan.from, ...plan.joins.map(join => join.table)].reduce((aliases, table) => {
+    if (!SOURCES[table]) {
+      throw new QueryPlanError(`Unknown source: ${table}`);
+    }
+    return { ...aliases, [table]: SOURCES[table].alias };
+  }, {});
+}
+
+/**
+ * Compile an expression
+ * @param {Object} expr - Expression
+ * @param {Object} context - Compilation context { aliases, schema }
+ * @returns {string} SQL
+ * @throws {QueryPlanError} If the expression references an unknown source or column or is malformed
+ */
+function compileExpression(expr, context) {
+  const { aliases, schema } = context;
+
+  switch (expr.type) {
+    case 'column':
+      if (!aliases[expr.table]) {
+        throw new QueryPlanError(`Source not in plan: ${expr.table}`);
+      }
+      if (schema && !(schema[expr.table] || []).includes(expr.column)) {
+        throw new QueryPlanError(`Unknown column: ${expr.table}.${expr.column}`);
+      }
+      return `${aliases[expr.table]}.${identifier(expr.column)}`;
+    case 'output':
+      return identifier(expr.name);
+    case 'aggregate':
+      if (!AGGREGATE_FUNCTIONS.includes(expr.fn)) {
+        throw new QueryPlanError(`Unsupported aggregate: ${expr.fn}`);
+      }
+      return expr.arg
+        ? `${expr.fn}(${expr.distinct ? 'DISTINCT ' : ''}${compileExpression(expr.arg, context)})`
+        : `${expr.fn}(*)`;
+    case 'or_zero':
+      return `COALESCE(${compileExpression(expr.arg, context)}, 0)`;
+    case 'lot_aggregate':
+      if (!['COUNT', 'SUM'].includes(expr.fn)) {
+        throw new QueryPlanError(`Unsupported lot aggregate: ${expr.fn}`);
+      }
+      return compileLotAggregate(expr, context);
+    case 'equals':
+      return `${compileExpression(expr.args[0], context)} = ${compileExpression(expr.args[1], context)}`;
+    case 'text':
+      return `${compileExpression(expr.arg, context)}::text`;
+    case 'add':
+      return `(${expr.args.map(arg => compileExpression(arg, context)).join(' + ')})`;
+    case 'month':
+      return `DATE_TRUNC('month', ${compileExpression(expr.arg, context)})`;
+    case 'literal':
+      // Literals come from plan templates, never from user input
+      return `'${String(expr.value).replace(/'/g, "''")}'`;
+    default:
+      throw new QueryPlanError(`Unsupported expression: ${expr.type}`);
+  }
+}
+
+/**
+ * Check that a name is a plain SQL identifier
+ * @param {string} name - Identifier
+ * @returns {string} The identifier
+ * @throws {QueryPlanError} If the name is not a plain identifier
+ */
+function identifier(name) {
+  if (typeof name !== 'string' || !IDENTIFIER_PATTERN.test(name)) {
+    throw new QueryPlanError(`Invalid identifier: ${JSON.stringify(name)}`);
+  }
+  return name;
+}
+
+module.exports = {
+  SOURCES,
+  RECORD_SOURCES,
+  MEASURED_SOURCES,
+  QueryPlanError,
+  planQuery,
+  planViolationHistory,
+  planPortfolioTotals,
+  keysetValues,
+  samplePlan,
+  compilePlan
+};
@@ -0,0 +1,191 @@
+/**
+ * Structured Query Schema for NYCDB AI Integration
+ *
+ * This module defines the schema that language model output must satisfy before it is used
+ * to build database queries, and the error raised when the output cannot be repaired.
+ */
+
+const { QUERY_TYPES, ENTITY_KEYS } = require('./query-constants');
+const { FILTER_OPERATORS, validateFilter } = require('./filter-compiler');
+
+// Bounds for the number of rows a query may request
+const LIMIT_BOUNDS = { min: 1, max: 1000 };
+
+const DEFAULT_LIMIT = 100;
+
+// Entity lists whose items are not plain names
+const ENTITY_DESCRIPTIONS = {
+  timePeriods: 'array of strings or {start, end} date objects',
+  proximities: 'array of distance phrases such as "within 500 feet of 40 Wall Street" or "within 1 mile of 40.7128, -74.0060"'
+};
+
+// Table and column names must be plain SQL identifiers
+const IDENTIFIER_PATTERN = /^[a-z_][a-z0-9_]*$/i;
+
+/**
+ * Error raised when model output cannot be turned into a valid structured query
+ */
+class QueryInterpretationError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {Array} validationErrors - Validation errors from the last attempt
+   * @param {number} attempts - Number of model calls made
+   */
+  constructor(message, validationErrors = [], attempts = 0) {
+    super(message);
+    this.name = 'QueryInterpretationError';
+    this.code = 'QUERY_INTERPRETATION_FAILED';
+    this.validationErrors = validationErrors;
+    this.attempts = attempts;
+  }
+}
+
+/**
+ * Describe the schema in a form that can be included in a model prompt
+ * @returns {string} Schema description
+ */
+function describeQuerySchema() {
+  return JSON.stringify({
+    queryType: `one of ${Object.values(QUERY_TYPES).join(', ')}, or null if unclear`,
+    entities: Object.values(ENTITY_KEYS).reduce((schema, key) => {
+      schema[key] = ENTITY_DESCRIPTIONS[key] || 'array of strings';
+      return schema;
+    }, {}),
+    filters: `array of filters; a filter is {table, column, operator, value} where operator is one of ${FILTER_OPERATORS.join(', ')}, ` +
+      'or a group {and: [filters]} or {or: [filters]}. IS NULL and IS NOT NULL take no value, IN and NOT IN take an array, ' +
+      'and BETWEEN takes [start, end] where either end may be null. A spatial filter {table: "pluto", spatial} keeps buildings ' +
+      'in an area: {type: "radius", point: [longitude, latitude], radius: meters}, {type: "bbox", bbox: [west, south, east, north]} ' +
+      'or {type: "polygon", geometry: GeoJSON polygon}',
+    aggregations: 'array of {groupBy}',
+    sortOrder: 'string or null',
+    limit: `integer from ${LIMIT_BOUNDS.min} to ${LIMIT_BOUNDS.max}`,
+    confidence: 'number from 0 to 1 for how certain the interpretation is, or null'
+  }, null, 2);
+}
+
+/**
+ * Validate a candidate structured query against the schema
+ * @param {Object} candidate - Parsed model output
+ * @returns {Object} { valid, errors, value } where value has defaults applied
+ */
+function validateStructuredQuery(candidate) {
+  const errors = [];
+
+  if (!candidate || typeof candidate !== 'object' || Array.isArray(candidate)) {
+    return { valid: false, errors: ['response must be a JSON object'], value: null };
+  }
+
+  const value = {
+    queryType: candidate.queryType === undefined ? null : candidate.queryType,
+    entities: candidate.entities === undefined ? {} : candidate.entities,
+    filters: candidate.filters === undefined ? [] : candidate.filters,
+    aggregations: candidate.aggregations === undefined ? [] : candidate.aggregations,
+    sortOrder: candidate.sortOrder === undefined ? null : candidate.sortOrder,
+    limit: candidate.limit === undefined || candidate.limit === null ? DEFAULT_LIMIT : candidate.limit,
+    confidence: candidate.confidence === undefined ? null : candidate.confidence
+  };
+
+  if (value.queryType !== null && !Object.values(QUERY_TYPES).includes(value.queryType)) {
+    errors.push(`queryType: must be one of ${Object.values(QUERY_TYPES).join(', ')} or null, got ${JSON.stringify(value.queryType)}`);
+  }
+
+  errors.push(...validateEntities(value.entities));
+  errors.push(...validateFilters(value.filters));
+  errors.push(...validateAggregations(value.aggregations));
+
+  if (value.sortOrder !== null && typeof value.sortOrder !== 'string') {
+    errors.push('sortOrder: must be a string or null');
+  }
+
+  if (!Number.isInteger(value.limit) || value.limit < LIMIT_BOUNDS.min || value.limit > LIMIT_BOUNDS.max) {
+    errors.push(`limit: must be an integer from ${LIMIT_BOUNDS.min} to ${LIMIT_BOUNDS.max}, got ${JSON.stringify(value.limit)}`);
+  }
+
+  if (value.confidence !== null &&
+      (typeof value.confidence !== 'number' || value.confidence < 0 || value.confidence > 1)) {
+    errors.push(`confidence: must be a number from 0 to 1 or null, got ${JSON.stringify(value.confidence)}`);
+  }
+
+  return { valid: errors.length === 0, errors, value };
+}
+
+/**
+ * Validate the entities object
+ * @param {Object} entities - Entities from the candidate query
+ * @returns {Array} Validation errors
+ */
+function validateEntities(entities) {
+  if (!entities || typeof entities !== 'object' || Array.isArray(entities)) {
+    return ['entities: must be an object'];
+  }
+
+  const errors = [];
+  const allowedKeys = Object.values(ENTITY_KEYS);
+
+  Object.entries(entities).forEach(([key, values]) => {
+    if (!allowedKeys.includes(key)) {
+      errors.push(`entities.${key}: unknown entity key, expected one of ${allowedKeys.join(', ')}`);
+      return;
+    }
+
+    if (!Array.isArray(values)) {
+      errors.push(`entities.${key}: must be an array`);
+      return;
+    }
+
+    values.forEach((item, index) => {
+      const isDateRange = key === 'timePeriods' && item && typeof item === 'object' &&
+        typeof item.start === 'string' && typeof item.end === 'string';
+
+      if (typeof item !== 'string' && !isDateRange) {
+        errors.push(`entities.${key}[${index}]: must be a string${key === 'timePeriods' ? ' or a {start, end} object' : ''}`);
+      }
+    });
+  });
+
+  return errors;
+}
+
+/**
+ * Validate the filters array
+ * @param {Array} filters - Filters from the candidate query
+ * @returns {Array} Validation errors
+ */
+function validateFilters(filters) {
+  if (!Array.isArray(filters)) {
+    return ['filters: must be an array'];
+  }
+
+  return filters.flatMap((filter, index) => validateFilter(filter, { path: `filters[${index}]` }));
+}
+
+/**
+ * Validate the aggregations array
+ * @param {Array} aggregations - Aggregations from the candidate query
+ * @returns {Array} Validation errors
+ */
+function validateAggregations(aggregations) {
+  if (!Array.isArray(aggregations)) {
+    return ['aggregations: must be an array'];
+  }
+
+  const errors = [];
+
+  aggregations.forEach((aggregation, index) => {
+    if (!aggregation || typeof aggregation !== 'object') {
+      errors.push(`aggregations[${index}]: must be an object`);
+    } else if (aggregation.groupBy !== undefined && !IDENTIFIER_PATTERN.test(String(aggregation.groupBy))) {
+      errors.push(`aggregations[${index}].groupBy: must be a plain identifier`);
+    }
+  });
+
+  return errors;
+}
+
+module.exports = {
+  validateStructuredQuery,
+  describeQuerySchema,
+  QueryInterpretationError,
+  FILTER_OPERATORS,
+  LIMIT_BOUNDS
+};
@@ -0,0 +1,125 @@
+/**
+ * Result Cursors for NYCDB AI Integration
+ *
+ * A cursor names the next page of an AI result set. It carries the structured query the
+ * results came from, the keyset values of the last row returned and the cost guard's sampling
+ * decision for the result set, so the next page can be retrieved without running the NLP step
+ * again and reads the same rows the first page did. Cursors are signed, and are opaque to
+ * clients.
+ */
+
+const crypto = require('crypto');
+const { secret: CURSOR_SECRET } = require('./config/cursor');
+
+const CURSOR_VERSION = 1;
+
+// Fields of the structured query the data retrieval service reads
+const QUERY_FIELDS = ['originalQuery', 'queryType', 'entities', 'filters', 'aggregations', 'sortOrder', 'limit'];
+
+/**
+ * Error raised when a cursor is malformed or was not issued by this server
+ */
+class CursorError extends Error {
+  /**
+   * @param {string} message - Error message
+   */
+  constructor(message) {
+    super(message);
+    this.name = 'CursorError';
+    this.code = 'INVALID_CURSOR';
+  }
+}
+
+/**
+ * Sign a cursor payload
+ * @param {string} payload - Encoded payload
+ * @returns {string} Signature
+ */
+function sign(payload) {
+  return crypto.createHmac('sha256', CURSOR_SECRET).update(payload).digest('base64url');
+}
+
+/**
+ * Encode a keyset value, keeping dates distinct from strings
+ * @param {*} value - Keyset value from a result row
+ * @returns {*} JSON-safe value
+ */
+function encodeValue(value) {
+  return value instanceof Date ? { date: value.toISOString() } : value;
+}
+
+/**
+ * Decode a keyset value
+ * @param {*} value - Value from encodeValue
+ * @returns {*} Keyset value
+ */
+function decodeValue(value) {
+  return value && typeof value === 'object' && typeof value.date === 'string' ? new Date(value.date) : value;
+}
+
+/**
+ * Create the cursor for the page after a row
+ * @param {Object} structuredQuery - The structured query the results came from
+ * @param {Array} after - Keyset values of the last row returned
+ * @param {Object} options - Cursor options
+ * @param {number|null} options.samplePercent - Percent of PLUTO the result set was sampled
+ *   at, or null if it was read in full; left out for result sets the cost guard cannot sample
+ * @returns {string} Cursor
+ */
+function encodeCursor(structuredQuery, after, { samplePercent } = {}) {
+  const query = QUERY_FIELDS.reduce((fields, field) => (
+    structuredQuery[field] === undefined ? fields : { ...fields, [field]: structuredQuery[field] }
+  ), {});
+
+  const payload = Buffer.from(JSON.stringify({
+    v: CURSOR_VERSION,
+    query,
+    after: after.map(encodeValue),
+    ...(samplePercent === undefined ? {} : { sample: samplePercent })
+  })).toString('base64url');
+
+  return `${payload}.${sign(payload)}`;
+}
+
+/**
+ * Read a cursor
+ * @param {string} cursor - Cursor from encodeCursor
+ * @returns {Object} { structuredQuery, after, samplePercent }
+ * @throws {CursorError} If the cursor is malformed, altered or from another server
+ */
+function decodeCursor(cursor) {
+  const [payload, signature, ...rest] = typeof cursor === 'string' ? cursor.split('.') : [];
+
+  if (!payload || !signature || rest.length > 0) {
+    throw new CursorError('Malformed cursor');
+  }
+
+  const expected = Buffer.from(sign(payload));
+  const received = Buffer.from(signature);
+  if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+    throw new CursorError('Cursor was not issued by this server');
+  }
+
+  let decoded;
+  try {
+    decoded = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+  } catch (error) {
+    throw new CursorError('Malformed cursor');
+  }
+
+  if (decoded.v !== CURSOR_VERSION || !decoded.query || !Array.isArray(decoded.after)) {
+    throw new CursorError('Unsupported cursor version');
+  }
+
+  return {
+    structuredQuery: decoded.query,
+    after: decoded.after.map(decodeValue),
+    samplePercent: decoded.sample
+  };
+}
+
+module.exports = {
+  CursorError,
+  encodeCursor,
+  decodeCursor
+};
@@ -37,6 +37,9 @@ function generateResponse(structuredQuery, retrievedData, analysisResults) {
       case QUERY_TYPES.GENERAL_STATS:
         response = generateGeneralStatsResponse(structuredQuery, retrievedData, analysisResults);
         break;
+      case QUERY_TYPES.OWNER_PORTFOLIO:
+        response = generateOwnerPortfolioResponse(structuredQuery, retrievedData, analysisResults);
+        break;
       default:
         response = generateGeneralResponse(structuredQuery, retrievedData, analysisResults);
     }
@@ -197,6 +200,136 @@ function generateRiskAssessmentResponse(structuredQuery, retrievedData, analysis
   };
 }
 
+/**
+ * Generate response for owner portfolio queries
+ * @param {Object} structuredQuery - The structured query
+ * @param {Object} retrievedData - Retrieved data
+ * @param {Object} analysisResults - Analysis results
+ * @returns {Object} Formatted response
+ */
+function generateOwnerPortfolioResponse(structuredQuery, retrievedData, analysisResults) {
+  const { portfolioStats, visualizationData, worstBuildings } = analysisResults;
+  const { narrativeInsights } = analysisResults;
+  const ownerNames = (structuredQuery.entities.owners || []).join(', ') || 'this owner';
+  
+  // Format the main response text
+  let responseText = `# Owner Portfolio\n\n`;
+  
+  if (!portfolioStats.buildingCount) {
+    responseText += `I couldn't find any HPD registrations for **${ownerNames}**. `;
+    responseText += `Try the name as it appears on the registration, such as the corporation's full name or the head officer's first and last name.\n`;
+    
+    return {
+      text: responseText,
+      visualizations: [],
+      data: { portfolioStats, worstBuildings: [] }
+    };
+  }
+  
+  // Add summary from narrative insights
+  if (narrativeInsights && narrativeInsights.summary) {
+    responseText += `## Summary\n\n${narrativeInsights.summary}\n\n`;
+  } else {
+    responseText += `## Summary\n\n`;
+    responseText += `**${portfolioStats.owners.join(', ')}** ${portfolioStats.owners.length > 1 ? 'are' : 'is'} registered with HPD for `;
+    responseText += `**${portfolioStats.buildingCount} buildings** with ${portfolioStats.residentialUnits.toLocaleString()} residential units. `;
+    responseText += `Together they have **${portfolioStats.totalViolations.toLocaleString()} violations**, `;
+    responseText += `of which **${portfolioStats.openClassCViolations.toLocaleString()}** are open class C (immediately hazardous) HPD violations.\n\n`;
+  }
+  
+  // List the registration contacts the owner names matched, so broad matches are visible
+  if (portfolioStats.contacts && portfolioStats.contacts.length > 0) {
+    responseText += `## Matched Registration Contacts\n\n`;
+    portfolioStats.contacts.slice(0, 5).forEach(contact => {
+      responseText += `- **${contact.name}** (${contact.type}): ${contact.buildings} buildings\n`;
+    });
+    if (portfolioStats.contacts.length > 5) {
+      responseText += `- ...and ${portfolioStats.contacts.length - 5} more\n`;
+    }
+    responseText += `\n`;
+  }
+  
+  // Add key findings section
+  responseText += `## Key Findings\n\n`;
+  
+  if (narrativeInsights && narrativeInsights.keyFindings && narrativeInsights.keyFindings.length > 0) {
+    narrativeInsights.keyFindings.forEach(finding => {
+      responseText += `- ${finding}\n`;
+    });
+  } else {
+    // Default key findings if AI didn't generate any
+    if (portfolioStats.violationsPerUnit !== null) {
+      responseText += `- The portfolio has **${portfolioStats.violationsPerUnit.toFixed(2)} violations per residential unit**\n`;
+    }
+    if (portfolioStats.ecbBalanceDue > 0) {
+      responseText += `- **$${Math.round(portfolioStats.ecbBalanceDue).toLocaleString()}** in ECB penalties is unpaid\n`;
+    }
+    if (portfolioStats.hpdComplaints + portfolioStats.dobComplaints > 0) {
+      responseText += `- Tenants and neighbors filed **${(portfolioStats.hpdComplaints + portfolioStats.dobComplaints).toLocaleString()} complaints**\n`;
+    }
+    if (portfolioStats.averageRiskScore !== null) {
+      responseText += `- The average risk score of the listed buildings is **${portfolioStats.averageRiskScore.toFixed(1)}**, `;
+      responseText += `with ${portfolioStats.riskLevelCounts.High} at high risk\n`;
+    }
+  }
+  
+  responseText += `\n## Buildings Needing Attention\n\n`;
+  
+  if (worstBuildings && worstBuildings.length > 0) {
+    responseText += `| Address | Borough | Units | Open Class C | Violations | Risk Score |\n`;
+    responseText += `| ------- | ------- | ----- | ------------ | ---------- | ---------- |\n`;
+    
+    worstBuildings.slice(0, 5).forEach(building => {
+      responseText += `| ${building.address} | ${building.borough} | ${building.unitsres} | ${building.open_class_c_count} | ${building.total_violations} | ${building.risk_score.toFixed(1)} |\n`;
+    });
+    
+    responseText += `\n*Showing ${Math.min(5, worstBuildings.length)} of ${portfolioStats.buildingCount} buildings*\n\n`;
+  }
+  
+  // Prepare visualization configurations
+  const visualizations = [];
+  
+  if (visualizationData && visualizationData.riskDistribution) {
+    visualizations.push({
+      type: 'pieChart',
+      title: 'Risk Level Distribution',
+      data: visualizationData.riskDistribution,
+      config: {
+        colors: ['#d9534f', '#f0ad4e', '#5bc0de', '#5cb85c'],
+        labels: {
+          categoryKey: 'category',
+          valueKey: 'value'
+        }
+      }
+    });
+  }
+  
+  if (visualizationData && visualizationData.violationsBySource) {
+    visualizations.push({
+      type: 'barChart',
+      title: 'Violations by Agency',
+      data: visualizationData.violationsBySource,
+      config: {
+        labels: {
+          categoryKey: 'category',
+          valueKey: 'value'
+        },
+        xAxisLabel: 'Agency',
+        yAxisLabel: 'Number of Violations'
+      }
+    });
+  }
+  
+  return {
+    text: responseText,
+    visualizations,
+    data: {
+      portfolioStats,
+      worstBuildings: worstBuildings || []
+    }
+  };
+}
+
 /**
  * Generate response for trend analysis queries
  * @param {Object} structuredQuery - The structured query
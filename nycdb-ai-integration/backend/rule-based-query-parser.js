@@ -0,0 +1,326 @@
+/**
+ * Rule-Based Query Parser for NYCDB AI Integration
+ *
+ * This module interprets natural language queries using keyword and grammar rules. It fills
+ * the same structured query shape as the language model, so the AI pipeline keeps working
+ * when no model is configured or reachable.
+ */
+
+const { QUERY_TYPES } = require('./query-constants');
+const { extractTimeExpressions } = require('./date-resolver');
+const { findLocations } = require('./nyc-gazetteer');
+const { extractAddresses, removeAddresses } = require('./address-parser');
+const { extractOwners, removeOwners } = require('./owner-parser');
+const { extractProximities, removeProximities } = require('./proximity-parser');
+
+// Weighted keyword patterns used to score each query type
+const QUERY_TYPE_PATTERNS = {
+  [QUERY_TYPES.OWNER_PORTFOLIO]: [
+    { pattern: /\b(owned|managed|controlled) by\b/, weight: 4 },
+    { pattern: /\bportfolios?\b/, weight: 3 },
+    { pattern: /\bdoes .+ own\b/, weight: 3 },
+    { pattern: /\b(landlords?|owners?|head officers?)\b/, weight: 2 }
+  ],
+  [QUERY_TYPES.COMPARISON]: [
+    { pattern: /\bcompar(e|ed|es|ing|ison)\b/, weight: 3 },
+    { pattern: /\b(vs\.?|versus)\b/, weight: 3 },
+    { pattern: /\bdifference between\b/, weight: 2 }
+  ],
+  [QUERY_TYPES.TREND_ANALYSIS]: [
+    { pattern: /\btrends?\b/, weight: 3 },
+    { pattern: /\b(increase[sd]?|increasing|decrease[sd]?|decreasing|grow(n|th|ing)?|decline[sd]?|declining|rising|rose|drop(ped|ping)?)\b/, weight: 2 },
+    { pattern: /\bover (the )?(past|last|time)\b/, weight: 2 },
+    { pattern: /\b(monthly|yearly|annual|year over year)\b/, weight: 1 },
+    { pattern: /\b(construction activity|permits?)\b/, weight: 1 }
+  ],
+  [QUERY_TYPES.RISK_ASSESSMENT]: [
+    { pattern: /\brisk(s|y)?\b/, weight: 3 },
+    { pattern: /\b(unsafe|dangerous|hazard(s|ous)?)\b/, weight: 2 },
+    { pattern: /\b(structural|collapse|deteriorat\w*)\b/, weight: 1 }
+  ],
+  [QUERY_TYPES.VIOLATION_SEARCH]: [
+    { pattern: /\bviolations?\b/, weight: 2 },
+    { pattern: /\b(illegal|complaints?|summons(es)?)\b/, weight: 1 }
+  ],
+  [QUERY_TYPES.GENERAL_STATS]: [
+    { pattern: /\bhow many\b/, weight: 2 },
+    { pattern: /\b(statistics|stats|total|average|overall)\b/, weight: 2 }
+  ],
+  [QUERY_TYPES.BUILDING_LOOKUP]: [
+    { pattern: /^\s*\d+[a-z]?(-\d+)?\s+\w+/, weight: 3 },
+    { pattern: /\b(building|property) (at|on)\b/, weight: 3 },
+    { pattern: /\b(bbl|bin)\b:?\s*#?\s*[1-5][-\/\s]?\d/, weight: 3 },
+    { pattern: /\b(look ?up|details|information) (for|about|on)\b/, weight: 2 },
+    { pattern: /\b(oldest|newest|tallest|largest)\b/, weight: 1 }
+  ]
+};
+
+const BUILDING_TYPE_PATTERNS = [
+  { pattern: /\bmixed[- ]use\b/, value: 'mixed use' },
+  { pattern: /\b(residential|apartments?|housing|homes?)\b/, value: 'residential' },
+  { pattern: /\b(commercial|offices?|retail|stores?)\b/, value: 'commercial' }
+];
+
+const PROPERTY_ATTRIBUTE_PATTERNS = [
+  { pattern: /\bhigh[- ]rises?\b/, value: 'high-rise' },
+  { pattern: /\blow[- ]rises?\b/, value: 'low-rise' },
+  { pattern: /\bwalk[- ]?ups?\b/, value: 'walk-up' },
+  { pattern: /\brent[- ]stabili[sz]ed\b/, value: 'rent stabilized' }
+];
+
+const VIOLATION_TYPE_PATTERNS = [
+  { pattern: /\blead(-based)? paint\b/, value: 'lead paint' },
+  { pattern: /\b(no heat|heat(ing)?)\b/, value: 'heat' },
+  { pattern: /\bhot water\b/, value: 'hot water' },
+  { pattern: /\bmou?ld\b/, value: 'mold' },
+  { pattern: /\b(pests?|roaches|rodents|mice|rats|vermin)\b/, value: 'pests' },
+  { pattern: /\belevators?\b/, value: 'elevator' },
+  { pattern: /\bfa[cç]ades?\b/, value: 'facade' },
+  { pattern: /\billegal (conversions?|renovations?|construction)\b/, value: 'illegal conversion' },
+  { pattern: /\bstructural\b/, value: 'structural' },
+  { pattern: /\b(fire safety|fire escapes?|smoke detectors?)\b/, value: 'fire safety' },
+  { pattern: /\bplumbing\b/, value: 'plumbing' },
+  { pattern: /\bgas\b/, value: 'gas' }
+];
+
+const GROUP_BY_PATTERNS = [
+  { pattern: /\b(by|per|for each|across) boroughs?\b/, column: 'borough' },
+  { pattern: /\b(by|per|for each|across) zip ?codes?\b/, column: 'zipcode' },
+  { pattern: /\b(by|per|for each|across) building class(es)?\b/, column: 'bldgclass' }
+];
+
+const SORT_ORDER_PATTERNS = [
+  { pattern: /\boldest\b/, sortOrder: 'p.yearbuilt ASC' },
+  { pattern: /\bnewest\b/, sortOrder: 'p.yearbuilt DESC' },
+  { pattern: /\btallest\b/, sortOrder: 'p.numfloors DESC' },
+  { pattern: /\blargest\b/, sortOrder: 'p.unitsres DESC' }
+];
+
+// Construction year phrases, which are building filters rather than time periods
+const BUILT_YEAR_PATTERN = /\b(?:built|constructed) (before|prior to|after|since|in) (\d{4})\b/;
+
+// Confidence reported when the best query types tie, or when only an address, owner or
+// distance was found
+const TIED_CONFIDENCE = 0.4;
+const ADDRESS_LOOKUP_CONFIDENCE = 0.7;
+const OWNER_PORTFOLIO_CONFIDENCE = 0.7;
+const PROXIMITY_LOOKUP_CONFIDENCE = 0.7;
+
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 1000;
+
+/**
+ * Parse a natural language query into a structured query using keyword and grammar rules
+ * @param {string} query - The user's natural language query
+ * @returns {Object} Structured query information
+ */
+function parseQueryWithRules(query) {
+  const text = (query || '').toLowerCase();
+  const entities = extractEntities(query || '');
+  let { queryType, confidence } = detectQueryType(text);
+
+  // A question naming a specific building without other cues is a lookup of that building
+  if (!queryType && entities.addresses) {
+    queryType = QUERY_TYPES.BUILDING_LOOKUP;
+    confidence = ADDRESS_LOOKUP_CONFIDENCE;
+  }
+
+  // Likewise a question about an owner's buildings is about their portfolio
+  if (!queryType && entities.owners) {
+    queryType = QUERY_TYPES.OWNER_PORTFOLIO;
+    confidence = OWNER_PORTFOLIO_CONFIDENCE;
+  }
+
+  // and a question about what lies within a distance of a place lists the buildings there
+  if (!queryType && entities.proximities) {
+    queryType = QUERY_TYPES.BUILDING_LOOKUP;
+    confidence = PROXIMITY_LOOKUP_CONFIDENCE;
+  }
+
+  return {
+    queryType,
+    confidence,
+    entities,
+    filters: extractFilters(text),
+    aggregations: extractAggregations(text),
+    sortOrder: extractSortOrder(text),
+    limit: extractLimit(text)
+  };
+}
+
+/**
+ * Score each query type against the query and return the best match
+ * @param {string} text - Lowercased query text
+ * @returns {Object} { queryType, confidence }, with a null query type if nothing matched
+ */
+function detectQueryType(text) {
+  const [best, runnerUp] = Object.entries(QUERY_TYPE_PATTERNS)
+    .map(([queryType, patterns]) => ({
+      queryType,
+      score: patterns.reduce((sum, { pattern, weight }) => sum + (pattern.test(text) ? weight : 0), 0)
+    }))
+    .sort((a, b) => b.score - a.score);
+
+  if (best.score === 0) {
+    return { queryType: null, confidence: 0 };
+  }
+
+  // A tie between two query types is a guess
+  const confidence = runnerUp.score === best.score
+    ? TIED_CONFIDENCE
+    : Math.min(1, 0.4 + best.score * 0.15);
+
+  return { queryType: best.queryType, confidence: Math.round(confidence * 100) / 100 };
+}
+
+/**
+ * Extract entities from the query
+ * @param {string} query - Query text; owner names are read in their original case
+ * @returns {Object} Entities keyed by entity list name
+ */
+function extractEntities(query) {
+  const entities = {};
+
+  // Owner names keep the capitals that tell them apart from the rest of the question
+  const owners = extractOwners(query);
+  if (owners.length > 0) {
+    entities.owners = owners;
+  }
+
+  const ownerless = removeOwners(query, owners).toLowerCase();
+
+  // The address a distance is measured from is not the building the question is about
+  const proximities = extractProximities(ownerless);
+  if (proximities.length > 0) {
+    entities.proximities = proximities;
+  }
+
+  const text = removeProximities(ownerless);
+
+  const addresses = extractAddresses(text);
+  if (addresses.length > 0) {
+    entities.addresses = addresses;
+  }
+
+  // Street names such as "Wall Street" are part of an address, not a neighborhood
+  const locations = findLocations(removeAddresses(text));
+  if (locations.length > 0) {
+    entities.locations = locations;
+  }
+
+  const buildingTypes = matchAll(text, BUILDING_TYPE_PATTERNS);
+  if (buildingTypes.length > 0) {
+    entities.buildingTypes = buildingTypes;
+  }
+
+  const timePeriods = extractTimeExpressions(text.replace(BUILT_YEAR_PATTERN, ''));
+  if (timePeriods.length > 0) {
+    entities.timePeriods = timePeriods;
+  }
+
+  const violationTypes = matchAll(text, VIOLATION_TYPE_PATTERNS);
+  if (violationTypes.length > 0) {
+    entities.violationTypes = violationTypes;
+  }
+
+  const propertyAttributes = matchAll(text, PROPERTY_ATTRIBUTE_PATTERNS);
+  if (propertyAttributes.length > 0) {
+    entities.propertyAttributes = propertyAttributes;
+  }
+
+  return entities;
+}
+
+/**
+ * Extract explicit filters such as construction year, floors or unit counts
+ * @param {string} text - Lowercased query text
+ * @returns {Array} Filter objects
+ */
+function extractFilters(text) {
+  const filters = [];
+
+  const builtMatch = text.match(BUILT_YEAR_PATTERN);
+  if (builtMatch) {
+    const operators = { 'before': '<', 'prior to': '<', 'after': '>', 'since': '>=', 'in': '=' };
+    filters.push({
+      table: 'pluto',
+      column: 'yearbuilt',
+      operator: operators[builtMatch[1]],
+      value: parseInt(builtMatch[2], 10)
+    });
+  }
+
+  const sizePattern = /\b(more than|over|at least|fewer than|less than|under) (\d+) (floors|stories|storeys|units|apartments)\b/g;
+  let sizeMatch;
+  while ((sizeMatch = sizePattern.exec(text)) !== null) {
+    const operators = {
+      'more than': '>',
+      'over': '>',
+      'at least': '>=',
+      'fewer than': '<',
+      'less than': '<',
+      'under': '<'
+    };
+    filters.push({
+      table: 'pluto',
+      column: ['units', 'apartments'].includes(sizeMatch[3]) ? 'unitsres' : 'numfloors',
+      operator: operators[sizeMatch[1]],
+      value: parseInt(sizeMatch[2], 10)
+    });
+  }
+
+  return filters;
+}
+
+/**
+ * Extract grouping instructions such as "by borough"
+ * @param {string} text - Lowercased query text
+ * @returns {Array} Aggregation objects
+ */
+function extractAggregations(text) {
+  return GROUP_BY_PATTERNS
+    .filter(({ pattern }) => pattern.test(text))
+    .map(({ column }) => ({ groupBy: column }));
+}
+
+/**
+ * Extract a sort order from superlatives such as "oldest" or "tallest"
+ * @param {string} text - Lowercased query text
+ * @returns {string|null} Sort order
+ */
+function extractSortOrder(text) {
+  const match = SORT_ORDER_PATTERNS.find(({ pattern }) => pattern.test(text));
+  return match ? match.sortOrder : null;
+}
+
+/**
+ * Extract a result limit such as "top 10" or "20 buildings"
+ * @param {string} text - Lowercased query text
+ * @returns {number} Result limit
+ */
+function extractLimit(text) {
+  const match = text.match(/\b(?:top|first|worst|best) (\d+)\b/) ||
+    text.match(/\b(\d+) (?:buildings|properties|results|violations|permits)\b/);
+
+  if (!match) {
+    return DEFAULT_LIMIT;
+  }
+
+  return Math.min(Math.max(parseInt(match[1], 10), 1), MAX_LIMIT);
+}
+
+/**
+ * Collect the values of every pattern that matches the text
+ * @param {string} text - Lowercased query text
+ * @param {Array} patterns - Pattern/value pairs
+ * @returns {Array} Unique matched values
+ */
+function matchAll(text, patterns) {
+  return [...new Set(patterns
+    .filter(({ pattern }) => pattern.test(text))
+    .map(({ value }) => value))];
+}
+
+module.exports = {
+  parseQueryWithRules
+};
@@ -0,0 +1,86 @@
+/**
+ * Schema Catalog for NYCDB AI Integration
+ *
+ * This module reads the columns of the tables and materialized views the query planner can
+ * use from the live database, so filters are checked against the schema that is actually loaded,
+ * and whether the database has PostGIS for spatial filters.
+ */
+
+const pool = require('./config/database');
+const { SOURCES } = require('./query-planner');
+
+// How long the column lists are reused before the database is asked again
+const SCHEMA_CACHE_TTL_MS = parseInt(process.env.SCHEMA_CACHE_TTL_SECONDS || '600', 10) * 1000;
+
+let cachedSchema = null;
+let cachedAt = 0;
+
+let cachedPostgis = null;
+let postgisCheckedAt = 0;
+
+/**
+ * Get the columns of every planner source, reading information_schema on first use
+ * @returns {Promise<Object>} Column names keyed by table; tables missing from the database are omitted
+ */
+async function getSchema() {
+  if (cachedSchema && Date.now() - cachedAt < SCHEMA_CACHE_TTL_MS) {
+    return cachedSchema;
+  }
+
+  // information_schema lists tables and views but not materialized views, whose columns are
+  // read from the catalog
+  const result = await pool.query(
+    `SELECT table_name, column_name, ordinal_position
+     FROM information_schema.columns
+     WHERE table_schema = current_schema() AND table_name = ANY($1)
+     UNION ALL
+     SELECT c.relname, a.attname, a.attnum
+     FROM pg_catalog.pg_attribute a
+     JOIN pg_catalog.pg_class c ON c.oid = a.attrelid
+     WHERE c.relkind = 'm' AND c.relnamespace = current_schema()::regnamespace AND c.relname = ANY($1)
+       AND a.attnum > 0 AND NOT a.attisdropped
+     ORDER BY table_name, ordinal_position`,
+    [Object.keys(SOURCES)]
+  );
+
+  cachedSchema = result.rows.reduce((schema, { table_name: table, column_name: column }) => ({
+    ...schema,
+    [table]: [...(schema[table] || []), column]
+  }), {});
+  cachedAt = Date.now();
+
+  return cachedSchema;
+}
+
+/**
+ * Check whether the PostGIS extension is installed in the database
+ * @returns {Promise<boolean>} Whether spatial filters can use PostGIS functions
+ */
+async function hasPostgis() {
+  if (cachedPostgis !== null && Date.now() - postgisCheckedAt < SCHEMA_CACHE_TTL_MS) {
+    return cachedPostgis;
+  }
+
+  const result = await pool.query("SELECT 1 FROM pg_catalog.pg_extension WHERE extname = 'postgis'");
+
+  cachedPostgis = result.rows.length > 0;
+  postgisCheckedAt = Date.now();
+
+  return cachedPostgis;
+}
+
+/**
+ * Forget the cached schema, e.g. after loading a new dataset
+ */
+function clearSchemaCache() {
+  cachedSchema = null;
+  cachedAt = 0;
+  cachedPostgis = null;
+  postgisCheckedAt = 0;
+}
+
+module.exports = {
+  getSchema,
+  hasPostgis,
+  clearSchemaCache
+};
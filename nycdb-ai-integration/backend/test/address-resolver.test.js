@@ -0,0 +1,114 @@
+/**
+ * Test suite for Address Parser and Resolver
+ *
+ * This file contains tests for address normalization and address-to-BBL resolution
+ */
+
+const {
+  extractAddresses,
+  parseAddress,
+  normalizeStreet,
+  scoreCandidate
+} = require('../address-parser');
+const { resolveAddress, resolveAddresses } = require('../address-resolver');
+const pool = require('../config/database');
+
+// Mock the database connection
+jest.mock('../config/database', () => ({
+  query: jest.fn()
+}));
+
+describe('Address Parser', () => {
+  describe('normalizeStreet', () => {
+    it('should normalize directions, ordinals and suffixes to the PLUTO format', () => {
+      expect(normalizeStreet('W 4th St')).toBe('WEST 4 STREET');
+      expect(normalizeStreet('West Fourth Street')).toBe('WEST 4 STREET');
+      expect(normalizeStreet('West Forty-Second St.')).toBe('WEST 42 STREET');
+      expect(normalizeStreet('5th Ave')).toBe('5 AVENUE');
+    });
+
+    it('should read a leading "St" as Saint', () => {
+      expect(normalizeStreet('St Marks Pl')).toBe('SAINT MARKS PLACE');
+    });
+  });
+
+  describe('extractAddresses', () => {
+    it('should find street addresses with their borough', () => {
+      expect(extractAddresses('Tell me about 123 Main St, Brooklyn')).toEqual(['123 Main St, Brooklyn']);
+      expect(extractAddresses('Violations at 40 W 4th St in Manhattan since 2020')).toEqual(['40 W 4th St, Manhattan']);
+    });
+
+    it('should find BBL and BIN literals', () => {
+      expect(extractAddresses('Details for BBL 3-01234-0056')).toEqual(['BBL 3012340056']);
+      expect(extractAddresses('What about BIN 1001234?')).toEqual(['BIN 1001234']);
+    });
+
+    it('should not mistake years or counts for house numbers', () => {
+      expect(extractAddresses('Top 10 buildings built before 1920 on the Upper West Side')).toEqual([]);
+    });
+  });
+
+  describe('parseAddress', () => {
+    it('should keep house number ranges and Queens hyphenated numbers', () => {
+      expect(parseAddress('120-130 Broadway').range).toEqual([120, 130]);
+      expect(parseAddress('31-12 30th Ave, Queens')).toEqual({
+        type: 'address',
+        houseNumber: '31-12',
+        range: null,
+        street: '30 AVENUE',
+        borough: 'QN'
+      });
+    });
+  });
+
+  describe('scoreCandidate', () => {
+    it('should score exact, in-range and nearby lots', () => {
+      expect(scoreCandidate(parseAddress('125 Main St'), '125 MAIN STREET')).toBe(1);
+      expect(scoreCandidate(parseAddress('120-130 Main St'), '126 MAIN STREET')).toBe(0.9);
+      expect(scoreCandidate(parseAddress('125 Main St'), '121 MAIN STREET')).toBe(0.76);
+      expect(scoreCandidate(parseAddress('125 Main St'), '122 MAIN STREET')).toBe(0);
+      expect(scoreCandidate(parseAddress('125 Main St'), '125 EAST MAIN STREET')).toBe(0);
+    });
+  });
+});
+
+describe('Address Resolver', () => {
+  beforeEach(() => {
+    pool.query.mockReset();
+  });
+
+  it('should rank PLUTO candidates by match score', async () => {
+    pool.query.mockResolvedValue({
+      rows: [
+        { bbl: '3000010001', address: '121 MAIN STREET', borough: 'BK', zipcode: '11201' },
+        { bbl: '3000010002', address: '123 MAIN STREET', borough: 'BK', zipcode: '11201' },
+        { bbl: '3000010003', address: '500 MAIN STREET', borough: 'BK', zipcode: '11201' }
+      ]
+    });
+
+    const result = await resolveAddress('123 Main St, Brooklyn');
+
+    expect(pool.query).toHaveBeenCalledWith(expect.stringContaining('borough = $2'), ['% MAIN STREET', 'BK']);
+    expect(result.candidates.map(candidate => [candidate.bbl, candidate.score])).toEqual([
+      ['3000010002', 1],
+      ['3000010001', 0.78]
+    ]);
+  });
+
+  it('should filter on exact matches only and report unresolved addresses', async () => {
+    pool.query
+      .mockResolvedValueOnce({
+        rows: [
+          { bbl: '1000010001', address: '40 WEST 4 STREET', borough: 'MN', zipcode: '10012' },
+          { bbl: '1000010002', address: '42 WEST 4 STREET', borough: 'MN', zipcode: '10012' }
+        ]
+      })
+      .mockResolvedValueOnce({ rows: [] });
+
+    const result = await resolveAddresses(['40 West Fourth Street, Manhattan', 'BIN 1999999']);
+
+    expect(result.bbls).toEqual(['1000010001']);
+    expect(result.filters).toEqual([{ table: 'pluto', column: 'bbl', operator: '=', value: '1000010001' }]);
+    expect(result.unresolved).toEqual(['BIN 1999999']);
+  });
+});
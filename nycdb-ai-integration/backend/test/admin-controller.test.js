@@ -0,0 +1,218 @@
+/**
+ * Test suite for the Admin API Controller
+ *
+ * This file contains tests for the admin-only cache and dataset load routes: authorization and
+ * the audit log of refused requests, cache statistics, key listing, clearing, warming and
+ * recording loads
+ */
+
+const request = require('supertest');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+
+jest.mock('../config/database', () => ({ query: jest.fn(), connect: jest.fn() }));
+jest.mock('../config/postgrest', () => ({ get: jest.fn() }));
+jest.mock('../nlp-service', () => ({ processQuery: jest.fn() }));
+jest.mock('../data-retrieval-service', () => ({ retrieveData: jest.fn() }));
+
+const pool = require('../config/database');
+const { processQuery } = require('../nlp-service');
+const { retrieveData } = require('../data-retrieval-service');
+const { getOrFetch } = require('../data-cache-service');
+const { createMemoryStore, setStore } = require('../cache-store');
+const adminRouter = require('../admin-controller');
+
+const app = express();
+app.use(express.json());
+app.use('/api/ai/admin', adminRouter);
+
+/**
+ * Sign a token like the main backend's auth routes do
+ * @param {string} role - User role
+ * @returns {string} Authorization header value
+ */
+function bearer(role) {
+  const token = jwt.sign({ id: 7, username: `${role}_user`, role }, process.env.JWT_SECRET || 'your_jwt_secret_key_here');
+  return `Bearer ${token}`;
+}
+
+describe('Admin API Controller', () => {
+  beforeEach(async () => {
+    setStore(createMemoryStore());
+    pool.query.mockReset().mockResolvedValue({ rows: [] });
+    processQuery.mockReset();
+    retrieveData.mockReset();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    await getOrFetch('risk_assessment:aaa', async () => ({ rows: [1] }), 600);
+    await getOrFetch('risk_assessment:bbb', async () => ({ rows: [2] }), 600);
+    await getOrFetch('violation_analysis:ccc', async () => ({ rows: [3] }), 600);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    setStore(null);
+  });
+
+  it('should refuse requests without a valid token', async () => {
+    const missing = await request(app).get('/api/ai/admin/cache/stats');
+    const invalid = await request(app).get('/api/ai/admin/cache/stats').set('Authorization', 'Bearer not-a-token');
+
+    expect(missing.status).toBe(401);
+    expect(invalid.status).toBe(401);
+    expect(missing.body).toEqual(expect.objectContaining({ success: false, error: 'Unauthorized' }));
+    expect(console.log).toHaveBeenCalledWith(expect.stringMatching(/^Admin action: .*"user":null.*"action":"GET \/api\/ai\/admin\/cache\/stats".*"status":401,"outcome":"unauthorized"/));
+  });
+
+  it('should refuse and log requests from users who are not admins', async () => {
+    const response = await request(app).delete('/api/ai/admin/cache?pattern=*').set('Authorization', bearer('user'));
+
+    expect(response.status).toBe(403);
+    expect(response.body).toEqual(expect.objectContaining({ success: false, error: 'Forbidden' }));
+    expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('user_user'));
+    expect(console.log).toHaveBeenCalledWith(expect.stringMatching(/^Admin action: .*"user":"user_user".*"role":"user".*"action":"DELETE \/api\/ai\/admin\/cache".*"status":403,"outcome":"forbidden"/));
+
+    const keys = await request(app).get('/api/ai/admin/cache/keys').set('Authorization', bearer('admin'));
+    expect(keys.body.count).toBe(3);
+  });
+
+  it('should report cache statistics with the hit ratio and log the action', async () => {
+    await getOrFetch('risk_assessment:aaa', async () => ({ rows: [1] }), 600);
+
+    const response = await request(app).get('/api/ai/admin/cache/stats').set('Authorization', bearer('admin'));
+
+    expect(response.status).toBe(200);
+    expect(response.body.data).toEqual(expect.objectContaining({ keys: 3, hitRatio: expect.any(Number) }));
+    expect(response.body.data.memoryBytes).toBeGreaterThan(0);
+    expect(console.log).toHaveBeenCalledWith(expect.stringMatching(/^Admin action: .*"user":"admin_user".*"action":"GET \/api\/ai\/admin\/cache\/stats".*"status":200/));
+  });
+
+  it('should list cached keys by prefix up to the limit', async () => {
+    const response = await request(app)
+      .get('/api/ai/admin/cache/keys?prefix=risk_assessment:&limit=1')
+      .set('Authorization', bearer('admin'));
+
+    expect(response.status).toBe(200);
+    expect(response.body).toEqual(expect.objectContaining({ count: 1, truncated: true }));
+    expect(response.body.data[0]).toMatch(/^risk_assessment:/);
+
+    const tooMany = await request(app).get('/api/ai/admin/cache/keys?limit=5000').set('Authorization', bearer('admin'));
+    expect(tooMany.status).toBe(400);
+  });
+
+  it('should clear the keys matching a pattern and require one', async () => {
+    const response = await request(app)
+      .delete('/api/ai/admin/cache?pattern=risk_assessment:*')
+      .set('Authorization', bearer('admin'));
+
+    expect(response.status).toBe(200);
+    expect(response.body).toEqual({ success: true, pattern: 'risk_assessment:*', cleared: 2 });
+    expect(console.log).toHaveBeenCalledWith(expect.stringContaining('"details":{"pattern":"risk_assessment:*","cleared":2}'));
+
+    const keys = await request(app).get('/api/ai/admin/cache/keys').set('Authorization', bearer('admin'));
+    expect(keys.body.data).toEqual(['violation_analysis:ccc']);
+
+    const noPattern = await request(app).delete('/api/ai/admin/cache').set('Authorization', bearer('admin'));
+    expect(noPattern.status).toBe(400);
+  });
+
+  it('should warm saved queries and given queries one at a time', async () => {
+    const structuredQuery = { queryType: 'risk_assessment', entities: { locations: ['Bronx'] } };
+    pool.query.mockResolvedValue({
+      rows: [
+        { id: 1, name: 'Bronx risk', query: structuredQuery },
+        { id: 2, name: 'Worst landlords', query: { question: 'Who are the worst landlords?' } }
+      ]
+    });
+    processQuery.mockResolvedValue({ queryType: 'owner_analysis' });
+    retrieveData
+      .mockResolvedValueOnce({ metadata: { cacheHit: false } })
+      .mockResolvedValueOnce({ metadata: { cacheHit: true } })
+      .mockRejectedValueOnce(new Error('Query timed out'));
+
+    const response = await request(app)
+      .post('/api/ai/admin/cache/warm')
+      .set('Authorization', bearer('admin'))
+      .send({ savedQueryIds: [1, 2, 3], queries: ['Violations in Harlem'] });
+
+    expect(response.status).toBe(200);
+    expect(pool.query).toHaveBeenCalledWith(expect.stringContaining('FROM saved_queries'), [[1, 2, 3]]);
+    expect(processQuery).toHaveBeenCalledWith('Who are the worst landlords?');
+    expect(retrieveData).toHaveBeenNthCalledWith(1, expect.objectContaining({ ...structuredQuery, filters: [], limit: expect.any(Number) }));
+    expect(response.body).toEqual(expect.objectContaining({ warmed: 1, cached: 1, failed: 2 }));
+    expect(response.body.data.map(result => [result.source, result.status])).toEqual([
+      ['saved:1', 'warmed'],
+      ['saved:2', 'cached'],
+      ['saved:3', 'failed'],
+      ['queries[0]', 'failed']
+    ]);
+    expect(response.body.data[3].error).toBe('Query timed out');
+  });
+
+  it('should refuse to warm nothing or too many queries', async () => {
+    const empty = await request(app).post('/api/ai/admin/cache/warm').set('Authorization', bearer('admin')).send({});
+    const tooMany = await request(app)
+      .post('/api/ai/admin/cache/warm')
+      .set('Authorization', bearer('admin'))
+      .send({ queries: Array(51).fill('Violations in Harlem') });
+
+    expect(empty.status).toBe(400);
+    expect(tooMany.status).toBe(400);
+    expect(retrieveData).not.toHaveBeenCalled();
+  });
+
+  it('should refuse to warm structured queries that do not match the query schema', async () => {
+    const response = await request(app)
+      .post('/api/ai/admin/cache/warm')
+      .set('Authorization', bearer('admin'))
+      .send({ queries: ['Violations in Harlem', { queryType: 'risk_assessment', limit: 0 }, { limit: 5 }, 42] });
+
+    expect(response.status).toBe(400);
+    expect(response.body.details).toEqual([
+      expect.stringMatching(/^queries\[1\]: limit: /),
+      'queries[2]: queryType: is required to warm a structured query',
+      'queries[3]: must be a question or a structured query'
+    ]);
+    expect(processQuery).not.toHaveBeenCalled();
+    expect(retrieveData).not.toHaveBeenCalled();
+  });
+
+  it('should fill in the parts a structured query leaves out before warming it', async () => {
+    retrieveData.mockResolvedValue({ metadata: { cacheHit: false } });
+
+    const response = await request(app)
+      .post('/api/ai/admin/cache/warm')
+      .set('Authorization', bearer('admin'))
+      .send({ queries: [{ queryType: 'general_stats' }] });
+
+    expect(response.status).toBe(200);
+    expect(response.body.warmed).toBe(1);
+    expect(retrieveData).toHaveBeenCalledWith(expect.objectContaining({ queryType: 'general_stats', entities: {}, filters: [] }));
+  });
+
+  it('should record dataset loads as the signed-in admin', async () => {
+    const loadedAt = '2024-04-01T06:00:00.000Z';
+    pool.query.mockImplementation(async text => (
+      /^INSERT/.test(text)
+        ? { rows: [{ table_name: 'hpd_violations', loaded_at: new Date(loadedAt), loaded_by: 'admin_user' }] }
+        : { rows: [] }
+    ));
+
+    const response = await request(app)
+      .post('/api/ai/admin/datasets/loads')
+      .set('Authorization', bearer('admin'))
+      .send({ tables: ['hpd_violations'], loadedAt });
+
+    expect(response.status).toBe(200);
+    expect(response.body.count).toBe(1);
+    expect(pool.query).toHaveBeenCalledWith(expect.stringContaining('INSERT INTO dataset_loads'), [['hpd_violations'], new Date(loadedAt), 'admin_user']);
+
+    const badTable = await request(app)
+      .post('/api/ai/admin/datasets/loads')
+      .set('Authorization', bearer('admin'))
+      .send({ tables: ['hpd_violations; DROP TABLE users'] });
+    expect(badTable.status).toBe(400);
+  });
+});
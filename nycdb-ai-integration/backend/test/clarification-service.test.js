@@ -0,0 +1,122 @@
+/**
+ * Test suite for Clarification Service
+ *
+ * This file contains tests for clarifying questions and merging the user's answer
+ */
+
+const {
+  CLARIFICATION_REASONS,
+  buildClarification,
+  formatClarificationResponse
+} = require('../clarification-service');
+const { ConversationContext } = require('../interactive-refinement-service');
+const { resolveLocations } = require('../nyc-gazetteer');
+
+/**
+ * Create a structured query for tests
+ * @param {Object} overrides - Fields to override
+ * @returns {Object} Structured query
+ */
+function createQuery(overrides = {}) {
+  return {
+    queryType: 'violation_search',
+    confidence: 0.9,
+    entities: {},
+    filters: [],
+    aggregations: [],
+    sortOrder: null,
+    limit: 100,
+    originalQuery: 'test query',
+    ...overrides
+  };
+}
+
+describe('Clarification Service', () => {
+  describe('buildClarification', () => {
+    it('should not ask when the query is clear', () => {
+      expect(buildClarification(createQuery({ entities: { locations: ['Astoria'] } }))).toBeNull();
+    });
+
+    it('should ask for the query type when it is missing', () => {
+      const clarification = buildClarification(createQuery({ queryType: null }));
+
+      expect(clarification.reason).toBe(CLARIFICATION_REASONS.MISSING_QUERY_TYPE);
+      expect(clarification.options).toHaveLength(7);
+    });
+
+    it('should ask which place an ambiguous name means', () => {
+      const clarification = buildClarification(createQuery({ entities: { locations: ['Chelsea'] } }));
+
+      expect(clarification.reason).toBe(CLARIFICATION_REASONS.AMBIGUOUS_LOCATION);
+      expect(clarification.question).toBe('Which "Chelsea" do you mean?');
+      expect(clarification.options.map(option => option.label)).toEqual(['Chelsea, Manhattan', 'Chelsea, Staten Island']);
+    });
+
+    it('should use a mentioned borough but still ask when it does not decide', () => {
+      expect(buildClarification(createQuery({ entities: { locations: ['Chelsea', 'Staten Island'] } }))).toBeNull();
+
+      const clarification = buildClarification(createQuery({ entities: { locations: ['Jamaica', 'Queens'] } }));
+      expect(clarification.options.map(option => option.label)).toEqual([
+        'Jamaica, Queens',
+        'Jamaica Hills, Queens',
+        'Jamaica Estates, Queens'
+      ]);
+    });
+
+    it('should confirm a low-confidence guess, offering the guess first', () => {
+      const clarification = buildClarification(createQuery({ queryType: 'comparison', confidence: 0.4 }));
+
+      expect(clarification.reason).toBe(CLARIFICATION_REASONS.LOW_CONFIDENCE);
+      expect(clarification.options[0].id).toBe('comparison');
+    });
+
+    it('should not expose internal patches to the client', () => {
+      const response = formatClarificationResponse(buildClarification(createQuery({ queryType: null })));
+
+      expect(response.type).toBe('clarification');
+      expect(response.options[0]).toEqual({ id: 'risk_assessment', label: 'Assess building risk' });
+    });
+  });
+
+  describe('ConversationContext', () => {
+    it('should merge a chosen place into the pending query', () => {
+      const context = new ConversationContext();
+      const pendingQuery = createQuery({ entities: { locations: ['Chelsea'], violationTypes: ['heat'] } });
+      const clarification = buildClarification(pendingQuery);
+      context.setPendingClarification(pendingQuery, clarification);
+
+      const answered = context.resolvePendingClarification({
+        clarificationId: clarification.id,
+        optionId: clarification.options[1].id
+      });
+
+      expect(answered.entities.locations).toEqual(['Chelsea, Staten Island']);
+      expect(answered.entities.violationTypes).toEqual(['heat']);
+      expect(resolveLocations(answered.entities.locations).filters).toEqual([
+        { table: 'pluto', column: 'cd', operator: '=', value: 502 }
+      ]);
+      expect(buildClarification(answered)).toBeNull();
+      expect(context.pendingClarification).toBeNull();
+    });
+
+    it('should accept a typed answer and confirm the query type', () => {
+      const context = new ConversationContext();
+      const pendingQuery = createQuery({ queryType: null, confidence: 0 });
+      context.setPendingClarification(pendingQuery, buildClarification(pendingQuery));
+
+      const answered = context.resolvePendingClarification('find violations');
+
+      expect(answered.queryType).toBe('violation_search');
+      expect(answered.confidence).toBe(1);
+    });
+
+    it('should drop the pending question when the reply is a new query', () => {
+      const context = new ConversationContext();
+      const pendingQuery = createQuery({ queryType: null });
+      context.setPendingClarification(pendingQuery, buildClarification(pendingQuery));
+
+      expect(context.resolvePendingClarification('Show me violations in Astoria')).toBeNull();
+      expect(context.pendingClarification).toBeNull();
+    });
+  });
+});
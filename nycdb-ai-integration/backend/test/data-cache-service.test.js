@@ -0,0 +1,408 @@
+/**
+ * Test suite for the Data Cache Service
+ *
+ * This file contains tests for canonical cache keys, per-query-type TTLs, request coalescing,
+ * stale-while-revalidate, invalidation by dataset load watermarks, the in-memory and Redis
+ * cache stores, and caching the results of the data retrieval service
+ */
+
+jest.mock('../config/database', () => ({ query: jest.fn(), connect: jest.fn() }));
+jest.mock('../config/postgrest', () => ({ get: jest.fn() }));
+
+const pool = require('../config/database');
+const {
+  getOrFetch,
+  generateCacheKey,
+  getCacheTtl,
+  clearCachePattern,
+  listCacheKeys,
+  getCacheStats
+} = require('../data-cache-service');
+const { createMemoryStore, createRedisStore, getStore, setStore } = require('../cache-store');
+const { clearWatermarkCache } = require('../dataset-watermarks');
+const { clearSchemaCache } = require('../schema-catalog');
+const { retrieveData, buildCacheKey } = require('../data-retrieval-service');
+
+/**
+ * Check out a client that runs statements through the mocked pool.query, leaving out the
+ * transaction and timeout statements around each query
+ * @returns {Object} Client
+ */
+function mockClient() {
+  return {
+    processID: 4242,
+    query: jest.fn(async (text, params) => (
+      /^(BEGIN|COMMIT|ROLLBACK|SET LOCAL)/.test(text) ? { rows: [] } : pool.query(text, params)
+    )),
+    release: jest.fn()
+  };
+}
+
+/**
+ * Create a client answering the Redis commands the store sends from a map, returning SCAN
+ * results two keys at a time
+ * @returns {Object} Client
+ */
+function createRedisClient() {
+  const values = new Map();
+  const order = [];
+
+  return {
+    values,
+    get: jest.fn(async key => (values.has(key) ? values.get(key) : null)),
+    set: jest.fn(async (key, value) => {
+      if (!order.includes(key)) order.push(key);
+      values.set(key, value);
+      return 'OK';
+    }),
+    unlink: jest.fn(async (...keys) => keys.filter(key => values.delete(key)).length),
+    scan: jest.fn(async (cursor, match, pattern) => {
+      const matcher = new RegExp(`^${pattern.replace(/[.:]/g, '\\$&').replace(/\*/g, '.*')}$`);
+      // Like Redis, keys deleted during a scan do not shift the keys still to be returned
+      const start = parseInt(cursor, 10);
+      const next = start + 2 < order.length ? String(start + 2) : '0';
+      return [next, order.slice(start, start + 2).filter(key => values.has(key) && matcher.test(key))];
+    }),
+    // MEMORY USAGE answers with the length of the value plus a fixed overhead
+    pipeline: jest.fn(commands => ({
+      exec: async () => commands.map(([, , key]) => [null, values.has(key) ? values.get(key).length + 50 : null])
+    }))
+  };
+}
+
+/**
+ * Let background refreshes settle
+ * @returns {Promise<void>}
+ */
+function flushRefreshes() {
+  return new Promise(resolve => setImmediate(resolve));
+}
+
+const PLUTO_COLUMNS = ['bbl', 'address', 'borough', 'bldgclass', 'yearbuilt', 'numfloors', 'unitsres', 'latitude', 'longitude', 'zipcode', 'cd'];
+
+/**
+ * Create a structured query for tests
+ * @param {Object} overrides - Fields to override
+ * @returns {Object} Structured query
+ */
+function createQuery(overrides = {}) {
+  return {
+    originalQuery: 'How many buildings are there in Brooklyn and Queens?',
+    queryType: 'general_stats',
+    entities: { locations: ['Brooklyn', 'Queens'] },
+    filters: [],
+    aggregations: [],
+    sortOrder: null,
+    limit: 100,
+    ...overrides
+  };
+}
+
+describe('Data Cache Service', () => {
+  beforeEach(async () => {
+    await clearCachePattern('*');
+    pool.query.mockReset();
+    pool.connect.mockImplementation(async () => mockClient());
+    clearWatermarkCache();
+    delete process.env.DATA_CACHE;
+    delete process.env.CACHE_TTL_VIOLATION_SEARCH_SECONDS;
+    delete process.env.CACHE_REFRESH_ERROR_BUDGET;
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should generate the same key for parameters in any key order', () => {
+    const key = generateCacheKey('comparison', { a: 1, b: { c: [1, 2], d: null } });
+
+    expect(key).toBe(generateCacheKey('comparison', { b: { d: null, c: [1, 2] }, a: 1 }));
+    expect(key).not.toBe(generateCacheKey('comparison', { a: 1, b: { c: [2, 1], d: null } }));
+    expect(key).toMatch(/^comparison:[0-9a-f]{64}$/);
+  });
+
+  it('should report hits and when the data was fetched', async () => {
+    const fetchFunction = jest.fn().mockResolvedValue({ rows: 3 });
+
+    const miss = await getOrFetch('general_stats:abc', fetchFunction);
+    const hit = await getOrFetch('general_stats:abc', fetchFunction);
+
+    expect(miss).toMatchObject({ data: { rows: 3 }, cacheHit: false });
+    expect(hit).toEqual({ data: { rows: 3 }, cacheHit: true, stale: false, coalesced: false, cachedAt: miss.cachedAt, sources: {} });
+    expect(fetchFunction).toHaveBeenCalledTimes(1);
+  });
+
+  it('should share one fetch between concurrent misses for a key', async () => {
+    let resolveFetch;
+    const fetchFunction = jest.fn(() => new Promise(resolve => { resolveFetch = resolve; }));
+
+    const requests = Array.from({ length: 10 }, () => getOrFetch('risk_assessment:citywide', fetchFunction, 60));
+    await flushRefreshes();
+    resolveFetch({ buildings: 812 });
+    const results = await Promise.all(requests);
+
+    expect(fetchFunction).toHaveBeenCalledTimes(1);
+    expect(results.map(result => result.data)).toEqual(Array(10).fill({ buildings: 812 }));
+    expect(results.filter(result => result.coalesced)).toHaveLength(9);
+    expect(await getCacheStats()).toMatchObject({ inFlight: 0 });
+  });
+
+  it('should serve an expired entry at once and refresh it in the background', async () => {
+    const now = jest.spyOn(Date, 'now').mockReturnValue(1700000000000);
+    await getOrFetch('trend_analysis:permits', async () => 'old', 60);
+
+    now.mockReturnValue(1700000000000 + 61000);
+    const fetchFunction = jest.fn().mockResolvedValue('new');
+    const stale = await getOrFetch('trend_analysis:permits', fetchFunction, 60);
+
+    expect(stale).toMatchObject({ data: 'old', cacheHit: true, stale: true });
+    expect(fetchFunction).toHaveBeenCalledWith({ background: true });
+
+    await flushRefreshes();
+    const fresh = await getOrFetch('trend_analysis:permits', fetchFunction, 60);
+
+    expect(fresh).toMatchObject({ data: 'new', cacheHit: true, stale: false });
+    expect(fetchFunction).toHaveBeenCalledTimes(1);
+  });
+
+  it('should keep serving stale data when refreshes fail until the error budget is spent', async () => {
+    process.env.CACHE_REFRESH_ERROR_BUDGET = '2';
+    const now = jest.spyOn(Date, 'now').mockReturnValue(1700000000000);
+    await getOrFetch('comparison:boroughs', async () => 'old', 60);
+    now.mockReturnValue(1700000000000 + 61000);
+    const fetchFunction = jest.fn().mockRejectedValue(new Error('canceling statement due to statement timeout'));
+
+    for (let attempt = 0; attempt < 2; attempt++) {
+      expect(await getOrFetch('comparison:boroughs', fetchFunction, 60)).toMatchObject({ data: 'old', stale: true });
+      await flushRefreshes();
+    }
+
+    await expect(getOrFetch('comparison:boroughs', fetchFunction, 60)).rejects.toThrow('statement timeout');
+    expect(fetchFunction).toHaveBeenCalledTimes(3);
+    expect(fetchFunction).toHaveBeenLastCalledWith({ background: false });
+    expect(await getCacheStats()).toMatchObject({ refreshErrors: 2 });
+  });
+
+  it('should not put a stale entry back over one another replica stored during a failed refresh', async () => {
+    const now = jest.spyOn(Date, 'now').mockReturnValue(1700000000000);
+    await getOrFetch('comparison:boroughs', async () => 'old', 60);
+    now.mockReturnValue(1700000000000 + 61000);
+    const fresh = { data: 'new', sources: {}, cachedAt: 1700000000000 + 61000, expiresAt: 1700000000000 + 121000, staleUntil: 1700000000000 + 181000, refreshErrors: 0 };
+    const fetchFunction = jest.fn(async () => {
+      await getStore().set('comparison:boroughs', fresh, 120);
+      throw new Error('canceling statement due to statement timeout');
+    });
+
+    expect(await getOrFetch('comparison:boroughs', fetchFunction, 60)).toMatchObject({ data: 'old', stale: true });
+    await flushRefreshes();
+    await flushRefreshes();
+
+    expect(await getStore().get('comparison:boroughs')).toEqual(fresh);
+    expect(await getOrFetch('comparison:boroughs', fetchFunction, 60)).toMatchObject({ data: 'new', cacheHit: true, stale: false });
+  });
+
+  it('should discard an entry once a table it was read from is loaded again', async () => {
+    let loadedAt = new Date('2024-03-01T06:00:00Z');
+    pool.query.mockImplementation(async () => ({
+      rows: [{ table_name: 'hpd_violations', loaded_at: loadedAt }, { table_name: 'dob_permits', loaded_at: loadedAt }]
+    }));
+    const fetchFunction = jest.fn().mockResolvedValueOnce('march').mockResolvedValueOnce('april');
+    const options = { tables: ['hpd_violations', 'pluto'] };
+
+    const first = await getOrFetch('violation_search:bronx', fetchFunction, 300, options);
+    expect(first.sources).toEqual({ hpd_violations: '2024-03-01T06:00:00.000Z', pluto: null });
+
+    // A load of a table the entry was not read from keeps it
+    loadedAt = new Date('2024-04-01T06:00:00Z');
+    pool.query.mockImplementation(async () => ({
+      rows: [{ table_name: 'hpd_violations', loaded_at: new Date('2024-03-01T06:00:00Z') }, { table_name: 'dob_permits', loaded_at: loadedAt }]
+    }));
+    clearWatermarkCache();
+    expect(await getOrFetch('violation_search:bronx', fetchFunction, 300, options)).toMatchObject({ data: 'march', cacheHit: true });
+
+    pool.query.mockImplementation(async () => ({ rows: [{ table_name: 'hpd_violations', loaded_at: loadedAt }] }));
+    clearWatermarkCache();
+    const reloaded = await getOrFetch('violation_search:bronx', fetchFunction, 300, options);
+
+    expect(reloaded).toMatchObject({ data: 'april', cacheHit: false, sources: { hpd_violations: '2024-04-01T06:00:00.000Z', pluto: null } });
+    expect(await getCacheStats()).toMatchObject({ invalidated: 1 });
+  });
+
+  it('should fetch without the cache while the store cannot be reached', async () => {
+    const store = getStore();
+    setStore({
+      ...store,
+      get: jest.fn().mockRejectedValue(new Error('Connection is closed.')),
+      set: jest.fn().mockRejectedValue(new Error('Connection is closed.'))
+    });
+
+    try {
+      const result = await getOrFetch('general_stats:down', async () => 'fresh');
+      expect(result).toMatchObject({ data: 'fresh', cacheHit: false });
+    } finally {
+      setStore(store);
+    }
+  });
+
+  it('should clear the keys matching a pattern and report statistics', async () => {
+    await getOrFetch('risk_assessment:a', async () => 1, 60);
+    await getOrFetch('risk_assessment:b', async () => 2, 60);
+    await getOrFetch('comparison:a', async () => 3, 60);
+    await getOrFetch('comparison:a', async () => 3, 60);
+
+    expect(await clearCachePattern('risk_assessment:*')).toBe(2);
+    expect(await getCacheStats()).toMatchObject({ store: 'memory', keys: 1, hitRatio: expect.any(Number) });
+  });
+
+  it('should list keys by literal prefix up to a limit', async () => {
+    await getOrFetch('comparison:b', async () => 1, 60);
+    await getOrFetch('comparison:a', async () => 2, 60);
+    await getOrFetch('comparison*:c', async () => 3, 60);
+
+    expect(await listCacheKeys('comparison:')).toEqual({ keys: ['comparison:a', 'comparison:b'], truncated: false });
+    expect(await listCacheKeys('comparison*')).toEqual({ keys: ['comparison*:c'], truncated: false });
+    expect((await listCacheKeys('', { limit: 2 })).truncated).toBe(true);
+  });
+
+  it('should cache each query type for its own TTL', () => {
+    expect(getCacheTtl('general_stats')).toBe(3600);
+    expect(getCacheTtl('violation_search')).toBe(300);
+    expect(getCacheTtl('unknown')).toBe(600);
+
+    process.env.CACHE_TTL_VIOLATION_SEARCH_SECONDS = '60';
+    expect(getCacheTtl('violation_search')).toBe(60);
+  });
+
+  it('should share keys between questions that differ only in wording, case and order', () => {
+    const key = buildCacheKey(createQuery(), null);
+
+    expect(buildCacheKey(createQuery({
+      originalQuery: 'Count the buildings in queens and brooklyn',
+      entities: { locations: ['queens', ' Brooklyn'], addresses: [] },
+      promptVersions: { query_interpretation: 3 }
+    }), null)).toBe(key);
+    expect(buildCacheKey(createQuery({ entities: { locations: ['Brooklyn'] } }), null)).not.toBe(key);
+    expect(buildCacheKey(createQuery({ aggregations: [{ groupBy: 'borough' }, { groupBy: 'yearbuilt' }] }), null))
+      .toBe(buildCacheKey(createQuery({ aggregations: [{ groupBy: 'yearbuilt' }, { groupBy: 'borough' }] }), null));
+    expect(buildCacheKey(createQuery(), ['12 MAIN ST', 4000010002])).not.toBe(key);
+    // A question naming a dataset reads other tables
+    expect(buildCacheKey(createQuery({ originalQuery: 'How many HPD complaints are there?' }), null)).not.toBe(key);
+  });
+
+  it('should serve repeated questions from the cache with the age of the data', async () => {
+    pool.query.mockImplementation(async text => {
+      if (text.includes('information_schema')) {
+        return { rows: PLUTO_COLUMNS.map(column_name => ({ table_name: 'pluto', column_name })) };
+      }
+      if (text.startsWith('EXPLAIN')) {
+        return { rows: [{ 'QUERY PLAN': [{ Plan: { 'Total Cost': 120.5, 'Plan Rows': 1 } }] }] };
+      }
+      return { rows: [{ total_buildings: 42 }] };
+    });
+
+    const first = await retrieveData(createQuery());
+    const calls = pool.query.mock.calls.length;
+    const second = await retrieveData(createQuery({ entities: { locations: ['Queens', 'Brooklyn'] } }));
+
+    expect(first.metadata).toMatchObject({ cacheHit: false, dataAgeSeconds: 0, dataAsOf: { pluto: null } });
+    expect(second.metadata).toMatchObject({ cacheHit: true, cachedAt: first.metadata.cachedAt });
+    expect(second.data).toEqual({ total_buildings: 42 });
+    expect(pool.query).toHaveBeenCalledTimes(calls);
+
+    process.env.DATA_CACHE = 'off';
+    const uncached = await retrieveData(createQuery());
+    expect(uncached.metadata.cacheHit).toBe(false);
+    expect(pool.query.mock.calls.length).toBeGreaterThan(calls);
+  });
+
+  it('should search DOB complaints only where the PAD records place their BINs on lots', async () => {
+    const columns = [
+      ...PLUTO_COLUMNS, 'bin', 'violationid', 'issueddate', 'violationstatus', 'violationtype', 'novdescription',
+      'description', 'complaintid', 'receiveddate', 'problemid', 'status', 'majorcategory', 'minorcategory',
+      'complaintnumber', 'dateentered', 'complaintcategory', 'dispositioncode'
+    ];
+    const mockTables = tables => pool.query.mockImplementation(async text => {
+      if (text.includes('information_schema')) {
+        return { rows: tables.flatMap(table_name => columns.map(column_name => ({ table_name, column_name }))) };
+      }
+      if (text.startsWith('EXPLAIN')) {
+        return { rows: [{ 'QUERY PLAN': [{ Plan: { 'Total Cost': 120.5, 'Plan Rows': 1 } }] }] };
+      }
+      return { rows: [] };
+    });
+    const complaints = createQuery({
+      originalQuery: 'Any complaints about this building?',
+      queryType: 'violation_search',
+      entities: {}
+    });
+    const loaded = ['pluto', 'hpd_violations', 'dob_violations', 'hpd_complaints', 'hpd_complaint_problems', 'dob_complaints'];
+
+    clearSchemaCache();
+    mockTables(loaded);
+    const withoutPad = await retrieveData(complaints);
+    expect(Object.keys(withoutPad.metadata.dataAsOf)).toContain('hpd_complaints');
+    expect(Object.keys(withoutPad.metadata.dataAsOf)).not.toContain('dob_complaints');
+
+    await clearCachePattern('*');
+    clearWatermarkCache();
+    clearSchemaCache();
+    mockTables([...loaded, 'pad_adr']);
+    const withPad = await retrieveData(complaints);
+    expect(Object.keys(withPad.metadata.dataAsOf)).toEqual(expect.arrayContaining(['dob_complaints', 'pad_adr']));
+  });
+});
+
+describe('Cache Stores', () => {
+  it('should match glob patterns in the memory store', async () => {
+    const store = createMemoryStore();
+    await store.set('comparison:1', { data: 1 }, 60);
+    await store.set('comparison:2', { data: 2 }, 60);
+    await store.set('trend_analysis:1', { data: 3 }, 60);
+
+    const batches = [];
+    await store.scan('comparison:?', async keys => { batches.push(keys); });
+
+    expect(batches).toEqual([['comparison:1', 'comparison:2']]);
+    expect(await store.delete(['comparison:1', 'missing'])).toBe(1);
+    expect(await store.get('comparison:1')).toBeUndefined();
+    expect((await store.stats()).keys).toBe(2);
+  });
+
+  it('should keep prefixed JSON entries in Redis with an expiry and clear them with SCAN', async () => {
+    const client = createRedisClient();
+    const store = createRedisStore({ client, keyPrefix: 'nycdb:cache:' });
+    await client.set('other:key', 'kept');
+
+    await store.set('comparison:1', { data: [1], cachedAt: 1700000000000 }, 1800);
+    await store.set('comparison:2', { data: [2], cachedAt: 1700000000000 }, 1800);
+    await store.set('comparison:3', { data: [3], cachedAt: 1700000000000 }, 1800);
+
+    expect(client.set).toHaveBeenCalledWith('nycdb:cache:comparison:1', '{"data":[1],"cachedAt":1700000000000}', 'EX', 1800);
+    expect(await store.get('comparison:2')).toEqual({ data: [2], cachedAt: 1700000000000 });
+    expect(await store.get('comparison:9')).toBeUndefined();
+    expect(await store.stats()).toEqual({ keys: 3, memoryBytes: 3 * (37 + 50) });
+
+    const cleared = [];
+    await store.scan('comparison:*', async keys => { cleared.push(...keys); await store.delete(keys); });
+
+    expect(cleared).toEqual(['comparison:1', 'comparison:2', 'comparison:3']);
+    expect(client.scan).toHaveBeenCalledWith('0', 'MATCH', 'nycdb:cache:comparison:*', 'COUNT', 500);
+    expect([...client.values.keys()]).toEqual(['other:key']);
+  });
+
+  it('should read back the dates of rows kept in Redis as dates, like the memory store', async () => {
+    const issued = new Date('2023-05-01T00:00:00Z');
+    const entry = { data: [{ violationid: '1', issueddate: issued, notes: { date: '2023-05-01' } }], cachedAt: 1700000000000 };
+    const redis = createRedisStore({ client: createRedisClient() });
+    const memory = createMemoryStore();
+
+    await redis.set('violation_search:1', entry, 60);
+    await memory.set('violation_search:1', entry, 60);
+    const fromRedis = await redis.get('violation_search:1');
+
+    expect(fromRedis).toEqual(await memory.get('violation_search:1'));
+    expect(fromRedis.data[0].issueddate).toBeInstanceOf(Date);
+    expect(fromRedis.data[0].issueddate.getTime()).toBe(issued.getTime());
+    expect(fromRedis.data[0].notes).toEqual({ date: '2023-05-01' });
+  });
+});
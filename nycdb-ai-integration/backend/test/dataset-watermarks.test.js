@@ -0,0 +1,70 @@
+/**
+ * Test suite for Dataset Watermarks
+ *
+ * This file contains tests for reading and recording the load times of tables
+ */
+
+const pool = require('../config/database');
+const {
+  getWatermarks,
+  clearWatermarkCache,
+  pickWatermarks,
+  watermarksMoved,
+  recordDatasetLoad
+} = require('../dataset-watermarks');
+
+// Mock the database connection
+jest.mock('../config/database', () => ({
+  query: jest.fn()
+}));
+
+describe('Dataset Watermarks', () => {
+  beforeEach(() => {
+    pool.query.mockReset();
+    clearWatermarkCache();
+  });
+
+  it('should read the load time of each table and reuse it until the check period ends', async () => {
+    pool.query.mockResolvedValue({
+      rows: [{ table_name: 'hpd_violations', loaded_at: new Date('2024-04-01T06:00:00Z') }]
+    });
+
+    expect(await getWatermarks()).toEqual({ hpd_violations: '2024-04-01T06:00:00.000Z' });
+    await getWatermarks();
+    expect(pool.query).toHaveBeenCalledTimes(1);
+  });
+
+  it('should have no watermarks when the registry does not exist', async () => {
+    pool.query.mockRejectedValue(Object.assign(new Error('relation "dataset_loads" does not exist'), { code: '42P01' }));
+
+    expect(await getWatermarks()).toEqual({});
+  });
+
+  it('should tell when a table has been loaded since watermarks were picked', () => {
+    const recorded = pickWatermarks({ hpd_violations: '2024-03-01T06:00:00.000Z' }, ['pluto', 'hpd_violations', 'pluto']);
+
+    expect(recorded).toEqual({ hpd_violations: '2024-03-01T06:00:00.000Z', pluto: null });
+    expect(watermarksMoved(recorded, { hpd_violations: '2024-03-01T06:00:00.000Z', dob_permits: '2024-04-01T06:00:00.000Z' })).toBe(false);
+    expect(watermarksMoved(recorded, { hpd_violations: '2024-03-01T06:00:00.000Z', pluto: '2024-04-01T06:00:00.000Z' })).toBe(true);
+    expect(watermarksMoved(undefined, {})).toBe(false);
+  });
+
+  it('should record loads of valid table names and read the registry again', async () => {
+    const loadedAt = new Date('2024-04-01T06:00:00Z');
+    pool.query
+      .mockResolvedValueOnce({ rows: [] })
+      .mockResolvedValueOnce({ rows: [] })
+      .mockResolvedValueOnce({ rows: [{ table_name: 'hpd_violations', loaded_at: loadedAt, loaded_by: 'nycdb' }] })
+      .mockResolvedValueOnce({ rows: [{ table_name: 'hpd_violations', loaded_at: loadedAt }] });
+
+    await getWatermarks();
+    const rows = await recordDatasetLoad(['hpd_violations', 'hpd_violations; DROP TABLE pluto'], { loadedAt, loadedBy: 'nycdb' });
+
+    expect(pool.query.mock.calls[1][0]).toContain('CREATE TABLE IF NOT EXISTS dataset_loads');
+    expect(pool.query.mock.calls[2][0]).toContain('ON CONFLICT (table_name) DO UPDATE');
+    expect(pool.query.mock.calls[2][1]).toEqual([['hpd_violations'], loadedAt, 'nycdb']);
+    expect(rows).toHaveLength(1);
+    expect(await getWatermarks()).toEqual({ hpd_violations: '2024-04-01T06:00:00.000Z' });
+    expect(await recordDatasetLoad([])).toEqual([]);
+  });
+});
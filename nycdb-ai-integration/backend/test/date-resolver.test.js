@@ -0,0 +1,77 @@
+/**
+ * Test suite for Date Expression Resolver
+ *
+ * This file contains tests for resolving date expressions into date ranges
+ */
+
+const { resolveTimePeriod, extractTimeExpressions } = require('../date-resolver');
+
+// Fixed reference date: Monday, October 19, 2026
+const referenceDate = new Date(2026, 9, 19);
+
+/**
+ * Resolve an expression against the fixed reference date
+ * @param {string} expression - Date expression
+ * @returns {Array|null} [start, end] or null
+ */
+function resolve(expression) {
+  const range = resolveTimePeriod(expression, referenceDate);
+  return range ? [range.start, range.end] : null;
+}
+
+describe('Date Expression Resolver', () => {
+  describe('resolveTimePeriod', () => {
+    it('should resolve relative periods', () => {
+      expect(resolve('last year')).toEqual(['2025-01-01', '2025-12-31']);
+      expect(resolve('past five years')).toEqual(['2021-10-19', '2026-10-19']);
+      expect(resolve('last 18 months')).toEqual(['2025-04-19', '2026-10-19']);
+      expect(resolve('this year')).toEqual(['2026-01-01', '2026-10-19']);
+      expect(resolve('last quarter')).toEqual(['2026-07-01', '2026-09-30']);
+    });
+
+    it('should resolve absolute periods', () => {
+      expect(resolve('since 2019')).toEqual(['2019-01-01', '2026-10-19']);
+      expect(resolve('Q3 2022')).toEqual(['2022-07-01', '2022-09-30']);
+      expect(resolve('in 2021')).toEqual(['2021-01-01', '2021-12-31']);
+      expect(resolve('March 2020')).toEqual(['2020-03-01', '2020-03-31']);
+    });
+
+    it('should resolve ranges and carry the year to a bare start month', () => {
+      expect(resolve('between March and June 2021')).toEqual(['2021-03-01', '2021-06-30']);
+      expect(resolve('from 2018 to 2020')).toEqual(['2018-01-01', '2020-12-31']);
+    });
+
+    it('should resolve seasons relative to the reference date', () => {
+      expect(resolve('this winter')).toEqual(['2025-12-01', '2026-02-28']);
+      expect(resolve('last summer')).toEqual(['2025-06-01', '2025-08-31']);
+    });
+
+    it('should resolve NYC fiscal years starting July 1', () => {
+      expect(resolve('FY2023')).toEqual(['2022-07-01', '2023-06-30']);
+      expect(resolve('fy 23')).toEqual(['2022-07-01', '2023-06-30']);
+      expect(resolve('last fiscal year')).toEqual(['2025-07-01', '2026-06-30']);
+    });
+
+    it('should resolve named periods with open-ended ranges', () => {
+      expect(resolve('before the pandemic')).toEqual([null, '2020-02-29']);
+      expect(resolve('during the pandemic')).toEqual(['2020-03-01', '2021-06-30']);
+    });
+
+    it('should return null for unrecognized expressions', () => {
+      expect(resolve('whenever')).toBeNull();
+    });
+  });
+
+  describe('extractTimeExpressions', () => {
+    it('should find date expressions in a query', () => {
+      expect(extractTimeExpressions('Violations in Astoria since 2019 and in Q3 2022')).toEqual([
+        'since 2019',
+        'in q3 2022'
+      ]);
+    });
+
+    it('should not treat words like "may" or "fall" as dates', () => {
+      expect(extractTimeExpressions('Which facades may fall onto the sidewalk?')).toEqual([]);
+    });
+  });
+});
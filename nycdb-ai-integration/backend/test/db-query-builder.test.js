@@ -0,0 +1,170 @@
+/**
+ * Test suite for Database Query Execution
+ *
+ * This file contains tests for statement timeouts and for cancelling queries when the
+ * request that started them is aborted
+ */
+
+jest.mock('../config/database', () => ({ query: jest.fn(), connect: jest.fn() }));
+
+const database = require('../config/database');
+const {
+  QueryTimeoutError,
+  QueryCancelledError,
+  getQueryTimeout,
+  executeQuery
+} = require('../db-query-builder');
+
+/**
+ * Create a client whose statements resolve, except the query under test, which runs the given function
+ * @param {Function} run - Runs the query under test
+ * @returns {Object} Client
+ */
+function createClient(run) {
+  return {
+    processID: 4242,
+    query: jest.fn(async (text, params) => (
+      /^(BEGIN|COMMIT|ROLLBACK|SET LOCAL)/.test(text) ? { rows: [] } : run(text, params)
+    )),
+    release: jest.fn()
+  };
+}
+
+/**
+ * Create the error PostgreSQL raises for a cancelled statement
+ * @param {string} message - Error message
+ * @returns {Error} Error with SQLSTATE 57014
+ */
+function queryCanceled(message) {
+  return Object.assign(new Error(message), { code: '57014' });
+}
+
+describe('Database Query Execution', () => {
+  const originalEnv = process.env;
+
+  beforeEach(() => {
+    database.query.mockReset();
+    database.connect.mockReset();
+    process.env = { ...originalEnv };
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  afterAll(() => {
+    process.env = originalEnv;
+  });
+
+  it('should run the query in a transaction with a local statement timeout', async () => {
+    const client = createClient(async () => ({ rows: [{ count: 3 }], rowCount: 1 }));
+    database.connect.mockResolvedValue(client);
+
+    const result = await executeQuery('SELECT COUNT(*) FROM pluto p WHERE p.borough = $1', ['MN'], { timeoutMs: 5000 });
+
+    expect(result.rows).toEqual([{ count: 3 }]);
+    expect(client.query.mock.calls.map(([text]) => text)).toEqual([
+      'BEGIN',
+      'SET LOCAL statement_timeout = 5000',
+      'SELECT COUNT(*) FROM pluto p WHERE p.borough = $1',
+      'COMMIT'
+    ]);
+    expect(client.release).toHaveBeenCalled();
+  });
+
+  it('should report a statement timeout with the stage that timed out', async () => {
+    const client = createClient(async () => { throw queryCanceled('canceling statement due to statement timeout'); });
+    database.connect.mockResolvedValue(client);
+
+    const running = executeQuery('SELECT 1', [], { timeoutMs: 30000, stage: 'data retrieval' });
+
+    await expect(running).rejects.toThrow(QueryTimeoutError);
+    await expect(running).rejects.toMatchObject({
+      code: 'QUERY_TIMEOUT',
+      stage: 'data retrieval',
+      message: 'The data retrieval step timed out after 30 seconds. Try narrowing the question.'
+    });
+    expect(client.query).toHaveBeenCalledWith('ROLLBACK');
+    expect(client.release).toHaveBeenCalled();
+  });
+
+  it('should cancel the statement on the server when the signal is aborted', async () => {
+    const controller = new AbortController();
+    let rejectQuery;
+    const client = createClient(() => new Promise((resolve, reject) => {
+      rejectQuery = reject;
+      controller.abort();
+    }));
+    database.connect.mockResolvedValue(client);
+    database.query.mockImplementation(async () => {
+      rejectQuery(queryCanceled('canceling statement due to user request'));
+      return { rows: [{ pg_cancel_backend: true }] };
+    });
+
+    const running = executeQuery('SELECT 1', [], { timeoutMs: 30000, signal: controller.signal, stage: 'cost estimate' });
+
+    await expect(running).rejects.toThrow(QueryCancelledError);
+    expect(database.query).toHaveBeenCalledWith('SELECT pg_cancel_backend($1)', [4242]);
+    expect(client.release).toHaveBeenCalled();
+  });
+
+  it('should not cancel a statement that has already returned', async () => {
+    const controller = new AbortController();
+    const client = createClient(async () => ({ rows: [{ count: 3 }], rowCount: 1 }));
+    client.query.mockImplementation(async text => {
+      if (text === 'COMMIT') {
+        controller.abort();
+      }
+      return text === 'SELECT 1' ? { rows: [{ count: 3 }], rowCount: 1 } : { rows: [] };
+    });
+    database.connect.mockResolvedValue(client);
+
+    const result = await executeQuery('SELECT 1', [], { signal: controller.signal });
+
+    expect(result.rows).toEqual([{ count: 3 }]);
+    expect(database.query).not.toHaveBeenCalled();
+    expect(client.release).toHaveBeenCalled();
+  });
+
+  it('should not send the statement for a request aborted while the transaction was opened', async () => {
+    const controller = new AbortController();
+    const client = createClient(async () => ({ rows: [], rowCount: 0 }));
+    client.query.mockImplementation(async text => {
+      if (text === 'BEGIN') {
+        controller.abort();
+      }
+      return { rows: [] };
+    });
+    database.connect.mockResolvedValue(client);
+
+    await expect(executeQuery('SELECT 1', [], { timeoutMs: 30000, signal: controller.signal })).rejects.toThrow(QueryCancelledError);
+    expect(client.query.mock.calls.map(([text]) => text)).toEqual(['BEGIN', 'SET LOCAL statement_timeout = 30000', 'ROLLBACK']);
+    expect(database.query).not.toHaveBeenCalled();
+    expect(client.release).toHaveBeenCalled();
+  });
+
+  it('should not start a query for a request that has already been aborted', async () => {
+    const controller = new AbortController();
+    controller.abort();
+
+    await expect(executeQuery('SELECT 1', [], { signal: controller.signal })).rejects.toThrow(QueryCancelledError);
+    expect(database.connect).not.toHaveBeenCalled();
+  });
+
+  it('should pass other database errors through', async () => {
+    database.connect.mockResolvedValue(createClient(async () => { throw new Error('relation "pluto" does not exist'); }));
+
+    await expect(executeQuery('SELECT 1', [], { timeoutMs: 1000 })).rejects.toThrow('relation "pluto" does not exist');
+  });
+
+  it('should read timeout budgets by query type, with overrides from the environment', () => {
+    process.env.QUERY_TIMEOUT_BUILDING_LOOKUP_MS = '2500';
+    process.env.QUERY_TIMEOUT_MS = '12000';
+
+    expect(getQueryTimeout('risk_assessment')).toBe(30000);
+    expect(getQueryTimeout('building_lookup')).toBe(2500);
+    expect(getQueryTimeout('general_query')).toBe(12000);
+  });
+});
@@ -0,0 +1,178 @@
+/**
+ * Test suite for Filter Compiler
+ *
+ * This file contains tests for validating filters against the schema and compiling them to
+ * parameterized SQL conditions
+ */
+
+const { FilterError, validateFilter, compileFilter } = require('../filter-compiler');
+
+const schema = {
+  pluto: ['bbl', 'address', 'borough', 'zipcode', 'yearbuilt', 'ownername', 'latitude', 'longitude'],
+  hpd_violations: ['violationid', 'bbl', 'class', 'currentstatus']
+};
+
+const aliases = { pluto: 'p', hpd_violations: 'hv' };
+
+/**
+ * Compile a filter with fresh parameters
+ * @param {Object} filter - Filter
+ * @param {Object} options - Compilation options, e.g. { postgis: true }
+ * @returns {Object} { sql, params }
+ */
+function compile(filter, options = {}) {
+  const params = [];
+  const sql = compileFilter(filter, {
+    aliases,
+    schema,
+    ...options,
+    addParam: value => {
+      params.push(value);
+      return `$${params.length}`;
+    }
+  });
+  return { sql, params };
+}
+
+describe('Filter Compiler', () => {
+  it('should bind every value as a parameter', () => {
+    expect(compile({ table: 'pluto', column: 'address', operator: '=', value: "1 O'Brien Pl'; DROP TABLE pluto; --" })).toEqual({
+      sql: 'p.address = $1',
+      params: ["1 O'Brien Pl'; DROP TABLE pluto; --"]
+    });
+  });
+
+  it('should compile list, pattern and null operators', () => {
+    expect(compile({ table: 'pluto', column: 'zipcode', operator: 'IN', value: [11201, 11215] }).sql).toBe('p.zipcode = ANY($1)');
+    expect(compile({ table: 'hpd_violations', column: 'class', operator: 'NOT IN', value: ['A'] }).sql).toBe('hv.class <> ALL($1)');
+    expect(compile({ table: 'pluto', column: 'ownername', operator: 'ILIKE', value: '%llc%' }).sql).toBe('p.ownername ILIKE $1');
+    expect(compile({ table: 'pluto', column: 'yearbuilt', operator: 'IS NULL' })).toEqual({ sql: 'p.yearbuilt IS NULL', params: [] });
+  });
+
+  it('should compile closed and open ranges', () => {
+    expect(compile({ table: 'pluto', column: 'yearbuilt', operator: 'BETWEEN', value: [1900, 1930] })).toEqual({
+      sql: 'p.yearbuilt BETWEEN $1 AND $2',
+      params: [1900, 1930]
+    });
+    expect(compile({ table: 'pluto', column: 'yearbuilt', operator: 'BETWEEN', value: [null, 1930] }).sql).toBe('p.yearbuilt <= $1');
+    expect(compile({ table: 'pluto', column: 'yearbuilt', operator: 'BETWEEN', value: [1900, null] }).sql).toBe('p.yearbuilt >= $1');
+  });
+
+  it('should compile nested AND/OR groups', () => {
+    const { sql, params } = compile({
+      or: [
+        { table: 'pluto', column: 'borough', operator: '=', value: 'BK' },
+        {
+          and: [
+            { table: 'pluto', column: 'zipcode', operator: '=', value: 10001 },
+            { table: 'hpd_violations', column: 'class', operator: '=', value: 'C' }
+          ]
+        }
+      ]
+    });
+
+    expect(sql).toBe('(p.borough = $1 OR (p.zipcode = $2 AND hv.class = $3))');
+    expect(params).toEqual(['BK', 10001, 'C']);
+  });
+
+  it('should reject unknown tables, columns and operators with the path of the filter', () => {
+    expect(validateFilter({ table: 'users', column: 'password', operator: '=', value: 'x' }, { schema })).toEqual([
+      'filter.table: unknown table "users"'
+    ]);
+    expect(validateFilter({ or: [{ table: 'pluto', column: 'owner', operator: '=', value: 'x' }] }, { schema })).toEqual([
+      'filter.or[0].column: unknown column "owner" in pluto'
+    ]);
+    expect(() => compile({ table: 'pluto', column: 'bbl', operator: '= 1 OR 1 =', value: 1 })).toThrow(FilterError);
+  });
+
+  it('should reject values that do not suit the operator', () => {
+    expect(validateFilter({ table: 'pluto', column: 'zipcode', operator: 'IN', value: [] })).toEqual([
+      'filter.value: IN requires a non-empty array of values'
+    ]);
+    expect(validateFilter({ table: 'pluto', column: 'zipcode', operator: '=', value: { $ne: 1 } })).toEqual([
+      'filter.value: = requires a string, number or boolean'
+    ]);
+    expect(validateFilter({ table: 'pluto', column: 'yearbuilt', operator: 'BETWEEN', value: [null, null] })).toEqual([
+      'filter.value: BETWEEN requires at least one bound'
+    ]);
+  });
+
+  it('should reject empty and deeply nested groups', () => {
+    expect(validateFilter({ or: [] })).toEqual(['filter.or: must be a non-empty array of filters']);
+
+    const condition = { table: 'pluto', column: 'bbl', operator: '=', value: 1 };
+    const deep = { and: [{ or: [{ and: [{ or: [{ and: [condition] }] }] }] }] };
+    expect(validateFilter(deep)).toEqual(['filter.and[0].or[0].and[0].or[0]: groups may be nested at most 4 deep']);
+  });
+
+  describe('spatial conditions', () => {
+    const square = [[-74.01, 40.70], [-74.00, 40.70], [-74.00, 40.71], [-74.01, 40.71], [-74.01, 40.70]];
+    const radius = { table: 'pluto', spatial: { type: 'radius', point: [-74.0089, 40.7069], radius: 150 } };
+
+    it('should compile to PostGIS predicates when the database has the extension', () => {
+      const point = 'ST_SetSRID(ST_MakePoint(p.longitude, p.latitude), 4326)';
+
+      expect(compile(radius, { postgis: true })).toEqual({
+        sql: `ST_DWithin(${point}::geography, ST_SetSRID(ST_MakePoint($1::float8, $2::float8), 4326)::geography, $3::float8)`,
+        params: [-74.0089, 40.7069, 150]
+      });
+      expect(compile({ table: 'pluto', spatial: { type: 'bbox', bbox: [-74.02, 40.70, -74.00, 40.72] } }, { postgis: true }).sql)
+        .toBe(`${point} && ST_MakeEnvelope($1::float8, $2::float8, $3::float8, $4::float8, 4326)`);
+
+      const polygon = compile({ table: 'pluto', spatial: { type: 'polygon', geometry: { type: 'Polygon', coordinates: [square] } } }, { postgis: true });
+      expect(polygon.sql).toBe(`ST_Covers(ST_SetSRID(ST_GeomFromGeoJSON($1), 4326), ${point})`);
+      expect(JSON.parse(polygon.params[0])).toEqual({ type: 'Polygon', coordinates: [square] });
+    });
+
+    it('should fall back to a bounding box refined by the haversine distance', () => {
+      const { sql, params } = compile(radius);
+
+      expect(sql).toMatch(/^\(p\.longitude BETWEEN \$1::float8 AND \$2::float8 AND p\.latitude BETWEEN \$3::float8 AND \$4::float8 AND 2 \* 6371008\.8 \* asin\(/);
+      expect(sql).toContain('power(sin(radians(p.latitude - $6::float8) / 2), 2)');
+      expect(sql).toMatch(/<= \$7::float8\)$/);
+      // The box reaches the radius in every direction
+      expect(params[0]).toBeCloseTo(-74.0089 - 150 / (111195 * Math.cos(40.7069 * Math.PI / 180)), 5);
+      expect(params[3]).toBeCloseTo(40.7069 + 150 / 111195, 5);
+      expect(params.slice(4)).toEqual([-74.0089, 40.7069, 150]);
+    });
+
+    it('should fall back to PostgreSQL polygons, excluding holes', () => {
+      const hole = [[-74.006, 40.704], [-74.004, 40.704], [-74.004, 40.706], [-74.006, 40.704]];
+      const { sql, params } = compile({
+        table: 'pluto',
+        spatial: { type: 'polygon', geometry: { type: 'Polygon', coordinates: [square, hole] } }
+      });
+
+      expect(sql).toBe('(p.longitude BETWEEN $1::float8 AND $2::float8 AND p.latitude BETWEEN $3::float8 AND $4::float8' +
+        ' AND $5::polygon @> point(p.longitude, p.latitude) AND NOT $6::polygon @> point(p.longitude, p.latitude))');
+      expect(params.slice(0, 4)).toEqual([-74.01, -74.00, 40.70, 40.71]);
+      expect(params[4]).toBe('((-74.01,40.7),(-74,40.7),(-74,40.71),(-74.01,40.71),(-74.01,40.7))');
+    });
+
+    it('should reject malformed areas and tables without coordinates', () => {
+      expect(validateFilter({ table: 'pluto', spatial: { type: 'radius', point: [-74.0, 140.7], radius: 50000 } })).toEqual([
+        'filter.spatial.point: must be [longitude, latitude]',
+        'filter.spatial.radius: must be a number of meters greater than 0 and at most 10000'
+      ]);
+      expect(validateFilter({ table: 'pluto', spatial: { type: 'bbox', bbox: [-74.0, 40.7, -74.1, 40.8] } })).toEqual([
+        'filter.spatial.bbox: must be [west, south, east, north] with west < east and south < north'
+      ]);
+      expect(validateFilter({ table: 'pluto', spatial: { type: 'polygon', geometry: { type: 'Polygon', coordinates: [square.slice(0, 4)] } } })).toEqual([
+        'filter.spatial.geometry.coordinates: must hold rings of at least four [longitude, latitude] positions that end where they start'
+      ]);
+      expect(validateFilter({ table: 'hpd_violations', spatial: radius.spatial }, { schema })).toEqual([
+        'filter.spatial: hpd_violations has no latitude and longitude columns'
+      ]);
+      expect(validateFilter({ table: 'pluto', spatial: { type: 'circle' } })).toEqual([
+        'filter.spatial.type: must be one of radius, bbox, polygon, got "circle"'
+      ]);
+    });
+  });
+
+  it('should reject conditions on tables the query does not read', () => {
+    expect(() => compileFilter(
+      { table: 'hpd_violations', column: 'class', operator: '=', value: 'C' },
+      { aliases: { pluto: 'p' }, schema, addParam: () => '$1' }
+    )).toThrow('table "hpd_violations" is not part of the query');
+  });
+});
@@ -0,0 +1,140 @@
+/**
+ * Test suite for LLM Fixture Recording
+ *
+ * This file contains tests for recording and replaying model completions, and a replayed
+ * end-to-end run from a natural language query to narrative insights.
+ *
+ * The end-to-end fixtures in test/fixtures/llm can be re-recorded with:
+ *   LLM_FIXTURE_MODE=record npx jest test/llm-fixtures.test.js
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  FIXTURE_MODES,
+  LlmFixtureMissError,
+  getFixtureConfig,
+  fixtureKey,
+  createFixtureProvider
+} = require('../llm-fixtures');
+const { setProvider } = require('../llm-provider');
+const { processQuery } = require('../nlp-service');
+const { generateNarrativeInsights, generateRecommendations } = require('../ai-insight-generator');
+
+const request = {
+  task: 'narrative_insights',
+  prompt: 'Summarize the data. Generated at 2026-01-02T03:04:05.678Z',
+  maxTokens: 800,
+  temperature: 0.7
+};
+
+/**
+ * Create a provider that counts its calls
+ * @returns {Object} LLM provider
+ */
+function createCountingProvider() {
+  return {
+    name: 'counting',
+    model: 'test-model',
+    calls: 0,
+    async complete() {
+      this.calls += 1;
+      return `completion ${this.calls}`;
+    }
+  };
+}
+
+describe('LLM Fixtures', () => {
+  let fixtureDir;
+
+  beforeEach(() => {
+    fixtureDir = fs.mkdtempSync(path.join(os.tmpdir(), 'llm-fixtures-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(fixtureDir, { recursive: true, force: true });
+  });
+
+  it('should ignore timestamps but not prompt text or options in the fixture key', () => {
+    const key = fixtureKey(request);
+
+    expect(fixtureKey({ ...request, prompt: request.prompt.replace('2026-01-02T03:04:05.678Z', '2026-10-19T12:00:00Z') })).toBe(key);
+    expect(fixtureKey({ ...request, prompt: 'Summarize other data.' })).not.toBe(key);
+    expect(fixtureKey({ ...request, temperature: 0.2 })).not.toBe(key);
+  });
+
+  it('should replay a recorded completion without calling the provider', async () => {
+    const provider = createCountingProvider();
+
+    const recorded = await createFixtureProvider(provider, { mode: FIXTURE_MODES.RECORD, dir: fixtureDir }).complete(request);
+    const replayed = await createFixtureProvider(provider, { mode: FIXTURE_MODES.REPLAY, dir: fixtureDir }).complete(request);
+
+    expect(recorded).toBe('completion 1');
+    expect(replayed).toBe('completion 1');
+    expect(provider.calls).toBe(1);
+
+    const fixture = JSON.parse(fs.readFileSync(path.join(fixtureDir, `${fixtureKey(request)}.json`), 'utf8'));
+    expect(fixture).toMatchObject({ task: 'narrative_insights', provider: 'counting', prompt: request.prompt });
+  });
+
+  it('should fail on a replay miss', async () => {
+    const replay = createFixtureProvider(createCountingProvider(), { mode: FIXTURE_MODES.REPLAY, dir: fixtureDir });
+
+    await expect(replay.complete(request)).rejects.toThrow(LlmFixtureMissError);
+    await expect(replay.complete(request)).rejects.toMatchObject({ code: 'LLM_FIXTURE_MISSING', task: 'narrative_insights' });
+  });
+
+  it('should reject an unknown fixture mode', () => {
+    const mode = process.env.LLM_FIXTURE_MODE;
+    process.env.LLM_FIXTURE_MODE = 'playback';
+
+    try {
+      expect(() => getFixtureConfig()).toThrow('Unknown LLM fixture mode: playback');
+    } finally {
+      if (mode === undefined) {
+        delete process.env.LLM_FIXTURE_MODE;
+      } else {
+        process.env.LLM_FIXTURE_MODE = mode;
+      }
+    }
+  });
+
+  describe('replayed pipeline', () => {
+    const analysisResults = {
+      violationStats: { totalViolations: 42, openViolations: 17, averagePerBuilding: 2.5 }
+    };
+
+    beforeEach(() => {
+      process.env.LLM_FIXTURE_MODE = process.env.LLM_FIXTURE_MODE || FIXTURE_MODES.REPLAY;
+      setProvider(null);
+    });
+
+    afterAll(() => {
+      setProvider(null);
+    });
+
+    it('should interpret a query and generate insights from recorded completions', async () => {
+      const structuredQuery = await processQuery('Show me heat violations in Astoria');
+
+      expect(structuredQuery.queryType).toBe('violation_search');
+      expect(structuredQuery.entities.locations).toEqual(['Astoria']);
+      expect(structuredQuery.entities.violationTypes).toEqual(['heat']);
+
+      const insights = await generateNarrativeInsights(structuredQuery, analysisResults);
+      expect(insights.summary).toContain('total violations: 42');
+      expect(insights.promptVersions).toEqual({ narrative_insights: 1 });
+
+      const { recommendations } = await generateRecommendations(structuredQuery, analysisResults);
+      expect(Array.isArray(recommendations)).toBe(true);
+    });
+
+    it('should surface a replay miss instead of a fallback answer', async () => {
+      setProvider(createFixtureProvider(createCountingProvider(), { mode: FIXTURE_MODES.REPLAY, dir: fixtureDir }));
+
+      await expect(processQuery('A question that was never recorded')).rejects.toThrow(LlmFixtureMissError);
+      await expect(generateNarrativeInsights({ queryType: 'general_stats', originalQuery: 'unrecorded' }, {}))
+        .rejects.toThrow(LlmFixtureMissError);
+    });
+  });
+});
@@ -0,0 +1,94 @@
+/**
+ * Test suite for NYC Geography Gazetteer
+ *
+ * This file contains tests for finding and resolving NYC place references
+ */
+
+const { findLocations, resolveLocation, resolveLocations } = require('../nyc-gazetteer');
+
+describe('NYC Geography Gazetteer', () => {
+  describe('findLocations', () => {
+    it('should find neighborhoods by name and alias', () => {
+      expect(findLocations('Violations in Bed-Stuy')).toEqual(['Bedford-Stuyvesant']);
+      expect(findLocations('Buildings in Brooklyn Heights')).toEqual(['Brooklyn Heights']);
+    });
+
+    it('should find community districts, ZIP codes, council districts and census tracts', () => {
+      expect(findLocations('BK03 and zip 11211')).toEqual(['BK03', '11211']);
+      expect(findLocations('Manhattan community district 4')).toEqual(['MN04']);
+      expect(findLocations('council district 34')).toEqual(['Council District 34']);
+      expect(findLocations('census tract 285.02 in Brooklyn')).toEqual(['Census Tract 285.02 Brooklyn']);
+    });
+
+    it('should prefer the longest matching name', () => {
+      expect(findLocations('Jamaica Estates vs Jamaica')).toEqual(['Jamaica Estates', 'Jamaica']);
+    });
+  });
+
+  describe('resolveLocation', () => {
+    it('should resolve a neighborhood to ZIP code filters', () => {
+      const place = resolveLocation('Astoria');
+
+      expect(place.type).toBe('neighborhood');
+      expect(place.filters).toEqual([
+        { table: 'pluto', column: 'zipcode', operator: 'IN', value: [11102, 11103, 11105, 11106] }
+      ]);
+    });
+
+    it('should resolve a community district code to the PLUTO cd column', () => {
+      expect(resolveLocation('BK03').filters).toEqual([
+        { table: 'pluto', column: 'cd', operator: '=', value: 303 }
+      ]);
+    });
+
+    it('should list every candidate for an ambiguous name', () => {
+      const place = resolveLocation('Chelsea');
+
+      expect(place.candidates.map(candidate => candidate.borough)).toEqual(['MN', 'SI']);
+    });
+
+    it('should resolve a borough-qualified name to a single place', () => {
+      const place = resolveLocation('Chelsea, Staten Island');
+
+      expect(place.name).toBe('Chelsea, Staten Island');
+      expect(place.candidates).toEqual([]);
+      expect(place.filters).toEqual([{ table: 'pluto', column: 'cd', operator: '=', value: 502 }]);
+    });
+
+    it('should return null for unknown places', () => {
+      expect(resolveLocation('Atlantis')).toBeNull();
+    });
+  });
+
+  describe('resolveLocations', () => {
+    it('should use a mentioned borough to pick between candidates', () => {
+      const result = resolveLocations(['Staten Island', 'Chelsea']);
+
+      expect(result.filters).toEqual([{ table: 'pluto', column: 'cd', operator: '=', value: 502 }]);
+    });
+
+    it('should merge filters on the same column and report unknown places', () => {
+      const result = resolveLocations(['Jamaica Estates', 'Jamaica', 'Atlantis']);
+
+      expect(result.filters).toEqual([{ table: 'pluto', column: 'cd', operator: 'IN', value: [408, 412] }]);
+      expect(result.unresolved).toEqual(['Atlantis']);
+    });
+
+    it('should match any of several places that use different columns', () => {
+      const result = resolveLocations(['Astoria', 'BK03', 'census tract 285.02 in Brooklyn']);
+
+      expect(result.filters).toEqual([{
+        or: [
+          { table: 'pluto', column: 'zipcode', operator: 'IN', value: [11102, 11103, 11105, 11106] },
+          { table: 'pluto', column: 'cd', operator: '=', value: 303 },
+          {
+            and: [
+              { table: 'pluto', column: 'borough', operator: '=', value: 'BK' },
+              { table: 'pluto', column: 'ct2010', operator: '=', value: '285.02' }
+            ]
+          }
+        ]
+      }]);
+    });
+  });
+});
@@ -0,0 +1,103 @@
+/**
+ * Test suite for Owner Parser and Resolver
+ *
+ * This file contains tests for finding owner names in queries and resolving them to the
+ * BBLs of their HPD registrations
+ */
+
+const { extractOwners, removeOwners, normalizeOwnerName } = require('../owner-parser');
+const { resolveOwner, resolveOwners, findBuildingOwners } = require('../owner-resolver');
+const pool = require('../config/database');
+
+// Mock the database connection
+jest.mock('../config/database', () => ({
+  query: jest.fn()
+}));
+
+describe('Owner Parser', () => {
+  describe('extractOwners', () => {
+    it('should find owners after cues and before possessives', () => {
+      expect(extractOwners('What else does Acme Realty LLC own, and how bad are those buildings?')).toEqual(['Acme Realty LLC']);
+      expect(extractOwners('Show buildings owned by the landlord Bank of New York Mellon in Brooklyn')).toEqual(['Bank of New York Mellon']);
+      expect(extractOwners("How bad are Park Slope Holdings's buildings?")).toEqual(['Park Slope Holdings']);
+      expect(extractOwners('owner portfolio for jane doe since 2020')).toEqual(['jane doe']);
+    });
+
+    it('should join a corporate suffix after a comma and end a capitalized name at a lowercase word', () => {
+      expect(extractOwners('Violations in buildings owned by Acme Realty, LLC in Queens')).toEqual(['Acme Realty LLC']);
+      expect(extractOwners('How have violations in buildings owned by Acme Realty changed?')).toEqual(['Acme Realty']);
+    });
+
+    it('should not read addresses or questions without an owner as names', () => {
+      expect(extractOwners('Who is the owner of 123 Main St?')).toEqual([]);
+      expect(extractOwners('Show me violations in Brooklyn')).toEqual([]);
+    });
+  });
+
+  describe('normalizeOwnerName', () => {
+    it('should drop punctuation and corporate suffixes', () => {
+      expect(normalizeOwnerName('Acme Realty, L.L.C.')).toBe('ACME REALTY');
+      expect(normalizeOwnerName('Smith & Sons Inc.')).toBe('SMITH & SONS');
+      expect(normalizeOwnerName('jane doe')).toBe('JANE DOE');
+    });
+  });
+
+  it('should remove owner names so they are not read as neighborhoods', () => {
+    expect(removeOwners('buildings owned by Park Slope Holdings in Queens', ['Park Slope Holdings']))
+      .toBe('buildings owned by   in Queens');
+  });
+});
+
+describe('Owner Resolver', () => {
+  beforeEach(() => {
+    pool.query.mockReset();
+  });
+
+  it('should match corporations by prefix and people by name, counting buildings per contact', async () => {
+    pool.query.mockResolvedValue({
+      rows: [
+        { bbl: '3012340056', type: 'CorporateOwner', name: 'ACME REALTY LLC' },
+        { bbl: '3012340057', type: 'CorporateOwner', name: 'ACME REALTY LLC' },
+        { bbl: '3012340057', type: 'HeadOfficer', name: 'ACME REALTY' }
+      ]
+    });
+
+    const result = await resolveOwner('Acme Realty, LLC');
+
+    expect(pool.query).toHaveBeenCalledWith(
+      expect.stringContaining('JOIN hpd_registrations r ON r.registrationid = c.registrationid'),
+      [expect.arrayContaining(['CorporateOwner', 'HeadOfficer']), 'ACME REALTY%', 'ACME REALTY']
+    );
+    expect(result.bbls).toEqual(['3012340056', '3012340057']);
+    expect(result.contacts).toEqual([
+      { name: 'ACME REALTY LLC', type: 'CorporateOwner', buildings: 2 },
+      { name: 'ACME REALTY', type: 'HeadOfficer', buildings: 1 }
+    ]);
+  });
+
+  it('should combine portfolios into one BBL filter and report unresolved owners', async () => {
+    pool.query
+      .mockResolvedValueOnce({ rows: [{ bbl: '1000010001', type: 'IndividualOwner', name: 'JANE DOE' }] })
+      .mockResolvedValueOnce({ rows: [{ bbl: '1000010002', type: 'CorporateOwner', name: 'DOE HOLDINGS LLC' }] })
+      .mockResolvedValueOnce({ rows: [] });
+
+    const result = await resolveOwners(['Jane Doe', 'Doe Holdings', 'Nobody Inc', 'Co']);
+
+    expect(result.bbls).toEqual(['1000010001', '1000010002']);
+    expect(result.filters).toEqual([{ table: 'pluto', column: 'bbl', operator: 'IN', value: ['1000010001', '1000010002'] }]);
+    // Names too short to match are not looked up
+    expect(result.unresolved).toEqual(['Nobody Inc', 'Co']);
+    expect(pool.query).toHaveBeenCalledTimes(3);
+  });
+
+  it('should find the principal owners of buildings', async () => {
+    pool.query.mockResolvedValue({ rows: [{ name: 'ACME REALTY LLC' }, { name: null }] });
+
+    expect(await findBuildingOwners(['3012340056'])).toEqual(['ACME REALTY LLC']);
+    expect(pool.query).toHaveBeenCalledWith(expect.stringContaining('r.bbl = ANY($1)'), [
+      ['3012340056'],
+      ['CorporateOwner', 'IndividualOwner', 'JointOwner', 'HeadOfficer']
+    ]);
+    expect(await findBuildingOwners([])).toEqual([]);
+  });
+});
@@ -0,0 +1,60 @@
+/**
+ * Test suite for Prompt Registry
+ *
+ * This file contains tests for versioned prompt templates and their few-shot examples
+ */
+
+const {
+  PROMPT_IDS,
+  renderPrompt,
+  getPrompt,
+  getActiveVersion,
+  setActiveVersion
+} = require('../prompt-registry');
+const { validateStructuredQuery } = require('../query-schema');
+
+const interpretationVariables = {
+  query: 'Show me violations in the Bronx',
+  violationCategories: 'heat, mold',
+  schema: '{}',
+  context: ''
+};
+
+describe('Prompt Registry', () => {
+  afterEach(() => {
+    setActiveVersion(PROMPT_IDS.QUERY_INTERPRETATION, null);
+    delete process.env.PROMPT_VERSIONS;
+  });
+
+  it('should render the latest version with its few-shot examples by default', () => {
+    const prompt = renderPrompt(PROMPT_IDS.QUERY_INTERPRETATION, interpretationVariables);
+
+    expect(prompt.version).toBe(3);
+    expect(prompt.text).toContain('Examples:');
+    expect(prompt.text).toContain('general_stats, owner_portfolio');
+    expect(prompt.text).toContain('User Query: "Show me violations in the Bronx"');
+    expect(prompt.text).not.toMatch(/\{\{\w+\}\}/);
+  });
+
+  it('should roll back to an earlier version from PROMPT_VERSIONS or a pin', () => {
+    process.env.PROMPT_VERSIONS = 'query_interpretation=1, narrative_insights=1';
+    expect(getActiveVersion(PROMPT_IDS.QUERY_INTERPRETATION)).toBe(1);
+    expect(renderPrompt(PROMPT_IDS.QUERY_INTERPRETATION, interpretationVariables).text).not.toContain('Examples:');
+
+    delete process.env.PROMPT_VERSIONS;
+    setActiveVersion(PROMPT_IDS.QUERY_INTERPRETATION, 1);
+    expect(getActiveVersion(PROMPT_IDS.QUERY_INTERPRETATION)).toBe(1);
+  });
+
+  it('should reject missing variables and unknown versions', () => {
+    expect(() => renderPrompt(PROMPT_IDS.QUERY_INTERPRETATION, { query: 'x' }))
+      .toThrow('Missing variables for prompt query_interpretation v3: violationCategories, schema, context');
+    expect(() => setActiveVersion(PROMPT_IDS.QUERY_INTERPRETATION, 9)).toThrow(/Unknown version 9/);
+  });
+
+  it('should only contain few-shot answers that satisfy the query schema', () => {
+    getPrompt(PROMPT_IDS.QUERY_INTERPRETATION, 3).examples.forEach(({ answer }) => {
+      expect(validateStructuredQuery(answer).errors).toEqual([]);
+    });
+  });
+});
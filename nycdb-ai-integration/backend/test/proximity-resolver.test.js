@@ -0,0 +1,83 @@
+/**
+ * Test suite for Proximity Parser and Resolver
+ *
+ * This file contains tests for finding distance phrases in queries and resolving them to radius
+ * filters around the places they are measured from
+ */
+
+const { extractProximities, removeProximities, parseProximity } = require('../proximity-parser');
+const { resolveProximities } = require('../proximity-resolver');
+const pool = require('../config/database');
+
+// Mock the database connection
+jest.mock('../config/database', () => ({
+  query: jest.fn()
+}));
+
+describe('Proximity Parser', () => {
+  it('should find distances from addresses and coordinates', () => {
+    expect(extractProximities('show violations within 500 feet of 40 wall street, manhattan since 2020'))
+      .toEqual(['within 500 feet of 40 wall street, Manhattan']);
+    expect(extractProximities('buildings within half a mile of 40.7128, -74.0060'))
+      .toEqual(['within half a mile of 40.7128, -74.0060']);
+    expect(extractProximities('permits within 2 blocks from bbl 1-00001-0001')).toEqual(['within 2 blocks from BBL 1000010001']);
+    expect(extractProximities('violations within 5 years of 2020')).toEqual([]);
+  });
+
+  it('should remove distance phrases so the place measured from is not the building asked about', () => {
+    expect(removeProximities('show violations within 500 feet of 40 wall street since 2020')).toBe('show violations   since 2020');
+  });
+
+  it('should parse the radius in meters and the place', () => {
+    expect(parseProximity('within 500 feet of 40 Wall Street')).toEqual({ radius: 152.4, address: '40 Wall Street' });
+    expect(parseProximity('within 1 km of 40.7128, -74.0060')).toEqual({ radius: 1000, point: [-74.006, 40.7128] });
+    expect(parseProximity('within half a mile of 40.7128, -74.0060').radius).toBe(804.7);
+    expect(parseProximity('within 500 feet of the park')).toBeNull();
+    expect(parseProximity('40 Wall Street')).toBeNull();
+  });
+});
+
+describe('Proximity Resolver', () => {
+  beforeEach(() => {
+    pool.query.mockReset();
+  });
+
+  it('should measure from the best located match of an address', async () => {
+    pool.query.mockResolvedValue({
+      rows: [{ bbl: 1000230007, address: '40 WALL STREET', borough: 'MN', zipcode: 10005, latitude: '40.7069', longitude: '-74.0089' }]
+    });
+
+    const result = await resolveProximities(['within 500 feet of 40 Wall Street']);
+
+    expect(pool.query.mock.calls[0][0]).toContain('latitude, longitude');
+    expect(result.resolved).toEqual([{
+      input: 'within 500 feet of 40 Wall Street',
+      radius: 152.4,
+      point: [-74.0089, 40.7069],
+      address: { input: '40 Wall Street', bbl: 1000230007, address: '40 WALL STREET', score: 1 }
+    }]);
+    expect(result.filters).toEqual([
+      { table: 'pluto', spatial: { type: 'radius', point: [-74.0089, 40.7069], radius: 152.4 } }
+    ]);
+  });
+
+  it('should combine several places into one filter and report places without a location', async () => {
+    pool.query.mockResolvedValue({ rows: [] });
+
+    const result = await resolveProximities([
+      'within 1 km of 40.7128, -74.0060',
+      'within 200 meters of 40.6782, -73.9442',
+      'within 500 feet of 1 Nowhere Street'
+    ]);
+
+    expect(result.filters).toEqual([{
+      or: [
+        { table: 'pluto', spatial: { type: 'radius', point: [-74.006, 40.7128], radius: 1000 } },
+        { table: 'pluto', spatial: { type: 'radius', point: [-73.9442, 40.6782], radius: 200 } }
+      ]
+    }]);
+    expect(result.unresolved).toEqual(['within 500 feet of 1 Nowhere Street']);
+    // Coordinates need no lookup
+    expect(pool.query).toHaveBeenCalledTimes(1);
+  });
+});
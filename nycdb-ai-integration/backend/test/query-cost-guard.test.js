@@ -0,0 +1,238 @@
+/**
+ * Test suite for the Query Cost Guard
+ *
+ * This file contains tests for checking the planner's estimates before a query runs, for
+ * sampling or rejecting queries that exceed the thresholds, and for reading every page of a
+ * result set the way its first page was read
+ */
+
+jest.mock('../config/database', () => ({ query: jest.fn(), connect: jest.fn() }));
+jest.mock('../config/postgrest', () => ({ get: jest.fn() }));
+
+const pool = require('../config/database');
+const { QueryCostError, guardPlan, suggestNarrowing } = require('../query-cost-guard');
+const { planQuery, compilePlan } = require('../query-planner');
+const { buildDatabaseQuery, retrieveData } = require('../data-retrieval-service');
+const { decodeCursor } = require('../result-cursor');
+
+/**
+ * Check out a client that runs statements through the mocked pool.query, leaving out the
+ * transaction and timeout statements around each query
+ * @returns {Object} Client
+ */
+function mockClient() {
+  return {
+    processID: 4242,
+    query: jest.fn(async (text, params) => (
+      /^(BEGIN|COMMIT|ROLLBACK|SET LOCAL)/.test(text) ? { rows: [] } : pool.query(text, params)
+    )),
+    release: jest.fn()
+  };
+}
+
+const PLUTO_COLUMNS = [
+  'bbl', 'address', 'borough', 'block', 'lot', 'bldgclass', 'yearbuilt', 'numfloors', 'unitsres', 'latitude', 'longitude', 'zipcode', 'cd'
+];
+const VIOLATION_COLUMNS = ['id', 'bbl', 'violationid', 'issueddate', 'violationstatus', 'violationtype', 'ordernumber', 'violationtypecode'];
+
+/**
+ * Create a structured query for tests
+ * @param {Object} overrides - Fields to override
+ * @returns {Object} Structured query
+ */
+function createQuery(overrides = {}) {
+  return {
+    originalQuery: 'Which buildings have the most violations?',
+    queryType: 'risk_assessment',
+    entities: {},
+    filters: [],
+    aggregations: [],
+    sortOrder: null,
+    limit: 10,
+    ...overrides
+  };
+}
+
+/**
+ * Create an EXPLAIN (FORMAT JSON) result
+ * @param {number} cost - Total cost of the top plan node
+ * @param {number} rows - Rows estimated for the top plan node
+ * @returns {Object} Query result
+ */
+function explainResult(cost, rows) {
+  return { rows: [{ 'QUERY PLAN': [{ Plan: { 'Node Type': 'Limit', 'Total Cost': cost, 'Plan Rows': rows } }] }] };
+}
+
+/**
+ * Mock the database, estimating queries with the given function
+ * @param {Function} estimate - Returns [cost, rows] for the SQL and parameters of a query
+ */
+function mockDatabase(estimate) {
+  pool.query.mockImplementation(async (text, params) => {
+    if (text.includes('information_schema')) {
+      return {
+        rows: [
+          ...PLUTO_COLUMNS.map(column_name => ({ table_name: 'pluto', column_name })),
+          ...VIOLATION_COLUMNS.map(column_name => ({ table_name: 'hpd_violations', column_name })),
+          ...VIOLATION_COLUMNS.map(column_name => ({ table_name: 'dob_violations', column_name }))
+        ]
+      };
+    }
+    if (text.startsWith('EXPLAIN')) {
+      return explainResult(...estimate(text, params));
+    }
+    return { rows: [{ bbl: 1000010001, address: '1 BROADWAY', yearbuilt: 1920, total_violations: 4 }] };
+  });
+}
+
+describe('Query Cost Guard', () => {
+  const originalEnv = process.env;
+
+  beforeEach(() => {
+    pool.query.mockReset();
+    pool.connect.mockImplementation(async () => mockClient());
+    process.env = { ...originalEnv, QUERY_MAX_COST: '100000', QUERY_MAX_ROWS: '5000' };
+    delete process.env.QUERY_COST_GUARD;
+  });
+
+  afterAll(() => {
+    process.env = originalEnv;
+  });
+
+  it('should explain the compiled query and allow it within the thresholds', async () => {
+    mockDatabase(() => [2500.25, 10]);
+    const dbQuery = buildDatabaseQuery(createQuery());
+    const plan = planQuery('risk_assessment', dbQuery);
+
+    const { plan: guarded, costGuard } = await guardPlan(plan, dbQuery, compilePlan);
+    const [text, params] = pool.query.mock.calls[0];
+
+    expect(guarded).toBe(plan);
+    expect(text).toBe(`EXPLAIN (FORMAT JSON) ${compilePlan(plan).query}`);
+    expect(params).toEqual(compilePlan(plan).params);
+    expect(costGuard).toEqual({ decision: 'allowed', estimatedCost: 2500.25, estimatedRows: 10, maxCost: 100000, maxRows: 5000 });
+  });
+
+  it('should downgrade an expensive aggregate to a sample of PLUTO', async () => {
+    // The full query costs 400000; a sample costs in proportion to its size
+    mockDatabase((text, params) => {
+      const match = text.match(/TABLESAMPLE SYSTEM \(\$(\d+)\)/);
+      return [match ? 4000 * params[match[1] - 1] : 400000, 5];
+    });
+    const dbQuery = buildDatabaseQuery(createQuery({ queryType: 'comparison' }));
+
+    const { plan, costGuard } = await guardPlan(planQuery('comparison', dbQuery), dbQuery, compilePlan);
+    const { query, params } = compilePlan(plan);
+
+    expect(query).toContain('FROM pluto p TABLESAMPLE SYSTEM ($1) REPEATABLE (0)');
+    expect(params[0]).toBe(25);
+    expect(costGuard).toMatchObject({
+      decision: 'sampled',
+      samplePercent: 25,
+      estimatedCost: 100000,
+      fullEstimate: { estimatedCost: 400000, estimatedRows: 5 }
+    });
+  });
+
+  it('should reject expensive queries that cannot be sampled, suggesting how to narrow them', async () => {
+    mockDatabase(() => [9000000, 2000000]);
+    const dbQuery = buildDatabaseQuery(createQuery({ queryType: 'violation_search' }));
+
+    const guarding = guardPlan(planQuery('violation_search', dbQuery), dbQuery, compilePlan);
+
+    await expect(guarding).rejects.toThrow(QueryCostError);
+    await expect(guarding).rejects.toMatchObject({
+      code: 'QUERY_TOO_EXPENSIVE',
+      suggestion: 'Add a borough, neighborhood or ZIP code, or a date range, to narrow it',
+      costGuard: { decision: 'rejected', estimatedCost: 9000000, estimatedRows: 2000000 }
+    });
+    expect(pool.query).toHaveBeenCalledTimes(1);
+  });
+
+  it('should reject an aggregate that is too expensive even at the smallest sample', async () => {
+    mockDatabase(() => [5000000, 5]);
+    const dbQuery = buildDatabaseQuery(createQuery({ queryType: 'general_stats' }));
+
+    await expect(guardPlan(planQuery('general_stats', dbQuery), dbQuery, compilePlan)).rejects.toThrow(QueryCostError);
+    // The full query, a sample scaled to the estimate, then the smallest sample
+    expect(pool.query).toHaveBeenCalledTimes(3);
+  });
+
+  it('should suggest only the filters a question lacks', () => {
+    const inAstoria = buildDatabaseQuery(createQuery({ entities: { locations: ['Astoria'] } }));
+    const datedInAstoria = buildDatabaseQuery(createQuery({
+      entities: { locations: ['Astoria'], timePeriods: [{ start: '2023-01-01', end: '2023-12-31' }] }
+    }));
+    const lookup = buildDatabaseQuery(createQuery({ queryType: 'building_lookup' }));
+
+    expect(suggestNarrowing(inAstoria)).toBe('Add a date range to narrow it');
+    expect(suggestNarrowing(datedInAstoria)).toBe('Ask about a smaller area or a shorter period');
+    expect(suggestNarrowing(lookup)).toBe('Add a borough, neighborhood or ZIP code to narrow it');
+  });
+
+  it('should skip the estimate when the guard is turned off', async () => {
+    process.env.QUERY_COST_GUARD = 'off';
+    mockDatabase(() => [9000000, 2000000]);
+    const dbQuery = buildDatabaseQuery(createQuery());
+
+    const { costGuard } = await guardPlan(planQuery('risk_assessment', dbQuery), dbQuery, compilePlan);
+
+    expect(costGuard).toEqual({ decision: 'unchecked' });
+    expect(pool.query).not.toHaveBeenCalled();
+  });
+
+  it('should record the decision in the metadata of retrieved data', async () => {
+    mockDatabase((text, params) => (text.includes('TABLESAMPLE') ? [50000, 11] : [800000, 11]));
+
+    const result = await retrieveData(createQuery());
+    const [text] = pool.query.mock.calls[pool.query.mock.calls.length - 1];
+
+    expect(text).not.toMatch(/^EXPLAIN/);
+    expect(text).toContain('\nFROM pluto p TABLESAMPLE SYSTEM ($1) REPEATABLE (0)\n');
+    expect(result.data).toHaveLength(1);
+    expect(result.metadata.costGuard).toMatchObject({ decision: 'sampled', samplePercent: 12, estimatedCost: 50000 });
+  });
+
+  it('should read later pages at the sample of the first page without estimating again', async () => {
+    process.env.DATA_CACHE = 'off';
+    const rows = [
+      { bbl: 1000010001, address: '1 BROADWAY', yearbuilt: 1920, total_violations: 9 },
+      { bbl: 1000010002, address: '2 BROADWAY', yearbuilt: 1925, total_violations: 4 }
+    ];
+    const mockPages = estimate => {
+      mockDatabase(estimate);
+      const explainOrSchema = pool.query.getMockImplementation();
+      pool.query.mockImplementation(async (text, params) => (
+        text.includes('information_schema') || text.startsWith('EXPLAIN') ? explainOrSchema(text, params) : { rows }
+      ));
+    };
+
+    mockPages(text => (text.includes('TABLESAMPLE') ? [50000, 11] : [800000, 11]));
+    const sampled = await retrieveData(createQuery({ limit: 1 }));
+    const sampledCursor = decodeCursor(sampled.pagination.nextCursor);
+    expect(sampledCursor.samplePercent).toBe(12);
+
+    // The full query now looks cheap, but the next page is still read at the same sample
+    pool.query.mockClear();
+    mockPages(() => [100, 1]);
+    const nextSampled = await retrieveData(sampledCursor.structuredQuery, { after: sampledCursor.after, samplePercent: sampledCursor.samplePercent });
+    const sampledTexts = pool.query.mock.calls.map(([text]) => text);
+    expect(sampledTexts.some(text => text.startsWith('EXPLAIN'))).toBe(false);
+    expect(pool.query.mock.calls[pool.query.mock.calls.length - 1][1][0]).toBe(12);
+    expect(nextSampled.metadata.costGuard).toEqual({ decision: 'sampled', samplePercent: 12, fromCursor: true });
+    expect(decodeCursor(nextSampled.pagination.nextCursor).samplePercent).toBe(12);
+
+    mockPages(() => [100, 1]);
+    const exact = await retrieveData(createQuery({ limit: 1 }));
+    const exactCursor = decodeCursor(exact.pagination.nextCursor);
+    expect(exactCursor.samplePercent).toBeNull();
+
+    // The full query now looks too expensive, but the next page is still read in full
+    pool.query.mockClear();
+    mockPages(() => [800000, 11]);
+    const nextExact = await retrieveData(exactCursor.structuredQuery, { after: exactCursor.after, samplePercent: exactCursor.samplePercent });
+    const exactTexts = pool.query.mock.calls.map(([text]) => text);
+    expect(exactTexts.some(text => text.startsWith('EXPLAIN') || text.includes('TABLESAMPLE'))).toBe(false);
+    expect(nextExact.metadata.costGuard).toEqual({ decision: 'allowed', fromCursor: true });
+  });
+});
@@ -0,0 +1,328 @@
+/**
+ * Test suite for Query Planner
+ *
+ * This file contains tests for planning structured queries and compiling the plans to
+ * parameterized SQL
+ */
+
+jest.mock('../config/database', () => ({ query: jest.fn() }));
+jest.mock('../config/postgrest', () => ({ get: jest.fn() }));
+
+const { planQuery, planViolationHistory, planPortfolioTotals, compilePlan } = require('../query-planner');
+const { FilterError } = require('../filter-compiler');
+const { buildDatabaseQuery } = require('../data-retrieval-service');
+
+/**
+ * Create a structured query for tests
+ * @param {Object} overrides - Fields to override
+ * @returns {Object} Structured query
+ */
+function createQuery(overrides = {}) {
+  return {
+    queryType: 'violation_search',
+    entities: {},
+    filters: [],
+    aggregations: [],
+    sortOrder: null,
+    limit: 50,
+    ...overrides
+  };
+}
+
+/**
+ * Plan and compile a structured query the way the data retrieval service does
+ * @param {Object} structuredQuery - Structured query
+ * @returns {Object} { query, params }
+ */
+function compileStructuredQuery(structuredQuery) {
+  return compilePlan(planQuery(structuredQuery.queryType, buildDatabaseQuery(structuredQuery)));
+}
+
+describe('Query Planner', () => {
+  it('should pass filter values as parameters rather than inlining them', () => {
+    const { query, params } = compileStructuredQuery(createQuery({
+      queryType: 'building_lookup',
+      entities: { locations: ['Astoria'] },
+      filters: [{ table: 'pluto', column: 'address', operator: 'LIKE', value: "%O'BRIEN%" }]
+    }));
+
+    expect(query).toContain('WHERE p.zipcode = ANY($1) AND p.address LIKE $2');
+    expect(query).toContain('ORDER BY address ASC, bbl ASC\nLIMIT $3');
+    expect(query).not.toContain("O'BRIEN");
+    expect(params).toEqual([[11102, 11103, 11105, 11106], "%O'BRIEN%", 50]);
+  });
+
+  it('should union violation tables and keep each filter in the branch that reads its table', () => {
+    const { query, params } = compileStructuredQuery(createQuery({
+      entities: { violationTypes: ['heat'], timePeriods: [{ start: '2023-01-01', end: '2023-12-31' }] }
+    }));
+    const [hpdBranch, dobBranch] = query.split('\nUNION ALL\n');
+
+    expect(hpdBranch).toContain("SELECT 'HPD' AS source, hv.violationid::text AS violationid, hv.bbl, p.address, p.borough");
+    expect(hpdBranch).toContain('WHERE hv.ordernumber = ANY($1) AND hv.issueddate BETWEEN $2 AND $3');
+    expect(dobBranch).toContain('FROM dob_violations dv\nJOIN pluto p ON dv.bbl = p.bbl');
+    expect(dobBranch).toContain('WHERE dv.violationtypecode = ANY($4) AND dv.issueddate BETWEEN $5 AND $6');
+    expect(query).toMatch(/ORDER BY issueddate DESC NULLS LAST, source ASC, violationid ASC, bbl ASC\nLIMIT \$7$/);
+    expect(params[6]).toBe(50);
+  });
+
+  it('should limit risk assessment counts to requested violation codes', () => {
+    const { query } = compileStructuredQuery(createQuery({
+      queryType: 'risk_assessment',
+      entities: { violationTypes: ['lead paint'] }
+    }));
+
+    expect(query).toContain('(SELECT COUNT(*) FROM hpd_violations hv WHERE hv.bbl = p.bbl AND hv.ordernumber = ANY($1)) AS hpd_violation_count');
+    expect(query).toContain('0 AS dob_violation_count, 0 AS ecb_violation_count');
+    expect(query).toMatch(/^SELECT \*, \(hpd_violation_count \+ dob_violation_count \+ ecb_violation_count\) AS total_violations FROM \(\n/);
+    expect(query).toContain('ORDER BY total_violations DESC NULLS LAST, bbl ASC');
+  });
+
+  it('should measure ECB penalties and complaints of each building without multiplying rows', () => {
+    const { query, params } = compileStructuredQuery(createQuery({
+      queryType: 'risk_assessment',
+      entities: { timePeriods: [{ start: '2023-03-01', end: '2023-12-31' }] }
+    }));
+
+    expect(query).toContain('(SELECT COUNT(*) FROM ecb_violations ev WHERE ev.bbl = p.bbl AND ev.issuedate BETWEEN $5 AND $6) AS ecb_violation_count');
+    expect(query).toContain('(SELECT COALESCE(SUM(ev.balancedue), 0) FROM ecb_violations ev WHERE ev.bbl = p.bbl AND ev.issuedate BETWEEN $7 AND $8) AS ecb_balance_due');
+    expect(query).toContain('(SELECT COUNT(*) FROM hpd_complaints hc WHERE hc.bbl = p.bbl AND hc.receiveddate BETWEEN $9 AND $10) AS hpd_complaint_count');
+    expect(query).toContain(
+      '(SELECT COUNT(*) FROM dob_complaints dc WHERE dc.bin IN (SELECT bridge.bin FROM pad_adr bridge WHERE bridge.bbl = p.bbl) ' +
+      'AND dc.dateentered BETWEEN $11 AND $12) AS dob_complaint_count'
+    );
+    expect(query).not.toContain('GROUP BY');
+    expect(params.slice(4, 6)).toEqual(['2023-03-01', '2023-12-31']);
+
+    const compared = compileStructuredQuery(createQuery({ queryType: 'comparison' }));
+    expect(compared.query).toContain('COALESCE(SUM((SELECT COALESCE(SUM(ev.balancedue), 0) FROM ecb_violations ev WHERE ev.bbl = p.bbl)), 0) AS ecb_balance_due');
+  });
+
+  it('should search and chart the datasets a question names', () => {
+    const complaints = compileStructuredQuery(createQuery({ originalQuery: 'Show HPD complaints in Brooklyn', entities: { locations: ['Brooklyn'] } }));
+    expect(complaints.query).toContain(
+      "SELECT 'HPD Complaint' AS source, hcp.problemid::text AS violationid, hc.bbl, p.address, p.borough, hc.receiveddate AS issueddate, " +
+      'hcp.status AS violationstatus, hcp.majorcategory AS violationtype, hcp.minorcategory AS description\n' +
+      'FROM hpd_complaints hc\nJOIN hpd_complaint_problems hcp ON hc.complaintid = hcp.complaintid\nJOIN pluto p ON hc.bbl = p.bbl\nWHERE p.borough = $1'
+    );
+    expect(complaints.query).not.toContain('UNION ALL');
+
+    const bothAgencies = compileStructuredQuery(createQuery({ originalQuery: 'Any complaints about this building?' }));
+    expect(bothAgencies.query).toContain("'DOB Complaint' AS source, dc.complaintnumber::text AS violationid, p.bbl");
+    expect(bothAgencies.query).toContain('JOIN pluto p ON p.bbl IN (SELECT bridge.bbl FROM pad_adr bridge WHERE bridge.bin = dc.bin)');
+    expect(bothAgencies.query).not.toContain('dob_violations');
+
+    const penalties = compileStructuredQuery(createQuery({ originalQuery: 'ECB violations for heat', entities: { violationTypes: ['heat'] } }));
+    expect(penalties.query).toContain("SELECT 'ECB' AS source, ev.ecbviolationnumber::text AS violationid");
+    expect(penalties.query).toContain('WHERE ev.violationtype = ANY($1)');
+    expect(penalties.params[0]).toEqual(['Boilers']);
+
+    const trend = compileStructuredQuery(createQuery({ queryType: 'trend_analysis', originalQuery: 'How have ECB fines changed since 2020?' }));
+    expect(trend.query).toContain("SELECT DATE_TRUNC('month', ev.issuedate) AS time_period, COUNT(*) AS count\nFROM ecb_violations ev");
+  });
+
+  it('should limit complaint searches and counts to the requested categories', () => {
+    const { query, params } = compileStructuredQuery(createQuery({
+      originalQuery: 'No heat complaints in the Bronx',
+      entities: { violationTypes: ['heat'], locations: ['Bronx'] }
+    }));
+    const [hpdBranch, dobBranch] = query.split('\nUNION ALL\n');
+
+    expect(hpdBranch).toContain('JOIN hpd_complaint_problems hcp ON hc.complaintid = hcp.complaintid');
+    expect(hpdBranch).toContain('WHERE p.borough = $1 AND hcp.majorcategory = ANY($2)');
+    expect(dobBranch).toContain('AND dc.complaintcategory = ANY($4)');
+    expect(params.slice(0, 4)).toEqual(['BX', ['HEAT/HOT WATER', 'HEATING'], 'BX', ['58']]);
+
+    const risk = compileStructuredQuery(createQuery({ queryType: 'risk_assessment', entities: { violationTypes: ['mold'] } }));
+    expect(risk.query).toContain(
+      '(SELECT COUNT(*) FROM hpd_complaints hc WHERE hc.bbl = p.bbl AND EXISTS (SELECT 1 FROM hpd_complaint_problems hcp ' +
+      'WHERE hcp.complaintid = hc.complaintid AND hcp.minorcategory = ANY($2))) AS hpd_complaint_count'
+    );
+    expect(risk.query).toContain('0 AS dob_complaint_count');
+
+    expect(() => compileStructuredQuery(createQuery({ originalQuery: 'Show DOB complaints about mold', entities: { violationTypes: ['mold'] } })))
+      .toThrow('DOB Complaint records do not include mold');
+  });
+
+  it('should read violation counts from the summary by BBL when the database has it', () => {
+    const summaries = ['violation_summary_by_bbl', 'violation_counts_by_bbl_year'];
+    const plan = (queryType, entities = {}) => compilePlan(planQuery(queryType, {
+      ...buildDatabaseQuery(createQuery({ queryType, entities })),
+      summaries
+    }));
+
+    const risk = plan('risk_assessment', { locations: ['Brooklyn'] });
+    expect(risk.query).toContain('(SELECT COALESCE(SUM(vs.hpd_count), 0) FROM violation_summary_by_bbl vs WHERE vs.bbl = p.bbl) AS hpd_violation_count');
+    expect(risk.query).toContain('FROM pluto p\nWHERE p.borough = $1');
+    expect(risk.query).not.toContain('hpd_violations');
+
+    expect(plan('comparison').query).toContain(
+      'COALESCE(SUM((SELECT COALESCE(SUM(vs.dob_count), 0) FROM violation_summary_by_bbl vs WHERE vs.bbl = p.bbl)), 0) AS dob_violation_count'
+    );
+    expect(plan('general_stats').query).toContain(
+      'COALESCE(SUM((SELECT COALESCE(SUM(vs.hpd_count), 0) FROM violation_summary_by_bbl vs WHERE vs.bbl = p.bbl)), 0) AS total_hpd_violations'
+    );
+  });
+
+  it('should read whole-year ranges from the summary by year and count other ranges from the violation tables', () => {
+    const summaries = ['violation_summary_by_bbl', 'violation_counts_by_bbl_year'];
+    const plan = (queryType, entities) => compilePlan(planQuery(queryType, {
+      ...buildDatabaseQuery(createQuery({ queryType, entities })),
+      summaries
+    }));
+
+    const wholeYears = plan('risk_assessment', { timePeriods: [{ start: '2021-01-01', end: '2023-12-31' }] });
+    expect(wholeYears.query).toContain('(SELECT COALESCE(SUM(vy.hpd_count), 0) FROM violation_counts_by_bbl_year vy WHERE vy.bbl = p.bbl AND vy.year BETWEEN $1 AND $2)');
+    expect(wholeYears.params.slice(0, 2)).toEqual([2021, 2023]);
+
+    const since = plan('risk_assessment', { timePeriods: [{ start: '2022-01-01', end: null }] });
+    expect(since.query).toContain('vy.year >= $1');
+
+    const partial = plan('risk_assessment', { timePeriods: [{ start: '2023-03-01', end: '2023-12-31' }] });
+    expect(partial.query).toContain('(SELECT COUNT(*) FROM hpd_violations hv WHERE hv.bbl = p.bbl AND hv.issueddate BETWEEN $1 AND $2)');
+
+    const comparison = plan('comparison', { timePeriods: [{ start: '2021-01-01', end: '2023-12-31' }] });
+    expect(comparison.query).toContain('FROM violation_counts_by_bbl_year vy WHERE vy.bbl = p.bbl AND vy.year BETWEEN $1 AND $2');
+
+    const codes = plan('risk_assessment', { violationTypes: ['lead paint'] });
+    expect(codes.query).toContain('(SELECT COUNT(*) FROM hpd_violations hv WHERE hv.bbl = p.bbl AND hv.ordernumber = ANY($1))');
+  });
+
+  it('should rank the buildings of an owner portfolio and total the whole portfolio', () => {
+    const dbQuery = {
+      ...buildDatabaseQuery(createQuery({ queryType: 'owner_portfolio', entities: { owners: ['Acme Realty'], locations: ['Brooklyn'] } })),
+      summaries: ['violation_summary_by_bbl']
+    };
+    dbQuery.filters.push({ table: 'pluto', column: 'bbl', operator: 'IN', value: ['3012340056', '3012340057'] });
+
+    const buildings = compilePlan(planQuery('owner_portfolio', dbQuery));
+    expect(buildings.query).toContain('SELECT p.bbl, p.address, p.borough, p.block, p.lot, p.bldgclass, p.yearbuilt, p.latitude, p.longitude, p.unitsres, ');
+    expect(buildings.query).toContain('(SELECT COALESCE(SUM(vs.hpd_class_c_open), 0) FROM violation_summary_by_bbl vs WHERE vs.bbl = p.bbl) AS open_class_c_count');
+    expect(buildings.query).toContain('FROM pluto p\nWHERE p.borough = $1 AND p.bbl = ANY($2)');
+    expect(buildings.query).toContain('ORDER BY total_violations DESC NULLS LAST, bbl ASC');
+    expect(buildings.params).toEqual(['BK', ['3012340056', '3012340057'], 50]);
+
+    const totals = compilePlan(planPortfolioTotals(dbQuery));
+    expect(totals.query).toContain('SELECT COUNT(DISTINCT p.bbl) AS building_count, SUM(p.unitsres) AS residential_units, ');
+    expect(totals.query).toContain('COALESCE(SUM((SELECT COALESCE(SUM(ev.balancedue), 0) FROM ecb_violations ev WHERE ev.bbl = p.bbl)), 0) AS ecb_balance_due');
+    expect(totals.query).toContain('AS total_violations FROM (');
+    expect(totals.query).not.toContain('LIMIT');
+
+    // Without the summary, or with violation filters, open class C violations are counted
+    const counted = compilePlan(planQuery('owner_portfolio', { ...dbQuery, summaries: [] }));
+    expect(counted.query).toContain(
+      "(SELECT COUNT(*) FROM hpd_violations hv WHERE hv.bbl = p.bbl AND hv.class = $1 AND hv.violationstatus ILIKE $2) AS open_class_c_count"
+    );
+
+    expect(() => planQuery('owner_portfolio', { filters: [] })).toThrow('An owner portfolio must be limited to the BBLs of its buildings');
+  });
+
+  it('should join PLUTO to a trend source only when an area filter needs it', () => {
+    const unfiltered = compileStructuredQuery(createQuery({ queryType: 'trend_analysis' }));
+    expect(unfiltered.query).not.toContain('JOIN');
+    expect(unfiltered.query).toContain("SELECT DATE_TRUNC('month', dp.issueddate) AS time_period, COUNT(*) AS count");
+
+    const { query, params } = compileStructuredQuery(createQuery({
+      queryType: 'trend_analysis',
+      entities: { locations: ['Brooklyn'] }
+    }));
+    expect(query).toContain('FROM dob_permits dp\nJOIN pluto p ON dp.bbl = p.bbl\nWHERE p.borough = $1');
+    expect(params).toEqual(['BK']);
+  });
+
+  it('should apply a spatial filter to the PLUTO lots of every violation source', () => {
+    const area = { table: 'pluto', spatial: { type: 'bbox', bbox: [-74.02, 40.70, -74.00, 40.72] } };
+    const plan = planQuery('violation_search', buildDatabaseQuery(createQuery({ filters: [area] })));
+
+    const plain = compilePlan(plan);
+    plain.query.split('\nUNION ALL\n').forEach(branch => {
+      expect(branch).toMatch(/\nJOIN pluto p ON .*\nWHERE \(p\.longitude BETWEEN \$\d+::float8 AND \$\d+::float8 AND p\.latitude BETWEEN/);
+    });
+
+    const postgis = compilePlan(plan, { postgis: true });
+    expect(postgis.query).toContain('WHERE ST_SetSRID(ST_MakePoint(p.longitude, p.latitude), 4326) && ST_MakeEnvelope($1::float8');
+  });
+
+  it('should accept sort orders and group columns only as column references', () => {
+    const sorted = compileStructuredQuery(createQuery({ queryType: 'building_lookup', sortOrder: 'p.yearbuilt DESC' }));
+    expect(sorted.query).toContain('ORDER BY yearbuilt DESC NULLS LAST, bbl ASC');
+
+    const unselected = compileStructuredQuery(createQuery({ queryType: 'building_lookup', sortOrder: 'lotarea' }));
+    expect(unselected.query).toMatch(/^SELECT p\.bbl, .*, p\.longitude, p\.lotarea\n/);
+
+    const injected = compileStructuredQuery(createQuery({ queryType: 'building_lookup', sortOrder: 'yearbuilt; DROP TABLE pluto' }));
+    expect(injected.query).toContain('ORDER BY address ASC, bbl ASC');
+
+    const compared = compileStructuredQuery(createQuery({ queryType: 'comparison', aggregations: [{ groupBy: 'zipcode' }] }));
+    expect(compared.query).toMatch(/^SELECT p\.zipcode, COUNT\(DISTINCT p\.bbl\) AS building_count/);
+    expect(compared.query).toContain('GROUP BY p.zipcode\nORDER BY building_count DESC');
+  });
+
+  it('should keep locations of different types as one OR group', () => {
+    const { query } = compileStructuredQuery(createQuery({
+      queryType: 'building_lookup',
+      entities: { locations: ['Astoria', 'BK03'] }
+    }));
+
+    expect(query).toContain('WHERE (p.zipcode = ANY($1) OR p.cd = $2)');
+  });
+
+  it('should check selected, grouped and sorted columns against the schema', () => {
+    const schema = { pluto: ['bbl', 'address', 'borough', 'yearbuilt'] };
+    const plan = planQuery('building_lookup', { orderBy: 'p.yearbuilt DESC' });
+
+    expect(() => compilePlan(plan, { schema })).toThrow('Unknown column: pluto.block');
+  });
+
+  it('should plan the violation history of specific buildings', () => {
+    const { query, params } = compilePlan(planViolationHistory([1000010010], 25));
+
+    expect(query).toContain('FROM hpd_violations hv\nWHERE hv.bbl = ANY($1)');
+    expect(query).toContain('FROM dob_violations dv\nWHERE dv.bbl = ANY($2)');
+    expect(params).toEqual([[1000010010], [1000010010], 25]);
+  });
+
+  it('should start a later page after the keyset of the last row', () => {
+    const issued = new Date('2023-05-01T00:00:00Z');
+    const { query, params } = compilePlan(planQuery('violation_search', {
+      tables: ['hpd_violations', 'dob_violations'],
+      limit: 50,
+      after: [issued, 'HPD', 1234, 1000010010]
+    }));
+
+    expect(query).toMatch(/^SELECT \* FROM \(\nSELECT 'HPD' AS source/);
+    expect(query).toContain('\nUNION ALL\n');
+    expect(query).toContain(
+      ') AS page\nWHERE ((issueddate < $1 OR issueddate IS NULL) OR ' +
+      '(issueddate = $1 AND (source > $2 OR source IS NULL)) OR ' +
+      '(issueddate = $1 AND source = $2 AND (violationid > $3 OR violationid IS NULL)) OR ' +
+      '(issueddate = $1 AND source = $2 AND violationid = $3 AND (bbl > $4 OR bbl IS NULL)))\n' +
+      'ORDER BY issueddate DESC NULLS LAST, source ASC, violationid ASC, bbl ASC\nLIMIT $5'
+    );
+    expect(params).toEqual([issued, 'HPD', 1234, 1000010010, 50]);
+  });
+
+  it('should page past rows whose sort key is null', () => {
+    const { query, params } = compilePlan(planQuery('building_lookup', {
+      orderBy: 'yearbuilt DESC',
+      after: [null, 1000010010]
+    }));
+
+    expect(query).toContain('WHERE ((yearbuilt IS NULL AND (bbl > $1 OR bbl IS NULL)))');
+    expect(params).toEqual([1000010010, 100]);
+  });
+
+  it('should reject pages of aggregate results and cursors that do not match the keyset', () => {
+    expect(() => planQuery('trend_analysis', { after: ['2023-01-01'] })).toThrow('Results of trend_analysis queries are not paged');
+    expect(() => planQuery('risk_assessment', { after: [10] })).toThrow('must start after 2 key values');
+  });
+
+  it('should reject unsupported operators and unknown query types', () => {
+    const plan = planQuery('building_lookup', {
+      filters: [{ table: 'pluto', column: 'yearbuilt', operator: 'OR 1=1 --', value: 1 }]
+    });
+
+    expect(() => compilePlan(plan)).toThrow(FilterError);
+    expect(() => planQuery('unknown', {})).toThrow('No plan template for query type: unknown');
+  });
+});
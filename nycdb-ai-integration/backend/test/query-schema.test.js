@@ -0,0 +1,103 @@
+/**
+ * Test suite for Structured Query Schema
+ *
+ * This file contains tests for model output validation and the repair loop
+ */
+
+const { validateStructuredQuery, QueryInterpretationError } = require('../query-schema');
+const { processQuery, parseModelResponse } = require('../nlp-service');
+const { setProvider } = require('../llm-provider');
+
+/**
+ * Create a provider that returns the given completions in order
+ * @param {Array} completions - Completion texts
+ * @returns {Object} Fake provider recording its prompts
+ */
+function createScriptedProvider(completions) {
+  const prompts = [];
+  return {
+    name: 'scripted',
+    prompts,
+    async complete({ prompt }) {
+      prompts.push(prompt);
+      return completions[Math.min(prompts.length - 1, completions.length - 1)];
+    }
+  };
+}
+
+describe('Structured Query Schema', () => {
+  describe('validateStructuredQuery', () => {
+    it('should accept a valid query and apply defaults', () => {
+      const result = validateStructuredQuery({
+        queryType: 'violation_search',
+        entities: { locations: ['Brooklyn'] }
+      });
+
+      expect(result.valid).toBe(true);
+      expect(result.value.filters).toEqual([]);
+      expect(result.value.limit).toBe(100);
+    });
+
+    it('should report unknown query types, entity keys, operators and limits', () => {
+      const result = validateStructuredQuery({
+        queryType: 'building_search',
+        entities: { neighborhoods: ['Astoria'] },
+        filters: [{ table: 'pluto', column: 'yearbuilt', operator: 'DROP', value: 1900 }],
+        limit: 5000
+      });
+
+      expect(result.valid).toBe(false);
+      expect(result.errors).toHaveLength(4);
+      expect(result.errors[0]).toMatch(/^queryType/);
+      expect(result.errors[1]).toMatch(/^entities\.neighborhoods/);
+      expect(result.errors[2]).toMatch(/^filters\[0\]\.operator/);
+      expect(result.errors[3]).toMatch(/^limit/);
+    });
+
+    it('should reject identifiers that are not plain column names', () => {
+      const result = validateStructuredQuery({
+        filters: [{ table: 'pluto', column: 'borough; DROP TABLE pluto', operator: '=', value: 'x' }]
+      });
+
+      expect(result.valid).toBe(false);
+      expect(result.errors[0]).toMatch(/^filters\[0\]\.column/);
+    });
+  });
+
+  describe('parseModelResponse', () => {
+    it('should report a response without JSON', () => {
+      const result = parseModelResponse('I am not sure what you mean.');
+
+      expect(result.structuredQuery).toBeNull();
+      expect(result.errors).toEqual(['response did not contain a JSON object']);
+    });
+  });
+
+  describe('repair loop', () => {
+    afterEach(() => {
+      setProvider(null);
+    });
+
+    it('should send validation errors back to the model and use the repaired response', async () => {
+      const provider = createScriptedProvider([
+        '{"queryType": "risk", "entities": {}}',
+        '{"queryType": "risk_assessment", "entities": {"locations": ["Queens"]}}'
+      ]);
+      setProvider(provider);
+
+      const result = await processQuery('Risky buildings in Queens');
+
+      expect(result.queryType).toBe('risk_assessment');
+      expect(result.originalQuery).toBe('Risky buildings in Queens');
+      expect(provider.prompts).toHaveLength(2);
+      expect(provider.prompts[1]).toContain('queryType: must be one of');
+      expect(result.promptVersions).toEqual({ query_interpretation: 3, query_repair: 1 });
+    });
+
+    it('should raise a typed error when repair fails', async () => {
+      setProvider(createScriptedProvider(['not json at all']));
+
+      await expect(processQuery('Gibberish')).rejects.toBeInstanceOf(QueryInterpretationError);
+    });
+  });
+});
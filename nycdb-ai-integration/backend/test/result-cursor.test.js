@@ -0,0 +1,125 @@
+/**
+ * Test suite for Result Cursors
+ *
+ * This file contains tests for encoding and verifying cursors, and for retrieving the pages
+ * of a result set with them
+ */
+
+jest.mock('../config/database', () => ({ query: jest.fn(), connect: jest.fn() }));
+jest.mock('../config/postgrest', () => ({ get: jest.fn() }));
+
+const pool = require('../config/database');
+const { CursorError, encodeCursor, decodeCursor } = require('../result-cursor');
+const { resolveCursorSecret } = require('../config/cursor');
+const { retrieveData } = require('../data-retrieval-service');
+
+/**
+ * Check out a client that runs statements through the mocked pool.query, leaving out the
+ * transaction and timeout statements around each query
+ * @returns {Object} Client
+ */
+function mockClient() {
+  return {
+    processID: 4242,
+    query: jest.fn(async (text, params) => (
+      /^(BEGIN|COMMIT|ROLLBACK|SET LOCAL)/.test(text) ? { rows: [] } : pool.query(text, params)
+    )),
+    release: jest.fn()
+  };
+}
+
+const BUILDING_COLUMNS = [
+  'bbl', 'address', 'borough', 'block', 'lot', 'bldgclass', 'landuse', 'yearbuilt', 'numfloors',
+  'unitsres', 'unitstotal', 'assesstot', 'exemptland', 'exempttot', 'latitude', 'longitude', 'zipcode', 'cd'
+];
+
+const structuredQuery = {
+  originalQuery: 'Show me buildings in Astoria',
+  queryType: 'building_lookup',
+  entities: { locations: ['Astoria'] },
+  filters: [],
+  aggregations: [],
+  sortOrder: null,
+  limit: 2,
+  promptVersions: { query_parser: '3' }
+};
+
+/**
+ * Create a PLUTO row for tests
+ * @param {number} bbl - BBL
+ * @param {string} address - Address
+ * @returns {Object} Row
+ */
+function building(bbl, address) {
+  return { bbl, address, borough: 'QN', yearbuilt: 1931 };
+}
+
+describe('Result Cursors', () => {
+  beforeEach(() => {
+    pool.query.mockReset();
+    pool.connect.mockImplementation(async () => mockClient());
+  });
+
+  it('should round-trip the structured query, keyset values and sample, keeping dates', () => {
+    const issued = new Date('2023-05-01T00:00:00Z');
+    const cursor = encodeCursor(structuredQuery, [issued, 'HPD', 1234]);
+    const { structuredQuery: decodedQuery, after } = decodeCursor(cursor);
+
+    expect(decodedQuery.queryType).toBe('building_lookup');
+    expect(decodedQuery.entities).toEqual({ locations: ['Astoria'] });
+    expect(decodedQuery).not.toHaveProperty('promptVersions');
+    expect(after).toEqual([issued, 'HPD', 1234]);
+    expect(after[0]).toBeInstanceOf(Date);
+    expect(decodeCursor(cursor).samplePercent).toBeUndefined();
+    expect(decodeCursor(encodeCursor(structuredQuery, [issued, 'HPD', 1234], { samplePercent: 25 })).samplePercent).toBe(25);
+    expect(decodeCursor(encodeCursor(structuredQuery, [issued, 'HPD', 1234], { samplePercent: null })).samplePercent).toBeNull();
+  });
+
+  it('should reject altered and malformed cursors', () => {
+    const [payload, signature] = encodeCursor(structuredQuery, ['10 MAIN ST', 4000010001]).split('.');
+    const altered = Buffer.from(
+      Buffer.from(payload, 'base64url').toString('utf8').replace('"limit":2', '"limit":100000')
+    ).toString('base64url');
+
+    expect(() => decodeCursor(`${altered}.${signature}`)).toThrow('Cursor was not issued by this server');
+    expect(() => decodeCursor('not-a-cursor')).toThrow('Malformed cursor');
+    expect(() => decodeCursor(undefined)).toThrow(CursorError);
+  });
+
+  it('should require a configured secret in production', () => {
+    expect(resolveCursorSecret({ NODE_ENV: 'production', CURSOR_SECRET: 'configured' })).toBe('configured');
+    expect(() => resolveCursorSecret({ NODE_ENV: 'production' })).toThrow('CURSOR_SECRET must be set in production');
+    expect(resolveCursorSecret({ NODE_ENV: 'development' })).toMatch(/^[0-9a-f]{64}$/);
+  });
+
+  it('should return a cursor with each full page and retrieve the next page from it', async () => {
+    const rows = [building(4000010001, '10 MAIN ST'), building(4000010002, '12 MAIN ST'), building(4000010003, '14 MAIN ST')];
+    pool.query.mockImplementation(async (text, params) => {
+      if (text.includes('information_schema')) {
+        return { rows: BUILDING_COLUMNS.map(column_name => ({ table_name: 'pluto', column_name })) };
+      }
+      if (text.startsWith('EXPLAIN')) {
+        return { rows: [{ 'QUERY PLAN': [{ Plan: { 'Total Cost': 120.5, 'Plan Rows': 3 } }] }] };
+      }
+      // Each page reads one row more than it returns
+      const start = text.includes('AS page') ? 2 : 0;
+      return { rows: rows.slice(start, start + params[params.length - 1]) };
+    });
+
+    const first = await retrieveData(structuredQuery);
+
+    expect(first.data.map(row => row.bbl)).toEqual([4000010001, 4000010002]);
+    expect(first.pagination).toMatchObject({ pageSize: 2, hasMore: true });
+    expect(first).not.toHaveProperty('nextPage');
+    expect(decodeCursor(first.pagination.nextCursor).after).toEqual(['12 MAIN ST', 4000010002]);
+
+    const { structuredQuery: nextQuery, after } = decodeCursor(first.pagination.nextCursor);
+    const second = await retrieveData(nextQuery, { after });
+    const [text, params] = pool.query.mock.calls[pool.query.mock.calls.length - 1];
+
+    expect(text).toContain('WHERE ((address > $2 OR address IS NULL) OR (address = $2 AND (bbl > $3 OR bbl IS NULL)))');
+    expect(params).toEqual([[11102, 11103, 11105, 11106], '12 MAIN ST', 4000010002, 3]);
+    expect(second.data.map(row => row.bbl)).toEqual([4000010003]);
+    expect(second.pagination).toEqual({ pageSize: 2, hasMore: false, nextCursor: null });
+  });
+});
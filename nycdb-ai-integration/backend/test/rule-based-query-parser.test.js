@@ -0,0 +1,134 @@
+/**
+ * Test suite for Rule-Based Query Parser
+ *
+ * This file contains tests for the offline keyword and grammar parser
+ */
+
+const { parseQueryWithRules } = require('../rule-based-query-parser');
+const { complete, setProvider, LLM_TASKS, PROVIDERS } = require('../llm-provider');
+
+describe('Rule-Based Query Parser', () => {
+  describe('parseQueryWithRules', () => {
+    it('should detect a risk assessment query with a borough', () => {
+      const result = parseQueryWithRules('Show me buildings in Brooklyn with a high risk of structural issues');
+
+      expect(result.queryType).toBe('risk_assessment');
+      expect(result.confidence).toBe(1);
+      expect(result.entities.locations).toEqual(['Brooklyn']);
+      expect(result.entities.violationTypes).toContain('structural');
+      expect(result.limit).toBe(100);
+    });
+
+    it('should detect a violation search query with property attributes', () => {
+      const result = parseQueryWithRules('What are the most common violations in Manhattan high-rises?');
+
+      expect(result.queryType).toBe('violation_search');
+      expect(result.entities.locations).toEqual(['Manhattan']);
+      expect(result.entities.propertyAttributes).toEqual(['high-rise']);
+    });
+
+    it('should detect a trend analysis query with a time period', () => {
+      const result = parseQueryWithRules('Has construction activity increased in Queens over the past five years?');
+
+      expect(result.queryType).toBe('trend_analysis');
+      expect(result.entities.locations).toEqual(['Queens']);
+      expect(result.entities.timePeriods).toEqual(['past five years']);
+    });
+
+    it('should detect an owner portfolio query and keep the owner out of the locations', () => {
+      const result = parseQueryWithRules('Show buildings owned by Park Slope Holdings in Queens');
+
+      expect(result.queryType).toBe('owner_portfolio');
+      expect(result.entities.owners).toEqual(['Park Slope Holdings']);
+      expect(result.entities.locations).toEqual(['Queens']);
+
+      const possessive = parseQueryWithRules("How bad are Acme Realty's buildings?");
+      expect(possessive.queryType).toBe('owner_portfolio');
+      expect(possessive.entities.owners).toEqual(['Acme Realty']);
+    });
+
+    it('should read a distance from an address as a proximity rather than an address', () => {
+      const result = parseQueryWithRules('Show violations within 500 feet of 40 Wall Street since 2020');
+
+      expect(result.queryType).toBe('violation_search');
+      expect(result.entities.proximities).toEqual(['within 500 feet of 40 wall street']);
+      expect(result.entities.addresses).toBeUndefined();
+      expect(result.entities.timePeriods).toEqual(['since 2020']);
+
+      const nearby = parseQueryWithRules('Buildings within half a mile of 40.7128, -74.0060');
+      expect(nearby.queryType).toBe('building_lookup');
+      expect(nearby.entities.proximities).toEqual(['within half a mile of 40.7128, -74.0060']);
+    });
+
+    it('should extract filters, grouping, sort order and limit', () => {
+      const result = parseQueryWithRules('Compare the top 20 oldest residential buildings built before 1920 with more than 6 floors by borough');
+
+      expect(result.queryType).toBe('comparison');
+      expect(result.entities.buildingTypes).toEqual(['residential']);
+      expect(result.filters).toEqual([
+        { table: 'pluto', column: 'yearbuilt', operator: '<', value: 1920 },
+        { table: 'pluto', column: 'numfloors', operator: '>', value: 6 }
+      ]);
+      expect(result.aggregations).toEqual([{ groupBy: 'borough' }]);
+      expect(result.sortOrder).toBe('p.yearbuilt ASC');
+      expect(result.limit).toBe(20);
+    });
+
+    it('should treat a question about an address as a building lookup', () => {
+      const result = parseQueryWithRules('Tell me about 40 Wall Street, Manhattan');
+
+      expect(result.queryType).toBe('building_lookup');
+      expect(result.entities.addresses).toEqual(['40 wall street, Manhattan']);
+      expect(result.entities.locations).toEqual(['Manhattan']);
+    });
+
+    it('should report low confidence when query types tie', () => {
+      const result = parseQueryWithRules('Compare trends');
+
+      expect(result.confidence).toBe(0.4);
+    });
+
+    it('should leave the query type empty when nothing matches', () => {
+      const result = parseQueryWithRules('Show me building data');
+
+      expect(result.queryType).toBeNull();
+      expect(result.entities).toEqual({});
+    });
+  });
+
+  describe('rule-based provider', () => {
+    beforeEach(() => {
+      delete process.env.OPENAI_API_KEY;
+      process.env.LLM_PROVIDER = PROVIDERS.RULE_BASED;
+      setProvider(null);
+    });
+
+    afterEach(() => {
+      delete process.env.LLM_PROVIDER;
+      setProvider(null);
+    });
+
+    it('should return the parsed query as JSON for query interpretation', async () => {
+      const completion = await complete(LLM_TASKS.QUERY_INTERPRETATION, 'ignored prompt', {
+        input: { query: 'Show me violations in the Bronx' }
+      });
+
+      const parsed = JSON.parse(completion);
+      expect(parsed.queryType).toBe('violation_search');
+      expect(parsed.entities.locations).toEqual(['Bronx']);
+    });
+
+    it('should summarize analysis statistics as key findings', async () => {
+      const completion = await complete(LLM_TASKS.NARRATIVE_INSIGHTS, 'ignored prompt', {
+        input: {
+          structuredQuery: { queryType: 'risk_assessment' },
+          analysis: { riskStats: { totalBuildings: 12, averageRiskScore: 54.25 } }
+        }
+      });
+
+      expect(completion).toContain('Key findings:');
+      expect(completion).toContain('- total buildings: 12');
+      expect(completion).toContain('- average risk score: 54.25');
+    });
+  });
+});
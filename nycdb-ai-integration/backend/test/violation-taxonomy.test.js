@@ -0,0 +1,67 @@
+/**
+ * Test suite for Violation Taxonomy
+ *
+ * This file contains tests for mapping violation categories to agency codes
+ */
+
+const {
+  findViolationCategory,
+  resolveViolationTypes,
+  buildSourceCodeFilter,
+  buildViolationCodeFilters
+} = require('../violation-taxonomy');
+
+describe('Violation Taxonomy', () => {
+  describe('findViolationCategory', () => {
+    it('should find categories by name and alias', () => {
+      expect(findViolationCategory('No Heat').name).toBe('heat');
+      expect(findViolationCategory('lead-based paint').name).toBe('lead paint');
+      expect(findViolationCategory('façade').name).toBe('facade');
+      expect(findViolationCategory('graffiti')).toBeUndefined();
+    });
+  });
+
+  describe('resolveViolationTypes', () => {
+    it('should collect codes for each agency and report unknown types', () => {
+      const codes = resolveViolationTypes(['lead paint', 'elevator', 'graffiti']);
+
+      expect(codes.categories).toEqual(['lead paint', 'elevator']);
+      expect(codes.unresolved).toEqual(['graffiti']);
+      expect(codes.hpd.orderNumbers).toEqual(['614', '616', '617', '618', '619']);
+      expect(codes.hpd.classes).toEqual(['C']);
+      expect(codes.dob.violationTypeCodes).toEqual(['E', 'ACC1', 'EVCAT1', 'EVCAT5']);
+      expect(codes.ecb.violationTypes).toEqual(['Elevators']);
+    });
+
+    it('should not repeat codes shared by several categories', () => {
+      const codes = resolveViolationTypes(['plumbing', 'gas']);
+
+      expect(codes.dob.violationTypeCodes).toEqual(['P', 'LL152']);
+    });
+  });
+
+  describe('buildViolationCodeFilters', () => {
+    it('should only filter agencies that record the category', () => {
+      expect(buildViolationCodeFilters(resolveViolationTypes(['lead paint']))).toEqual([
+        { table: 'hpd_violations', column: 'ordernumber', operator: 'IN', value: ['614', '616', '617', '618', '619'] },
+        { table: 'hpd_complaint_problems', column: 'majorcategory', operator: 'IN', value: ['PAINT/PLASTER'] }
+      ]);
+    });
+
+    it('should filter complaints on the categories of their problems and on DOB complaint categories', () => {
+      const codes = resolveViolationTypes(['heat', 'mold']);
+
+      expect(buildSourceCodeFilter(codes, 'hpd_complaints')).toEqual({
+        or: [
+          { table: 'hpd_complaint_problems', column: 'majorcategory', operator: 'IN', value: ['HEAT/HOT WATER', 'HEATING'] },
+          { table: 'hpd_complaint_problems', column: 'minorcategory', operator: 'IN', value: ['MOLD'] }
+        ]
+      });
+      expect(buildSourceCodeFilter(codes, 'dob_complaints')).toEqual(
+        { table: 'dob_complaints', column: 'complaintcategory', operator: 'IN', value: ['58'] }
+      );
+      expect(buildSourceCodeFilter(resolveViolationTypes(['mold']), 'dob_complaints')).toBeNull();
+      expect(buildSourceCodeFilter(codes, 'dob_permits')).toBeUndefined();
+    });
+  });
+});
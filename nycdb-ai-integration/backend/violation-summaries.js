@@ -0,0 +1,157 @@
+/**
+ * Violation Summaries for NYCDB AI Integration
+ *
+ * This module maintains materialized views that pre-aggregate the HPD and DOB violation
+ * tables by BBL, so risk assessments, comparisons and statistics read one row per building
+ * (or per building and year) instead of joining every violation. The query planner reads
+ * from the views when they exist.
+ *
+ * Refresh the views after each nycdb load:
+ *   npm run refresh-summaries
+ */
+
+const database = require('./config/database');
+const { recordDatasetLoad } = require('./dataset-watermarks');
+
+// HPD violation classes: A (non-hazardous), B (hazardous), C (immediately hazardous) and
+// I (information orders)
+const HPD_CLASSES = ['A', 'B', 'C', 'I'];
+
+// Status values of open violations, e.g. HPD "Open" and DOB "OPEN - ACTIVE"
+const OPEN_STATUS = "violationstatus ILIKE 'open%'";
+
+const hpdClassCounts = HPD_CLASSES.map(hpdClass => {
+  const name = `hpd_class_${hpdClass.toLowerCase()}`;
+  return `COUNT(*) FILTER (WHERE class = '${hpdClass}' AND ${OPEN_STATUS}) AS ${name}_open,
+      COUNT(*) FILTER (WHERE class = '${hpdClass}' AND NOT COALESCE(${OPEN_STATUS}, FALSE)) AS ${name}_closed`;
+}).join(',\n      ');
+
+const hpdClassColumns = HPD_CLASSES.map(hpdClass => {
+  const name = `hpd_class_${hpdClass.toLowerCase()}`;
+  return `COALESCE(hpd.${name}_open, 0) AS ${name}_open, COALESCE(hpd.${name}_closed, 0) AS ${name}_closed`;
+}).join(',\n  ');
+
+// Each view is keyed by the columns of its unique index, which REFRESH ... CONCURRENTLY needs
+const SUMMARY_VIEWS = {
+  violation_summary_by_bbl: {
+    key: ['bbl'],
+    query: `WITH hpd AS (
+    SELECT bbl,
+      COUNT(*) AS hpd_count,
+      COUNT(*) FILTER (WHERE ${OPEN_STATUS}) AS hpd_open,
+      COUNT(*) FILTER (WHERE NOT COALESCE(${OPEN_STATUS}, FALSE)) AS hpd_closed,
+      ${hpdClassCounts},
+      MAX(issueddate) AS hpd_last_issued
+    FROM hpd_violations
+    WHERE bbl IS NOT NULL
+    GROUP BY bbl
+  ), dob AS (
+    SELECT bbl,
+      COUNT(*) AS dob_count,
+      COUNT(*) FILTER (WHERE ${OPEN_STATUS}) AS dob_open,
+      COUNT(*) FILTER (WHERE NOT COALESCE(${OPEN_STATUS}, FALSE)) AS dob_closed,
+      MAX(issueddate) AS dob_last_issued
+    FROM dob_violations
+    WHERE bbl IS NOT NULL
+    GROUP BY bbl
+  )
+SELECT COALESCE(hpd.bbl, dob.bbl) AS bbl,
+  COALESCE(hpd.hpd_count, 0) AS hpd_count,
+  COALESCE(hpd.hpd_open, 0) AS hpd_open,
+  COALESCE(hpd.hpd_closed, 0) AS hpd_closed,
+  ${hpdClassColumns},
+  hpd.hpd_last_issued,
+  COALESCE(dob.dob_count, 0) AS dob_count,
+  COALESCE(dob.dob_open, 0) AS dob_open,
+  COALESCE(dob.dob_closed, 0) AS dob_closed,
+  dob.dob_last_issued,
+  GREATEST(hpd.hpd_last_issued, dob.dob_last_issued) AS last_violation_date
+FROM hpd
+FULL OUTER JOIN dob ON hpd.bbl = dob.bbl`
+  },
+  violation_counts_by_bbl_year: {
+    key: ['bbl', 'year'],
+    query: `SELECT bbl, year, SUM(hpd_count)::bigint AS hpd_count, SUM(dob_count)::bigint AS dob_count
+FROM (
+  SELECT bbl, EXTRACT(YEAR FROM issueddate)::int AS year, COUNT(*) AS hpd_count, 0 AS dob_count
+  FROM hpd_violations
+  WHERE bbl IS NOT NULL AND issueddate IS NOT NULL
+  GROUP BY 1, 2
+  UNION ALL
+  SELECT bbl, EXTRACT(YEAR FROM issueddate)::int, 0, COUNT(*)
+  FROM dob_violations
+  WHERE bbl IS NOT NULL AND issueddate IS NOT NULL
+  GROUP BY 1, 2
+) counts
+GROUP BY bbl, year`
+  }
+};
+
+/**
+ * Create the summary views that do not exist yet, with their unique indexes
+ * @returns {Promise<Array>} Names of the views created
+ */
+async function createViolationSummaries() {
+  const created = [];
+
+  for (const [name, { key, query }] of Object.entries(SUMMARY_VIEWS)) {
+    const result = await database.query('SELECT 1 FROM pg_matviews WHERE schemaname = current_schema() AND matviewname = $1', [name]);
+    if (result.rows.length > 0) {
+      continue;
+    }
+
+    await database.query(`CREATE MATERIALIZED VIEW ${name} AS\n${query}`);
+    await database.query(`CREATE UNIQUE INDEX ${name}_key ON ${name} (${key.join(', ')})`);
+    created.push(name);
+  }
+
+  return created;
+}
+
+/**
+ * Recompute the summary views from the violation tables, creating any that are missing. Views
+ * are refreshed concurrently, so queries can keep reading them during the refresh. The refresh
+ * is recorded as a load of the views, so cached results read from them are discarded.
+ * @returns {Promise<Object>} { created, refreshed } view names
+ */
+async function refreshViolationSummaries() {
+  const created = await createViolationSummaries();
+  const refreshed = [];
+
+  // New views were populated when they were created
+  for (const name of Object.keys(SUMMARY_VIEWS).filter(view => !created.includes(view))) {
+    const start = Date.now();
+    await database.query(`REFRESH MATERIALIZED VIEW CONCURRENTLY ${name}`);
+    console.log(`Refreshed ${name} in ${Date.now() - start} ms`);
+    refreshed.push(name);
+  }
+
+  await recordDatasetLoad([...created, ...refreshed], { loadedBy: 'refresh-summaries' });
+
+  return { created, refreshed };
+}
+
+// Run from the command line: node violation-summaries.js [create|refresh]
+if (require.main === module) {
+  const command = process.argv[2] || 'refresh';
+  const run = command === 'create' ? createViolationSummaries : refreshViolationSummaries;
+
+  if (command !== 'create' && command !== 'refresh') {
+    console.error(`Unknown command: ${command}. Use create or refresh.`);
+    process.exit(1);
+  }
+
+  run()
+    .then(result => console.log(`Violation summaries ${command}:`, result))
+    .catch(error => {
+      console.error('Error updating violation summaries:', error);
+      process.exitCode = 1;
+    })
+    .finally(() => database.pool.end());
+}
+
+module.exports = {
+  SUMMARY_VIEWS,
+  createViolationSummaries,
+  refreshViolationSummaries
+};
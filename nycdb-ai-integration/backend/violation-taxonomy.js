@@ -0,0 +1,254 @@
+/**
+ * Violation Taxonomy for NYCDB AI Integration
+ *
+ * This module maps plain-language violation categories such as "lead paint" or "facade" to
+ * the codes each agency records: HPD order numbers and violation classes, DOB violation
+ * type codes and ECB violation types, and the categories of HPD complaint problems and DOB
+ * complaints.
+ */
+
+// Curated categories. HPD classes are A (non-hazardous), B (hazardous) and C (immediately hazardous).
+// HPD complaint problems match by major or minor category, and DOB complaints by their
+// two-character complaint category.
+const VIOLATION_CATEGORIES = [
+  {
+    name: 'lead paint',
+    aliases: ['lead', 'lead-based paint', 'lead based paint', 'peeling paint'],
+    hpd: { orderNumbers: ['614', '616', '617', '618', '619'], classes: ['C'] },
+    dob: { violationTypeCodes: [] },
+    ecb: { violationTypes: [] },
+    hpdComplaints: { majorCategories: ['PAINT/PLASTER'], minorCategories: [] },
+    dobComplaints: { complaintCategories: [] }
+  },
+  {
+    name: 'heat',
+    aliases: ['no heat', 'heating', 'boiler', 'boilers'],
+    hpd: { orderNumbers: ['772', '773', '774', '775', '776'], classes: ['C'] },
+    dob: { violationTypeCodes: ['B', 'LL6291', 'HBLVIO'] },
+    ecb: { violationTypes: ['Boilers'] },
+    hpdComplaints: { majorCategories: ['HEAT/HOT WATER', 'HEATING'], minorCategories: [] },
+    dobComplaints: { complaintCategories: ['58'] }
+  },
+  {
+    name: 'hot water',
+    aliases: ['no hot water'],
+    hpd: { orderNumbers: ['777', '778', '779'], classes: ['C'] },
+    dob: { violationTypeCodes: [] },
+    ecb: { violationTypes: [] },
+    hpdComplaints: { majorCategories: ['HEAT/HOT WATER'], minorCategories: [] },
+    dobComplaints: { complaintCategories: [] }
+  },
+  {
+    name: 'mold',
+    aliases: ['mould', 'mildew'],
+    hpd: { orderNumbers: ['1504', '1505'], classes: ['B', 'C'] },
+    dob: { violationTypeCodes: [] },
+    ecb: { violationTypes: [] },
+    hpdComplaints: { majorCategories: [], minorCategories: ['MOLD'] },
+    dobComplaints: { complaintCategories: [] }
+  },
+  {
+    name: 'pests',
+    aliases: ['pest', 'roaches', 'rodents', 'mice', 'rats', 'vermin', 'bedbugs', 'bed bugs'],
+    hpd: { orderNumbers: ['1501', '1502', '1503', '1506', '1507'], classes: ['B', 'C'] },
+    dob: { violationTypeCodes: [] },
+    ecb: { violationTypes: [] },
+    hpdComplaints: { majorCategories: [], minorCategories: ['PESTS'] },
+    dobComplaints: { complaintCategories: [] }
+  },
+  {
+    name: 'elevator',
+    aliases: ['elevators', 'lift'],
+    hpd: { orderNumbers: [], classes: [] },
+    dob: { violationTypeCodes: ['E', 'ACC1', 'EVCAT1', 'EVCAT5'] },
+    ecb: { violationTypes: ['Elevators'] },
+    hpdComplaints: { majorCategories: ['ELEVATOR'], minorCategories: [] },
+    dobComplaints: { complaintCategories: ['63', '81'] }
+  },
+  {
+    name: 'facade',
+    aliases: ['facades', 'façade', 'local law 11', 'fisp'],
+    hpd: { orderNumbers: [], classes: [] },
+    dob: { violationTypeCodes: ['LL1080', 'LL1198', 'FISP'] },
+    ecb: { violationTypes: ['Local Law'] },
+    hpdComplaints: { majorCategories: [], minorCategories: [] },
+    dobComplaints: { complaintCategories: ['10'] }
+  },
+  {
+    name: 'illegal conversion',
+    aliases: ['illegal conversions', 'illegal apartment', 'illegal occupancy', 'illegal construction'],
+    hpd: { orderNumbers: ['556', '557'], classes: ['C'] },
+    dob: { violationTypeCodes: ['C', 'Z'] },
+    ecb: { violationTypes: ['Construction', 'Zoning'] },
+    hpdComplaints: { majorCategories: [], minorCategories: [] },
+    dobComplaints: { complaintCategories: ['45', '71'] }
+  },
+  {
+    name: 'structural',
+    aliases: ['unsafe building', 'collapse', 'structural defects'],
+    hpd: { orderNumbers: [], classes: [] },
+    dob: { violationTypeCodes: ['UB', 'EGNCY', 'IMEGNCY'] },
+    ecb: { violationTypes: ['Unsafe Buildings'] },
+    hpdComplaints: { majorCategories: [], minorCategories: [] },
+    dobComplaints: { complaintCategories: ['30', '54'] }
+  },
+  {
+    name: 'fire safety',
+    aliases: ['fire escape', 'fire escapes', 'smoke detector', 'smoke detectors', 'sprinklers'],
+    hpd: { orderNumbers: ['502', '503', '702', '703', '704'], classes: ['B', 'C'] },
+    dob: { violationTypeCodes: ['LL2604S', 'LL1081'] },
+    ecb: { violationTypes: ['Local Law'] },
+    hpdComplaints: { majorCategories: [], minorCategories: ['SMOKE DETECTOR', 'FIRE ESCAPE'] },
+    dobComplaints: { complaintCategories: ['37', '52'] }
+  },
+  {
+    name: 'plumbing',
+    aliases: ['leaks', 'leak', 'water leak'],
+    hpd: { orderNumbers: ['530', '531', '532'], classes: ['B'] },
+    dob: { violationTypeCodes: ['P'] },
+    ecb: { violationTypes: ['Plumbing'] },
+    hpdComplaints: { majorCategories: ['PLUMBING', 'WATER LEAK'], minorCategories: [] },
+    dobComplaints: { complaintCategories: ['66'] }
+  },
+  {
+    name: 'gas',
+    aliases: ['gas leak', 'gas service', 'gas shutoff'],
+    hpd: { orderNumbers: ['1002'], classes: ['C'] },
+    dob: { violationTypeCodes: ['P', 'LL152'] },
+    ecb: { violationTypes: ['Plumbing'] },
+    hpdComplaints: { majorCategories: [], minorCategories: [] },
+    dobComplaints: { complaintCategories: ['65'] }
+  }
+];
+
+const CATEGORY_INDEX = buildCategoryIndex();
+
+/**
+ * Build a lookup from normalized category names and aliases to categories
+ * @returns {Map} Name to category
+ */
+function buildCategoryIndex() {
+  const index = new Map();
+  VIOLATION_CATEGORIES.forEach(category => {
+    [category.name, ...category.aliases].forEach(name => {
+      index.set(normalizeCategoryName(name), category);
+    });
+  });
+  return index;
+}
+
+/**
+ * Normalize a category name for lookup
+ * @param {string} name - Category name
+ * @returns {string} Lowercased name with single spaces
+ */
+function normalizeCategoryName(name) {
+  return String(name)
+    .toLowerCase()
+    .replace(/ç/g, 'c')
+    .replace(/[-_]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Find the category for a plain-language violation type
+ * @param {string} name - Violation type, e.g. "no heat"
+ * @returns {Object|undefined} Category
+ */
+function findViolationCategory(name) {
+  return CATEGORY_INDEX.get(normalizeCategoryName(name));
+}
+
+/**
+ * Resolve violation types to the codes each agency uses
+ * @param {Array} violationTypes - Plain-language violation types
+ * @returns {Object} { categories, unresolved, hpd: { orderNumbers, classes }, dob: { violationTypeCodes },
+ *   ecb: { violationTypes }, hpdComplaints: { majorCategories, minorCategories },
+ *   dobComplaints: { complaintCategories } }
+ */
+function resolveViolationTypes(violationTypes = []) {
+  const categories = [];
+  const unresolved = [];
+
+  violationTypes.forEach(violationType => {
+    const category = findViolationCategory(violationType);
+    if (!category) {
+      unresolved.push(violationType);
+    } else if (!categories.includes(category)) {
+      categories.push(category);
+    }
+  });
+
+  const collect = (agency, key) => [...new Set(categories.flatMap(category => category[agency][key]))];
+
+  return {
+    categories: categories.map(category => category.name),
+    unresolved,
+    hpd: { orderNumbers: collect('hpd', 'orderNumbers'), classes: collect('hpd', 'classes') },
+    dob: { violationTypeCodes: collect('dob', 'violationTypeCodes') },
+    ecb: { violationTypes: collect('ecb', 'violationTypes') },
+    hpdComplaints: {
+      majorCategories: collect('hpdComplaints', 'majorCategories'),
+      minorCategories: collect('hpdComplaints', 'minorCategories')
+    },
+    dobComplaints: { complaintCategories: collect('dobComplaints', 'complaintCategories') }
+  };
+}
+
+/**
+ * Build a filter keeping the rows whose column holds one of the codes
+ * @param {string} table - Table
+ * @param {string} column - Column holding the codes
+ * @param {Array} values - Codes
+ * @returns {Object|null} Filter, or null if there are no codes
+ */
+function codeFilter(table, column, values) {
+  return values.length > 0 ? { table, column, operator: 'IN', value: values } : null;
+}
+
+// Filters of each source that records taxonomy codes, built from the result of
+// resolveViolationTypes. HPD complaints are matched on the categories of their problems.
+const SOURCE_CODE_FILTERS = {
+  hpd_violations: codes => codeFilter('hpd_violations', 'ordernumber', codes.hpd.orderNumbers),
+  dob_violations: codes => codeFilter('dob_violations', 'violationtypecode', codes.dob.violationTypeCodes),
+  ecb_violations: codes => codeFilter('ecb_violations', 'violationtype', codes.ecb.violationTypes),
+  hpd_complaints: codes => {
+    const filters = [
+      codeFilter('hpd_complaint_problems', 'majorcategory', codes.hpdComplaints.majorCategories),
+      codeFilter('hpd_complaint_problems', 'minorcategory', codes.hpdComplaints.minorCategories)
+    ].filter(Boolean);
+    return filters.length > 1 ? { or: filters } : filters[0] || null;
+  },
+  dob_complaints: codes => codeFilter('dob_complaints', 'complaintcategory', codes.dobComplaints.complaintCategories)
+};
+
+/**
+ * Build the filter restricting one source to the resolved codes
+ * @param {Object} codes - Result of resolveViolationTypes
+ * @param {string} table - Source table
+ * @returns {Object|null|undefined} Filter; null if the source records none of the categories, so
+ *   none of its rows match; undefined if the source has no codes to filter on
+ */
+function buildSourceCodeFilter(codes, table) {
+  return SOURCE_CODE_FILTERS[table] ? SOURCE_CODE_FILTERS[table](codes) : undefined;
+}
+
+/**
+ * Build filters restricting violation and complaint tables to the resolved codes
+ * @param {Object} codes - Result of resolveViolationTypes
+ * @returns {Array} Filter objects for the sources that record the categories
+ */
+function buildViolationCodeFilters(codes) {
+  return Object.keys(SOURCE_CODE_FILTERS)
+    .map(table => buildSourceCodeFilter(codes, table))
+    .filter(Boolean);
+}
+
+module.exports = {
+  VIOLATION_CATEGORIES,
+  findViolationCategory,
+  resolveViolationTypes,
+  buildSourceCodeFilter,
+  buildViolationCodeFilters
+};
@@ -34,6 +34,9 @@ function generateVisualizations(structuredQuery, analysisResults) {
     case 'general_stats':
       visualizations = generateGeneralStatsVisualizations(analysisResults);
       break;
+    case 'owner_portfolio':
+      visualizations = generateOwnerPortfolioVisualizations(analysisResults);
+      break;
     default:
       visualizations = generateGenericVisualizations(analysisResults);
   }
@@ -436,6 +439,18 @@ function generateComparisonVisualizations(analysisResults) {
         case 'dob_violation_count':
           title = 'DOB Violations by Category';
           break;
+        case 'ecb_violation_count':
+          title = 'ECB Violations by Category';
+          break;
+        case 'ecb_balance_due':
+          title = 'Unpaid ECB Penalties by Category';
+          break;
+        case 'hpd_complaint_count':
+          title = 'HPD Complaints by Category';
+          break;
+        case 'dob_complaint_count':
+          title = 'DOB Complaints by Category';
+          break;
         default:
           title = `${metric.replace(/_/g, ' ')} by Category`;
       }
@@ -478,6 +493,126 @@ function generateComparisonVisualizations(analysisResults) {
   return visualizations;
 }
 
+/**
+ * Generate visualizations for owner portfolio results
+ * @param {Object} analysisResults - Owner portfolio results
+ * @returns {Array} Visualization configurations
+ */
+function generateOwnerPortfolioVisualizations(analysisResults) {
+  const visualizations = [];
+  
+  // Extract relevant data
+  const { portfolioStats, visualizationData, worstBuildings } = analysisResults;
+  
+  // Portfolio totals table
+  if (portfolioStats && portfolioStats.buildingCount) {
+    visualizations.push({
+      type: 'table',
+      title: 'Portfolio Summary',
+      data: [
+        { metric: 'Buildings', value: portfolioStats.buildingCount.toLocaleString() },
+        { metric: 'Residential Units', value: portfolioStats.residentialUnits.toLocaleString() },
+        { metric: 'Total Violations', value: portfolioStats.totalViolations.toLocaleString() },
+        { metric: 'Open Class C Violations', value: portfolioStats.openClassCViolations.toLocaleString() },
+        { metric: 'ECB Balance Due', value: `$${Math.round(portfolioStats.ecbBalanceDue).toLocaleString()}` },
+        { metric: 'Complaints', value: (portfolioStats.hpdComplaints + portfolioStats.dobComplaints).toLocaleString() },
+        ...(portfolioStats.averageRiskScore !== null
+          ? [{ metric: 'Average Risk Score', value: portfolioStats.averageRiskScore.toFixed(1) }]
+          : [])
+      ],
+      config: {
+        columns: [
+          { key: 'metric', label: 'Metric' },
+          { key: 'value', label: 'Value' }
+        ]
+      }
+    });
+  }
+  
+  // Risk level distribution pie chart
+  if (visualizationData && visualizationData.riskDistribution) {
+    visualizations.push({
+      type: 'pieChart',
+      title: 'Risk Level Distribution',
+      data: visualizationData.riskDistribution,
+      config: {
+        colors: ['#d9534f', '#f0ad4e', '#5bc0de', '#5cb85c'],
+        labels: {
+          categoryKey: 'category',
+          valueKey: 'value'
+        }
+      }
+    });
+  }
+  
+  // Violations by agency bar chart
+  if (visualizationData && visualizationData.violationsBySource) {
+    visualizations.push({
+      type: 'barChart',
+      title: 'Violations by Agency',
+      data: visualizationData.violationsBySource,
+      config: {
+        labels: {
+          categoryKey: 'category',
+          valueKey: 'value'
+        },
+        xAxisLabel: 'Agency',
+        yAxisLabel: 'Number of Violations'
+      }
+    });
+  }
+  
+  // Buildings by borough bar chart
+  if (visualizationData && visualizationData.buildingsByBorough) {
+    visualizations.push({
+      type: 'barChart',
+      title: 'Portfolio Buildings by Borough',
+      data: visualizationData.buildingsByBorough.map(item => ({
+        category: item.borough,
+        value: item.buildingCount
+      })),
+      config: {
+        labels: {
+          categoryKey: 'category',
+          valueKey: 'value'
+        },
+        xAxisLabel: 'Borough',
+        yAxisLabel: 'Number of Buildings'
+      }
+    });
+  }
+  
+  // Worst buildings table
+  if (worstBuildings && worstBuildings.length > 0) {
+    visualizations.push({
+      type: 'table',
+      title: 'Buildings Needing Attention',
+      data: worstBuildings.map(building => ({
+        address: building.address,
+        borough: building.borough,
+        units: building.unitsres,
+        openClassC: Number(building.open_class_c_count || 0),
+        violations: Number(building.total_violations || 0),
+        riskScore: building.risk_score.toFixed(1),
+        riskLevel: building.risk_level
+      })),
+      config: {
+        columns: [
+          { key: 'address', label: 'Address' },
+          { key: 'borough', label: 'Borough' },
+          { key: 'units', label: 'Units' },
+          { key: 'openClassC', label: 'Open Class C' },
+          { key: 'violations', label: 'Violations' },
+          { key: 'riskScore', label: 'Risk Score' },
+          { key: 'riskLevel', label: 'Risk Level' }
+        ]
+      }
+    });
+  }
+  
+  return visualizations;
+}
+
 /**
  * Generate visualizations for general statistics results
  * @param {Object} analysisResults - General statistics results
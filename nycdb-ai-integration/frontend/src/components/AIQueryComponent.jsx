@@ -50,6 +50,9 @@ const AIQueryComponent = () => {
   const [conversationHistory, setConversationHistory] = useState([]);
   const [showHistory, setShowHistory] = useState(false);
   const [conversationId, setConversationId] = useState(null);
+  const [records, setRecords] = useState([]);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [loadingMore, setLoadingMore] = useState(false);
   
   // Get the current user from Redux store
   const { user } = useSelector(state => state.auth);
@@ -88,6 +91,38 @@ const AIQueryComponent = () => {
     }
   };
   
+  // Show a new response, keeping the first page of its rows for the records table
+  const showResponse = (newResponse) => {
+    setResponse(newResponse);
+    setConversationId(newResponse.conversationId);
+    setRecords(newResponse.results ? newResponse.results.data : []);
+    setNextCursor(newResponse.results ? newResponse.results.pagination.nextCursor : null);
+  };
+  
+  // Load the next page of records with the cursor from the previous page
+  const handleLoadMore = async () => {
+    if (!nextCursor) return;
+    
+    setLoadingMore(true);
+    setError(null);
+    
+    try {
+      const result = await axios.post('/api/ai/query/next', { cursor: nextCursor });
+      
+      if (result.data.success) {
+        setRecords(previous => [...previous, ...result.data.data]);
+        setNextCursor(result.data.pagination.nextCursor);
+      } else {
+        setError(result.data.message || 'Failed to load more results');
+      }
+    } catch (error) {
+      console.error('Error loading more results:', error);
+      setError(error.response?.data?.message || 'An error occurred while loading more results');
+    } finally {
+      setLoadingMore(false);
+    }
+  };
+  
   // Handle query submission
   const handleSubmit = async (e) => {
     e.preventDefault();
@@ -105,8 +140,7 @@ const AIQueryComponent = () => {
       });
       
       if (response.data.success) {
-        setResponse(response.data.response);
-        setConversationId(response.data.response.conversationId);
+        showResponse(response.data.response);
         
         // Refresh conversation history
         if (user && user.id) {
@@ -128,6 +162,34 @@ const AIQueryComponent = () => {
     }
   };
   
+  // Answer a clarifying question by choosing one of its options
+  const handleClarificationAnswer = async (option) => {
+    setIsLoading(true);
+    setError(null);
+    
+    try {
+      const result = await axios.post('/api/ai/query', {
+        clarificationAnswer: {
+          clarificationId: response?.clarificationId,
+          optionId: option.id
+        },
+        userId: user ? user.id : 'anonymous',
+        conversationId
+      });
+      
+      if (result.data.success) {
+        showResponse(result.data.response);
+      } else {
+        setError(result.data.message || 'Failed to process answer');
+      }
+    } catch (error) {
+      console.error('Error answering clarification:', error);
+      setError(error.response?.data?.message || 'An error occurred while processing your answer');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+  
   // Handle clicking on an example query
   const handleExampleClick = (exampleQuery) => {
     setQuery(exampleQuery);
@@ -160,6 +222,8 @@ const AIQueryComponent = () => {
     setResponse(null);
     setError(null);
     setConversationId(null);
+    setRecords([]);
+    setNextCursor(null);
   };
   
   // Render visualizations based on the response
@@ -229,6 +293,27 @@ const AIQueryComponent = () => {
     }
   };
   
+  // Render the rows behind the response, a page at a time
+  const renderRecords = () => {
+    if (!response || !response.results || records.length === 0) {
+      return null;
+    }
+    
+    return (
+      <Box mt={4}>
+        <Typography variant="h6" gutterBottom>
+          Matching Records
+        </Typography>
+        <DataTable
+          data={records}
+          hasMore={Boolean(nextCursor)}
+          onLoadMore={handleLoadMore}
+          loadingMore={loadingMore}
+        />
+      </Box>
+    );
+  };
+  
   // Render key findings from the response
   const renderKeyFindings = () => {
     if (!response || !response.insights || !response.insights.keyFindings || response.insights.keyFindings.length === 0) {
@@ -463,8 +548,30 @@ const AIQueryComponent = () => {
         </Paper>
       )}
       
+      {/* Clarifying question */}
+      {response && response.type === 'clarification' && (
+        <Paper elevation={3} sx={{ p: 3, mb: 4 }} ref={resultsRef}>
+          <Typography variant="h6" gutterBottom>
+            {response.question}
+          </Typography>
+          <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 1 }}>
+            {response.options.map((option) => (
+              <Chip
+                key={option.id}
+                label={option.label}
+                onClick={() => handleClarificationAnswer(option)}
+                clickable
+                color="primary"
+                disabled={isLoading}
+                sx={{ mb: 1 }}
+              />
+            ))}
+          </Box>
+        </Paper>
+      )}
+      
       {/* Results */}
-      {response && (
+      {response && response.type !== 'clarification' && (
         <Box ref={resultsRef}>
           <Paper elevation={3} sx={{ p: 3, mb: 4 }}>
             <Typography variant="h5" gutterBottom>
@@ -487,6 +594,9 @@ const AIQueryComponent = () => {
             {/* Visualizations */}
             {renderVisualizations()}
             
+            {/* Records, with more pages loaded on request */}
+            {renderRecords()}
+            
             {/* Patterns and Anomalies */}
             {renderPatterns()}
             
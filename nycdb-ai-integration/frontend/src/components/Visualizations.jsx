@@ -15,7 +15,9 @@ import {
   TableContainer, 
   TableHead, 
   TableRow, 
-  Paper 
+  Paper,
+  Button,
+  CircularProgress
 } from '@mui/material';
 import {
   LineChart as RechartsLineChart,
@@ -224,8 +226,11 @@ export const PieChart = ({ data, config }) => {
  * @param {Object} props - Component props
  * @param {Array} props.data - Table data
  * @param {Object} props.config - Table configuration
+ * @param {boolean} props.hasMore - Whether another page of rows can be loaded
+ * @param {Function} props.onLoadMore - Called when the user asks for the next page
+ * @param {boolean} props.loadingMore - Whether the next page is being loaded
  */
-export const DataTable = ({ data, config }) => {
+export const DataTable = ({ data, config, hasMore = false, onLoadMore, loadingMore = false }) => {
   if (!data || data.length === 0) {
     return <Typography color="textSecondary">No data available for table</Typography>;
   }
@@ -262,6 +267,18 @@ export const DataTable = ({ data, config }) => {
           ))}
         </TableBody>
       </Table>
+      {hasMore && onLoadMore && (
+        <Box display="flex" justifyContent="center" p={1}>
+          <Button
+            size="small"
+            onClick={onLoadMore}
+            disabled={loadingMore}
+            startIcon={loadingMore ? <CircularProgress size={16} /> : null}
+          >
+            {loadingMore ? 'Loading...' : 'Load more'}
+          </Button>
+        </Box>
+      )}
     </TableContainer>
   );
 };
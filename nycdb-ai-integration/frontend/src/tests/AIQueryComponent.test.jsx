@@ -91,6 +91,51 @@ describe('AIQueryComponent', () => {
     });
   });
 
+  it('loads more records with the cursor from the previous page', async () => {
+    axios.post
+      .mockResolvedValueOnce({
+        data: {
+          success: true,
+          response: {
+            insights: { summary: 'Test summary' },
+            results: {
+              data: [{ address: '10 MAIN ST' }],
+              pagination: { pageSize: 1, hasMore: true, nextCursor: 'cursor-1' }
+            }
+          }
+        }
+      })
+      .mockResolvedValueOnce({
+        data: {
+          success: true,
+          data: [{ address: '12 MAIN ST' }],
+          pagination: { pageSize: 1, hasMore: false, nextCursor: null }
+        }
+      });
+
+    render(
+      <Provider store={store}>
+        <AIQueryComponent />
+      </Provider>
+    );
+
+    const inputField = screen.getByLabelText(/Ask a question about NYC buildings data/i);
+    fireEvent.change(inputField, { target: { value: 'Show me buildings in Astoria' } });
+    fireEvent.click(screen.getByText(/Submit/i));
+
+    const loadMoreButton = await screen.findByText(/Load more/i);
+    expect(screen.getByText('10 MAIN ST')).toBeInTheDocument();
+
+    fireEvent.click(loadMoreButton);
+
+    await waitFor(() => {
+      expect(axios.post).toHaveBeenLastCalledWith('/api/ai/query/next', { cursor: 'cursor-1' });
+      expect(screen.getByText('10 MAIN ST')).toBeInTheDocument();
+      expect(screen.getByText('12 MAIN ST')).toBeInTheDocument();
+      expect(screen.queryByText(/Load more/i)).not.toBeInTheDocument();
+    });
+  });
+
   it('displays error message when API call fails', async () => {
     // Mock failed API response
     axios.post.mockRejectedValueOnce({